@@ -13,7 +13,8 @@ module.exports = {
   WEIGHTS: {
     REQUIRED_SKILLS: 35,      // Increased from 30 - most critical
     EXPERIENCE: 25,            // Same
-    EDUCATION: 15,             // Same
+    EDUCATION: 10,             // Reduced from 15 - certificates now score under CERTIFICATIONS
+    CERTIFICATIONS: 5,         // New - certifications and licenses, checked for expiry
     PREFERRED_SKILLS: 10,      // Reduced from 15
     KEYWORD_DENSITY: 10,       // Same
     FORMAT_CLARITY: 5          // Same
@@ -29,27 +30,83 @@ module.exports = {
     NO_REQUIREMENTS_POINTS: 0  // Was giving maxPoints before
   },
 
+  // Skill graph: a resume skill implies its taxonomy parents (Next.js -> React -> JavaScript)
+  // Similarity multiplies along the path, so every hop decays it; credit is still capped at 50%
+  SKILL_GRAPH: {
+    ENABLED: true,
+    PARENT_EDGE_WEIGHT: 0.8,   // Hop weight when the taxonomy gives no related weight for the pair
+    MAX_DEPTH: 3,              // Hops followed up the parent chain
+    MIN_SIMILARITY: 0.2        // Stop once the implied similarity falls below this
+  },
+
+  // Version-aware matching: "Java 8" against a JD asking for "Java 17+"
+  // These are similarities - a version mismatch is a partial match, so credit is still capped at 50%
+  SKILL_VERSIONS: {
+    OLDER_MINOR: 0.9,          // Same major line, older release (Python 3.6 for Python 3.8+)
+    OLDER_MAJOR: 0.7,          // Older major version (Python 2.7 for Python 3, Java 8 for Java 17+)
+    NEWER_MAJOR: 0.8           // Newer major than a pinned version (Java 17 for exactly Java 8)
+  },
+
+  // Skill usage: required-skill credit is multiplied by recency and stated proficiency
+  // Recency comes from the dated roles that mention the skill; skills-list-only skills are not decayed
+  SKILL_USAGE: {
+    RECENCY_ENABLED: true,
+    RECENT_YEARS: 3,           // Last used within this many years: full credit
+    DECAY_PER_YEAR: 0.1,       // Credit lost per year beyond RECENT_YEARS
+    MIN_RECENCY_FACTOR: 0.5,   // A skill last used long ago still keeps half its credit
+    PROFICIENCY_FACTORS: {     // Only applied when the resume states a level
+      expert: 1.0,
+      advanced: 1.0,
+      intermediate: 1.0,
+      basic: 0.8               // "familiar with", "basic knowledge of", "exposure to"
+    }
+  },
+
   // Experience Scoring (25 points max)
   EXPERIENCE: {
     PENALTIES: {
       SHORT_0_2_YEARS: 8,        // Increased from 5
       SHORT_2_4_YEARS: 15,       // Increased from 10
       SHORT_4_PLUS_YEARS: 25,    // Full penalty - completely unqualified
-      OVER_QUALIFIED_5_PLUS: 5   // Same - slight penalty
+      OVER_QUALIFIED_5_PLUS: 5   // Slight penalty - 2+ levels above the role (5+ extra years when no level is known)
     },
 
     // CRITICAL: If NO experience requirement, give 0 points (not full points!)
-    NO_REQUIREMENT_POINTS: 0  // Was giving maxPoints before
+    NO_REQUIREMENT_POINTS: 0,  // Was giving maxPoints before
+
+    // Relevant experience: a role counts toward the requirement only if it mentions
+    // at least one required skill OR this many JD domain keywords
+    RELEVANT_MIN_KEYWORD_HITS: 2
   },
 
-  // Education Scoring (15 points max)
+  // Education Scoring (10 points max)
   EDUCATION: {
-    EXACT_MATCH: 15,           // Same
-    LOWER_DEGREE: 5,           // Reduced from 8
+    EXACT_MATCH: 10,           // Reduced from 15 with the weight
+    LOWER_DEGREE: 3,           // Reduced from 5
     MISSING_REQUIRED: 0,       // Same
 
     // CRITICAL: If NO education requirement, give 0 points (not full points!)
-    NO_REQUIREMENT_POINTS: 0  // Was giving maxPoints before
+    NO_REQUIREMENT_POINTS: 0,  // Was giving maxPoints before
+
+    // Field of study, when the JD names one: a degree keeps this share of its points at 0% field match,
+    // rising to all of them at 100% ("BFA" against "BS in Computer Science" keeps 30%)
+    UNRELATED_FIELD_CREDIT: 0.3,
+    UNKNOWN_FIELD_CREDIT: 0.7,       // The resume doesn't say what the degree is in
+
+    // "Or equivalent experience": relevant years that stand in for a degree at each level,
+    // earning this share of EXACT_MATCH (a JD that states the years overrides these)
+    EQUIVALENT_EXPERIENCE_YEARS: { Associates: 2, Bachelors: 4, Masters: 6, PhD: 8 },
+    EQUIVALENT_EXPERIENCE_CREDIT: 0.8
+  },
+
+  // Certifications & Licenses (5 points max)
+  // The category's points are shared across the certifications the JD asks for
+  CERTIFICATIONS: {
+    PREFERRED_WEIGHT: 0.5,     // A preferred certification counts half as much as a required one
+    EXPIRED_CREDIT: 0.25,      // A lapsed certification shows past knowledge, not a current credential
+
+    // No certifications in the JD: this share of the points for holding any current one, else 0
+    NO_REQUIREMENT_CREDIT: 0.5
   },
 
   // Preferred Skills (10 points max)
@@ -89,7 +146,35 @@ module.exports = {
     GOOD: { min: 61, max: 75, label: 'Good Match (Manual Review Needed)', color: '#fbbf24' },
     FAIR: { min: 41, max: 60, label: 'Fair Match (Likely Rejection)', color: '#f59e0b' },
     POOR: { min: 0, max: 40, label: 'Critical Mismatch (Auto-Reject)', color: '#ef4444' }
+  },
+
+  // Named scoring profiles, selectable per analysis (POST /api/analyze `profile`)
+  // A profile overrides the sections above (WEIGHTS, REQUIRED_SKILLS, EXPERIENCE, EDUCATION,
+  // CERTIFICATIONS, PREFERRED_SKILLS, SKILL_USAGE). Point values inside a category - per-skill points, experience
+  // penalties, education points - scale with its weight unless the profile sets them itself
+  PROFILES: {
+    standard: {
+      label: 'Standard',
+      description: 'Balanced weights for most roles'
+    },
+    entry_level: {
+      label: 'Entry level',
+      description: 'Education and skills weigh more, years of experience much less',
+      WEIGHTS: { REQUIRED_SKILLS: 35, EXPERIENCE: 10, EDUCATION: 20, CERTIFICATIONS: 5, PREFERRED_SKILLS: 15, KEYWORD_DENSITY: 10, FORMAT_CLARITY: 5 }
+    },
+    senior: {
+      label: 'Senior',
+      description: 'Relevant experience dominates, education and preferred skills barely count',
+      WEIGHTS: { REQUIRED_SKILLS: 30, EXPERIENCE: 40, EDUCATION: 5, CERTIFICATIONS: 5, PREFERRED_SKILLS: 5, KEYWORD_DENSITY: 10, FORMAT_CLARITY: 5 }
+    },
+    contract: {
+      label: 'Contract',
+      description: 'Hands-on, current skills: required skills weigh most and stale skills lose credit fast',
+      WEIGHTS: { REQUIRED_SKILLS: 45, EXPERIENCE: 15, EDUCATION: 5, CERTIFICATIONS: 5, PREFERRED_SKILLS: 10, KEYWORD_DENSITY: 15, FORMAT_CLARITY: 5 },
+      SKILL_USAGE: { RECENT_YEARS: 2, DECAY_PER_YEAR: 0.15, MIN_RECENCY_FACTOR: 0.4 }
+    }
   }
 };
 
-// Note: Validation removed - weights now checked at runtime if needed
+// Validated when loaded (utils/scoringProfiles.js) - a bad edit stops startup instead of skewing scores.
+// Check edits with: npm run validate:scoring
@@ -12,270 +12,21 @@
  * 2. AI cannot override these mappings
  * 3. If not in dictionary, similarity = 0%
  * 4. Bidirectional mappings (A→B implies B→A)
+ *
+ * The dictionary itself lives in the skill taxonomy data files (config/taxonomy/),
+ * loaded and validated by utils/skillTaxonomy.js
  */
 
-const SKILL_SIMILARITY = {
-    // ========================================
-    // FRAMEWORKS & LIBRARIES
-    // ========================================
-
-    // Spring Framework Family (70% - same ecosystem)
-    'spring': {
-        'spring boot': 0.70,
-        'spring mvc': 0.70,
-        'spring framework': 0.90
-    },
-    'spring boot': {
-        'spring': 0.70,
-        'spring mvc': 0.60
-    },
-
-    // React Ecosystem (60-70% - related libraries)
-    'react': {
-        'react.js': 1.0,  // Exact aliases
-        'reactjs': 1.0,
-        'next.js': 0.60,   // Built on React
-        'gatsby': 0.50,
-        'preact': 0.50
-    },
-    'next.js': {
-        'react': 0.60,
-        'nextjs': 1.0
-    },
-
-    // Angular Family (70% - version evolution)
-    'angular': {
-        'angularjs': 0.40,  // Different architecture
-        'angular.js': 0.40,
-        'angular 2+': 0.90
-    },
-
-    // Vue Ecosystem (60% - related)
-    'vue': {
-        'vue.js': 1.0,
-        'vuejs': 1.0,
-        'nuxt': 0.60,
-        'nuxt.js': 0.60
-    },
-
-    // ========================================
-    // BACKEND FRAMEWORKS
-    // ========================================
-
-    // Node.js Ecosystem (60-70%)
-    'node.js': {
-        'nodejs': 1.0,
-        'express': 0.60,
-        'express.js': 0.60,
-        'nestjs': 0.50,
-        'koa': 0.50
-    },
-    'express': {
-        'express.js': 1.0,
-        'node.js': 0.60,
-        'koa': 0.40,
-        'fastify': 0.40
-    },
-
-    // Python Frameworks (50-60%)
-    'django': {
-        'python': 0.60,
-        'flask': 0.40,  // Different philosophy
-        'fastapi': 0.40
-    },
-    'flask': {
-        'python': 0.60,
-        'django': 0.40,
-        'fastapi': 0.50
-    },
-    'fastapi': {
-        'python': 0.60,
-        'flask': 0.50,
-        'django': 0.40
-    },
-
-    // ========================================
-    // DATABASES
-    // ========================================
-
-    // SQL Databases (50% - transferable but different)
-    'mysql': {
-        'postgresql': 0.50,
-        'mariadb': 0.70,  // MySQL fork
-        'sql': 0.60
-    },
-    'postgresql': {
-        'mysql': 0.50,
-        'postgres': 1.0,
-        'sql': 0.60
-    },
-    'sql server': {
-        'mysql': 0.40,
-        'postgresql': 0.40,
-        'sql': 0.60
-    },
-
-    // NoSQL Databases (30-40% - different paradigms)
-    'mongodb': {
-        'nosql': 0.60,
-        'couchdb': 0.30,
-        'dynamodb': 0.30
-    },
-    'redis': {
-        'memcached': 0.50,
-        'nosql': 0.40
-    },
-
-    // SQL vs NoSQL (20% - fundamentally different)
-    'sql': {
-        'nosql': 0.20,
-        'mysql': 0.60,
-        'postgresql': 0.60
-    },
-    'nosql': {
-        'sql': 0.20,
-        'mongodb': 0.60
-    },
-
-    // ========================================
-    // PROGRAMMING LANGUAGES
-    // ========================================
-
-    // Language Evolution (70% - newer versions)
-    'python 2': {
-        'python': 0.70,
-        'python 3': 0.70
-    },
-    'python 3': {
-        'python': 0.90,
-        'python 2': 0.70
-    },
-
-    // Java Ecosystem (50-60%)
-    'java': {
-        'java 8': 0.80,
-        'java 11': 0.80,
-        'kotlin': 0.40,  // JVM but different
-        'scala': 0.30
-    },
-    'kotlin': {
-        'java': 0.40,
-        'android': 0.60
-    },
-
-    // JavaScript Family (30-40% - related but distinct)
-    'javascript': {
-        'js': 1.0,
-        'typescript': 0.60,
-        'ecmascript': 0.90
-    },
-    'typescript': {
-        'javascript': 0.70,
-        'ts': 1.0
-    },
-
-    // C Family (30-40% - syntax similar, purpose different)
-    'c++': {
-        'c': 0.40,
-        'cpp': 1.0
-    },
-    'c#': {
-        'csharp': 1.0,
-        '.net': 0.70,
-        'c++': 0.20,  // Different despite name
-        'c': 0.20
-    },
-
-    // ========================================
-    // CLOUD PROVIDERS
-    // ========================================
-
-    // Cloud Platforms (40% - transferable concepts)
-    'aws': {
-        'amazon web services': 1.0,
-        'azure': 0.40,
-        'gcp': 0.40,
-        'google cloud': 0.40
-    },
-    'azure': {
-        'aws': 0.40,
-        'gcp': 0.40,
-        'microsoft azure': 1.0
-    },
-    'gcp': {
-        'google cloud': 1.0,
-        'google cloud platform': 1.0,
-        'aws': 0.40,
-        'azure': 0.40
-    },
-
-    // ========================================
-    // DEVOPS & CONTAINERS
-    // ========================================
-
-    // Container Orchestration (50%)
-    'kubernetes': {
-        'k8s': 1.0,
-        'docker': 0.50,  // Related but different
-        'docker swarm': 0.40
-    },
-    'docker': {
-        'kubernetes': 0.50,
-        'containerization': 0.70
-    },
-
-    // CI/CD Tools (30-40% - same category)
-    'jenkins': {
-        'ci/cd': 0.60,
-        'gitlab ci': 0.30,
-        'github actions': 0.30
-    },
-    'gitlab ci': {
-        'ci/cd': 0.60,
-        'github actions': 0.40,
-        'jenkins': 0.30
-    },
-
-    // ========================================
-    // MOBILE DEVELOPMENT
-    // ========================================
-
-    // Mobile Platforms (20% - different ecosystems)
-    'ios': {
-        'swift': 0.70,
-        'objective-c': 0.60,
-        'android': 0.20  // Different platform
-    },
-    'android': {
-        'kotlin': 0.70,
-        'java': 0.60,
-        'ios': 0.20
-    },
-
-    // Cross-platform (50% with native)
-    'react native': {
-        'react': 0.70,
-        'flutter': 0.30,
-        'ios': 0.40,
-        'android': 0.40
-    },
-    'flutter': {
-        'dart': 0.70,
-        'react native': 0.30
-    },
-
-    // ========================================
-    // ZERO SIMILARITY (Common Confusions)
-    // ========================================
-    // These are EXPLICITLY 0% to prevent confusion
-
-    'java': {
-        'javascript': 0.0  // NEVER similar despite name
-    },
-    'javascript': {
-        'java': 0.0
-    }
-};
+const skillTaxonomy = require('../utils/skillTaxonomy');
+const SCORING_CONFIG = require('./scoring.config');
+
+const MAX_PARTIAL_CREDIT = 0.5; // 50% maximum for partial matches
+
+// "Python 3.10", "Java 17+", "Angular 2+", "Java 11 or higher", "Python 3.x", "C++17", "HTML5"
+const VERSION_SUFFIX = /^(.+?)\s*v?(\d{1,2}(?:\.\d+){0,2})(?:\.x)?\s*(\+|or (?:higher|later|above|newer)|and (?:above|up|later))?$/i;
+
+// JavaScript editions: "ES6", "ES2015+", "ECMAScript 2017" (year editions map to numbers, ES2015 = ES6)
+const ES_EDITION = /^(?:es|ecmascript\s?)(\d{1,4})(\+)?$/i;
 
 /**
  * Get similarity between two skills
@@ -292,14 +43,10 @@ function getSkillSimilarity(skill1, skill2) {
         return 1.0;
     }
 
-    // Check predefined dictionary
-    if (SKILL_SIMILARITY[s1] && SKILL_SIMILARITY[s1][s2] !== undefined) {
-        return SKILL_SIMILARITY[s1][s2];
-    }
-
-    // Check reverse mapping (bidirectional)
-    if (SKILL_SIMILARITY[s2] && SKILL_SIMILARITY[s2][s1] !== undefined) {
-        return SKILL_SIMILARITY[s2][s1];
+    // Check predefined taxonomy (aliases = 1.0, related skills in both directions)
+    const similarity = skillTaxonomy.getSimilarity(s1, s2);
+    if (similarity !== undefined) {
+        return similarity;
     }
 
     // Check common variations (e.g., "react.js" vs "reactjs")
@@ -314,14 +61,172 @@ function getSkillSimilarity(skill1, skill2) {
     return 0.0;
 }
 
+/**
+ * Infer a required skill from a resume skill through the taxonomy's parent edges
+ * Having a skill implies its parent (Next.js implies React), never the reverse.
+ * Each hop multiplies the similarity by the pair's related weight, or by
+ * SKILL_GRAPH.PARENT_EDGE_WEIGHT when the taxonomy gives none.
+ *
+ * @param {string} requiredSkill - Skill required in JD
+ * @param {string} resumeSkill - Skill from resume
+ * @returns {Object|null} { similarity, path: [{ skill, label, similarity }] } or null when not implied
+ */
+function inferSkillSimilarity(requiredSkill, resumeSkill) {
+    const graph = SCORING_CONFIG.SKILL_GRAPH;
+    const target = skillTaxonomy.canonicalName(requiredSkill);
+    let current = skillTaxonomy.canonicalName(resumeSkill);
+
+    if (!graph.ENABLED || !target || !current || target === current) {
+        return null;
+    }
+
+    let similarity = 1.0;
+    const path = [{ skill: current, label: resumeSkill.trim(), similarity }];
+
+    for (let depth = 0; depth < graph.MAX_DEPTH; depth++) {
+        const parent = skillTaxonomy.getParent(current);
+        if (!parent) return null;
+
+        const edgeWeight = skillTaxonomy.getSimilarity(current, parent);
+        similarity *= edgeWeight > 0 ? edgeWeight : graph.PARENT_EDGE_WEIGHT;
+        if (similarity < graph.MIN_SIMILARITY) return null;
+
+        path.push({ skill: parent, label: skillTaxonomy.getLabel(parent), similarity });
+        if (parent === target) {
+            return { similarity, path };
+        }
+        current = parent;
+    }
+
+    return null;
+}
+
+/**
+ * Human-readable inference path: "Next.js implies React (60%) implies JavaScript (48%)"
+ */
+function formatInferencePath(path) {
+    return path
+        .map((step, index) => index === 0 ? step.label : `${step.label} (${Math.round(step.similarity * 100)}%)`)
+        .join(' implies ');
+}
+
+/**
+ * Split a version qualifier off a skill: "Java 17+" -> java, at least 17
+ * Only known taxonomy skills take a version, so "S3", "K8s" and "ICD-10" stay whole
+ * @param {string} skill - Skill as written in a JD or resume
+ * @returns {Object} { base, version: [major, minor, patch] | null, minimum, edition }
+ */
+function parseSkillVersion(skill) {
+    const text = typeof skill === 'string' ? skill.trim() : '';
+
+    const es = text.match(ES_EDITION);
+    if (es) {
+        const edition = parseInt(es[1], 10);
+        return { base: 'javascript', version: [edition >= 2015 ? edition - 2009 : edition], minimum: Boolean(es[2]), edition: true };
+    }
+
+    const versioned = text.match(VERSION_SUFFIX);
+    if (versioned && !skillTaxonomy.canonicalName(text) && skillTaxonomy.canonicalName(versioned[1])) {
+        return {
+            base: versioned[1].trim(),
+            version: versioned[2].split('.').map(Number),
+            minimum: Boolean(versioned[3]),
+            edition: false
+        };
+    }
+
+    return { base: text, version: null, minimum: false, edition: false };
+}
+
+/**
+ * Display form of a parsed version: "Python 3+", "Java 8", "ES6"
+ */
+function formatSkillVersion(parsed) {
+    if (!parsed.version) return skillTaxonomy.getLabel(parsed.base);
+    const version = parsed.version.join('.') + (parsed.minimum ? '+' : '');
+    return parsed.edition ? `ES${version}` : `${skillTaxonomy.getLabel(parsed.base)} ${version}`;
+}
+
+/**
+ * Compare version numbers over the parts both give ("Python 3" is not older than "3.8")
+ * @returns {number} negative when a is older, 0 when equal, positive when newer
+ */
+function compareVersionNumbers(a, b) {
+    const length = Math.min(a.length, b.length);
+    for (let i = 0; i < length; i++) {
+        if (a[i] !== b[i]) return a[i] - b[i];
+    }
+    return 0;
+}
+
+/**
+ * Check a version found in the resume against the JD's version constraint
+ * "Java 17+" needs 17 or later; a plain "Python 3" accepts any 3.x.
+ * A mismatch is a partial match (similarity from SKILL_VERSIONS, credit capped at 50%).
+ * A resume that names no version gets the benefit of the doubt.
+ *
+ * @param {Object} required - parseSkillVersion() of the JD skill
+ * @param {Object|null} found - parseSkillVersion() of the resume mention
+ * @returns {Object} { similarity, credit, explanation, versionCheck: { required, found, status } }
+ */
+function compareSkillVersions(required, found) {
+    const settings = SCORING_CONFIG.SKILL_VERSIONS;
+
+    if (!required.version) {
+        return { similarity: 1.0, credit: 1.0, explanation: null, versionCheck: null };
+    }
+
+    const requiredLabel = formatSkillVersion(required);
+    if (!found || !found.version) {
+        return {
+            similarity: 1.0,
+            credit: 1.0,
+            explanation: `Version not stated: ${skillTaxonomy.getLabel(required.base)} found, JD asks for ${requiredLabel}`,
+            versionCheck: { required: requiredLabel, found: null, status: 'unstated' }
+        };
+    }
+
+    const foundLabel = formatSkillVersion({ ...found, minimum: false });
+    const order = compareVersionNumbers(found.version, required.version);
+    const sameMajor = found.version[0] === required.version[0];
+
+    let status;
+    let similarity;
+    if (order >= 0 && (required.minimum || sameMajor)) {
+        status = 'satisfied';
+        similarity = 1.0;
+    } else if (order < 0) {
+        status = 'older';
+        similarity = sameMajor ? settings.OLDER_MINOR : settings.OLDER_MAJOR;
+    } else {
+        status = 'newer';
+        similarity = settings.NEWER_MAJOR;
+    }
+
+    const percent = Math.round(similarity * 100);
+    const explanation = {
+        satisfied: `Version match: ${foundLabel} meets ${requiredLabel}`,
+        older: `Older version: ${foundLabel} found, JD asks for ${requiredLabel} (${percent}% similar)`,
+        newer: `Newer version: ${foundLabel} found, JD asks for ${requiredLabel} (${percent}% similar)`
+    }[status];
+
+    return {
+        similarity,
+        credit: similarity === 1.0 ? 1.0 : similarity * MAX_PARTIAL_CREDIT,
+        explanation,
+        versionCheck: { required: requiredLabel, found: foundLabel, status }
+    };
+}
+
 /**
  * Normalize skill name for matching
  * Handles common variations, abbreviations, and phrases
+ * Version qualifiers are dropped ("Java 17+" -> "java") - compareSkillVersions() judges them
  */
 function normalizeSkill(skill) {
     if (!skill || typeof skill !== 'string') return '';
 
-    let normalized = skill.toLowerCase().trim();
+    let normalized = parseSkillVersion(skill).base.toLowerCase().trim();
 
     // Remove common suffixes/prefixes that don't change meaning
     const removals = [
@@ -438,7 +343,7 @@ function getPartialMatchExplanation(requiredSkill, foundSkill, similarity) {
  * 
  * Rules enforced:
  * 1. Exact match = 100% credit
- * 2. Partial match = similarity * 50% (MAX)
+ * 2. Partial match = similarity * 50% (MAX) - direct or inferred through the skill graph
  * 3. No match = 0% credit
  * 
  * @param {string} requiredSkill - Skill required in JD
@@ -446,17 +351,24 @@ function getPartialMatchExplanation(requiredSkill, foundSkill, similarity) {
  * @returns {Object} Match result
  */
 function calculateSkillCredit(requiredSkill, resumeSkills) {
-    const MAX_PARTIAL_CREDIT = 0.5; // 50% maximum for partial matches
-
     let bestMatch = {
         skill: null,
         similarity: 0.0,
         credit: 0.0,
-        explanation: null
+        explanation: null,
+        inferencePath: null
     };
 
     resumeSkills.forEach(resumeSkill => {
-        const similarity = getSkillSimilarity(requiredSkill, resumeSkill);
+        let similarity = getSkillSimilarity(requiredSkill, resumeSkill);
+        let inferencePath = null;
+
+        // Skill graph: an implied parent can beat a weak (or missing) direct mapping
+        const inferred = similarity < 1.0 ? inferSkillSimilarity(requiredSkill, resumeSkill) : null;
+        if (inferred && inferred.similarity > similarity) {
+            similarity = inferred.similarity;
+            inferencePath = inferred.path;
+        }
 
         if (similarity > bestMatch.similarity) {
             let credit;
@@ -476,7 +388,10 @@ function calculateSkillCredit(requiredSkill, resumeSkills) {
                 skill: resumeSkill,
                 similarity: similarity,
                 credit: credit,
-                explanation: getPartialMatchExplanation(requiredSkill, resumeSkill, similarity)
+                explanation: inferencePath
+                    ? `Inferred: ${formatInferencePath(inferencePath)}`
+                    : getPartialMatchExplanation(requiredSkill, resumeSkill, similarity),
+                inferencePath
             };
         }
     });
@@ -485,9 +400,14 @@ function calculateSkillCredit(requiredSkill, resumeSkills) {
 }
 
 module.exports = {
-    SKILL_SIMILARITY,
     getSkillSimilarity,
     getPartialMatchExplanation,
+    inferSkillSimilarity,
+    formatInferencePath,
     calculateSkillCredit,
-    normalizeSkill
+    normalizeSkill,
+    parseSkillVersion,
+    formatSkillVersion,
+    compareVersionNumbers,
+    compareSkillVersions
 };
@@ -5,6 +5,9 @@
  * Philosophy: Every score must be traceable and explainable
  */
 
+// Share of the education points that reads as a strength (10 of the original 15)
+const EDUCATION_STRENGTH_SHARE = 2 / 3;
+
 class Explainer {
     /**
      * Generate complete explanation for match result
@@ -67,7 +70,7 @@ class Explainer {
             strengths.push({
                 category: 'Related Skills',
                 description: `Has ${partial.length} related/similar skills to requirements`,
-                evidence: partial.map(p => p.skill).slice(0, 3).join(', '),
+                evidence: partial.slice(0, 3).map(p => p.inferencePath ? p.explanation : p.skill).join('; '),
                 impact: 'Partial credit given'
             });
         }
@@ -77,21 +80,31 @@ class Explainer {
             strengths.push({
                 category: 'Experience',
                 description: breakdown.experience.verdict,
-                evidence: `${breakdown.experience.actual} years (required: ${breakdown.experience.required})`,
+                evidence: `${breakdown.experience.actual} relevant years of ${breakdown.experience.totalYears} total (required: ${breakdown.experience.required})`,
                 impact: `+${breakdown.experience.points.toFixed(1)} points`
             });
         }
 
         // Education
-        if (breakdown.education.points >= 10) {
+        if (breakdown.education.points >= breakdown.education.maxPoints * EDUCATION_STRENGTH_SHARE) {
             strengths.push({
                 category: 'Education',
                 description: breakdown.education.verdict,
-                evidence: `${breakdown.education.highestDegree} (required: ${breakdown.education.required})`,
+                evidence: `${this.describeDegree(breakdown.education)} (required: ${this.describeRequirement(breakdown.education)})`,
                 impact: `+${breakdown.education.points.toFixed(1)} points`
             });
         }
 
+        // Certifications
+        if (breakdown.certifications.matched.length > 0) {
+            strengths.push({
+                category: 'Certifications',
+                description: breakdown.certifications.verdict,
+                evidence: breakdown.certifications.matched.map(cert => cert.heldAs).join(', '),
+                impact: `+${breakdown.certifications.points.toFixed(1)} points`
+            });
+        }
+
         // Preferred Skills
         if (breakdown.preferredSkills.matchedSkills.length > 0) {
             strengths.push({
@@ -148,31 +161,63 @@ class Explainer {
                 category: 'Experience Shortage',
                 severity: yearsShort >= 4 ? 'CRITICAL' : 'HIGH',
                 description: breakdown.experience.verdict,
-                specifics: `${yearsShort} years below requirement (has ${breakdown.experience.actual}, needs ${breakdown.experience.required})`,
+                specifics: `${yearsShort} years below requirement (has ${breakdown.experience.actual} relevant of ${breakdown.experience.totalYears} total, needs ${breakdown.experience.required})`,
                 impact: `-${(breakdown.experience.maxPoints - breakdown.experience.points).toFixed(1)} points`,
                 priority: 2
             });
         }
 
-        // Over-qualified
-        if (breakdown.experience.difference >= 5) {
+        // Over-qualified - by level when both levels are known, by years otherwise (as the matcher penalizes)
+        const seniority = breakdown.experience.seniority;
+        const levelKnown = seniority && seniority.status !== 'unknown';
+        const overQualified = levelKnown ? seniority.status === 'overqualified' : breakdown.experience.difference >= 5;
+        if (breakdown.experience.required > 0 && breakdown.experience.difference >= 0 && overQualified) {
             gaps.push({
                 category: 'Over-Qualification',
                 severity: 'MEDIUM',
                 description: 'Candidate is significantly over-qualified',
-                specifics: `${breakdown.experience.difference} years above requirement - may be flight risk or salary mismatch`,
+                specifics: levelKnown
+                    ? `${seniority.candidate.label} level applying to a ${seniority.job.label} role - may be flight risk or salary mismatch`
+                    : `${breakdown.experience.difference} years above requirement - may be flight risk or salary mismatch`,
                 impact: `-${(breakdown.experience.maxPoints - breakdown.experience.points).toFixed(1)} points`,
                 priority: 4
             });
         }
 
+        // Missing Required Certifications - CRITICAL: a recruiter filters on these by name
+        const missingCertifications = breakdown.certifications.missing.filter(cert => cert.required);
+        if (missingCertifications.length > 0) {
+            gaps.push({
+                category: 'Missing Required Certifications',
+                severity: 'CRITICAL',
+                description: `${missingCertifications.length} required certification${missingCertifications.length === 1 ? ' is' : 's are'} missing from the resume`,
+                specifics: missingCertifications.map(cert => cert.certification).join(', '),
+                impact: `-${(breakdown.certifications.maxPoints - breakdown.certifications.points).toFixed(1)} points`,
+                priority: 2
+            });
+        }
+
+        // Expired Certifications
+        if (breakdown.certifications.expired.length > 0) {
+            gaps.push({
+                category: 'Expired Certifications',
+                severity: breakdown.certifications.expired.some(cert => cert.required) ? 'HIGH' : 'MEDIUM',
+                description: 'Certifications the job asks for have lapsed',
+                specifics: breakdown.certifications.expired
+                    .map(cert => `${cert.heldAs} (${cert.expirySource === 'validity' ? 'presumed expired' : 'expired'} ${cert.expires})`)
+                    .join(', '),
+                impact: 'Expired certifications earn only partial credit',
+                priority: 3
+            });
+        }
+
         // Education Gap
-        if (breakdown.education.points < 10) {
+        if (breakdown.education.points < breakdown.education.maxPoints * EDUCATION_STRENGTH_SHARE) {
             gaps.push({
                 category: 'Education Requirement',
                 severity: breakdown.education.points === 0 ? 'CRITICAL' : 'MEDIUM',
                 description: breakdown.education.verdict,
-                specifics: `Required: ${breakdown.education.required}, Found: ${breakdown.education.highestDegree}`,
+                specifics: `Required: ${this.describeRequirement(breakdown.education)}, Found: ${this.describeDegree(breakdown.education)}`,
                 impact: `-${(breakdown.education.maxPoints - breakdown.education.points).toFixed(1)} points`,
                 priority: 3
             });
@@ -190,13 +235,27 @@ class Explainer {
             });
         }
 
+        // Keyword Stuffing
+        if (breakdown.keywordDensity.stuffingPenalty > 0) {
+            gaps.push({
+                category: 'Keyword Alignment',
+                severity: 'MEDIUM',
+                description: 'Keyword stuffing detected',
+                specifics: breakdown.keywordDensity.listStuffing
+                    ? 'A single line lists many of the job description\'s keywords - pasted keyword lists are penalized, not rewarded'
+                    : 'Some job keywords are repeated far more often than natural writing would',
+                impact: `-${breakdown.keywordDensity.stuffingPenalty}% keyword density`,
+                priority: 5
+            });
+        }
+
         // Format Issues
         if (breakdown.formatClarity.points < 3) {
             gaps.push({
                 category: 'Resume Format',
                 severity: 'LOW',
                 description: 'Resume has formatting or parsing issues',
-                specifics: breakdown.formatClarity.details,
+                specifics: [breakdown.formatClarity.details, ...(breakdown.formatClarity.layoutIssues || [])].join('. '),
                 impact: `-${(breakdown.formatClarity.maxPoints - breakdown.formatClarity.points).toFixed(1)} points`,
                 priority: 6
             });
@@ -218,7 +277,7 @@ class Explainer {
                 priority: 'HIGH',
                 action: 'Add Missing Required Skills',
                 details: `Include these required skills in your resume if you have them: ${breakdown.requiredSkills.missingSkills.slice(0, 5).join(', ')}`,
-                expectedImpact: `+${breakdown.requiredSkills.missingSkills.length * 6} points if all added`
+                expectedImpact: `+${Math.round(breakdown.requiredSkills.missingSkills.length * breakdown.requiredSkills.pointsPerSkill)} points if all added`
             });
         }
 
@@ -232,8 +291,32 @@ class Explainer {
             });
         }
 
+        // Certification Recommendations
+        if (breakdown.certifications.missing.length + breakdown.certifications.expired.length > 0) {
+            const certifications = [...breakdown.certifications.expired, ...breakdown.certifications.missing];
+            recommendations.push({
+                priority: certifications.some(cert => cert.required) ? 'HIGH' : 'LOW',
+                action: 'List Current Certifications',
+                details: `If you hold them, list these with their issuer and expiry date: ${certifications.map(cert => cert.certification).join(', ')}. Renew any that have lapsed.`,
+                expectedImpact: `+${(breakdown.certifications.maxPoints - breakdown.certifications.points).toFixed(1)} points if all current`
+            });
+        }
+
         // Education Recommendations
-        if (breakdown.education.points < 10 && breakdown.education.required) {
+        const education = breakdown.education;
+        const fieldMismatch = education.field && ['related', 'unrelated'].includes(education.field.status);
+        if (education.points < education.maxPoints * EDUCATION_STRENGTH_SHARE && fieldMismatch) {
+            // A degree in another field: the subject is what to make up for, not the degree
+            recommendations.push({
+                priority: 'MEDIUM',
+                action: 'Show Background in the Required Field',
+                details: `Your degree is in ${education.field.discipline || 'another field'}; the role asks for ${education.field.required.join(' or ')}. ` +
+                    (education.equivalentExperience
+                        ? `The JD accepts equivalent experience (${education.equivalentExperience.yearsRequired}+ years) - make relevant roles and their dates easy to find.`
+                        : 'List relevant coursework, a minor, certifications or projects in that field.'),
+                expectedImpact: `+${(education.maxPoints - education.points).toFixed(1)} points possible`
+            });
+        } else if (breakdown.education.points < breakdown.education.maxPoints * EDUCATION_STRENGTH_SHARE && breakdown.education.required) {
             recommendations.push({
                 priority: 'MEDIUM',
                 action: 'Address Education Requirement',
@@ -252,6 +335,19 @@ class Explainer {
             });
         }
 
+        // Skills-list-only keywords earn half credit
+        const listOnlyKeywords = (breakdown.keywordDensity.keywordAnalysis || [])
+            .filter(analysis => analysis.credit === 0.5)
+            .map(analysis => analysis.keyword);
+        if (listOnlyKeywords.length > 0) {
+            recommendations.push({
+                priority: 'MEDIUM',
+                action: 'Show Keywords in Context',
+                details: `${listOnlyKeywords.slice(0, 5).join(', ')} appear only in your skills list. Mention them in experience bullets that describe what you built or improved with them.`,
+                expectedImpact: 'Full keyword credit instead of half'
+            });
+        }
+
         // Preferred Skills
         const unmatchedPreferred = (jdData.preferredSkills || [])
             .filter(skill => !breakdown.preferredSkills.matchedSkills.includes(skill));
@@ -270,7 +366,9 @@ class Explainer {
             recommendations.push({
                 priority: 'LOW',
                 action: 'Improve Resume Format',
-                details: 'Ensure your resume is ATS-friendly with clear sections, standard fonts, and minimal complex formatting. Use standard headers like "Experience", "Education", "Skills".',
+                details: (breakdown.formatClarity.layoutIssues || []).length > 0
+                    ? `Switch to a single-column layout without tables or text boxes. Detected: ${breakdown.formatClarity.layoutIssues.join('; ')}.`
+                    : 'Ensure your resume is ATS-friendly with clear sections, standard fonts, and minimal complex formatting. Use standard headers like "Experience", "Education", "Skills".',
                 expectedImpact: `+${(5 - breakdown.formatClarity.points).toFixed(1)} points`
             });
         }
@@ -278,6 +376,24 @@ class Explainer {
         return recommendations;
     }
 
+    /**
+     * The degree that was credited, with its field: "Bachelors in Computer Science"
+     */
+    describeDegree(education) {
+        const best = education.bestDegree;
+        if (!best) return education.highestDegree;
+        return best.field ? `${best.level} in ${best.field}` : best.level;
+    }
+
+    /**
+     * The requirement with its fields: "Bachelors in Computer Science or Engineering (or related)"
+     */
+    describeRequirement(education) {
+        if (!education.field) return education.required;
+        const related = education.field.relatedAccepted ? ' (or related)' : '';
+        return `${education.required} in ${education.field.required.join(' or ')}${related}`;
+    }
+
     /**
      * Generate detailed score justification
      */
@@ -305,7 +421,13 @@ class Explainer {
                     details: {
                         required: breakdown.experience.required,
                         actual: breakdown.experience.actual,
-                        difference: breakdown.experience.difference
+                        difference: breakdown.experience.difference,
+                        totalYears: breakdown.experience.totalYears,
+                        relevantYears: breakdown.experience.relevantYears,
+                        countedRoles: breakdown.experience.countedRoles,
+                        excludedRoles: breakdown.experience.excludedRoles,
+                        seniority: breakdown.experience.seniority,
+                        titleAlignment: breakdown.titleAlignment
                     }
                 },
                 {
@@ -316,7 +438,27 @@ class Explainer {
                     explanation: breakdown.education.verdict,
                     details: {
                         required: breakdown.education.required,
-                        found: breakdown.education.highestDegree || 'None'
+                        found: breakdown.education.highestDegree || 'None',
+                        requiredFields: breakdown.education.field ? breakdown.education.field.required : [],
+                        degrees: breakdown.education.degrees || [],
+                        bestDegree: breakdown.education.bestDegree,
+                        field: breakdown.education.field,
+                        equivalentExperience: breakdown.education.equivalentExperience
+                    }
+                },
+                {
+                    category: 'Certifications',
+                    earned: breakdown.certifications.points.toFixed(1),
+                    possible: breakdown.certifications.maxPoints,
+                    percentage: breakdown.certifications.maxPoints > 0
+                        ? ((breakdown.certifications.points / breakdown.certifications.maxPoints) * 100).toFixed(0)
+                        : '0',
+                    explanation: breakdown.certifications.verdict,
+                    details: {
+                        matched: breakdown.certifications.matched,
+                        expired: breakdown.certifications.expired,
+                        missing: breakdown.certifications.missing,
+                        held: breakdown.certifications.held.map(cert => cert.name)
                     }
                 },
                 {
@@ -340,6 +482,8 @@ class Explainer {
                     explanation: breakdown.keywordDensity.verdict,
                     density: breakdown.keywordDensity.density,
                     matchedKeywords: breakdown.keywordDensity.matchedKeywords,
+                    keywordAnalysis: breakdown.keywordDensity.keywordAnalysis || [],
+                    stuffingPenalty: breakdown.keywordDensity.stuffingPenalty || 0,
                     // Add top JD keywords for suggestions
                     expectedKeywords: (jdData.keywords || []).slice(0, 10)
                 },
@@ -348,7 +492,10 @@ class Explainer {
                     earned: breakdown.formatClarity.points.toFixed(1),
                     possible: breakdown.formatClarity.maxPoints,
                     percentage: ((breakdown.formatClarity.points / breakdown.formatClarity.maxPoints) * 100).toFixed(0),
-                    explanation: breakdown.formatClarity.details
+                    explanation: breakdown.formatClarity.details,
+                    layoutComplexity: breakdown.formatClarity.layoutComplexity,
+                    layoutIssues: breakdown.formatClarity.layoutIssues || [],
+                    formatIssues: breakdown.formatClarity.formatIssues || []
                 }
             ],
             total: {
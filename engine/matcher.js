@@ -1,5 +1,16 @@
 const SCORING_CONFIG = require('../config/scoring.config');
 const textAnalyzer = require('../utils/textAnalyzer');
+const workHistoryParser = require('../utils/workHistoryParser');
+const skillUsageAnalyzer = require('../utils/skillUsageAnalyzer');
+const knockoutEvaluator = require('../utils/knockoutEvaluator');
+const scoringProfiles = require('../utils/scoringProfiles');
+const seniorityDetector = require('../utils/seniorityDetector');
+const titleAligner = require('../utils/titleAligner');
+const certificationParser = require('../utils/certificationParser');
+const disciplineMatcher = require('../utils/disciplineMatcher');
+const skillTaxonomy = require('../utils/skillTaxonomy');
+const keywordDensityScorer = require('../utils/keywordDensityScorer');
+const skillSimilarity = require('../config/skillSimilarity');
 
 /**
  * Matcher Engine
@@ -13,22 +24,28 @@ class Matcher {
      * Calculate complete match score
      * @param {Object} resumeData - Parsed resume data
      * @param {Object} jdData - Parsed job description data
+     * @param {Object} config - Resolved scoring profile (utils/scoringProfiles); "standard" by default
      * @returns {Object} Complete match result with breakdown
      */
-    async calculateMatch(resumeData, jdData) {
+    async calculateMatch(resumeData, jdData, config = scoringProfiles.get()) {
         // Calculate individual category scores
-        const requiredSkillsScore = this.scoreRequiredSkills(resumeData, jdData);
-        const experienceScore = this.scoreExperience(resumeData, jdData);
-        const educationScore = this.scoreEducation(resumeData, jdData);
-        const preferredSkillsScore = this.scorePreferredSkills(resumeData, jdData);
-        const keywordScore = this.scoreKeywordDensity(resumeData, jdData);
-        const formatScore = resumeData.parseQuality || SCORING_CONFIG.FORMAT.MINOR_ISSUES;
+        const requiredSkillsScore = this.scoreRequiredSkills(resumeData, jdData, config);
+        const experienceScore = this.scoreExperience(resumeData, jdData, config);
+        // Relevant years are what "or equivalent experience" can substitute for a degree
+        const educationScore = this.scoreEducation(resumeData, jdData, config, experienceScore.relevantYears);
+        const certificationsScore = this.scoreCertifications(resumeData, jdData, config);
+        const preferredSkillsScore = this.scorePreferredSkills(resumeData, jdData, config);
+        const keywordScore = this.scoreKeywordDensity(resumeData, jdData, config);
+        // Parse quality is rated on the base FORMAT scale - scale it to this profile's weight
+        const formatScore = (resumeData.parseQuality ?? SCORING_CONFIG.FORMAT.MINOR_ISSUES) *
+            (config.WEIGHTS.FORMAT_CLARITY / SCORING_CONFIG.WEIGHTS.FORMAT_CLARITY);
 
         // Calculate total
         const totalScore = Math.round(
             requiredSkillsScore.points +
             experienceScore.points +
             educationScore.points +
+            certificationsScore.points +
             preferredSkillsScore.points +
             keywordScore.points +
             formatScore
@@ -37,21 +54,39 @@ class Matcher {
         // Determine score range and label
         const scoreRange = this.getScoreRange(totalScore);
 
+        // Knockouts are checked separately: a real ATS filters on them before scoring,
+        // so a high weighted score is still reported, next to the criterion that failed
+        const knockout = knockoutEvaluator.evaluate(jdData.knockouts || [], resumeData);
+
+        // Title alignment is a signal recruiters search on, reported beside the score rather than in it
+        const titleAlignment = titleAligner.align(jdData.title, resumeData.experience || []);
+
         return {
             totalScore,
             score: totalScore, // Alias for compatibility with other services
             scoreLabel: scoreRange.label,
             scoreColor: scoreRange.color,
+            // { name, label, description } - the weights this score was computed with
+            profile: config.PROFILE,
+            knockedOut: knockout.knockedOut,
+            // { knockedOut, failed, criteria: [{ type, requirement, text, status: met|failed|unverified, evidence }] }
+            knockout,
             breakdown: {
                 requiredSkills: requiredSkillsScore,
                 experience: experienceScore,
                 education: educationScore,
+                certifications: certificationsScore,
                 preferredSkills: preferredSkillsScore,
                 keywordDensity: keywordScore,
+                // { status: aligned|related|unrelated|unknown, similarity, jobTitle, bestMatch, mostRecent, titles, verdict } - no points
+                titleAlignment,
                 formatClarity: {
                     points: formatScore,
-                    maxPoints: SCORING_CONFIG.WEIGHTS.FORMAT_CLARITY,
-                    details: this.getFormatDetails(resumeData.parseQuality)
+                    maxPoints: config.WEIGHTS.FORMAT_CLARITY,
+                    details: this.getFormatDetails(resumeData.parseQuality),
+                    layoutComplexity: resumeData.layout ? resumeData.layout.complexity.level : null,
+                    layoutIssues: resumeData.layout ? resumeData.layout.complexity.signals : [],
+                    formatIssues: resumeData.formatAudit ? resumeData.formatAudit.issues : []
                 }
             }
         };
@@ -62,8 +97,8 @@ class Matcher {
      * HARSH: Each missing required skill = -7 points
      * Uses STRICT predefined skill similarity (max 50% partial credit)
      */
-    scoreRequiredSkills(resumeData, jdData) {
-        const maxPoints = SCORING_CONFIG.WEIGHTS.REQUIRED_SKILLS;
+    scoreRequiredSkills(resumeData, jdData, config = scoringProfiles.get()) {
+        const maxPoints = config.WEIGHTS.REQUIRED_SKILLS;
         const requiredSkills = jdData.requiredSkills || [];
 
         // CRITICAL FIX: If NO required skills in JD, give 0 points (not full points!)
@@ -78,7 +113,8 @@ class Matcher {
             };
         }
 
-        const resumeText = resumeData.rawText.toLowerCase();
+        // Original casing: "Go" and "R" only match capitalised, and offsets point into rawText
+        const resumeText = resumeData.rawText;
 
         // Extract all skills found in resume for strict similarity checking
         const resumeSkills = resumeData.skills || [];
@@ -86,37 +122,67 @@ class Matcher {
         const matchedSkills = [];
         const missingSkills = [];
         const partialMatches = [];
+        const skillGroups = [];
 
         let pointsEarned = maxPoints;
 
-        requiredSkills.forEach(skill => {
-            // Use strict rule-based matching with skill list
-            const skillCheck = textAnalyzer.findSkill(skill, resumeText, resumeSkills);
+        // One slot per required skill, or per "any of" group ("AWS, GCP or Azure") -
+        // the best-matching alternative fills the slot, and a missing group costs one skill's points
+        const requirements = this.groupRequiredSkills(requiredSkills, jdData.skillGroups || []);
+
+        requirements.forEach(alternatives => {
+            const checks = alternatives.map(skill => this.checkRequiredSkill(skill, resumeData, resumeText, resumeSkills, config.SKILL_USAGE));
+            const best = checks.reduce((a, b) => (b.credit > a.credit || (b.credit === a.credit && b.full && !a.full) ? b : a));
+            const { skill, skillCheck, usage, proficiency, factor, credit } = best;
+            // Alternatives this slot accepted, null for a single required skill
+            const anyOf = alternatives.length > 1 ? alternatives : null;
+
+            if (anyOf) {
+                skillGroups.push({ skills: anyOf, satisfiedBy: credit > 0 ? skill : null, full: best.full });
+            }
 
-            if (skillCheck.found && skillCheck.confidence >= 0.9) {
+            if (best.full) {
                 // Full match (exact or 90%+ confidence)
                 matchedSkills.push({
                     skill,
-                    matchedAs: skillCheck.matchedSkill || skill
+                    matchedAs: skillCheck.matchedSkill || skill,
+                    credit: factor,
+                    anyOf,
+                    // { lastUsedYear, yearsSinceUsed, totalMonths, duration, roles, recencyFactor }, null when no dated role mentions it
+                    usage,
+                    // { level, marker, factor }, null when the resume states no level
+                    proficiency,
+                    // Version constraint check ("Python 3.11 meets Python 3+"), null when the JD gives no version
+                    versionCheck: skillCheck.versionCheck || null,
+                    matches: skillCheck.matches
                 });
-            } else if (skillCheck.found && skillCheck.confidence > 0) {
+
+                pointsEarned -= config.REQUIRED_SKILLS.POINTS_PER_SKILL * (1 - factor);
+            } else if (credit > 0) {
                 // Partial match - STRICT: confidence already capped at 50% max
                 partialMatches.push({
                     skill,
                     matchedSkill: skillCheck.matchedSkill,
                     similarity: skillCheck.similarity,
-                    credit: skillCheck.confidence,
-                    explanation: skillCheck.explanation
+                    credit,
+                    anyOf,
+                    explanation: skillCheck.explanation,
+                    // Skill-graph inference: [{ skill, label, similarity }] from resume skill to required skill
+                    inferencePath: skillCheck.inferencePath || null,
+                    versionCheck: skillCheck.versionCheck || null,
+                    usage,
+                    proficiency,
+                    matches: skillCheck.matches
                 });
 
                 // Calculate penalty: full penalty * (1 - credit)
                 // Example: 60% similarity → 30% credit → 70% penalty
-                const penalty = SCORING_CONFIG.REQUIRED_SKILLS.POINTS_PER_SKILL * (1 - skillCheck.confidence);
+                const penalty = config.REQUIRED_SKILLS.POINTS_PER_SKILL * (1 - credit);
                 pointsEarned -= penalty;
             } else {
-                // Missing - full penalty
-                missingSkills.push(skill);
-                pointsEarned -= SCORING_CONFIG.REQUIRED_SKILLS.POINTS_PER_SKILL;
+                // Missing - full penalty, once for the whole group
+                missingSkills.push(anyOf ? anyOf.join(' or ') : skill);
+                pointsEarned -= config.REQUIRED_SKILLS.POINTS_PER_SKILL;
             }
         });
 
@@ -126,18 +192,79 @@ class Matcher {
             matchedSkills,
             missingSkills,
             partialMatches,
-            totalRequired: requiredSkills.length
+            // [{ skills, satisfiedBy, full }] - which alternative filled each "any of" group
+            skillGroups,
+            totalRequired: requirements.length,
+            pointsPerSkill: config.REQUIRED_SKILLS.POINTS_PER_SKILL
         };
     }
 
+    /**
+     * Required skills as scoring slots: each "any of" group becomes one slot, in the position
+     * of its first member; every other skill is a slot of its own
+     * @returns {Array<Array<string>>} Alternatives per slot
+     */
+    groupRequiredSkills(requiredSkills, skillGroups) {
+        const key = skill => skillSimilarity.normalizeSkill(skill);
+        const groupOf = new Map();
+        skillGroups.forEach(group => group.forEach(skill => {
+            if (!groupOf.has(key(skill))) groupOf.set(key(skill), group);
+        }));
+
+        const slots = [];
+        const used = new Set();
+        requiredSkills.forEach(skill => {
+            const group = groupOf.get(key(skill));
+            if (!group) {
+                slots.push([skill]);
+            } else if (!used.has(group)) {
+                used.add(group);
+                slots.push(group);
+            }
+        });
+        return slots;
+    }
+
+    /**
+     * Match one required skill, with recency and stated proficiency applied
+     * @returns {Object} { skill, skillCheck, usage, proficiency, factor, credit, full }
+     */
+    checkRequiredSkill(skill, resumeData, resumeText, resumeSkills, usageSettings = SCORING_CONFIG.SKILL_USAGE) {
+        // Use strict rule-based matching with skill list
+        const skillCheck = textAnalyzer.findSkill(skill, resumeText, resumeSkills);
+
+        // Recency and stated proficiency scale the credit: a skill last used in 2012, or one the
+        // candidate is only "familiar with", earns less than one used daily in the current role.
+        // Partial matches are judged on the resume skill that earned them ("Java 8", "AWS")
+        const { usage, proficiency, factor } = skillCheck.found
+            ? skillUsageAnalyzer.analyze(skillCheck.matchedSkill || skill, resumeData.experience, resumeText, skillCheck.matches, { settings: usageSettings })
+            : { usage: null, proficiency: null, factor: 1.0 };
+
+        const full = skillCheck.found && skillCheck.confidence >= 0.9;
+        const credit = full ? factor : (skillCheck.found && skillCheck.confidence > 0 ? skillCheck.confidence * factor : 0);
+
+        return { skill, skillCheck, usage, proficiency, factor, credit, full };
+    }
+
     /**
      * Score experience (25 points max)
      * HARSH: Under-qualified or over-qualified both penalized
+     * Compares against RELEVANT years - 8 years as a chef do not count toward backend development
+     * Over-qualification is judged on level (title), not years - 10 years at the role's level is not over-qualified
      */
-    scoreExperience(resumeData, jdData) {
-        const maxPoints = SCORING_CONFIG.WEIGHTS.EXPERIENCE;
+    scoreExperience(resumeData, jdData, config = scoringProfiles.get()) {
+        const maxPoints = config.WEIGHTS.EXPERIENCE;
         const required = jdData.requiredExperience || 0;
-        const actual = resumeData.totalYearsExperience || 0;
+        const relevance = this.calculateRelevantExperience(resumeData, jdData, config);
+        const actual = relevance.relevantYears;
+        const relevanceDetails = {
+            totalYears: relevance.totalYears,
+            relevantYears: relevance.relevantYears,
+            countedRoles: relevance.countedRoles,
+            excludedRoles: relevance.excludedRoles,
+            // { status, gap, track, inferred, job, candidate } - see utils/seniorityDetector
+            seniority: seniorityDetector.compare(resumeData.seniority, jdData.seniority)
+        };
 
         // If NO experience requirement in JD, score based on what candidate has
         // (not 0, not full - proportional credit)
@@ -162,32 +289,39 @@ class Matcher {
                 required: 0,
                 actual,
                 difference: 0,
-                verdict: `No specific requirement - ${actual} years credited`
+                ...relevanceDetails,
+                verdict: `No specific requirement - ${actual} relevant years credited`
             };
         }
 
-        const difference = actual - required;
+        // Round to one decimal - actual years come from month-precision role intervals
+        const difference = Math.round((actual - required) * 10) / 10;
         let points = maxPoints;
         let verdict = '';
 
-        if (difference >= 0 && difference < 5) {
-            // Perfect match or slightly more experienced
-            verdict = 'Excellent match';
-        } else if (difference >= 5) {
+        // Two or more levels above the role; years only decide when neither level is known
+        const overQualified = relevanceDetails.seniority.status === 'unknown'
+            ? difference >= 5
+            : relevanceDetails.seniority.status === 'overqualified';
+
+        if (difference >= 0 && overQualified) {
             // Over-qualified
-            points -= SCORING_CONFIG.EXPERIENCE.PENALTIES.OVER_QUALIFIED_5_PLUS;
+            points -= config.EXPERIENCE.PENALTIES.OVER_QUALIFIED_5_PLUS;
             verdict = 'Over-qualified (may be flight risk)';
+        } else if (difference >= 0) {
+            // Perfect match or more experienced at the role's level
+            verdict = 'Excellent match';
         } else if (difference >= -2) {
             // Slightly under-qualified
-            points -= SCORING_CONFIG.EXPERIENCE.PENALTIES.SHORT_0_2_YEARS;
+            points -= config.EXPERIENCE.PENALTIES.SHORT_0_2_YEARS;
             verdict = '0-2 years short';
         } else if (difference >= -4) {
             // Moderately under-qualified
-            points -= SCORING_CONFIG.EXPERIENCE.PENALTIES.SHORT_2_4_YEARS;
+            points -= config.EXPERIENCE.PENALTIES.SHORT_2_4_YEARS;
             verdict = '2-4 years short';
         } else {
             // Severely under-qualified
-            points -= SCORING_CONFIG.EXPERIENCE.PENALTIES.SHORT_4_PLUS_YEARS;
+            points -= config.EXPERIENCE.PENALTIES.SHORT_4_PLUS_YEARS;
             verdict = '4+ years short (significantly under-qualified)';
         }
 
@@ -197,89 +331,278 @@ class Matcher {
             required,
             actual,
             difference,
+            ...relevanceDetails,
             verdict
         };
     }
 
     /**
-     * Score education (15 points max)
+     * Calculate years of experience relevant to this JD
+     * Each parsed role is attributed to the required skills and domain keywords it mentions;
+     * relevant roles are merged on the timeline so overlapping roles count once
+     */
+    calculateRelevantExperience(resumeData, jdData, config = scoringProfiles.get()) {
+        const totalYears = resumeData.totalYearsExperience || 0;
+        const roles = resumeData.experience || [];
+        const requiredSkills = jdData.requiredSkills || [];
+        const keywords = jdData.keywords || [];
+
+        // Nothing to attribute against (no parsed roles or no JD terms) - fall back to total years
+        if (roles.length === 0 || (requiredSkills.length === 0 && keywords.length === 0)) {
+            return {
+                totalYears,
+                relevantYears: totalYears,
+                countedRoles: [],
+                excludedRoles: [],
+                method: 'total'
+            };
+        }
+
+        const countedRoles = [];
+        const excludedRoles = [];
+        const relevantRoles = [];
+
+        roles.forEach(role => {
+            const roleText = [role.title, ...(role.bullets || [])].filter(Boolean).join(' ');
+
+            const matchedSkills = requiredSkills.filter(skill =>
+                textAnalyzer.findSkill(skill, roleText).found
+            );
+            const matchedKeywords = keywords.filter(keyword =>
+                textAnalyzer.findKeyword(keyword, roleText).found
+            );
+
+            const summary = {
+                title: role.title,
+                company: role.company,
+                duration: role.duration,
+                years: Math.round((role.durationMonths / 12) * 10) / 10,
+                matchedSkills,
+                matchedKeywords
+            };
+
+            if (matchedSkills.length > 0 ||
+                matchedKeywords.length >= config.EXPERIENCE.RELEVANT_MIN_KEYWORD_HITS) {
+                countedRoles.push(summary);
+                relevantRoles.push(role);
+            } else {
+                excludedRoles.push(summary);
+            }
+        });
+
+        const relevantTimeline = workHistoryParser.buildTimeline(relevantRoles);
+
+        return {
+            totalYears,
+            relevantYears: relevantTimeline.totalYears,
+            countedRoles,
+            excludedRoles,
+            method: 'relevant'
+        };
+    }
+
+    /**
+     * Score education (10 points max)
+     * Each degree earns its level's points, times its field credit when the JD names a field of study;
+     * the best degree counts. "Or equivalent experience" lets enough relevant years stand in for it
+     * @param {number} experienceYears - Relevant years of experience (scoreExperience)
      */
-    scoreEducation(resumeData, jdData) {
-        const maxPoints = SCORING_CONFIG.WEIGHTS.EDUCATION;
+    scoreEducation(resumeData, jdData, config = scoringProfiles.get(), experienceYears = resumeData.totalYearsExperience || 0) {
+        const maxPoints = config.WEIGHTS.EDUCATION;
+        const settings = config.EDUCATION;
         const required = jdData.educationRequirement;
         const resumeEducation = resumeData.education || [];
+        const wantedFields = jdData.educationFields || [];
+
+        // Find highest degree
+        const degreeHierarchy = ['PhD', 'Masters', 'Bachelors', 'Associates', 'Diploma'];
+        const degrees = resumeData.degrees || [];
+        const highestDegree = degreeHierarchy.find(degree =>
+            degrees.some(entry => entry.level === degree) ||
+            resumeEducation.some(ed => textAnalyzer.normalizeEducation(ed) === degree)
+        ) || null;
+
+        // A degree named outside the education section has no field to check
+        const candidates = highestDegree && !degrees.some(entry => entry.level === highestDegree)
+            ? [...degrees, { degree: highestDegree, level: highestDegree, field: null }]
+            : degrees;
+
+        // If NO education requirement, give proportional credit based on each degree's level
+        const levelPoints = level => {
+            if (!required) {
+                const shares = { PhD: 1, Masters: 0.8, Bachelors: 0.6, Associates: 0.4, Diploma: 0.2 };
+                return maxPoints * (shares[level] || 0);
+            }
+            const comparison = textAnalyzer.compareEducation(level, required);
+            if (comparison === 1) return settings.EXACT_MATCH;
+            if (comparison === 0.5) return settings.LOWER_DEGREE;
+            return settings.MISSING_REQUIRED;
+        };
+
+        // A Master's in Fine Arts can be worth less than a Bachelor's in the field asked for
+        const scored = candidates.map(degree => {
+            const field = wantedFields.length > 0
+                ? disciplineMatcher.match(degree.field, wantedFields, jdData.relatedFieldsAccepted)
+                : null;
+            const credit = !field ? 1
+                : field.status === 'unknown' ? settings.UNKNOWN_FIELD_CREDIT
+                    : settings.UNRELATED_FIELD_CREDIT + (1 - settings.UNRELATED_FIELD_CREDIT) * field.similarity;
+            return { degree, field, credit, points: levelPoints(degree.level) * credit };
+        });
+        const best = scored.sort((a, b) =>
+            (b.points - a.points) || (degreeHierarchy.indexOf(a.degree.level) - degreeHierarchy.indexOf(b.degree.level))
+        )[0] || null;
 
-        // If NO education requirement, score based on highest degree
+        let points = best ? best.points : (required ? settings.MISSING_REQUIRED : 0);
+        let verdict;
         if (!required) {
-            let points = 0;
+            verdict = `No requirement - ${highestDegree || 'no degree'} credited`;
+        } else {
+            const comparison = textAnalyzer.compareEducation(best ? best.degree.level : null, required);
+            if (comparison === 1) {
+                // The level alone - a degree in the wrong field doesn't meet the requirement
+                verdict = best.field && best.field.status !== 'match' ? 'Degree level met' : 'Meets or exceeds requirement';
+            } else if (comparison === 0.5) {
+                verdict = 'One level below (may be acceptable with experience)';
+            } else {
+                verdict = 'Does not meet requirement';
+            }
+        }
+        if (best && best.field) {
+            verdict += ` - ${best.field.verdict}`;
+        } else if (!best && wantedFields.length > 0) {
+            verdict += ` - no degree in ${wantedFields.join(' or ')}`;
+        }
 
-            // Find highest degree
-            const degreeHierarchy = ['PhD', 'Masters', 'Bachelors', 'Associates', 'Diploma'];
-            let highestDegree = null;
-
-            for (const degree of degreeHierarchy) {
-                const hasThisDegree = resumeEducation.some(ed =>
-                    textAnalyzer.normalizeEducation(ed) === degree
-                );
-                if (hasThisDegree) {
-                    highestDegree = degree;
-                    break;
-                }
+        // "Or equivalent experience": enough relevant years earn a share of a matching degree's points
+        const equivalent = jdData.equivalentExperience;
+        let equivalentExperience = null;
+        if (equivalent && (required || wantedFields.length > 0)) {
+            const level = textAnalyzer.normalizeEducation(required) || 'Bachelors';
+            const yearsRequired = equivalent.years ||
+                settings.EQUIVALENT_EXPERIENCE_YEARS[level] || settings.EQUIVALENT_EXPERIENCE_YEARS.Bachelors;
+            const substitute = (required ? settings.EXACT_MATCH : levelPoints('Bachelors')) * settings.EQUIVALENT_EXPERIENCE_CREDIT;
+            const met = experienceYears >= yearsRequired;
+            const applied = met && substitute > points;
+            const degreeName = required ? `${required} degree` : `degree in ${wantedFields.join(' or ')}`;
+
+            equivalentExperience = {
+                yearsRequired,
+                yearsFound: experienceYears,
+                stated: Boolean(equivalent.years),
+                text: equivalent.text || null,
+                applied,
+                verdict: applied
+                    ? `${experienceYears} relevant years accepted in place of a ${degreeName} (JD allows equivalent experience, ${yearsRequired}+ years)`
+                    : met
+                        ? `${experienceYears} relevant years would substitute for the degree, but the degree scores higher`
+                        : `JD accepts equivalent experience, but ${experienceYears} of ${yearsRequired} relevant years needed`
+            };
+            if (applied) {
+                points = substitute;
+                verdict = `Equivalent experience: ${equivalentExperience.verdict}`;
+            } else if (!met && points < settings.EXACT_MATCH) {
+                verdict += ` - ${equivalentExperience.verdict}`;
             }
+        }
 
-            // Give proportional credit based on highest degree
-            if (highestDegree === 'PhD') points = maxPoints;
-            else if (highestDegree === 'Masters') points = maxPoints * 0.8;
-            else if (highestDegree === 'Bachelors') points = maxPoints * 0.6;
-            else if (highestDegree === 'Associates') points = maxPoints * 0.4;
-            else if (highestDegree === 'Diploma') points = maxPoints * 0.2;
-            else points = 0;  // No degree
+        return {
+            points: Math.round(points * 10) / 10,
+            maxPoints,
+            required: required || 'None specified',
+            found: resumeEducation,
+            highestDegree: highestDegree || 'None found',
+            // [{ degree, level, field, institution, graduationYear, expected }] - utils/educationParser
+            degrees,
+            bestDegree: best ? best.degree : null, // the entry that was credited
+            // { required, relatedAccepted, status: match|related|unrelated|unknown, similarity, discipline, credit, verdict } - null when the JD names no field
+            field: wantedFields.length > 0 ? {
+                required: wantedFields,
+                relatedAccepted: Boolean(jdData.relatedFieldsAccepted),
+                status: best && best.field ? best.field.status : 'unknown',
+                similarity: best && best.field ? best.field.similarity : null,
+                discipline: best && best.field ? best.field.discipline : null,
+                credit: best ? Math.round(best.credit * 100) / 100 : 0,
+                verdict: best && best.field ? best.field.verdict : 'No degree found'
+            } : null,
+            // { yearsRequired, yearsFound, stated, text, applied, verdict } - null unless the JD accepts equivalent experience
+            equivalentExperience,
+            verdict
+        };
+    }
 
+    /**
+     * Score certifications and licenses (5 points max)
+     * The points are shared across the JD's certifications: required ones count fully, preferred ones
+     * at PREFERRED_WEIGHT. An expired certification keeps EXPIRED_CREDIT of its share
+     */
+    scoreCertifications(resumeData, jdData, config = scoringProfiles.get()) {
+        const maxPoints = config.WEIGHTS.CERTIFICATIONS;
+        const settings = config.CERTIFICATIONS;
+        const held = resumeData.certifications || [];
+        const wanted = [
+            ...(jdData.requiredCertifications || []).map(name => ({ name, required: true })),
+            ...(jdData.preferredCertifications || []).map(name => ({ name, required: false }))
+        ];
+
+        // No certifications requested: credit holding a current one, never the full category
+        if (wanted.length === 0) {
+            const current = held.filter(cert => !cert.expired);
             return {
-                points: Math.round(points),
+                points: current.length > 0 ? Math.round(maxPoints * settings.NO_REQUIREMENT_CREDIT * 10) / 10 : 0,
                 maxPoints,
-                required: 'None specified',
-                found: resumeEducation,
-                highestDegree: highestDegree || 'None found',
-                verdict: `No requirement - ${highestDegree || 'no degree'} credited`
+                matched: [],
+                expired: [],
+                missing: [],
+                held,
+                verdict: current.length > 0
+                    ? `No certifications requested - ${current.length} current certification${current.length === 1 ? '' : 's'} credited`
+                    : 'No certifications requested'
             };
         }
 
-        // Find highest degree in resume
-        let highestDegree = null;
-        const degreeHierarchy = ['PhD', 'Masters', 'Bachelors', 'Associates', 'Diploma'];
-
-        for (const degree of degreeHierarchy) {
-            const hasThisDegree = resumeEducation.some(ed =>
-                textAnalyzer.normalizeEducation(ed) === degree
-            );
-            if (hasThisDegree) {
-                highestDegree = degree;
-                break;
+        const matched = [];
+        const expired = [];
+        const missing = [];
+        let earned = 0;
+        let possible = 0;
+
+        wanted.forEach(({ name, required }) => {
+            const weight = required ? 1 : settings.PREFERRED_WEIGHT;
+            const certification = skillTaxonomy.getLabel(name);
+            const cert = certificationParser.findHeld(held, name);
+            possible += weight;
+
+            if (!cert) {
+                missing.push({ certification, required });
+                return;
             }
-        }
 
-        const comparison = textAnalyzer.compareEducation(highestDegree, required);
-        let points = 0;
-        let verdict = '';
+            const credit = cert.expired ? settings.EXPIRED_CREDIT : 1;
+            earned += weight * credit;
+            (cert.expired ? expired : matched).push({
+                certification,
+                required,
+                heldAs: cert.name,
+                issuer: cert.issuer,
+                expires: certificationParser.formatDate(cert.expires),
+                expirySource: cert.expirySource,
+                credit
+            });
+        });
 
-        if (comparison === 1) {
-            points = SCORING_CONFIG.EDUCATION.EXACT_MATCH;
-            verdict = 'Meets or exceeds requirement';
-        } else if (comparison === 0.5) {
-            points = SCORING_CONFIG.EDUCATION.LOWER_DEGREE;
-            verdict = 'One level below (may be acceptable with experience)';
-        } else {
-            points = SCORING_CONFIG.EDUCATION.MISSING_REQUIRED;
-            verdict = 'Does not meet requirement';
-        }
+        const missingRequired = missing.filter(entry => entry.required).length;
+        let verdict = `Holds ${matched.length} of ${wanted.length} requested certifications`;
+        if (expired.length > 0) verdict += `, ${expired.length} expired`;
+        if (missingRequired > 0) verdict += ` - missing ${missingRequired} required`;
 
         return {
-            points,
+            points: possible > 0 ? Math.round(maxPoints * (earned / possible) * 10) / 10 : 0,
             maxPoints,
-            required,
-            found: resumeEducation,
-            highestDegree: highestDegree || 'None found',
+            matched,
+            expired,
+            missing,
+            held,
             verdict
         };
     }
@@ -288,8 +611,8 @@ class Matcher {
      * Score preferred skills (15 points max)
      * Each preferred skill = +3 points (max 5 skills counted)
      */
-    scorePreferredSkills(resumeData, jdData) {
-        const maxPoints = SCORING_CONFIG.WEIGHTS.PREFERRED_SKILLS;
+    scorePreferredSkills(resumeData, jdData, config = scoringProfiles.get()) {
+        const maxPoints = config.WEIGHTS.PREFERRED_SKILLS;
         const preferredSkills = jdData.preferredSkills || [];
 
         if (preferredSkills.length === 0) {
@@ -301,7 +624,7 @@ class Matcher {
             };
         }
 
-        const resumeText = resumeData.rawText.toLowerCase();
+        const resumeText = resumeData.rawText;
         const matchedSkills = [];
 
         preferredSkills.forEach(skill => {
@@ -311,8 +634,8 @@ class Matcher {
             }
         });
 
-        const skillsCounted = Math.min(matchedSkills.length, SCORING_CONFIG.PREFERRED_SKILLS.MAX_SKILLS_COUNTED);
-        const points = skillsCounted * SCORING_CONFIG.PREFERRED_SKILLS.POINTS_PER_SKILL;
+        const skillsCounted = Math.min(matchedSkills.length, config.PREFERRED_SKILLS.MAX_SKILLS_COUNTED);
+        const points = skillsCounted * config.PREFERRED_SKILLS.POINTS_PER_SKILL;
 
         return {
             points,
@@ -325,47 +648,46 @@ class Matcher {
 
     /**
      * Score keyword density (10 points max)
-     * Measures how many JD keywords appear in resume
+     * Context-aware: keywords used in experience bullets earn full credit,
+     * skills-list-only keywords half credit, and stuffing is penalized
      */
-    scoreKeywordDensity(resumeData, jdData) {
-        const maxPoints = SCORING_CONFIG.WEIGHTS.KEYWORD_DENSITY;
+    scoreKeywordDensity(resumeData, jdData, config = scoringProfiles.get()) {
+        const maxPoints = config.WEIGHTS.KEYWORD_DENSITY;
 
-        // Extract keywords from both
-        const resumeKeywords = textAnalyzer.extractKeywords(resumeData.rawText, 50);
         const jdKeywords = jdData.keywords && jdData.keywords.length > 0
             ? jdData.keywords
             : textAnalyzer.extractKeywords(jdData.original, 30);
 
-        const density = textAnalyzer.calculateKeywordDensity(resumeKeywords, jdKeywords);
-
-        let points = 0;
-        let verdict = '';
-
-        if (density >= SCORING_CONFIG.KEYWORD_DENSITY.EXCELLENT_THRESHOLD) {
-            points = SCORING_CONFIG.KEYWORD_DENSITY.POINTS.EXCELLENT;
-            verdict = 'Excellent keyword alignment';
-        } else if (density >= SCORING_CONFIG.KEYWORD_DENSITY.GOOD_THRESHOLD) {
-            points = SCORING_CONFIG.KEYWORD_DENSITY.POINTS.GOOD;
-            verdict = 'Good keyword presence';
-        } else if (density >= SCORING_CONFIG.KEYWORD_DENSITY.FAIR_THRESHOLD) {
-            points = SCORING_CONFIG.KEYWORD_DENSITY.POINTS.FAIR;
-            verdict = 'Fair keyword match';
-        } else if (density >= SCORING_CONFIG.KEYWORD_DENSITY.POOR_THRESHOLD) {
-            points = SCORING_CONFIG.KEYWORD_DENSITY.POINTS.POOR;
-            verdict = 'Poor keyword alignment';
-        } else {
-            points = SCORING_CONFIG.KEYWORD_DENSITY.POINTS.VERY_POOR;
-            verdict = 'Very poor keyword match';
-        }
+        const result = keywordDensityScorer.scoreKeywordDensity(resumeData.rawText, jdKeywords, maxPoints);
+        const keywordAnalysis = (result.details || []).map(analysis => ({
+            keyword: analysis.keyword,
+            // The phrase as written in each document ("CI/CD" vs "ci-cd", "REST APIs" vs "REST API")
+            jdText: textAnalyzer.findKeyword(analysis.keyword, jdData.original).matchedText || analysis.keyword,
+            resumeText: analysis.matchedText,
+            occurrences: analysis.totalOccurrences,
+            contextualUses: analysis.contextualUses,
+            skillsListUses: analysis.skillsListUses,
+            credit: analysis.credit,
+            stuffingPenalty: analysis.stuffingPenalty
+        }));
 
         return {
-            points,
+            points: result.points,
             maxPoints,
-            density: Math.round(density * 100),
-            verdict,
-            matchedKeywords: resumeKeywords.filter(k =>
-                jdKeywords.some(jk => jk.toLowerCase() === k.toLowerCase())
-            ).slice(0, 10)
+            density: result.density,
+            baseDensity: result.baseDensity ?? 0,
+            verdict: result.verdict,
+            contextualMatches: result.contextualMatches,
+            skillsOnlyMatches: result.skillsOnlyMatches,
+            totalKeywords: result.totalKeywords ?? 0,
+            stuffingPenalty: result.stuffingPenalty,
+            listStuffing: result.listStuffing || false,
+            matchedKeywords: keywordAnalysis
+                .filter(analysis => analysis.credit > 0)
+                .sort((a, b) => b.credit - a.credit)
+                .map(analysis => analysis.resumeText)
+                .slice(0, 10),
+            keywordAnalysis
         };
     }
 
@@ -5,6 +5,10 @@
 
 // State
 let uploadedFile = null;
+let analysisMode = 'single'; // 'single' | 'compare'
+let resumeSource = 'upload'; // 'upload' | 'paste'
+const MAX_COMPARE_JOBS = 15;
+const MIN_RESUME_TEXT_LENGTH = 100;
 
 // Helper function to sanitize values - never show null/undefined to user
 function sanitizeValue(value, defaultText = 'Not specified') {
@@ -14,6 +18,88 @@ function sanitizeValue(value, defaultText = 'Not specified') {
   return value;
 }
 
+// Helper function to escape resume text before it goes into innerHTML
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Tooltip for a version-checked skill: "Python 3.11 meets Python 3+"
+function describeVersionCheck(versionCheck) {
+  if (!versionCheck) return '';
+  return versionCheck.found
+    ? `${versionCheck.found} meets ${versionCheck.required}`
+    : `No version stated - JD asks for ${versionCheck.required}`;
+}
+
+// Tag suffix for a skill that filled an "any of" group: "(1 of 3: aws / gcp / azure)"
+function describeAlternatives(anyOf) {
+  if (!anyOf) return '';
+  return ` <span style="opacity:0.7; font-size:0.75em;" title="Any one of these satisfies the requirement">(1 of ${anyOf.length}: ${escapeHtml(anyOf.join(' / '))})</span>`;
+}
+
+// Experience tags for the job's level vs the candidate's (utils/seniorityDetector)
+function renderLevelTags(seniority) {
+  if (!seniority || seniority.status === 'unknown') return '';
+  const mismatched = seniority.status !== 'aligned' || seniority.track !== 'aligned';
+  const color = mismatched ? 'rgba(245,158,11' : 'rgba(16,185,129';
+  const tag = (label, side) => `<span class="skill-tag" style="background:${color},0.1); color:${mismatched ? 'var(--color-warning)' : 'var(--color-success)'}; border-color:${color},0.3);" title="${escapeHtml(side.evidence || '')}">${label}: ${escapeHtml(side.label)}${side.track === 'management' ? ' (people manager)' : ''}</span>`;
+  return `${tag('🏷️ Role level', seniority.job)}${tag('🧭 Your level', seniority.candidate)}`;
+}
+
+// Experience tag for how the candidate's past titles line up with the posting's (utils/titleAligner)
+function renderTitleTag(titleAlignment) {
+  if (!titleAlignment || titleAlignment.status === 'unknown') return '';
+  const styles = {
+    aligned: ['rgba(16,185,129', 'var(--color-success)', '✓'],
+    related: ['rgba(245,158,11', 'var(--color-warning)', '~'],
+    unrelated: ['rgba(239,68,68', 'var(--color-error)', '✗']
+  };
+  const [color, text, icon] = styles[titleAlignment.status];
+  const titles = titleAlignment.titles.map(t => `${t.title}: ${Math.round(t.similarity * 100)}%`).join('\n');
+  return `<span class="skill-tag" style="background:${color},0.1); color:${text}; border-color:${color},0.3);" title="${escapeHtml(titles)}">${icon} Title: ${escapeHtml(titleAlignment.verdict)}</span>`;
+}
+
+// Certification tags: held and current, expired, or missing (engine/matcher scoreCertifications)
+function renderCertificationTags(details) {
+  const tag = (color, text, label, title) => `<span class="skill-tag" style="background:${color},0.1); color:${text}; border-color:${color},0.3);" title="${escapeHtml(title)}">${label}</span>`;
+  const held = c => [c.heldAs, c.issuer, c.expires ? `expires ${c.expires}${c.expirySource === 'validity' ? ' (estimated)' : ''}` : null].filter(Boolean).join(' · ');
+  const requested = details.matched.length + details.expired.length + details.missing.length;
+  return [
+    ...details.matched.map(c => tag('rgba(16,185,129', 'var(--color-success)', `✓ ${escapeHtml(c.certification)}`, held(c))),
+    ...details.expired.map(c => tag('rgba(245,158,11', 'var(--color-warning)', `⌛ ${escapeHtml(c.certification)} (expired ${escapeHtml(c.expires)})`, held(c))),
+    ...details.missing.map(c => tag('rgba(239,68,68', 'var(--color-error)', `✗ ${escapeHtml(c.certification)}${c.required ? '' : ' (preferred)'}`, c.required ? 'Required by the job' : 'Preferred by the job')),
+    ...(requested === 0 ? details.held.map(name => tag('rgba(139,92,246', 'var(--color-text-muted)', `🎖️ ${escapeHtml(name)}`, 'Listed on the resume')) : [])
+  ].join('') || '<em style="font-size:0.8rem; opacity:0.6;">No certifications requested or listed</em>';
+}
+
+// Education tags: field of study match and equivalent experience (engine/matcher scoreEducation)
+function renderEducationTags(details) {
+  const tag = (color, text, label, title) => `<span class="skill-tag" style="background:${color},0.1); color:${text}; border-color:${color},0.3);" title="${escapeHtml(title)}">${label}</span>`;
+  const styles = {
+    match: ['rgba(16,185,129', 'var(--color-success)', '✓'],
+    related: ['rgba(245,158,11', 'var(--color-warning)', '~'],
+    unrelated: ['rgba(239,68,68', 'var(--color-error)', '✗'],
+    unknown: ['rgba(139,92,246', 'var(--color-text-muted)', '?']
+  };
+  const degrees = (details.degrees || []).map(d => [d.degree, d.field, d.institution, d.graduationYear ? `${d.graduationYear}${d.expected ? ' (expected)' : ''}` : null].filter(Boolean).join(' · ')).join('\n');
+  const tags = [];
+  if (details.field) {
+    const [color, text, icon] = styles[details.field.status] || styles.unknown;
+    tags.push(tag(color, text, `${icon} Field: ${escapeHtml(details.field.verdict)}`, degrees || 'No degrees parsed'));
+  }
+  const equivalent = details.equivalentExperience;
+  if (equivalent) {
+    tags.push(equivalent.applied || equivalent.yearsFound >= equivalent.yearsRequired
+      ? tag('rgba(16,185,129', 'var(--color-success)', `✓ Equivalent experience: ${sanitizeValue(equivalent.yearsFound, 0)}/${equivalent.yearsRequired}y`, equivalent.verdict)
+      : tag('rgba(245,158,11', 'var(--color-warning)', `⌛ Equivalent experience: ${sanitizeValue(equivalent.yearsFound, 0)}/${equivalent.yearsRequired}y`, equivalent.verdict));
+  }
+  return tags.join('');
+}
+
 // DOM Elements
 const uploadZone = document.getElementById('uploadZone');
 const uploadPlaceholder = document.getElementById('uploadPlaceholder');
@@ -21,9 +107,17 @@ const uploadSuccess = document.getElementById('uploadSuccess');
 const uploadFilename = document.getElementById('uploadFilename');
 const resumeFileInput = document.getElementById('resumeFile');
 const changeFileButton = document.getElementById('changeFile');
+const resumeSourceToggle = document.getElementById('resumeSourceToggle');
+const resumeTextInput = document.getElementById('resumeText');
+const resumeDescription = document.getElementById('resumeDescription');
 const jobDescriptionInput = document.getElementById('jobDescription');
 const charCount = document.getElementById('charCount');
 const analyzeButton = document.getElementById('analyzeButton');
+const modeToggle = document.getElementById('modeToggle');
+const extraJobDescriptions = document.getElementById('extraJobDescriptions');
+const addJobDescriptionButton = document.getElementById('addJobDescription');
+const scoringProfileField = document.getElementById('scoringProfileField');
+const scoringProfileSelect = document.getElementById('scoringProfile');
 
 const inputView = document.getElementById('inputView');
 const loadingView = document.getElementById('loadingView');
@@ -73,15 +167,12 @@ changeFileButton.addEventListener('click', (e) => {
 });
 
 function handleFileSelect(file) {
-  // Validate file type
-  const validTypes = [
-    'application/pdf',
-    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-    'application/msword'
-  ];
+  // Validate file type by extension - browsers report no MIME type for .md and often for .rtf
+  const validExtensions = ['.pdf', '.docx', '.doc', '.odt', '.rtf', '.txt', '.md'];
+  const extension = file.name.slice(file.name.lastIndexOf('.')).toLowerCase();
 
-  if (!validTypes.includes(file.type)) {
-    alert('Please upload a PDF or DOCX file.');
+  if (!validExtensions.includes(extension)) {
+    alert('Please upload a PDF, DOCX, DOC, ODT, RTF, TXT or Markdown file.');
     return;
   }
 
@@ -99,6 +190,36 @@ function handleFileSelect(file) {
   checkFormValid();
 }
 
+// ============================================
+// Resume Source Toggle (Upload file / Paste text)
+// ============================================
+
+resumeSourceToggle.addEventListener('click', (e) => {
+  const option = e.target.closest('.mode-option');
+  if (!option) return;
+
+  setResumeSource(option.dataset.source);
+});
+
+function setResumeSource(source) {
+  resumeSource = source;
+
+  resumeSourceToggle.querySelectorAll('.mode-option').forEach(option => {
+    option.classList.toggle('active', option.dataset.source === source);
+  });
+
+  const isPaste = source === 'paste';
+  uploadZone.style.display = isPaste ? 'none' : 'block';
+  resumeTextInput.style.display = isPaste ? 'block' : 'none';
+  resumeDescription.textContent = isPaste
+    ? 'Paste plain resume text - nothing is uploaded or saved'
+    : 'PDF, Word, ODT, RTF, TXT or Markdown (max 5MB)';
+
+  checkFormValid();
+}
+
+resumeTextInput.addEventListener('input', checkFormValid);
+
 // ============================================
 // Job Description Handlers
 // ============================================
@@ -109,12 +230,89 @@ jobDescriptionInput.addEventListener('input', (e) => {
   checkFormValid();
 });
 
+// ============================================
+// Mode Toggle (Single Job / Compare Jobs)
+// ============================================
+
+modeToggle.addEventListener('click', (e) => {
+  const option = e.target.closest('.mode-option');
+  if (!option) return;
+
+  setAnalysisMode(option.dataset.mode);
+});
+
+function setAnalysisMode(mode) {
+  analysisMode = mode;
+
+  modeToggle.querySelectorAll('.mode-option').forEach(option => {
+    option.classList.toggle('active', option.dataset.mode === mode);
+  });
+
+  const isCompare = mode === 'compare';
+  extraJobDescriptions.style.display = isCompare ? 'flex' : 'none';
+  addJobDescriptionButton.style.display = isCompare ? 'inline-block' : 'none';
+  scoringProfileField.style.display = isCompare ? 'none' : 'flex';
+
+  // Compare mode needs at least two postings
+  if (isCompare && extraJobDescriptions.children.length === 0) {
+    addJobDescriptionField();
+  }
+
+  checkFormValid();
+}
+
+addJobDescriptionButton.addEventListener('click', () => {
+  addJobDescriptionField();
+});
+
+function addJobDescriptionField() {
+  // +1 for the main job description textarea
+  if (extraJobDescriptions.children.length + 1 >= MAX_COMPARE_JOBS) {
+    alert(`You can compare up to ${MAX_COMPARE_JOBS} job descriptions.`);
+    return;
+  }
+
+  const row = document.createElement('div');
+  row.className = 'extra-job-row';
+  row.innerHTML = `
+    <textarea class="job-description-input extra-job-input" placeholder="Paste another job description here..." rows="8"></textarea>
+    <button class="remove-job-button" title="Remove">✕</button>
+  `;
+
+  row.querySelector('textarea').addEventListener('input', checkFormValid);
+  row.querySelector('.remove-job-button').addEventListener('click', () => {
+    row.remove();
+    checkFormValid();
+  });
+
+  extraJobDescriptions.appendChild(row);
+  checkFormValid();
+}
+
+function getJobDescriptions() {
+  const extra = Array.from(extraJobDescriptions.querySelectorAll('.extra-job-input'))
+    .map(input => input.value.trim());
+
+  return [jobDescriptionInput.value.trim(), ...extra].filter(jd => jd.length > 0);
+}
+
 // ============================================
 // Form Validation
 // ============================================
 
 function checkFormValid() {
-  const hasFile = uploadedFile !== null;
+  const hasFile = resumeSource === 'paste'
+    ? resumeTextInput.value.trim().length >= MIN_RESUME_TEXT_LENGTH
+    : uploadedFile !== null;
+
+  if (analysisMode === 'compare') {
+    const jobDescriptions = getJobDescriptions();
+    const hasJDs = jobDescriptions.length >= 2 && jobDescriptions.every(jd => jd.length >= 50);
+
+    analyzeButton.disabled = !(hasFile && hasJDs);
+    return;
+  }
+
   const hasJD = jobDescriptionInput.value.trim().length >= 50;
 
   analyzeButton.disabled = !(hasFile && hasJD);
@@ -125,7 +323,8 @@ function checkFormValid() {
 // ============================================
 
 analyzeButton.addEventListener('click', async () => {
-  if (!uploadedFile || !jobDescriptionInput.value.trim()) {
+  const isPaste = resumeSource === 'paste';
+  if ((isPaste ? !resumeTextInput.value.trim() : !uploadedFile) || !jobDescriptionInput.value.trim()) {
     return;
   }
 
@@ -138,7 +337,7 @@ analyzeButton.addEventListener('click', async () => {
 
   // Simulate loading steps
   const steps = [
-    'Parsing resume file...',
+    isPaste ? 'Reading pasted resume...' : 'Parsing resume file...',
     'Extracting job requirements...',
     'Matching skills and experience...',
     'Calculating compatibility score...',
@@ -156,11 +355,22 @@ analyzeButton.addEventListener('click', async () => {
   try {
     // Prepare form data
     const formData = new FormData();
-    formData.append('resume', uploadedFile);
-    formData.append('jobDescription', jobDescriptionInput.value.trim());
+    if (isPaste) {
+      formData.append('resumeText', resumeTextInput.value.trim());
+    } else {
+      formData.append('resume', uploadedFile);
+    }
+
+    const isCompare = analysisMode === 'compare';
+    if (isCompare) {
+      formData.append('jobDescriptions', JSON.stringify(getJobDescriptions()));
+    } else {
+      formData.append('jobDescription', jobDescriptionInput.value.trim());
+      if (scoringProfileSelect.value) formData.append('profile', scoringProfileSelect.value);
+    }
 
     // Call API
-    const response = await fetch('/api/analyze', {
+    const response = await fetch(isCompare ? '/api/analyze/compare' : '/api/analyze', {
       method: 'POST',
       body: formData
     });
@@ -169,13 +379,17 @@ analyzeButton.addEventListener('click', async () => {
 
     if (!response.ok) {
       const error = await response.json();
-      throw new Error(error.message || 'Analysis failed');
+      throw new Error(error.error || error.message || 'Analysis failed');
     }
 
     const result = await response.json();
 
     // Show results
-    displayResults(result);
+    if (isCompare) {
+      displayComparison(result);
+    } else {
+      displayResults(result);
+    }
 
   } catch (error) {
     clearInterval(stepInterval);
@@ -212,9 +426,13 @@ function displayResults(result) {
       <div class="confidence-band">
         Confidence: ${result.score} ± ${confidence.range || 5} (Based on ${confidence.level || 'High'} data quality)
       </div>
+      ${renderJobDomain(result.jobDomain)}
+      ${renderScoringProfile(result.scoringProfile)}
     </div>
     
     ${renderScoreGauge(result.score, result.scoreColor)}
+
+    ${renderKnockouts(result.knockout)}
     
     <!-- Feature 1: Why ATS Rejection -->
     ${renderRejectionAnalysis(ai.whyAtsMayReject)}
@@ -247,6 +465,157 @@ function displayResults(result) {
   animateScoreGauge(result.score);
 }
 
+// Detected job domain (skill packs used to read the job description)
+function renderJobDomain(domain) {
+  if (!domain || !domain.primary) return '';
+  const label = name => name.charAt(0).toUpperCase() + name.slice(1);
+  const tooltip = (domain.scores || [])
+    .filter(entry => entry.score > 0)
+    .map(entry => `${label(entry.domain)}: ${[...entry.skills, ...entry.signals].slice(0, 6).join(', ')}`)
+    .join('\n');
+
+  return `
+    <div style="margin-top:0.5rem; font-size:0.85rem; color:var(--color-text-secondary);" title="${escapeHtml(tooltip)}">
+      Job domain: <strong>${domain.domains.map(label).join(' + ')}</strong>
+      ${domain.confidence === 'low' ? '<span style="color:var(--color-text-muted);">(no clear domain - using software skills)</span>' : '(auto-detected)'}
+    </div>`;
+}
+
+// Hard requirements (clearance, license, work authorization, degree) - a failed one rejects
+// the resume regardless of score, so it is shown first and in red
+function renderKnockouts(knockout) {
+  if (!knockout || knockout.criteria.length === 0) return '';
+
+  const failed = knockout.criteria.filter(c => c.status === 'failed');
+  const unverified = knockout.criteria.filter(c => c.status === 'unverified');
+  const met = knockout.criteria.filter(c => c.status === 'met');
+  const row = (c, icon, color) => `
+    <div style="padding:0.4rem 0; font-size:0.9rem;">
+      <span style="color:${color}; font-weight:700;">${icon} ${escapeHtml(c.requirement)}</span>
+      <span style="color:var(--color-text-secondary); margin-left:0.5rem;">${escapeHtml(c.evidence)}</span>
+    </div>`;
+
+  if (knockout.knockedOut) {
+    return `
+      <div class="section-card" style="border:1px solid rgba(239,68,68,0.4); background:rgba(239,68,68,0.08);">
+        <h3 class="section-title" style="color:var(--color-error);">⛔ Knocked Out</h3>
+        <p style="margin-bottom:0.75rem; color:var(--color-text-secondary);">
+          The job description lists ${failed.length > 1 ? 'these as hard requirements' : 'this as a hard requirement'}. An ATS filters on it before the score is ever read.
+        </p>
+        ${failed.map(c => row(c, '✗', 'var(--color-error)')).join('')}
+        ${unverified.map(c => row(c, '?', 'var(--color-warning)')).join('')}
+        ${met.map(c => row(c, '✓', 'var(--color-success)')).join('')}
+      </div>`;
+  }
+
+  return `
+    <div class="section-card">
+      <h3 class="section-title">Hard Requirements</h3>
+      ${unverified.map(c => row(c, '?', 'var(--color-warning)')).join('')}
+      ${met.map(c => row(c, '✓', 'var(--color-success)')).join('')}
+    </div>`;
+}
+
+// Profile the score was weighted with, and the one the JD suggests when it differs
+function renderScoringProfile(profile) {
+  if (!profile) return '';
+  const suggested = profile.suggested;
+  const hint = suggested && suggested.profile !== profile.name
+    ? `<span style="color:var(--color-warning);"> · This job looks like a ${escapeHtml(suggested.label)} role (${escapeHtml(suggested.reason)}) - try that profile</span>`
+    : '';
+
+  return `
+    <div style="margin-top:0.25rem; font-size:0.85rem; color:var(--color-text-secondary);" title="${escapeHtml(profile.description || '')}">
+      Scoring profile: <strong>${escapeHtml(profile.label)}</strong>${profile.auto ? ' (auto-selected)' : ''}${hint}
+    </div>`;
+}
+
+// ============================================
+// Multi-JD Comparison Display
+// ============================================
+
+function displayComparison(result) {
+  loadingView.style.display = 'none';
+  resultsView.style.display = 'block';
+
+  const best = result.bestFit || {};
+
+  resultsContent.innerHTML = `
+    <div class="results-header">
+      <h2 class="hero-title">
+        Best Fit: <span class="gradient-text">${escapeHtml(best.label)}</span>
+      </h2>
+      <p class="hero-subtitle">${best.score}% - ${best.scoreLabel}</p>
+    </div>
+
+    ${renderComparisonGrid(result.comparisons, best.index)}
+    ${renderRecurringGaps(result.recurringGaps, result.comparisons.length)}
+  `;
+}
+
+function renderComparisonGrid(comparisons, bestIndex) {
+  const ranked = [...comparisons].sort((a, b) => a.rank - b.rank);
+
+  return `
+    <div class="section-card">
+      <h3 class="section-title">
+        <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+          <rect x="3" y="3" width="7" height="18" rx="1"></rect><rect x="14" y="3" width="7" height="18" rx="1"></rect>
+        </svg>
+        Side-by-Side Comparison
+      </h3>
+      <div class="comparison-grid">
+        ${ranked.map(c => `
+          <div class="comparison-card ${c.index === bestIndex ? 'best-fit' : ''}">
+            <div style="display:flex; justify-content:space-between; align-items:center; margin-bottom:0.5rem;">
+              <span style="font-size:0.8rem; color:var(--color-text-muted);">#${c.rank}</span>
+              ${c.index === bestIndex ? '<span style="font-size:0.75rem; font-weight:700; color:var(--color-success);">🏆 BEST FIT</span>' : ''}
+            </div>
+            <h4 style="font-weight:700; color:var(--color-text-primary); margin-bottom:0.5rem;">${escapeHtml(c.label)}</h4>
+            <div style="font-size:2rem; font-weight:800; color:${c.scoreColor};">${c.score}%</div>
+            <p style="font-size:0.85rem; color:var(--color-text-muted); margin-bottom:0.75rem;">${c.scoreLabel}</p>
+            ${c.knockedOut ? `<p style="font-size:0.85rem; font-weight:700; color:var(--color-error); margin-bottom:0.5rem;" title="${escapeHtml(c.knockoutFailures.map(f => f.evidence).join('\n'))}">⛔ Knocked out: ${escapeHtml(c.knockoutFailures.map(f => f.requirement).join(', '))}</p>` : ''}
+            <p style="font-size:0.85rem; color:var(--color-text-secondary);">
+              Required skills: ${c.requiredSkills.matched.length}/${c.requiredSkills.totalRequired} matched
+            </p>
+            <p style="font-size:0.85rem; color:var(--color-text-secondary);">Experience: ${c.experience.verdict}</p>
+            <div class="skill-cloud" style="margin-top:0.5rem;">
+              ${c.requiredSkills.missing.map(s => `<span class="skill-tag" style="background:rgba(239,68,68,0.1); color:var(--color-error); border-color:rgba(239,68,68,0.3);">✗ ${escapeHtml(s)}</span>`).join('')}
+            </div>
+          </div>
+        `).join('')}
+      </div>
+    </div>`;
+}
+
+function renderRecurringGaps(gaps, totalPostings) {
+  if (!gaps || gaps.length === 0) return '';
+
+  return `
+    <div class="section-card">
+      <h3 class="section-title">
+        <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+          <polyline points="23 4 23 10 17 10"></polyline><path d="M20.49 15a9 9 0 1 1-2.12-9.36L23 10"></path>
+        </svg>
+        Recurring Skill Gaps
+      </h3>
+      <p style="margin-bottom:1rem; color:var(--color-text-secondary);">
+        These required skills are missing in more than one posting. Closing them pays off across your applications.
+      </p>
+      ${gaps.map(gap => `
+        <div class="list-item" style="border-left-color: ${gap.inAllPostings ? 'var(--color-error)' : 'var(--color-warning)'};">
+          <div style="display:flex; justify-content:space-between;">
+            <strong>${escapeHtml(gap.skill)}</strong>
+            <span style="color:${gap.inAllPostings ? 'var(--color-error)' : 'var(--color-warning)'}; font-weight:700;">
+              Missing in ${gap.missingIn}/${totalPostings}
+            </span>
+          </div>
+          <p style="font-size:0.85rem; color:var(--color-text-muted);">${gap.postings.map(escapeHtml).join(' • ')}</p>
+        </div>
+      `).join('')}
+    </div>`;
+}
+
 // --- Render Functions for New Features ---
 
 function renderRejectionAnalysis(data) {
@@ -343,7 +712,7 @@ function renderDualViews(views) {
             <h4 style="color:var(--color-blue-500); margin-bottom:0.5rem;">👤 Recruiter View (Human)</h4>
             <p style="font-size:0.9rem; margin-bottom:1rem;">${views.recruiterView.summary}</p>
              <ul style="padding-left:1.2rem; font-size:0.9rem; color:var(--color-text-secondary);">
-               ${views.recruiterView.observations.map(p => `<li>${p}</li>`).join('')}
+               ${views.recruiterView.observations.map(p => `<li>${escapeHtml(p)}</li>`).join('')}
             </ul>
              <div style="margin-top:1rem; font-weight:700;">Verdict: ${views.recruiterView.recommendation}</div>
          </div>
@@ -358,10 +727,44 @@ function renderSkillEvidence(evidence) {
   const getSkillsByStrength = (strength) => {
     return evidence.details
       .filter(e => e.strength === strength)
-      .map(e => `<span class="skill-tag">${e.skill}</span>`)
+      .map(e => `<span class="skill-tag" title="${escapeHtml(e.verdict || '')}">${e.skill}</span>`)
       .join('');
   };
 
+  // Resume line with the matched text highlighted, using the analyzer's offsets
+  const highlightContext = ({ text, matchStart, matchEnd }) =>
+    escapeHtml(text.slice(0, matchStart)) +
+    `<mark style="background:rgba(139,92,246,0.3); color:inherit; border-radius:3px; padding:0 2px;">${escapeHtml(text.slice(matchStart, matchEnd))}</mark>` +
+    escapeHtml(text.slice(matchEnd));
+
+  // "Last used 2016 · 4 yrs in 1 role · Familiar with (basic)" - recency and stated level as scored
+  const describeUsage = (e) => {
+    const parts = [];
+    if (e.usage) {
+      const when = e.usage.yearsSinceUsed === 0 ? 'Used in current role' : `Last used ${e.usage.lastUsedYear}`;
+      parts.push(`${when} · ${e.usage.duration} in ${e.usage.roles.length} role${e.usage.roles.length > 1 ? 's' : ''}`);
+      if (e.usage.recencyFactor < 1) parts.push(`${Math.round(e.usage.recencyFactor * 100)}% credit for recency`);
+    }
+    if (e.proficiency) parts.push(`"${e.proficiency.marker}" (${e.proficiency.level})`);
+    return parts.join(' · ');
+  };
+
+  const sectionLabels = { experience: 'Experience', projects: 'Projects', skills: 'Skills list', other: 'Elsewhere' };
+  const foundSkills = evidence.details.filter(e => (e.locations || []).length > 0);
+  const whereFound = foundSkills.map(e => `
+    <div style="padding:0.5rem 0; border-top:1px solid rgba(255,255,255,0.05);">
+      <div style="font-weight:600; font-size:0.85rem; margin-bottom:0.25rem;">${e.skill}
+        ${describeUsage(e) ? `<span style="font-weight:400; font-size:0.75rem; color:var(--color-text-muted); margin-left:0.5rem;">${escapeHtml(describeUsage(e))}</span>` : ''}
+      </div>
+      ${e.locations.map(location => `
+        <div style="font-size:0.8rem; color:var(--color-text-secondary); margin-bottom:0.2rem;">
+          <span style="color:var(--color-text-muted); display:inline-block; min-width:6rem;">${sectionLabels[location.section] || location.section}</span>
+          “${highlightContext(location.context)}”
+        </div>
+      `).join('')}
+    </div>
+  `).join('');
+
   const strongSkills = getSkillsByStrength('STRONG');
   const weakSkills = getSkillsByStrength('WEAK') + getSkillsByStrength('MODERATE');
   const missingSkills = getSkillsByStrength('MISSING');
@@ -402,6 +805,12 @@ function renderSkillEvidence(evidence) {
        <p style="font-size:0.85rem; color:var(--color-text-secondary); margin-top:0.5rem;">
          <strong>Strong:</strong> Found in Experience/Projects. <strong>Weak:</strong> Listed in skills only. <strong>Missing:</strong> Required skills not found in your resume.
        </p>
+       ${whereFound ? `
+         <details style="margin-top:0.75rem;">
+           <summary style="cursor:pointer; font-size:0.85rem; font-weight:600;">Where each skill was found</summary>
+           <div style="margin-top:0.5rem;">${whereFound}</div>
+         </details>
+       ` : ''}
     </div>`;
 }
 
@@ -421,6 +830,11 @@ function renderRiskFlags(flags) {
                <div style="color:var(--color-warning); font-weight:700; margin-bottom:0.5rem;">⚠️ ${flag.flag}</div>
                <p style="font-size:0.9rem; margin-bottom:0.5rem;">${flag.explanation}</p>
                <p style="font-size:0.8rem; color:var(--color-text-muted);">💡 Fix: ${flag.recommendation}</p>
+               ${(flag.issues || []).length > 1 ? `
+                 <ul style="font-size:0.8rem; color:var(--color-text-muted); margin-top:0.5rem; padding-left:1.25rem;">
+                   ${flag.issues.map(issue => `<li>${issue.severity}: ${issue.issue}</li>`).join('')}
+                 </ul>
+               ` : ''}
             </div>
           `).join('')}
        </div>
@@ -620,18 +1034,32 @@ function renderBreakdown(breakdown, justification) {
             
             ${item.category === 'Required Skills' ? `
               <div class="skill-cloud" style="margin-top: 0.5rem;">
-                ${(item.matchedSkills || []).map(s => `<span class="skill-tag" style="background:rgba(16,185,129,0.1); color:var(--color-success); border-color:rgba(16,185,129,0.3);">✓ ${s.skill || s}</span>`).join('')}
-                ${(item.partialMatches || []).map(s => `<span class="skill-tag" style="background:rgba(245,158,11,0.1); color:var(--color-warning); border-color:rgba(245,158,11,0.3);">~ ${s.skill || s}</span>`).join('')}
+                ${(item.matchedSkills || []).map(s => `<span class="skill-tag" style="background:rgba(16,185,129,0.1); color:var(--color-success); border-color:rgba(16,185,129,0.3);" title="${escapeHtml(describeVersionCheck(s.versionCheck))}">✓ ${s.skill || s}${describeAlternatives(s.anyOf)}</span>`).join('')}
+                ${(item.partialMatches || []).map(s => `<span class="skill-tag" style="background:rgba(245,158,11,0.1); color:var(--color-warning); border-color:rgba(245,158,11,0.3);" title="${escapeHtml(s.explanation || '')}">~ ${s.skill || s}${describeAlternatives(s.anyOf)}</span>`).join('')}
                 ${(item.missingSkills || []).map(s => `<span class="skill-tag" style="background:rgba(239,68,68,0.1); color:var(--color-error); border-color:rgba(239,68,68,0.3);">✗ ${s}</span>`).join('')}
               </div>
+              ${(item.partialMatches || []).some(s => s.explanation) ? `
+                <div style="font-size: 0.8rem; color: var(--color-text-muted); margin-top: 0.5rem;">
+                  ${item.partialMatches.filter(s => s.explanation).map(s => `<div>~ ${s.skill}: ${escapeHtml(s.explanation)} → ${Math.round(s.credit * 100)}% credit</div>`).join('')}
+                </div>
+              ` : ''}
             ` : ''}
 
             ${item.category === 'Experience' && item.details ? `
               <div class="skill-cloud" style="margin-top: 0.5rem;">
                 <span class="skill-tag" style="background:rgba(59,130,246,0.1); color:#60a5fa; border-color:rgba(59,130,246,0.3);">🎯 Target: ${item.details.required}y</span>
-                <span class="skill-tag" style="background:rgba(139,92,246,0.1); color:#a78bfa; border-color:rgba(139,92,246,0.3);">📊 Actual: ${item.details.actual}y</span>
+                <span class="skill-tag" style="background:rgba(139,92,246,0.1); color:#a78bfa; border-color:rgba(139,92,246,0.3);">📊 Relevant: ${item.details.actual}y</span>
+                <span class="skill-tag" style="background:rgba(139,92,246,0.05); color:var(--color-text-muted); border-color:rgba(139,92,246,0.2);">🗂️ Total: ${sanitizeValue(item.details.totalYears, 0)}y</span>
+                ${renderLevelTags(item.details.seniority)}
+                ${renderTitleTag(item.details.titleAlignment)}
                 ${item.details.difference < 0 ? `<span class="skill-tag" style="background:rgba(239,68,68,0.1); color:var(--color-error); border-color:rgba(239,68,68,0.3);">⚠️ Gap: ${Math.abs(item.details.difference)}y</span>` : `<span class="skill-tag" style="background:rgba(16,185,129,0.1); color:var(--color-success); border-color:rgba(16,185,129,0.3);">✓ Meets Requirement</span>`}
               </div>
+              ${(item.details.countedRoles || []).length + (item.details.excludedRoles || []).length > 0 ? `
+                <div style="margin-top:0.5rem; font-size:0.8rem; color:var(--color-text-muted);">
+                  ${(item.details.countedRoles || []).map(r => `<div>✓ ${sanitizeValue(r.title, 'Role')}${r.company ? ` @ ${r.company}` : ''} (${r.duration})</div>`).join('')}
+                  ${(item.details.excludedRoles || []).map(r => `<div style="opacity:0.6;">✗ ${sanitizeValue(r.title, 'Role')}${r.company ? ` @ ${r.company}` : ''} (${r.duration}) - not relevant</div>`).join('')}
+                </div>
+              ` : ''}
             ` : ''}
 
             ${item.category === 'Education' && item.details ? `
@@ -640,6 +1068,13 @@ function renderBreakdown(breakdown, justification) {
                 <span class="skill-tag" style="background:${item.earned > 0 ? 'rgba(16,185,129,0.1)' : 'rgba(239,68,68,0.1)'}; color:${item.earned > 0 ? 'var(--color-success)' : 'var(--color-error)'}; border-color:${item.earned > 0 ? 'rgba(16,185,129,0.3)' : 'rgba(239,68,68,0.3)'};">  
                   ${item.earned > 0 ? '✓' : '✗'} Found: ${sanitizeValue(item.details.found, 'No degree found in resume')}
                 </span>
+                ${renderEducationTags(item.details)}
+              </div>
+            ` : ''}
+
+            ${item.category === 'Certifications' && item.details ? `
+              <div class="skill-cloud" style="margin-top: 0.5rem;">
+                ${renderCertificationTags(item.details)}
               </div>
             ` : ''}
 
@@ -654,7 +1089,23 @@ function renderBreakdown(breakdown, justification) {
             ${item.category === 'Keyword Density' ? `
               <div class="skill-cloud" style="margin-top: 0.5rem;">
                 <span class="skill-tag" style="background:${barColor === 'var(--color-success)' ? 'rgba(16,185,129,0.1)' : barColor === 'var(--color-warning)' ? 'rgba(245,158,11,0.1)' : 'rgba(239,68,68,0.1)'}; color:${barColor}; border-color:${barColor === 'var(--color-success)' ? 'rgba(16,185,129,0.3)' : barColor === 'var(--color-warning)' ? 'rgba(245,158,11,0.3)' : 'rgba(239,68,68,0.3)'};" >📈 Match: ${item.density || 0}%</span>
-                ${(item.matchedKeywords || []).length > 0 ? item.matchedKeywords.slice(0, 10).map(kw => `<span class="skill-tag" style="background:rgba(139,92,246,0.05); color:var(--color-text-muted); border-color:rgba(139,92,246,0.2);">${kw}</span>`).join('') : ''}
+                ${item.stuffingPenalty > 0 ? `<span class="skill-tag" style="background:rgba(239,68,68,0.1); color:var(--color-error); border-color:rgba(239,68,68,0.3);">⚠️ Stuffing penalty: -${item.stuffingPenalty}%</span>` : ''}
+                ${(item.keywordAnalysis || []).length > 0 ? item.keywordAnalysis.slice(0, 15).map(kw => {
+                  const style = kw.credit === 1
+                    ? 'background:rgba(16,185,129,0.1); color:var(--color-success); border-color:rgba(16,185,129,0.3);'
+                    : kw.credit > 0
+                      ? 'background:rgba(245,158,11,0.1); color:var(--color-warning); border-color:rgba(245,158,11,0.3);'
+                      : 'background:rgba(239,68,68,0.05); color:var(--color-text-muted); border-color:rgba(239,68,68,0.2);';
+                  const title = `JD: "${kw.jdText || kw.keyword}" · Resume: "${kw.resumeText || 'not found'}" · ${kw.contextualUses} in experience bullets, ${kw.skillsListUses} in skills list, ${kw.occurrences} total${kw.stuffingPenalty > 0 ? `, -${kw.stuffingPenalty}% stuffing penalty` : ''}`;
+                  const mark = kw.credit === 1 ? '✓' : kw.credit > 0 ? '½' : '✗';
+                  // Show the phrase as each document wrote it when they differ ("CI/CD → CI-CD")
+                  const jdText = kw.jdText || kw.keyword;
+                  const label = kw.resumeText && kw.resumeText.toLowerCase() !== jdText.toLowerCase()
+                    ? `${jdText} → ${kw.resumeText}`
+                    : kw.resumeText || jdText;
+                  return `<span class="skill-tag" style="${style}" title="${title}">${mark} ${label}${kw.stuffingPenalty > 0 ? ' ⚠️' : ''}</span>`;
+                }).join('') : (item.matchedKeywords || []).slice(0, 10).map(kw => `<span class="skill-tag" style="background:rgba(139,92,246,0.05); color:var(--color-text-muted); border-color:rgba(139,92,246,0.2);">${kw}</span>`).join('')}
+                ${(item.keywordAnalysis || []).length > 0 ? `<div style="margin-top:0.5rem; font-size:0.8rem; color:var(--color-text-secondary);">✓ used in experience (full credit) · ½ skills list only (half credit) · ✗ not found</div>` : ''}
                 ${(item.matchedKeywords || []).length === 0 && (item.expectedKeywords || []).length > 0 ? `<div style="margin-top:0.5rem; font-size:0.85rem; color:var(--color-text-secondary);">💡 <strong>Add these keywords:</strong> ${item.expectedKeywords.slice(0, 8).map(kw => `<span class="skill-tag" style="background:rgba(245,158,11,0.05); color:var(--color-warning); border-color:rgba(245,158,11,0.2); margin-left:0.25rem;">${kw}</span>`).join('')}</div>` : ''}
               </div>
             ` : ''}
@@ -664,7 +1115,23 @@ function renderBreakdown(breakdown, justification) {
                 <span class="skill-tag" style="background:${barColor === 'var(--color-success)' ? 'rgba(16,185,129,0.1)' : barColor === 'var(--color-warning)' ? 'rgba(245,158,11,0.1)' : 'rgba(239,68,68,0.1)'}; color:${barColor}; border-color:${barColor === 'var(--color-success)' ? 'rgba(16,185,129,0.3)' : barColor === 'var(--color-warning)' ? 'rgba(245,158,11,0.3)' : 'rgba(239,68,68,0.3)'};"> 
                   ${percentage >= 70 ? '✓ Clean Format' : percentage >= 40 ? '⚠️ Minor Issues' : '✗ Formatting Issues'}
                 </span>
+                ${item.layoutComplexity ? `<span class="skill-tag" style="background:rgba(139,92,246,0.05); color:var(--color-text-muted); border-color:rgba(139,92,246,0.2);">Layout: ${item.layoutComplexity}</span>` : ''}
               </div>
+              ${(item.layoutIssues || []).length > 0 ? `
+                <ul style="margin-top:0.5rem; padding-left:1.25rem; font-size:0.85rem; color:var(--color-text-secondary);">
+                  ${item.layoutIssues.map(issue => `<li>${issue}</li>`).join('')}
+                </ul>
+              ` : ''}
+              ${(item.formatIssues || []).length > 0 ? `
+                <ul style="margin-top:0.5rem; padding-left:1.25rem; font-size:0.85rem; color:var(--color-text-secondary);">
+                  ${item.formatIssues.map(issue => `
+                    <li title="${issue.recommendation}">
+                      <strong style="color:${issue.severity === 'HIGH' ? 'var(--color-error)' : issue.severity === 'MEDIUM' ? 'var(--color-warning)' : 'var(--color-text-muted)'};">${issue.severity}</strong>
+                      ${issue.issue} - ${issue.details}
+                    </li>
+                  `).join('')}
+                </ul>
+              ` : ''}
             ` : ''}
           </div>
         `;
@@ -681,6 +1148,12 @@ backButton.addEventListener('click', () => {
   heroSection.style.display = 'block';
   featuresSection.style.display = 'block';
 
+  // Pasted text is kept so bullet points can be tweaked and re-run
+  if (resumeSource === 'paste') {
+    checkFormValid();
+    return;
+  }
+
   // Reset form
   uploadedFile = null;
   uploadPlaceholder.style.display = 'block';
@@ -688,8 +1161,26 @@ backButton.addEventListener('click', () => {
   resumeFileInput.value = '';
   jobDescriptionInput.value = '';
   charCount.textContent = '0 characters';
+  extraJobDescriptions.innerHTML = '';
+  setAnalysisMode(analysisMode);
   analyzeButton.disabled = true;
 });
 
+// Scoring profiles come from the server config - "Standard" and "Auto" are always offered
+fetch('/api/profiles')
+  .then(response => response.json())
+  .then(({ profiles }) => {
+    profiles
+      .filter(profile => !profile.default)
+      .forEach(profile => {
+        const option = document.createElement('option');
+        option.value = profile.name;
+        option.textContent = profile.label;
+        option.title = profile.description;
+        scoringProfileSelect.appendChild(option);
+      });
+  })
+  .catch(error => console.error('Could not load scoring profiles:', error));
+
 console.log('🎯 ATS Compatibility Checker initialized');
 console.log('📊 Strict scoring mode enabled');
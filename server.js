@@ -18,16 +18,41 @@ app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
+// Upload storage mode
+// 'disk' (default): files land in uploads/ and are deleted right after parsing
+// 'memory': files stay in RAM buffers and never touch disk
+const UPLOAD_STORAGE = process.env.UPLOAD_STORAGE === 'memory' ? 'memory' : 'disk';
+
 // Create uploads directory if it doesn't exist
 // Vercel serverless only allows writing to /tmp
 const uploadsDir = process.env.VERCEL ? '/tmp' : path.join(__dirname, 'uploads');
-fs.mkdir(uploadsDir, { recursive: true }).catch(console.error);
+if (UPLOAD_STORAGE === 'disk') {
+    fs.mkdir(uploadsDir, { recursive: true }).catch(console.error);
+}
 
 // Import cleanup service
 const cleanupService = require('./services/fileCleanupService');
 
+// Scoring profiles are validated once at startup - a bad config edit stops the server here
+const scoringProfiles = require('./utils/scoringProfiles').load();
+
+// Same for the title taxonomy behind title alignment, and the discipline taxonomy behind field-of-study matching
+require('./utils/titleAligner').load();
+require('./utils/disciplineMatcher').load();
+
+// Maximum resumes accepted by the batch endpoint
+const MAX_BATCH_RESUMES = parseInt(process.env.MAX_BATCH_RESUMES) || 50;
+
+// Maximum job descriptions accepted by the comparison endpoint
+const MAX_COMPARE_JOBS = parseInt(process.env.MAX_COMPARE_JOBS) || 15;
+
+// Minimum length for resume text pasted instead of uploaded
+const MIN_RESUME_TEXT_LENGTH = 100;
+
+const UNSUPPORTED_FILE_MESSAGE = 'Only PDF, DOCX, DOC, ODT, RTF, TXT and Markdown files are allowed';
+
 // Configure multer for file uploads
-const storage = multer.diskStorage({
+const storage = UPLOAD_STORAGE === 'memory' ? multer.memoryStorage() : multer.diskStorage({
     destination: (req, file, cb) => {
         cb(null, uploadsDir);
     },
@@ -41,46 +66,106 @@ const upload = multer({
     storage: storage,
     limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
     fileFilter: (req, file, cb) => {
-        const allowedTypes = ['.pdf', '.docx', '.doc'];
+        const allowedTypes = ['.pdf', '.docx', '.doc', '.txt', '.md', '.rtf', '.odt'];
         const ext = path.extname(file.originalname).toLowerCase();
         if (allowedTypes.includes(ext)) {
             cb(null, true);
+        } else if (req.path === '/api/analyze/batch') {
+            // One bad file must not abort the batch - skip it and report it with the other per-file errors
+            (req.rejectedFiles = req.rejectedFiles || []).push({
+                fileName: file.originalname,
+                code: 'UNSUPPORTED_FILE_TYPE',
+                error: UNSUPPORTED_FILE_MESSAGE
+            });
+            cb(null, false);
         } else {
-            cb(new Error('Only PDF and DOCX files are allowed'));
+            cb(new Error(UNSUPPORTED_FILE_MESSAGE));
         }
     }
 });
 
+/**
+ * Parse an uploaded resume from its buffer (memory mode) or its path (disk mode)
+ */
+function parseUploadedResume(resumeParser, resumeFile) {
+    return resumeFile.buffer
+        ? resumeParser.parseResume(resumeFile.buffer, resumeFile.originalname)
+        : resumeParser.parseResume(resumeFile.path);
+}
+
+/**
+ * Privacy block reporting where the resume actually lived during analysis
+ * @param {boolean} fromUpload - false when the resume was pasted as text
+ */
+function buildPrivacyInfo(fromUpload) {
+    const storageMode = fromUpload ? UPLOAD_STORAGE : 'none';
+    const storageDuration = {
+        disk: '0 seconds (immediate deletion)',
+        memory: 'Never written to disk (in-memory upload)',
+        none: 'Never written to disk (pasted text)'
+    }[storageMode];
+
+    return {
+        resumeDeleted: true,
+        storageMode,
+        storageDuration,
+        dataRetention: 'None - no resume content stored'
+    };
+}
+
 // Health check endpoint
 app.get('/api/health', (req, res) => {
     res.json({
         status: 'ok',
         message: 'ATS Compatibility System API is running',
         timestamp: new Date().toISOString(),
-        aiProvider: process.env.AI_PROVIDER || 'gemini'
+        aiProvider: process.env.AI_PROVIDER || 'gemini',
+        uploadStorage: UPLOAD_STORAGE
     });
 });
 
+// Scoring profiles selectable per analysis
+app.get('/api/profiles', (req, res) => {
+    res.json({ profiles: scoringProfiles.list() });
+});
+
 // Main analysis endpoint
 app.post('/api/analyze', upload.single('resume'), async (req, res) => {
     let filePath = null;
 
     try {
-        const { jobDescription } = req.body;
+        const { jobDescription, resumeText, profile } = req.body;
         const resumeFile = req.file;
         filePath = resumeFile?.path;
 
         // Validation
-        if (!resumeFile) {
-            return res.status(400).json({ error: 'Resume file is required' });
+        if (!resumeFile && !resumeText) {
+            return res.status(400).json({ error: 'Resume file or resume text is required' });
+        }
+        if (!resumeFile && typeof resumeText !== 'string') {
+            return res.status(400).json({ error: 'Resume text must be a string' });
+        }
+        if (!resumeFile && resumeText.trim().length < MIN_RESUME_TEXT_LENGTH) {
+            return res.status(400).json({ error: `Resume text must be at least ${MIN_RESUME_TEXT_LENGTH} characters` });
+        }
+        if (jobDescription !== undefined && typeof jobDescription !== 'string') {
+            await cleanupService.immediateCleanup(filePath);
+            return res.status(400).json({ error: 'Job description must be a string' });
         }
         if (!jobDescription || jobDescription.trim().length < 50) {
             // Cleanup file before returning error
             await cleanupService.immediateCleanup(filePath);
             return res.status(400).json({ error: 'Job description must be at least 50 characters' });
         }
+        // "auto" picks the profile suggested by the JD; no profile means "standard"
+        if (profile && profile !== 'auto' && !scoringProfiles.has(profile)) {
+            await cleanupService.immediateCleanup(filePath);
+            return res.status(400).json({ error: `Unknown scoring profile "${profile}". Available: auto, ${scoringProfiles.names().join(', ')}` });
+        }
 
-        console.log(`📄 Analyzing resume: ${resumeFile.originalname}`);
+        console.log(resumeFile
+            ? `📄 Analyzing resume: ${resumeFile.originalname}`
+            : `📄 Analyzing pasted resume text: ${resumeText.length} chars`);
         console.log(`📋 Job description length: ${jobDescription.length} chars`);
 
         // Import services (lazy loading to avoid startup errors)
@@ -89,17 +174,21 @@ app.post('/api/analyze', upload.single('resume'), async (req, res) => {
         const matcher = require('./engine/matcher');
         const explainer = require('./engine/explainer');
 
-        // Step 1: Parse resume
+        // Step 1: Parse resume (pasted text never touches the uploads directory)
         console.log('🔍 Step 1: Parsing resume...');
-        const resumeData = await resumeParser.parseResume(resumeFile.path);
+        const resumeData = resumeFile
+            ? await parseUploadedResume(resumeParser, resumeFile)
+            : resumeParser.parseResumeText(resumeText);
 
         // Step 2: Parse job description
         console.log('🔍 Step 2: Parsing job description...');
         const jdData = await jdParser.parseJobDescription(jobDescription);
 
-        // Step 3: Calculate match score
-        console.log('🎯 Step 3: Calculating compatibility score...');
-        const matchResult = await matcher.calculateMatch(resumeData, jdData);
+        // Step 3: Calculate match score with the requested (or JD-suggested) scoring profile
+        const suggestedProfile = scoringProfiles.suggest(jdData);
+        const profileName = profile === 'auto' ? suggestedProfile.profile : (profile || undefined);
+        console.log(`🎯 Step 3: Calculating compatibility score (${scoringProfiles.get(profileName).PROFILE.label} profile)...`);
+        const matchResult = await matcher.calculateMatch(resumeData, jdData, scoringProfiles.get(profileName));
 
         // Step 4: Generate explanations
         console.log('💡 Step 4: Generating explanations...');
@@ -111,28 +200,39 @@ app.post('/api/analyze', upload.single('resume'), async (req, res) => {
         const scoreConfidenceCalculator = require('./utils/scoreConfidenceCalculator');
 
         const insights = advancedInsights.generateInsights(matchResult, resumeData, jdData);
-        const confidence = scoreConfidenceCalculator.calculateConfidence(matchResult, jdData, resumeData);
+        const confidence = scoreConfidenceCalculator.calculateConfidence({
+            jdParsingMeta: jdData,
+            resumeParsingQuality: resumeData.parseQuality,
+            matchResult,
+            ocr: resumeData.ocr
+        });
 
         // Step 5: IMMEDIATE cleanup (privacy-first!)
-        console.log('🗑️  Step 5: Deleting uploaded resume...');
-        await cleanupService.immediateCleanup(filePath);
-        filePath = null; // Mark as cleaned
+        if (filePath) {
+            console.log('🗑️  Step 5: Deleting uploaded resume...');
+            await cleanupService.immediateCleanup(filePath);
+            filePath = null; // Mark as cleaned
+        }
 
         // Return complete analysis
         const response = {
             score: matchResult.totalScore,
             scoreLabel: matchResult.scoreLabel,
+            knockedOut: matchResult.knockedOut,
+            knockout: matchResult.knockout,
+            scoringProfile: {
+                ...matchResult.profile,
+                auto: profile === 'auto',
+                suggested: suggestedProfile
+            },
             confidence: confidence,
+            jobDomain: jdData.domain,
             breakdown: matchResult.breakdown,
             explanation: explanation,
             advancedInsights: insights,
             timestamp: new Date().toISOString(),
             timestamp: new Date().toISOString(),
-            privacy: {
-                resumeDeleted: true,
-                storageDuration: '0 seconds (immediate deletion)',
-                dataRetention: 'None - no resume content stored'
-            }
+            privacy: buildPrivacyInfo(Boolean(resumeFile))
         };
 
         console.log(`✅ Analysis complete. Score: ${matchResult.totalScore}/100 (${matchResult.scoreLabel})`);
@@ -146,8 +246,231 @@ app.post('/api/analyze', upload.single('resume'), async (req, res) => {
             await cleanupService.immediateCleanup(filePath);
         }
 
-        res.status(500).json({
+        // Coded errors (e.g. scanned PDFs OCR could not read) are the client's to fix
+        res.status(error.statusCode || 500).json({
             error: 'Analysis failed',
+            code: error.code,
+            message: error.message,
+            details: process.env.NODE_ENV === 'development' ? error.stack : undefined
+        });
+    }
+});
+
+// Batch analysis endpoint - one job description against many resumes
+app.post('/api/analyze/batch', upload.array('resumes', MAX_BATCH_RESUMES), async (req, res) => {
+    const resumeFiles = req.files || [];
+    const rejectedFiles = req.rejectedFiles || [];
+    const pendingPaths = new Set(resumeFiles.map(f => f.path).filter(Boolean));
+
+    try {
+        const { jobDescription } = req.body;
+
+        // Validation
+        if (resumeFiles.length === 0) {
+            return res.status(400).json(rejectedFiles.length > 0
+                ? { error: 'None of the uploaded files is a supported resume format', errors: rejectedFiles }
+                : { error: 'At least one resume file is required' });
+        }
+        if (!jobDescription || jobDescription.trim().length < 50) {
+            await Promise.all([...pendingPaths].map(p => cleanupService.immediateCleanup(p)));
+            pendingPaths.clear();
+            return res.status(400).json({ error: 'Job description must be at least 50 characters' });
+        }
+
+        console.log(`📚 Batch analysis: ${resumeFiles.length} resumes`);
+        console.log(`📋 Job description length: ${jobDescription.length} chars`);
+
+        const resumeParser = require('./services/resumeParser');
+        const jdParser = require('./services/jdParser');
+        const matcher = require('./engine/matcher');
+        const explainer = require('./engine/explainer');
+
+        // Step 1: Parse job description ONCE for the whole batch
+        console.log('🔍 Step 1: Parsing job description...');
+        const jdData = await jdParser.parseJobDescription(jobDescription);
+
+        // Step 2: Score each resume independently - one bad file must not abort the batch
+        console.log('🎯 Step 2: Scoring resumes...');
+        const candidates = [];
+        const errors = [...rejectedFiles];
+
+        for (const resumeFile of resumeFiles) {
+            try {
+                const resumeData = await parseUploadedResume(resumeParser, resumeFile);
+                const matchResult = await matcher.calculateMatch(resumeData, jdData);
+                const explanation = explainer.generateExplanation(matchResult, resumeData, jdData);
+
+                candidates.push({
+                    fileName: resumeFile.originalname,
+                    score: matchResult.totalScore,
+                    scoreLabel: matchResult.scoreLabel,
+                    knockedOut: matchResult.knockedOut,
+                    knockout: matchResult.knockout,
+                    breakdown: matchResult.breakdown,
+                    explanation
+                });
+            } catch (error) {
+                console.error(`❌ Failed to analyze ${resumeFile.originalname}:`, error.message);
+                errors.push({
+                    fileName: resumeFile.originalname,
+                    code: error.code,
+                    error: error.message
+                });
+            } finally {
+                // IMMEDIATE cleanup per file (privacy-first!)
+                await cleanupService.immediateCleanup(resumeFile.path);
+                pendingPaths.delete(resumeFile.path);
+            }
+        }
+
+        // Step 3: Rank candidates (highest score first) - knocked-out candidates rank after
+        // everyone who passes the JD's hard requirements, as an ATS filter would put them
+        candidates.sort((a, b) => a.knockedOut - b.knockedOut || b.score - a.score);
+        candidates.forEach((candidate, index) => {
+            candidate.rank = index + 1;
+        });
+
+        console.log(`✅ Batch complete. ${candidates.length} scored, ${errors.length} failed`);
+        res.json({
+            totalResumes: resumeFiles.length + rejectedFiles.length,
+            analyzed: candidates.length,
+            failed: errors.length,
+            candidates,
+            errors,
+            jobRequirements: {
+                title: jdData.title,
+                requiredSkills: jdData.requiredSkills,
+                skillGroups: jdData.skillGroups || [],
+                preferredSkills: jdData.preferredSkills,
+                requiredCertifications: jdData.requiredCertifications || [],
+                preferredCertifications: jdData.preferredCertifications || [],
+                requiredExperience: jdData.requiredExperience,
+                educationRequirement: jdData.educationRequirement,
+                educationFields: jdData.educationFields || [],
+                equivalentExperience: jdData.equivalentExperience || null,
+                knockouts: jdData.knockouts || [],
+                domain: jdData.domain,
+                seniority: jdData.seniority
+            },
+            timestamp: new Date().toISOString(),
+            privacy: buildPrivacyInfo(true)
+        });
+
+    } catch (error) {
+        console.error('❌ Error during batch analysis:', error);
+
+        res.status(500).json({
+            error: 'Batch analysis failed',
+            message: error.message,
+            details: process.env.NODE_ENV === 'development' ? error.stack : undefined
+        });
+    } finally {
+        // FAIL-SAFE cleanup for anything not yet deleted
+        await Promise.all([...pendingPaths].map(p => cleanupService.immediateCleanup(p)));
+    }
+});
+
+// Multi-JD comparison endpoint - one resume against several job descriptions
+app.post('/api/analyze/compare', upload.single('resume'), async (req, res) => {
+    let filePath = null;
+
+    try {
+        const { resumeText } = req.body;
+        const resumeFile = req.file;
+        filePath = resumeFile?.path;
+
+        let jobDescriptions = req.body.jobDescriptions;
+        if (typeof jobDescriptions === 'string') {
+            try {
+                jobDescriptions = JSON.parse(jobDescriptions);
+            } catch (error) {
+                jobDescriptions = [jobDescriptions];
+            }
+        }
+        jobDescriptions = Array.isArray(jobDescriptions) ? jobDescriptions : [];
+
+        // Validation
+        if (jobDescriptions.some(jd => typeof jd !== 'string')) {
+            await cleanupService.immediateCleanup(filePath);
+            return res.status(400).json({ error: 'Each job description must be a string' });
+        }
+        jobDescriptions = jobDescriptions.filter(jd => jd.trim().length > 0);
+        if (!resumeFile && !resumeText) {
+            return res.status(400).json({ error: 'Resume file or resume text is required' });
+        }
+        if (!resumeFile && typeof resumeText !== 'string') {
+            return res.status(400).json({ error: 'Resume text must be a string' });
+        }
+        if (!resumeFile && resumeText.trim().length < MIN_RESUME_TEXT_LENGTH) {
+            return res.status(400).json({ error: `Resume text must be at least ${MIN_RESUME_TEXT_LENGTH} characters` });
+        }
+        if (jobDescriptions.length < 2 || jobDescriptions.length > MAX_COMPARE_JOBS) {
+            await cleanupService.immediateCleanup(filePath);
+            return res.status(400).json({ error: `Provide between 2 and ${MAX_COMPARE_JOBS} job descriptions` });
+        }
+        if (jobDescriptions.some(jd => jd.trim().length < 50)) {
+            await cleanupService.immediateCleanup(filePath);
+            return res.status(400).json({ error: 'Each job description must be at least 50 characters' });
+        }
+
+        console.log(resumeFile
+            ? `📄 Comparing resume: ${resumeFile.originalname}`
+            : `📄 Comparing pasted resume text: ${resumeText.length} chars`);
+        console.log(`📋 Job descriptions: ${jobDescriptions.length}`);
+
+        const resumeParser = require('./services/resumeParser');
+        const jdParser = require('./services/jdParser');
+        const matcher = require('./engine/matcher');
+        const jdComparator = require('./services/jdComparator');
+
+        // Step 1: Parse resume ONCE
+        console.log('🔍 Step 1: Parsing resume...');
+        const resumeData = resumeFile
+            ? await parseUploadedResume(resumeParser, resumeFile)
+            : resumeParser.parseResumeText(resumeText);
+
+        // Step 2: IMMEDIATE cleanup - everything below works on parsed data only
+        if (filePath) {
+            console.log('🗑️  Step 2: Deleting uploaded resume...');
+            await cleanupService.immediateCleanup(filePath);
+            filePath = null;
+        }
+
+        // Step 3: Parse and score each job description
+        console.log('🎯 Step 3: Scoring against each job description...');
+        const entries = [];
+        for (const [index, jobDescription] of jobDescriptions.entries()) {
+            const jdData = await jdParser.parseJobDescription(jobDescription);
+            const matchResult = await matcher.calculateMatch(resumeData, jdData);
+            entries.push({
+                label: jdComparator.deriveLabel(jobDescription, index),
+                jdData,
+                matchResult
+            });
+        }
+
+        // Step 4: Build side-by-side comparison
+        const comparison = jdComparator.compare(entries);
+
+        console.log(`✅ Comparison complete. Best fit: ${comparison.bestFit.label} (${comparison.bestFit.score}/100)`);
+        res.json({
+            ...comparison,
+            timestamp: new Date().toISOString(),
+            privacy: buildPrivacyInfo(Boolean(resumeFile))
+        });
+
+    } catch (error) {
+        console.error('❌ Error during comparison:', error);
+
+        // FAIL-SAFE cleanup
+        if (filePath) {
+            await cleanupService.immediateCleanup(filePath);
+        }
+
+        // Coded errors (e.g. scanned PDFs OCR could not read) are the client's to fix
+        res.status(error.statusCode || 500).json({
+            error: 'Comparison failed',
+            code: error.code,
             message: error.message,
             details: process.env.NODE_ENV === 'development' ? error.stack : undefined
         });
@@ -160,11 +483,25 @@ app.use((err, req, res, next) => {
     if (req.file?.path) {
         cleanupService.immediateCleanup(req.file.path).catch(() => { });
     }
+    (req.files || []).forEach(file => {
+        cleanupService.immediateCleanup(file.path).catch(() => { });
+    });
 
     if (err instanceof multer.MulterError) {
         if (err.code === 'LIMIT_FILE_SIZE') {
             return res.status(400).json({ error: 'File size too large. Maximum 5MB allowed.' });
         }
+        if (err.code === 'LIMIT_UNEXPECTED_FILE') {
+            // Multer raises this both for one file too many and for a file under the wrong field name
+            const batch = req.path === '/api/analyze/batch';
+            const expected = batch ? 'resumes' : 'resume';
+            if (err.field !== expected) {
+                return res.status(400).json({ error: `Unexpected file field "${err.field}". Upload ${batch ? 'resumes' : 'the resume'} as "${expected}".` });
+            }
+            return res.status(400).json({
+                error: batch ? `Too many files. Maximum ${MAX_BATCH_RESUMES} resumes per batch.` : 'Only one resume file is allowed.'
+            });
+        }
         return res.status(400).json({ error: err.message });
     }
 
@@ -200,6 +537,11 @@ if (require.main === module) {
         }
 
         console.log('\n🔒 Privacy & Data Protection:');
-        cleanupService.startScheduledCleanup();
+        if (UPLOAD_STORAGE === 'memory') {
+            // Nothing is ever written to uploads/, so there is nothing to sweep
+            console.log('🧠 In-memory uploads - resumes never touch disk, scheduled cleanup skipped');
+        } else {
+            cleanupService.startScheduledCleanup();
+        }
     });
 }
@@ -59,7 +59,7 @@ class ChecklistGenerator {
 
         // Item 4: Match JD terminology
         if (matchResult.breakdown.keywordDensity) {
-            const hasGoodKeywordMatch = matchResult.breakdown.keywordDensity.density >= 0.5;
+            const hasGoodKeywordMatch = matchResult.breakdown.keywordDensity.density >= 50;
 
             items.push({
                 item: 'Use terminology from job description',
@@ -86,7 +86,7 @@ class ChecklistGenerator {
 
         // Item 6: Education requirement
         if (matchResult.breakdown.education && matchResult.breakdown.education.required) {
-            const meetsEducation = matchResult.breakdown.education.points >= 12;
+            const meetsEducation = matchResult.breakdown.education.points >= matchResult.breakdown.education.maxPoints * 0.8;
 
             items.push({
                 item: 'Meet education requirement',
@@ -98,6 +98,24 @@ class ChecklistGenerator {
             });
         }
 
+        // Item 6b: Required certifications, current
+        const certifications = matchResult.breakdown.certifications;
+        const requiredCertifications = certifications
+            ? [...certifications.matched, ...certifications.expired, ...certifications.missing].filter(cert => cert.required)
+            : [];
+        if (requiredCertifications.length > 0) {
+            const lacking = requiredCertifications.filter(cert => !certifications.matched.includes(cert));
+
+            items.push({
+                item: 'List required certifications',
+                status: lacking.length === 0 ? 'DONE' : 'TODO',
+                description: lacking.length === 0 ?
+                    '✓ Every required certification is listed and current' :
+                    `List or renew: ${lacking.map(cert => cert.certification).join(', ')}`,
+                priority: 'CRITICAL'
+            });
+        }
+
         // Item 7: Avoid vague descriptions
         const hasVagueDescriptions = riskFlags.some(f => f.flag === 'Vague role descriptions');
 
@@ -110,6 +128,18 @@ class ChecklistGenerator {
             priority: 'MEDIUM'
         });
 
+        // Item 8: ATS-friendly formatting
+        const formattingFlag = riskFlags.find(f => f.flag === 'ATS-hostile formatting');
+
+        items.push({
+            item: 'Use ATS-friendly formatting',
+            status: !formattingFlag ? 'DONE' : 'TODO',
+            description: !formattingFlag ?
+                '✓ No tables, text boxes or other ATS-hostile structures found' :
+                `Fix: ${formattingFlag.issues.slice(0, 3).map(issue => issue.issue).join('; ')}`,
+            priority: formattingFlag && formattingFlag.severity === 'HIGH' ? 'HIGH' : 'MEDIUM'
+        });
+
         // Sort by priority
         const priorityOrder = { 'CRITICAL': 0, 'HIGH': 1, 'MEDIUM': 2, 'LOW': 3 };
         items.sort((a, b) => {
@@ -50,6 +50,11 @@ class DualViewGenerator {
             points.push(`Education: ${breakdown.education.verdict || 'Checked'}`);
         }
 
+        // Certifications
+        if (breakdown.certifications && breakdown.certifications.matched.length + breakdown.certifications.expired.length + breakdown.certifications.missing.length > 0) {
+            points.push(`Certifications: ${breakdown.certifications.verdict}`);
+        }
+
         // Keyword density
         if (breakdown.keywordDensity) {
             const density = breakdown.keywordDensity.density || 0;
@@ -102,6 +107,20 @@ class DualViewGenerator {
             }
         }
 
+        // Title - recruiters search and skim by it before reading anything else
+        if (breakdown.titleAlignment && breakdown.titleAlignment.status !== 'unknown') {
+            const { status, bestMatch, mostRecent, jobTitle } = breakdown.titleAlignment;
+            const when = bestMatch.mostRecent ? 'Current title' : `Earlier title (most recent: "${mostRecent.title}")`;
+
+            if (status === 'aligned') {
+                observations.push(`✅ ${when} "${bestMatch.title}" matches the posting's "${jobTitle.title}"`);
+            } else if (status === 'related') {
+                observations.push(`📝 ${when} "${bestMatch.title}" is adjacent to "${jobTitle.title}" - a title search may not surface this resume`);
+            } else {
+                observations.push(`⚠️ No past title resembles "${jobTitle.title}" - recruiters searching by title are unlikely to find this resume`);
+            }
+        }
+
         // Overall assessment
         let assessment;
         if (score >= 90) {
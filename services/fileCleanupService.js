@@ -177,6 +177,10 @@ class FileCleanupService {
             console.log(`✅ Emergency cleanup complete: ${deletedCount} files deleted`);
             return { success: true, deletedCount };
         } catch (error) {
+            if (error.code === 'ENOENT') {
+                // Upload directory never created (in-memory uploads) - nothing to delete
+                return { success: true, deletedCount: 0 };
+            }
             console.error('❌ Emergency cleanup failed:', error.message);
             return { success: false, error: error.message };
         }
@@ -0,0 +1,438 @@
+/**
+ * Format Auditor
+ *
+ * Inspects the actual document structure for formatting that real ATS parsers
+ * mangle or skip: tables, text boxes, contact details in page headers/footers,
+ * images of text, fonts without Unicode maps and non-standard section names.
+ *
+ * Philosophy: Report what the file contains, not what the text looks like
+ * - Every issue names the structure that caused it and how to fix it
+ * - Severity reflects how likely the content is lost, not how it looks
+ * - Auditing never blocks analysis - a file we cannot inspect just gets fewer findings
+ */
+
+const zlib = require('zlib');
+const JSZip = require('jszip');
+
+const SEVERITY_ORDER = { HIGH: 0, MEDIUM: 1, LOW: 2 };
+
+// Headings ATS parsers look for, per section they care about most
+const STANDARD_SECTIONS = {
+    experience: {
+        label: 'Experience',
+        severity: 'HIGH',
+        headings: [
+            'experience', 'work experience', 'professional experience', 'employment history',
+            'work history', 'employment', 'career history', 'relevant experience'
+        ]
+    },
+    education: {
+        label: 'Education',
+        severity: 'MEDIUM',
+        headings: [
+            'education', 'education and training', 'education & training', 'academic background',
+            'academic history', 'qualifications'
+        ]
+    },
+    skills: {
+        label: 'Skills',
+        severity: 'MEDIUM',
+        headings: [
+            'skills', 'technical skills', 'core competencies', 'key skills', 'competencies',
+            'technologies', 'expertise', 'areas of expertise', 'skills & tools', 'skills and tools'
+        ]
+    }
+};
+
+// Other recognised headings - not flagged when found among heading-like lines
+const OTHER_STANDARD_HEADINGS = [
+    'summary', 'professional summary', 'profile', 'objective', 'about', 'projects', 'key projects',
+    'certifications', 'certifications & licenses', 'licenses', 'awards', 'publications', 'references',
+    'languages', 'interests', 'volunteer experience', 'volunteering', 'activities', 'contact'
+];
+
+const CONTACT_PATTERNS = {
+    email: /[\w.+-]+@[\w-]+\.[\w.-]+/,
+    phone: /\+?\(?\d{1,4}\)?[\s.-]?\d{3}[\s.-]?\d{3,4}(?:[\s.-]?\d{2,4})?/,
+    'LinkedIn URL': /linkedin\.com\/in\//i
+};
+
+// Text with less than this many visible characters per page is likely an image
+const MIN_CHARS_PER_PAGE = 200;
+
+// Share of garbled characters (replacement, private-use, control) that signals missing Unicode maps
+const MAX_GARBLED_RATIO = 0.02;
+
+class FormatAuditor {
+    /**
+     * Audit an uploaded document
+     * @param {Object} input
+     * @param {string} input.format - File extension including the dot ('.pdf', '.docx', ...)
+     * @param {Buffer} input.buffer - File contents
+     * @param {string} input.rawText - Extracted text
+     * @param {Object|null} input.layout - PDF layout signals from pdfLayoutExtractor
+     * @param {Object|null} input.ocr - OCR details when the text was recovered from a scan
+     * @returns {Promise<Object>} Audit report
+     */
+    async audit({ format, buffer, rawText, layout = null, ocr = null }) {
+        const issues = [];
+
+        try {
+            if (format === '.pdf') {
+                issues.push(...this.auditPDF(buffer, rawText, layout, ocr));
+            } else if (format === '.docx') {
+                issues.push(...await this.auditDOCX(buffer));
+            }
+        } catch (error) {
+            console.warn(`⚠️  Format audit could not inspect ${format} structure: ${error.message}`);
+        }
+
+        issues.push(...this.auditText(rawText, layout));
+
+        return this.buildReport(format, issues);
+    }
+
+    /**
+     * Checks that only need the extracted text (used for every format, including pasted text)
+     */
+    auditText(rawText, layout = null) {
+        const issues = [];
+        const lines = rawText.split(/\r?\n/);
+        const headingLines = new Set(lines.map(line => this.normalizeHeading(line)).filter(Boolean));
+
+        const missing = Object.values(STANDARD_SECTIONS)
+            .filter(section => !section.headings.some(heading => headingLines.has(heading)));
+
+        if (missing.length > 0) {
+            const candidates = this.findNonStandardHeadings(lines, layout);
+            const found = candidates.length > 0
+                ? ` Headings found that ATS may not recognise: ${candidates.slice(0, 4).map(h => `"${h}"`).join(', ')}.`
+                : '';
+
+            missing.forEach(section => {
+                issues.push({
+                    category: 'section-names',
+                    severity: section.severity,
+                    issue: `No standard "${section.label}" heading`,
+                    details: `ATS parsers split resumes on standard headings like "${section.headings[0]}" or "${section.headings[1]}".${found}`,
+                    recommendation: `Label the section "${section.label}" on its own line`
+                });
+            });
+        }
+
+        const garbled = (rawText.match(/[\uFFFD\uE000-\uF8FF\u0000-\u0008\u000B\u000C\u000E-\u001F]/g) || []).length;
+        if (rawText.length > 0 && garbled / rawText.length > MAX_GARBLED_RATIO) {
+            issues.push({
+                category: 'fonts',
+                severity: 'HIGH',
+                issue: 'Garbled characters in extracted text',
+                details: `${garbled} characters could not be mapped to readable text - the file likely uses fonts or symbols without a Unicode mapping.`,
+                recommendation: 'Re-export using a standard font (Arial, Calibri, Times New Roman) and plain bullet characters'
+            });
+        }
+
+        return issues;
+    }
+
+    /**
+     * Inspect PDF objects: fonts without ToUnicode maps, images, form fields
+     */
+    auditPDF(buffer, rawText, layout, ocr = null) {
+        const issues = [];
+        const source = this.readPDFObjects(buffer);
+
+        // Composite and Type3 fonts need a ToUnicode map or their text extracts as gibberish
+        const unmappedFonts = new Set();
+        const fontPattern = /\/Subtype\s*\/(Type0|Type3)\b/g;
+        let match;
+        while ((match = fontPattern.exec(source)) !== null) {
+            const dict = this.enclosingDictionary(source, match.index);
+            if (dict && /\/Type\s*\/Font\b/.test(dict) && !/\/ToUnicode\b/.test(dict)) {
+                const name = (dict.match(/\/BaseFont\s*\/([^\s/<>[\]()]+)/) || [])[1] || match[1];
+                unmappedFonts.add(name.replace(/^[A-Z]{6}\+/, ''));
+            }
+        }
+        if (unmappedFonts.size > 0) {
+            issues.push({
+                category: 'fonts',
+                severity: 'HIGH',
+                issue: 'Embedded fonts without Unicode maps',
+                details: `${[...unmappedFonts].slice(0, 3).join(', ')} ${unmappedFonts.size === 1 ? 'has' : 'have'} no ToUnicode map, so ATS may read text set in ${unmappedFonts.size === 1 ? 'it' : 'them'} as symbols or nothing.`,
+                recommendation: 'Re-export the PDF from your word processor with standard fonts, or save as DOCX'
+            });
+        }
+
+        const images = (source.match(/\/Subtype\s*\/Image\b/g) || []).length;
+        const pages = layout?.pages || (source.match(/\/Type\s*\/Page\b/g) || []).length || 1;
+        const visibleChars = rawText.replace(/\s/g, '').length;
+
+        if (ocr?.used) {
+            // rawText came from OCR, so the character count no longer reflects the text layer
+            issues.push({
+                category: 'images',
+                severity: 'HIGH',
+                issue: 'Scanned resume - text recovered by OCR',
+                details: `The PDF has no selectable text; ${ocr.pages} page image(s) were read with OCR at ${ocr.confidence}% confidence. Many ATS do not run OCR and would see an empty resume.`,
+                recommendation: 'Export the resume from the original document so the text is selectable'
+            });
+        } else if (images > 0 && visibleChars / pages < MIN_CHARS_PER_PAGE) {
+            issues.push({
+                category: 'images',
+                severity: 'HIGH',
+                issue: 'Text appears to be an image',
+                details: `Only ${visibleChars} readable characters across ${pages} page(s) alongside ${images} image(s) - the resume is probably scanned or exported as a picture.`,
+                recommendation: 'Export the resume from the original document so the text is selectable'
+            });
+        } else if (images > 0) {
+            issues.push({
+                category: 'images',
+                severity: 'LOW',
+                issue: `${images} embedded image${images > 1 ? 's' : ''}`,
+                details: 'Logos, photos, icons and skill-bar graphics are invisible to ATS parsers.',
+                recommendation: 'Make sure nothing important (contact details, skill levels) exists only as an image'
+            });
+        }
+
+        if (/\/AcroForm\b/.test(source) && /\/FT\s*\/Tx\b/.test(source)) {
+            issues.push({
+                category: 'text-boxes',
+                severity: 'MEDIUM',
+                issue: 'Fillable form fields',
+                details: 'Text typed into PDF form fields is stored outside the page content and is often skipped by ATS parsers.',
+                recommendation: 'Flatten the form or re-export the resume as a regular PDF'
+            });
+        }
+
+        return issues;
+    }
+
+    /**
+     * Inspect DOCX parts: tables, text boxes, headers/footers, images, columns, symbol fonts
+     */
+    async auditDOCX(buffer) {
+        const issues = [];
+        const zip = await JSZip.loadAsync(buffer);
+        const documentFile = zip.file('word/document.xml');
+        if (!documentFile) return issues;
+
+        // Fallback blocks repeat the same shape for old Word versions - count each object once
+        const xml = (await documentFile.async('string')).replace(/<mc:Fallback>[\s\S]*?<\/mc:Fallback>/g, '');
+        const documentText = this.wordXmlToText(xml);
+
+        const tables = xml.match(/<w:tbl>[\s\S]*?<\/w:tbl>/g) || [];
+        if (tables.length > 0) {
+            const tableChars = tables.reduce((sum, table) => sum + this.wordXmlToText(table).length, 0);
+            const mostlyTables = documentText.length > 0 && tableChars / documentText.length > 0.5;
+
+            issues.push({
+                category: 'tables',
+                severity: mostlyTables ? 'HIGH' : 'MEDIUM',
+                issue: mostlyTables ? 'Most content is inside tables' : `${tables.length} table${tables.length > 1 ? 's' : ''}`,
+                details: 'ATS parsers often read table cells out of order or merge them into one line.',
+                recommendation: 'Replace tables with plain paragraphs and bullet lists'
+            });
+        }
+
+        const textBoxes = (xml.match(/<w:txbxContent[\s>]/g) || []).length;
+        if (textBoxes > 0) {
+            issues.push({
+                category: 'text-boxes',
+                severity: 'HIGH',
+                issue: `${textBoxes} text box${textBoxes > 1 ? 'es' : ''}`,
+                details: 'Text inside text boxes and shapes is stored outside the main document flow and is frequently dropped.',
+                recommendation: 'Move text box content into the body of the document'
+            });
+        }
+
+        const columns = Math.max(0, ...[...xml.matchAll(/<w:cols\b[^>]*w:num="(\d+)"/g)].map(m => parseInt(m[1])));
+        if (columns > 1) {
+            issues.push({
+                category: 'layout',
+                severity: 'MEDIUM',
+                issue: `${columns}-column section layout`,
+                details: 'Many ATS read straight across columns, mixing lines from different sections.',
+                recommendation: 'Use a single-column layout'
+            });
+        }
+
+        const images = (xml.match(/<pic:pic[\s>]|<v:imagedata[\s>]/g) || []).length;
+        if (images > 0 && documentText.replace(/\s/g, '').length < MIN_CHARS_PER_PAGE) {
+            issues.push({
+                category: 'images',
+                severity: 'HIGH',
+                issue: 'Text appears to be an image',
+                details: `The document holds ${images} image(s) but almost no text.`,
+                recommendation: 'Type the resume content instead of pasting screenshots of it'
+            });
+        } else if (images > 0) {
+            issues.push({
+                category: 'images',
+                severity: 'LOW',
+                issue: `${images} embedded image${images > 1 ? 's' : ''}`,
+                details: 'Logos, photos, icons and skill-bar graphics are invisible to ATS parsers.',
+                recommendation: 'Make sure nothing important (contact details, skill levels) exists only as an image'
+            });
+        }
+
+        if (/<w:sym\b|w:ascii="(?:Wingdings|Webdings|Symbol)/.test(xml)) {
+            issues.push({
+                category: 'fonts',
+                severity: 'LOW',
+                issue: 'Symbol-font characters',
+                details: 'Bullets or icons set in Wingdings/Symbol fonts extract as random letters.',
+                recommendation: 'Use standard bullet characters (• or -)'
+            });
+        }
+
+        // Many ATS ignore header/footer parts entirely
+        const headerFooterFiles = zip.file(/^word\/(?:header|footer)\d*\.xml$/);
+        const headerFooterText = (await Promise.all(headerFooterFiles.map(file => file.async('string'))))
+            .map(partXml => this.wordXmlToText(partXml))
+            .join('\n');
+        const contactInHeader = Object.entries(CONTACT_PATTERNS)
+            .filter(([, pattern]) => pattern.test(headerFooterText) && !pattern.test(documentText))
+            .map(([label]) => label);
+
+        if (contactInHeader.length > 0) {
+            issues.push({
+                category: 'header-footer',
+                severity: 'HIGH',
+                issue: 'Contact details only in page header/footer',
+                details: `Your ${contactInHeader.join(', ')} ${contactInHeader.length > 1 ? 'appear' : 'appears'} only in the Word header/footer, which many ATS skip.`,
+                recommendation: 'Put name and contact details in the body at the top of the first page'
+            });
+        }
+
+        return issues;
+    }
+
+    /**
+     * Sort issues by severity and count them
+     */
+    buildReport(format, issues) {
+        const sorted = [...issues].sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity]);
+
+        return {
+            format: (format || 'text').replace(/^\./, ''),
+            issues: sorted,
+            counts: {
+                HIGH: sorted.filter(issue => issue.severity === 'HIGH').length,
+                MEDIUM: sorted.filter(issue => issue.severity === 'MEDIUM').length,
+                LOW: sorted.filter(issue => issue.severity === 'LOW').length
+            }
+        };
+    }
+
+    /**
+     * Heading-like lines that are not standard section names (e.g. "My Journey", "Toolbox")
+     */
+    findNonStandardHeadings(lines, layout) {
+        const standard = new Set([
+            ...Object.values(STANDARD_SECTIONS).flatMap(section => section.headings),
+            ...OTHER_STANDARD_HEADINGS
+        ]);
+        const visualHeaders = new Set((layout?.headers || []).map(header => this.normalizeHeading(header)));
+        const firstLine = this.normalizeHeading(lines.find(line => line.trim()) || '');
+
+        return [...new Set(lines.map(line => line.trim()).filter(line => {
+            const normalized = this.normalizeHeading(line);
+            if (!normalized || normalized === firstLine || standard.has(normalized)) return false;
+            if (line.split(/\s+/).length > 4 || /[\d@|,.{}<>()]/.test(line)) return false;
+
+            const looksLikeHeading = visualHeaders.has(normalized) ||
+                /:$/.test(line) ||
+                (line === line.toUpperCase() && /[A-Z]{3}/.test(line));
+            return looksLikeHeading;
+        }))];
+    }
+
+    /**
+     * Lowercase a line and strip decoration so "WORK EXPERIENCE:" matches "work experience"
+     */
+    normalizeHeading(line) {
+        return line
+            .trim()
+            .toLowerCase()
+            .replace(/^[^a-z]+/, '')
+            .replace(/[:\s]+$/, '')
+            .replace(/\s+/g, ' ');
+    }
+
+    /**
+     * Plain text of WordprocessingML, one line per paragraph
+     */
+    wordXmlToText(xml) {
+        return xml
+            .replace(/<\/w:p>/g, '\n')
+            .replace(/<w:tab\/>/g, '\t')
+            .replace(/<(?!\/?w:t[\s>])[^>]+>/g, '')
+            .replace(/<\/?w:t[^>]*>/g, '')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&apos;/g, "'")
+            .replace(/&amp;/g, '&');
+    }
+
+    /**
+     * PDF source as latin1 text, plus decompressed object streams where modern PDFs keep font and image dictionaries
+     */
+    readPDFObjects(buffer) {
+        const raw = buffer.toString('latin1');
+        const parts = [raw];
+        const objectStream = /\/Type\s*\/ObjStm\b[\s\S]*?stream\r?\n/g;
+        let match;
+
+        while ((match = objectStream.exec(raw)) !== null) {
+            const start = match.index + match[0].length;
+            const end = raw.indexOf('endstream', start);
+            if (end === -1) break;
+
+            try {
+                parts.push(zlib.inflateSync(buffer.subarray(start, end)).toString('latin1'));
+            } catch (error) {
+                // Not Flate-encoded or truncated - skip this stream
+            }
+        }
+
+        return parts.join('\n');
+    }
+
+    /**
+     * The << ... >> dictionary that contains the given position
+     */
+    enclosingDictionary(source, index) {
+        let depth = 0;
+        let start = -1;
+
+        for (let i = index; i > 0; i--) {
+            if (source[i] === '>' && source[i - 1] === '>') {
+                depth++;
+                i--;
+            } else if (source[i] === '<' && source[i - 1] === '<') {
+                if (depth === 0) {
+                    start = i - 1;
+                    break;
+                }
+                depth--;
+                i--;
+            }
+        }
+        if (start === -1) return null;
+
+        depth = 0;
+        for (let i = start; i < source.length - 1; i++) {
+            if (source[i] === '<' && source[i + 1] === '<') {
+                depth++;
+                i++;
+            } else if (source[i] === '>' && source[i + 1] === '>') {
+                depth--;
+                i++;
+                if (depth === 0) return source.substring(start, i + 1);
+            }
+        }
+        return null;
+    }
+}
+
+module.exports = new FormatAuditor();
@@ -36,19 +36,29 @@ class ImprovementSuggester {
         // 2. Partial Matches (Granular)
         if (breakdown.requiredSkills && breakdown.requiredSkills.partialMatches) {
             breakdown.requiredSkills.partialMatches.slice(0, 3).forEach(partial => {
-                suggestions.push({
-                    type: 'PARTIAL_MATCH',
-                    priority: 'HIGH',
-                    item: partial.required,
-                    location: 'Experience Descriptions',
-                    issue: `Used "${partial.found}" instead of "${partial.required}"`,
-                    action: `Rename "${partial.found}" to "${partial.required}" to match JD`,
-                    example: `Change "Familiar with ${partial.found}" to "Proficient in ${partial.required}"`,
-                    impact: 'Full credit'
-                });
+                suggestions.push(this.partialMatchSuggestion(partial));
             });
         }
 
+        // Stale Required Skills: matched, but only in roles that ended years ago
+        if (breakdown.requiredSkills && breakdown.requiredSkills.matchedSkills) {
+            breakdown.requiredSkills.matchedSkills
+                .filter(match => match.usage && match.usage.recencyFactor < 1)
+                .slice(0, 3)
+                .forEach(match => {
+                    suggestions.push({
+                        type: 'STALE_SKILL',
+                        priority: 'MEDIUM',
+                        item: match.skill,
+                        location: 'Recent Experience',
+                        issue: `${match.skill} was last used in ${match.usage.lastUsedYear}`,
+                        action: `If you still use ${match.skill}, show it in your current or most recent role`,
+                        example: `Add a recent bullet such as "Maintained ${match.skill} services used by the payments team"`,
+                        impact: `Full credit instead of ${Math.round(match.usage.recencyFactor * 100)}%`
+                    });
+                });
+        }
+
         // 3. Experience Gaps
         if (breakdown.experience && breakdown.experience.difference < -1) {
             suggestions.push({
@@ -96,6 +106,48 @@ class ImprovementSuggester {
         return suggestions;
     }
 
+    /**
+     * Suggestion for a partially matched required skill
+     */
+    partialMatchSuggestion(partial) {
+        const suggestion = {
+            type: 'PARTIAL_MATCH',
+            priority: 'HIGH',
+            item: partial.skill,
+            location: 'Experience Descriptions',
+            impact: 'Full credit'
+        };
+
+        // Version mismatch (Java 8 for Java 17+): renaming would be untrue - surface newer work if it exists
+        if (partial.versionCheck) {
+            const { required, found } = partial.versionCheck;
+            return {
+                ...suggestion,
+                issue: `Resume shows ${found}, JD asks for ${required}`,
+                action: `If you have used ${required}, name that version where you describe the work`,
+                example: `Change "Built services in ${found}" to "Built services in ${found}, migrated to ${required.replace(/\+$/, '')}"`
+            };
+        }
+
+        // Inferred through the skill graph (Next.js -> React -> JavaScript): the required
+        // skill is implied, not named - say it outright next to the skill that implies it
+        if (partial.inferencePath) {
+            return {
+                ...suggestion,
+                issue: `${partial.skill} is only implied (${partial.explanation.replace(/^Inferred: /, '')})`,
+                action: `Name ${partial.skill} explicitly where you describe your ${partial.matchedSkill} work`,
+                example: `Change "Experienced with ${partial.matchedSkill}" to "Experienced with ${partial.matchedSkill} and ${partial.skill}"`
+            };
+        }
+
+        return {
+            ...suggestion,
+            issue: `Used "${partial.matchedSkill}" instead of "${partial.skill}"`,
+            action: `Rename "${partial.matchedSkill}" to "${partial.skill}" to match JD`,
+            example: `Change "Familiar with ${partial.matchedSkill}" to "Proficient in ${partial.skill}"`
+        };
+    }
+
     /**
      * Detect vague descriptions
      */
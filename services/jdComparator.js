@@ -0,0 +1,124 @@
+/**
+ * JD Comparator
+ *
+ * Compares one resume's match results across several job descriptions
+ * Highlights the best-fit posting and skill gaps that recur across postings
+ */
+
+class JDComparator {
+    /**
+     * Build a side-by-side comparison
+     * @param {Array<Object>} entries - [{ label, jdData, matchResult }]
+     * @returns {Object} Ranked comparisons, best fit and recurring gaps
+     */
+    compare(entries) {
+        const comparisons = entries.map((entry, index) => {
+            const { requiredSkills, preferredSkills, experience, education, certifications } = entry.matchResult.breakdown;
+
+            return {
+                index,
+                label: entry.label,
+                score: entry.matchResult.totalScore,
+                scoreLabel: entry.matchResult.scoreLabel,
+                scoreColor: entry.matchResult.scoreColor,
+                knockedOut: Boolean(entry.matchResult.knockedOut),
+                knockoutFailures: entry.matchResult.knockout ? entry.matchResult.knockout.failed : [],
+                requiredSkills: {
+                    matched: requiredSkills.matchedSkills.map(m => m.skill || m),
+                    partial: requiredSkills.partialMatches.map(p => p.skill),
+                    missing: requiredSkills.missingSkills,
+                    totalRequired: requiredSkills.totalRequired || 0
+                },
+                preferredSkillsMatched: preferredSkills.matchedSkills.length,
+                experience: {
+                    required: experience.required,
+                    actual: experience.actual,
+                    verdict: experience.verdict
+                },
+                education: {
+                    required: education.required,
+                    verdict: education.verdict
+                },
+                certifications: {
+                    missingRequired: certifications.missing.filter(cert => cert.required).map(cert => cert.certification),
+                    expired: certifications.expired.map(cert => cert.certification),
+                    verdict: certifications.verdict
+                },
+                breakdown: entry.matchResult.breakdown
+            };
+        });
+
+        // A posting whose hard requirements the resume fails can't be the best fit, whatever its score
+        const ranked = [...comparisons].sort((a, b) => a.knockedOut - b.knockedOut || b.score - a.score);
+        ranked.forEach((comparison, i) => {
+            comparison.rank = i + 1;
+        });
+
+        const bestFit = ranked[0] || null;
+
+        return {
+            comparisons,
+            bestFit: bestFit ? {
+                index: bestFit.index,
+                label: bestFit.label,
+                score: bestFit.score,
+                scoreLabel: bestFit.scoreLabel,
+                knockedOut: bestFit.knockedOut
+            } : null,
+            recurringGaps: this.findRecurringGaps(comparisons)
+        };
+    }
+
+    /**
+     * Find required skills missing in more than one posting
+     * Skills missing everywhere are the highest-leverage ones to learn or surface
+     * Postings are told apart by index - two "Senior Software Engineer" JDs are still two postings
+     */
+    findRecurringGaps(comparisons) {
+        const gaps = new Map();
+
+        comparisons.forEach(comparison => {
+            comparison.requiredSkills.missing.forEach(skill => {
+                const key = skill.toLowerCase().trim();
+                if (!gaps.has(key)) {
+                    gaps.set(key, { skill, indexes: new Set() });
+                }
+                gaps.get(key).indexes.add(comparison.index);
+            });
+        });
+
+        const minOccurrences = comparisons.length > 1 ? 2 : 1;
+
+        return Array.from(gaps.values())
+            .filter(gap => gap.indexes.size >= minOccurrences)
+            .map(gap => {
+                const indexes = Array.from(gap.indexes);
+                return {
+                    skill: gap.skill,
+                    missingIn: indexes.length,
+                    postingIndexes: indexes,
+                    postings: indexes.map(index => comparisons.find(comparison => comparison.index === index).label),
+                    inAllPostings: indexes.length === comparisons.length
+                };
+            })
+            .sort((a, b) => b.missingIn - a.missingIn);
+    }
+
+    /**
+     * Derive a short display label from the first meaningful line of a JD
+     */
+    deriveLabel(jobDescription, index) {
+        const firstLine = jobDescription
+            .split(/\r?\n/)
+            .map(line => line.trim())
+            .find(line => line.length > 0);
+
+        if (!firstLine) {
+            return `Job ${index + 1}`;
+        }
+
+        return firstLine.length > 60 ? `${firstLine.substring(0, 57)}...` : firstLine;
+    }
+}
+
+module.exports = new JDComparator();
@@ -1,5 +1,7 @@
 const aiService = require('./aiService');
 const fallbackParser = require('../utils/fallbackJDParser');
+const knockoutEvaluator = require('../utils/knockoutEvaluator');
+const seniorityDetector = require('../utils/seniorityDetector');
 
 /**
  * Job Description Parser Service
@@ -57,17 +59,28 @@ class JDParser {
             // AI totally failed - use fallback only
             finalResults = {
                 requiredSkills: fallbackResults.requiredSkills,
+                skillGroups: fallbackResults.skillGroups,
                 preferredSkills: fallbackResults.preferredSkills,
+                requiredCertifications: fallbackResults.requiredCertifications,
+                preferredCertifications: fallbackResults.preferredCertifications,
                 requiredExperience: fallbackResults.experienceYears,
                 educationRequirement: fallbackResults.education,
+                educationFields: fallbackResults.educationFields,
+                relatedFieldsAccepted: fallbackResults.relatedFieldsAccepted,
+                equivalentExperience: fallbackResults.equivalentExperience,
                 keywords: fallbackResults.keywords,
-                responsibilities: []
+                responsibilities: [],
+                knockouts: fallbackResults.knockouts
             };
         }
 
         return {
             original: jobDescription,
             ...finalResults,
+            domain: fallbackResults.domain,
+            title: seniorityDetector.findTitle(jobDescription), // null when the JD opens with a paragraph
+            // Title and duties are read from the text; years only fill in when neither names a level
+            seniority: seniorityDetector.detectJobLevel(jobDescription, finalResults.requiredExperience),
             _meta: {
                 usedAI: !!aiResults,
                 usedFallback: usedFallback,
@@ -104,28 +117,49 @@ EXTRACTION RULES (MANDATORY)
      * "Java Development" → "Java"
      * "Object-Oriented Programming" → "OOP"
      * "Database Management Systems" → "DBMS"
+   - Alternatives ("one of AWS, GCP or Azure", "React or Vue") go in requiredSkills
+     AND in skillGroups - the candidate needs any one of them, not all
 
 2. **Preferred Skills** - Extract if mentioned:
    - "Nice to have", "preferred", "bonus", "plus"
    - Technologies mentioned without "required" emphasis
 
-3. **Experience** - Extract years:
+3. **Certifications** - Certifications and licenses, NOT in the skill lists:
+   - requiredCertifications: asked for without softening ("AWS Solutions Architect certification required", "Active RN license")
+   - preferredCertifications: "preferred", "a plus", "nice to have"
+   - Use the credential's common name ("AWS Certified Solutions Architect", "PMP", "BLS")
+
+4. **Experience** - Extract years:
    - Look for: "X years", "X+ years", "minimum X years"
    - If range given (e.g., "3-5 years"), use minimum number
    - If not specified: return 0
 
-4. **Education** - Extract degree requirement:
+5. **Education** - Extract degree requirement:
    - Bachelor's, Master's, PhD, etc.
    - If not specified: return null
+   - educationFields: the fields of study named with it ("Computer Science", "Nursing", "a STEM field"); [] if none
+   - relatedFieldsAccepted: true when it says "or a related field"
+   - equivalentExperience: when experience may replace the degree ("or equivalent experience",
+     "in lieu of a degree"): { "years": N } with the years it asks for, or { "years": null }; otherwise null
 
-5. **Keywords** - Extract 10-15 relevant terms:
+6. **Keywords** - Extract 10-15 relevant terms:
    - Domain terms (e.g., "backend", "frontend", "agile", "cloud")
    - Industry terms
    - Process/methodology terms
 
-6. **Responsibilities** - Extract 3-5 key duties:
+7. **Responsibilities** - Extract 3-5 key duties:
    - Main tasks the role involves
 
+8. **Knockouts** - Hard requirements a candidate is rejected without, ONLY when stated as mandatory:
+   - "work_authorization": must be authorized to work, no visa sponsorship, citizenship required
+   - "security_clearance": an active/current clearance the candidate must already hold
+     (NOT "ability to obtain a clearance")
+   - "license": a specific license or certification that is required (e.g. "Active RN license", "CPA required")
+   - "degree": a minimum degree that is required (NOT "or equivalent experience", NOT "preferred")
+   - requirement: short name ("Secret clearance", "RN", "Bachelor's degree")
+   - text: the JD sentence it came from
+   - If none: return []
+
 --------------------------------------------------
 COMMON ABBREVIATIONS TO RECOGNIZE
 --------------------------------------------------
@@ -147,26 +181,40 @@ Return ONLY valid JSON (no markdown, no extra text, no explanation):
 
 {
   "requiredSkills": ["Skill1", "Skill2", "Skill3", "..."],
+  "skillGroups": [["AlternativeA", "AlternativeB"]],
   "preferredSkills": ["Skill1", "Skill2", "..."],
+  "requiredCertifications": ["Certification1", "..."],
+  "preferredCertifications": ["Certification1", "..."],
   "requiredExperience": 0,
   "educationRequirement": "Degree or null",
+  "educationFields": ["Field1", "..."],
+  "relatedFieldsAccepted": false,
+  "equivalentExperience": null,
   "responsibilities": ["Task1", "Task2", "Task3"],
-  "keywords": ["keyword1", "keyword2", "keyword3", "..."]
+  "keywords": ["keyword1", "keyword2", "keyword3", "..."],
+  "knockouts": [{ "type": "work_authorization|security_clearance|license|degree", "requirement": "...", "text": "..." }]
 }
 
 EXAMPLES:
 
 Example 1 - Clear JD:
-Job Description: "We need a Senior Java Developer with 5+ years experience. Must have Java, Spring Boot, MySQL. Nice to have AWS, Docker."
+Job Description: "We need a Senior Java Developer with 5+ years experience. Must have Java, Spring Boot, MySQL or PostgreSQL. Nice to have AWS, Docker."
 
 Output:
 {
-  "requiredSkills": ["Java", "Spring Boot", "MySQL"],
+  "requiredSkills": ["Java", "Spring Boot", "MySQL", "PostgreSQL"],
+  "skillGroups": [["MySQL", "PostgreSQL"]],
   "preferredSkills": ["AWS", "Docker"],
+  "requiredCertifications": [],
+  "preferredCertifications": [],
   "requiredExperience": 5,
   "educationRequirement": null,
+  "educationFields": [],
+  "relatedFieldsAccepted": false,
+  "equivalentExperience": null,
   "responsibilities": ["Develop backend services", "Write maintainable code"],
-  "keywords": ["backend", "senior", "developer", "cloud"]
+  "keywords": ["backend", "senior", "developer", "cloud"],
+  "knockouts": []
 }
 
 Example 2 - Vague JD (IMPORTANT!):
@@ -175,11 +223,30 @@ Job Description: "Looking for a marketing professional to manage our social medi
 Output:
 {
   "requiredSkills": ["Marketing", "Social Media", "Content Creation", "Digital Marketing", "SEO"],
+  "skillGroups": [],
   "preferredSkills": ["Analytics", "Paid Advertising"],
+  "requiredCertifications": [],
+  "preferredCertifications": [],
   "requiredExperience": 0,
   "educationRequirement": null,
+  "educationFields": [],
+  "relatedFieldsAccepted": false,
+  "equivalentExperience": null,
   "responsibilities": ["Manage social media", "Create content", "Build brand awareness"],
-  "keywords": ["marketing", "social", "content", "digital", "branding"]
+  "keywords": ["marketing", "social", "content", "digital", "branding"],
+  "knockouts": []
+}
+
+Example 3 - Hard requirements:
+Job Description: "Systems Engineer. Active Secret clearance required. Must be a U.S. citizen. Bachelor's degree in engineering required. Ability to obtain TS/SCI is a plus."
+
+Output (other fields omitted here, always return them):
+{
+  "knockouts": [
+    { "type": "security_clearance", "requirement": "Secret clearance", "text": "Active Secret clearance required." },
+    { "type": "work_authorization", "requirement": "U.S. citizenship", "text": "Must be a U.S. citizen." },
+    { "type": "degree", "requirement": "Bachelor's degree", "text": "Bachelor's degree in engineering required." }
+  ]
 }
 
 CRITICAL REMINDERS:
@@ -207,12 +274,19 @@ CRITICAL REMINDERS:
             // Validate and normalize structure
             return {
                 requiredSkills: Array.isArray(parsed.requiredSkills) ? parsed.requiredSkills : [],
+                skillGroups: this.normalizeSkillGroups(parsed.skillGroups),
                 preferredSkills: Array.isArray(parsed.preferredSkills) ? parsed.preferredSkills : [],
+                requiredCertifications: this.normalizeNames(parsed.requiredCertifications),
+                preferredCertifications: this.normalizeNames(parsed.preferredCertifications),
                 requiredExperience: typeof parsed.requiredExperience === 'number' ? parsed.requiredExperience :
                     (parseInt(parsed.requiredExperience) || 0),
                 educationRequirement: parsed.educationRequirement || null,
+                educationFields: this.normalizeNames(parsed.educationFields),
+                relatedFieldsAccepted: parsed.relatedFieldsAccepted === true,
+                equivalentExperience: this.normalizeEquivalentExperience(parsed.equivalentExperience),
                 responsibilities: Array.isArray(parsed.responsibilities) ? parsed.responsibilities : [],
-                keywords: Array.isArray(parsed.keywords) ? parsed.keywords : []
+                keywords: Array.isArray(parsed.keywords) ? parsed.keywords : [],
+                knockouts: knockoutEvaluator.normalizeCriteria(parsed.knockouts)
             };
         } catch (error) {
             console.error('Failed to parse AI response:', error);
@@ -220,6 +294,35 @@ CRITICAL REMINDERS:
         }
     }
 
+    /**
+     * "Any of" groups from the AI: lists of 2+ skill names, anything else dropped
+     */
+    normalizeSkillGroups(groups) {
+        if (!Array.isArray(groups)) return [];
+
+        return groups
+            .filter(Array.isArray)
+            .map(group => [...new Set(group.filter(skill => typeof skill === 'string' && skill.trim()).map(skill => skill.trim()))])
+            .filter(group => group.length >= 2);
+    }
+
+    /**
+     * Names from the AI (certifications, fields of study): non-empty strings, trimmed
+     */
+    normalizeNames(names) {
+        if (!Array.isArray(names)) return [];
+        return names.filter(name => typeof name === 'string' && name.trim()).map(name => name.trim());
+    }
+
+    /**
+     * "Or equivalent experience" from the AI: { years, text } with a positive whole number of years, or null
+     */
+    normalizeEquivalentExperience(value) {
+        if (!value) return null;
+        const years = parseInt(value.years, 10);
+        return { years: years > 0 ? years : null, text: null };
+    }
+
     /**
      * Validate AI results for completeness
      * Returns true if results are complete and high-quality
@@ -0,0 +1,267 @@
+/**
+ * OCR Service
+ *
+ * Recovers text from image-only (scanned) PDFs with a local tesseract.js worker.
+ *
+ * Privacy-First Principles:
+ * 1. No network - language data is read from a local directory, never a CDN
+ * 2. No disk writes - page images stay in memory and the language cache is disabled
+ * 3. Honest output - OCR text is flagged so confidence can be lowered downstream
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const tesseract = require('tesseract.js');
+
+// Fewer visible characters than this per page means the PDF has no real text layer
+const MIN_TEXT_CHARS_PER_PAGE = 100;
+
+// Smaller images are logos and icons, not scanned pages
+const MIN_PAGE_IMAGE_SIDE = 500;
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+class OCRService {
+    constructor() {
+        this.enabled = process.env.OCR_ENABLED !== 'false';
+        this.language = process.env.OCR_LANGUAGE || 'eng';
+        this.langPath = process.env.OCR_LANG_PATH || path.join(__dirname, '..', 'tessdata');
+    }
+
+    /**
+     * Does extracted PDF text look like an image-only scan?
+     * @param {string} text - Text from the PDF text layer
+     * @param {number} pageCount - Number of pages
+     */
+    needsOCR(text, pageCount = 1) {
+        const visibleChars = (text || '').replace(/\s/g, '').length;
+        return visibleChars / Math.max(1, pageCount) < MIN_TEXT_CHARS_PER_PAGE;
+    }
+
+    /**
+     * Recover text from a scanned PDF
+     * @param {Buffer} buffer - PDF contents
+     * @returns {Promise<Object>} { text, ocr: { used, confidence, pages, language } }
+     */
+    async recognizePDF(buffer) {
+        if (!this.enabled) {
+            throw this.scannedPDFError(
+                'SCANNED_PDF_OCR_DISABLED',
+                'This PDF is a scanned image with no selectable text, and OCR is disabled on this server. ' +
+                'Export the resume directly from Word or Google Docs as PDF/DOCX (not a scan or photo), or paste the text instead.'
+            );
+        }
+
+        const images = this.extractPageImages(buffer);
+        if (images.length === 0) {
+            throw this.scannedPDFError(
+                'SCANNED_PDF_UNREADABLE',
+                'This PDF has no selectable text and its page images use an encoding OCR cannot read. ' +
+                'Upload a text-based PDF or DOCX, or paste the resume text instead.'
+            );
+        }
+
+        const languageFile = this.findLanguageFile();
+        if (!languageFile) {
+            throw this.scannedPDFError(
+                'SCANNED_PDF_OCR_UNAVAILABLE',
+                'This PDF is a scanned image with no selectable text, and OCR is not set up on this server ' +
+                `(no ${this.language}.traineddata in ${this.langPath}). ` +
+                'Upload a text-based PDF or DOCX, or paste the resume text instead.'
+            );
+        }
+
+        console.log(`🔎 Running OCR on ${images.length} scanned page(s)...`);
+        const worker = await tesseract.createWorker(this.language, 1, {
+            langPath: this.langPath,
+            gzip: languageFile.endsWith('.gz'),
+            cacheMethod: 'none'
+        });
+
+        try {
+            const pages = [];
+            for (const image of images) {
+                const { data } = await worker.recognize(image);
+                pages.push({ text: data.text, confidence: data.confidence });
+            }
+
+            const text = pages.map(page => page.text.trim()).join('\n\n');
+            if (this.needsOCR(text, pages.length)) {
+                throw this.scannedPDFError(
+                    'SCANNED_PDF_UNREADABLE',
+                    'OCR could not read enough text from this scanned PDF to score it. ' +
+                    'Upload a text-based PDF or DOCX, or paste the resume text instead.'
+                );
+            }
+
+            const confidence = Math.round(pages.reduce((sum, page) => sum + page.confidence, 0) / pages.length);
+            console.log(`✅ OCR recovered ${text.length} chars (${confidence}% confidence)`);
+
+            return {
+                text,
+                ocr: {
+                    used: true,
+                    confidence,
+                    pages: pages.length,
+                    language: this.language
+                }
+            };
+        } finally {
+            await worker.terminate();
+        }
+    }
+
+    /**
+     * Page-sized images from the PDF, as JPEG or PNG buffers tesseract can read
+     */
+    extractPageImages(buffer) {
+        const images = [];
+
+        for (const { dict, data, width, height } of this.findPageImages(buffer)) {
+            try {
+                const image = this.decodeImage(dict, data, width, height);
+                if (image) images.push(image);
+            } catch (error) {
+                console.warn(`⚠️  Skipping unreadable page image: ${error.message}`);
+            }
+        }
+
+        return images;
+    }
+
+    /**
+     * Does the PDF hold page-sized images at all? Short text PDFs without them are not scans
+     */
+    hasPageImages(buffer) {
+        return this.findPageImages(buffer).length > 0;
+    }
+
+    /**
+     * Raw image XObjects large enough to be a scanned page
+     */
+    findPageImages(buffer) {
+        const raw = buffer.toString('latin1');
+        const found = [];
+        const objectPattern = /\d+\s+\d+\s+obj\s*(<<(?:(?!endobj)[\s\S])*?>>)\s*stream\r?\n/g;
+        let match;
+
+        while ((match = objectPattern.exec(raw)) !== null) {
+            const dict = match[1];
+            if (!/\/Subtype\s*\/Image\b/.test(dict)) continue;
+
+            const width = parseInt((dict.match(/\/Width\s+(\d+)/) || [])[1]);
+            const height = parseInt((dict.match(/\/Height\s+(\d+)/) || [])[1]);
+            if (!(width >= MIN_PAGE_IMAGE_SIDE && height >= MIN_PAGE_IMAGE_SIDE)) continue;
+
+            const start = match.index + match[0].length;
+            const end = raw.indexOf('endstream', start);
+            if (end === -1) continue;
+
+            found.push({ dict, data: buffer.subarray(start, end), width, height });
+        }
+
+        return found;
+    }
+
+    /**
+     * JPEG streams are usable as-is; 8-bit Flate streams are rewrapped as PNG
+     * Other encodings (CCITT, JBIG2, JPX) are not supported
+     */
+    decodeImage(dict, data, width, height) {
+        if (/\/DCTDecode\b/.test(dict)) {
+            return data;
+        }
+
+        if (!/\/FlateDecode\b/.test(dict) || /\/Filter\s*\[[^\]]*\/\w+[^\]]*\/\w+/.test(dict)) {
+            return null;
+        }
+
+        const bits = parseInt((dict.match(/\/BitsPerComponent\s+(\d+)/) || [])[1]);
+        const colors = /\/DeviceRGB\b/.test(dict) ? 3 : /\/DeviceGray\b/.test(dict) ? 1 : null;
+        if (bits !== 8 || !colors) return null;
+
+        const pixels = zlib.inflateSync(data);
+        const rowLength = width * colors;
+
+        // PNG predictors (>= 10) already prefix every row with a filter byte
+        const predictor = parseInt((dict.match(/\/Predictor\s+(\d+)/) || [])[1]) || 1;
+        let rows;
+        if (predictor >= 10) {
+            rows = pixels;
+        } else if (predictor === 1) {
+            rows = Buffer.alloc((rowLength + 1) * height);
+            for (let y = 0; y < height; y++) {
+                pixels.copy(rows, y * (rowLength + 1) + 1, y * rowLength, (y + 1) * rowLength);
+            }
+        } else {
+            return null;
+        }
+
+        return this.encodePNG(width, height, colors === 3 ? 2 : 0, rows);
+    }
+
+    /**
+     * Minimal PNG encoder for filtered scanline data
+     */
+    encodePNG(width, height, colorType, rows) {
+        const header = Buffer.alloc(13);
+        header.writeUInt32BE(width, 0);
+        header.writeUInt32BE(height, 4);
+        header[8] = 8;          // Bit depth
+        header[9] = colorType;  // 0 = gray, 2 = RGB
+
+        return Buffer.concat([
+            PNG_SIGNATURE,
+            this.pngChunk('IHDR', header),
+            this.pngChunk('IDAT', zlib.deflateSync(rows)),
+            this.pngChunk('IEND', Buffer.alloc(0))
+        ]);
+    }
+
+    pngChunk(type, data) {
+        const length = Buffer.alloc(4);
+        length.writeUInt32BE(data.length);
+        const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+        const crc = Buffer.alloc(4);
+        crc.writeUInt32BE(this.crc32(body));
+        return Buffer.concat([length, body, crc]);
+    }
+
+    crc32(buffer) {
+        let crc = 0xffffffff;
+        for (const byte of buffer) {
+            crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    /**
+     * Local language data file, or null when OCR cannot run offline
+     */
+    findLanguageFile() {
+        return [`${this.language}.traineddata`, `${this.language}.traineddata.gz`]
+            .map(file => path.join(this.langPath, file))
+            .find(file => fs.existsSync(file)) || null;
+    }
+
+    /**
+     * Error for scanned PDFs we cannot score honestly - the server returns it as a 422
+     */
+    scannedPDFError(code, message) {
+        const error = new Error(message);
+        error.code = code;
+        error.statusCode = 422;
+        return error;
+    }
+}
+
+module.exports = new OCRService();
@@ -18,6 +18,19 @@ class RejectionAnalyzer {
         const reasons = [];
         const { breakdown, score } = matchResult;
 
+        // Knockouts come first - an ATS filters on them before any score is read
+        if (matchResult.knockout) {
+            matchResult.knockout.failed.forEach(criterion => {
+                reasons.push({
+                    reason: `Knocked out: ${criterion.requirement}`,
+                    severity: 'CRITICAL',
+                    impact: 'Filtered out regardless of score',
+                    details: criterion.evidence,
+                    category: 'Knockout'
+                });
+            });
+        }
+
         // Analyze required skills gap
         if (breakdown.requiredSkills) {
             const { missingSkills, partialMatches, totalRequired } = breakdown.requiredSkills;
@@ -29,7 +42,7 @@ class RejectionAnalyzer {
                 reasons.push({
                     reason: `Missing ${missingCount} of ${totalRequired} required skills`,
                     severity,
-                    impact: `${missingCount * 7} points lost`,
+                    impact: `${Math.round(Math.min(missingCount * breakdown.requiredSkills.pointsPerSkill, breakdown.requiredSkills.maxPoints))} points lost`,
                     details: `Required but missing: ${missingSkills.slice(0, 3).join(', ')}${missingSkills.length > 3 ? '...' : ''}`,
                     category: 'Required Skills'
                 });
@@ -72,13 +85,32 @@ class RejectionAnalyzer {
                 reasons.push({
                     reason: 'Does not meet minimum education requirement',
                     severity: 'HIGH',
-                    impact: `${15 - (breakdown.education.points || 0)} points lost`,
+                    impact: `${Math.round(breakdown.education.maxPoints - (breakdown.education.points || 0))} points lost`,
                     details: `Requires ${required}, but qualification not clearly demonstrated`,
                     category: 'Education'
                 });
             }
         }
 
+        // Analyze certification gap - a required certification is searched for by name
+        if (breakdown.certifications) {
+            const missing = breakdown.certifications.missing.filter(cert => cert.required);
+            const expired = breakdown.certifications.expired.filter(cert => cert.required);
+
+            if (missing.length + expired.length > 0) {
+                reasons.push({
+                    reason: missing.length > 0 ? 'Missing required certifications' : 'Required certifications have expired',
+                    severity: missing.length > 0 ? 'HIGH' : 'MEDIUM',
+                    impact: `${Math.round(breakdown.certifications.maxPoints - (breakdown.certifications.points || 0))} points lost`,
+                    details: [
+                        missing.length > 0 ? `Not found: ${missing.map(cert => cert.certification).join(', ')}` : null,
+                        expired.length > 0 ? `Expired: ${expired.map(cert => `${cert.heldAs} (${cert.expires})`).join(', ')}` : null
+                    ].filter(Boolean).join('; '),
+                    category: 'Certifications'
+                });
+            }
+        }
+
         // Analyze keyword density
         if (breakdown.keywordDensity) {
             const { density, tier } = breakdown.keywordDensity;
@@ -87,7 +119,7 @@ class RejectionAnalyzer {
                 reasons.push({
                     reason: 'Resume lacks industry terminology from job description',
                     severity: 'MEDIUM',
-                    impact: `${10 - (breakdown.keywordDensity.points || 0)} points lost`,
+                    impact: `${Math.round(breakdown.keywordDensity.maxPoints - (breakdown.keywordDensity.points || 0))} points lost`,
                     details: `Only ${Math.round(density * 100)}% keyword match with job description`,
                     category: 'Keywords'
                 });
@@ -1,60 +1,192 @@
 const pdf = require('pdf-parse');
 const mammoth = require('mammoth');
+const WordExtractor = require('word-extractor');
+const JSZip = require('jszip');
 const fs = require('fs').promises;
 const path = require('path');
+const workHistoryParser = require('../utils/workHistoryParser');
+const pdfLayoutExtractor = require('../utils/pdfLayoutExtractor');
+const seniorityDetector = require('../utils/seniorityDetector');
+const certificationParser = require('../utils/certificationParser');
+const educationParser = require('../utils/educationParser');
+const formatAuditor = require('./formatAuditor');
+const ocrService = require('./ocrService');
+
+// Lines that start a new resume section when they stand alone
+const SECTION_HEADINGS = [
+    'summary', 'professional summary', 'profile', 'objective', 'about',
+    'experience', 'work experience', 'professional experience', 'employment history',
+    'work history', 'employment', 'education', 'educational background', 'academic background',
+    'academic qualifications', 'education & training', 'education and training', 'skills', 'technical skills',
+    'core competencies', 'technologies', 'expertise', 'proficiencies', 'projects',
+    'key projects', 'certifications', 'certifications & licenses', 'licenses',
+    'certification', 'licenses & certifications', 'certifications and licenses', 'licenses and certifications',
+    'awards', 'publications', 'references', 'languages', 'interests',
+    'volunteer experience', 'volunteering', 'activities'
+];
+
+// Headings of the section parsed into degrees
+const EDUCATION_HEADINGS = [
+    'education', 'educational background', 'academic background', 'academic qualifications',
+    'education & training', 'education and training'
+];
+
+// Headings of the section parsed into certifications
+const CERTIFICATION_HEADINGS = [
+    'certifications', 'certification', 'licenses', 'certifications & licenses', 'licenses & certifications',
+    'certifications and licenses', 'licenses and certifications'
+];
+
+// Supported resume extensions (keep in sync with the multer fileFilter in server.js and the upload input)
+const SUPPORTED_EXTENSIONS = ['.pdf', '.docx', '.doc', '.txt', '.md', '.rtf', '.odt'];
 
 /**
  * Resume Parser Service
- * Extracts text and metadata from PDF and DOCX resume files
+ * Extracts text and metadata from PDF, Word, ODT, RTF, Markdown and plain-text resume files
  */
 
 class ResumeParser {
     /**
      * Main entry point - parses resume and returns structured data
-     * @param {string} filePath - Path to the resume file
+     * @param {string|Buffer} source - Path to the resume file, or its contents when uploads are kept in memory
+     * @param {string} [fileName] - Original file name (required for buffers, used to pick the parser)
      * @returns {Promise<Object>} Parsed resume data
      */
-    async parseResume(filePath) {
-        const ext = path.extname(filePath).toLowerCase();
+    async parseResume(source, fileName) {
+        if (Buffer.isBuffer(source) && !fileName) {
+            throw new Error('File name is required to parse an in-memory resume');
+        }
+        const ext = path.extname(fileName || source).toLowerCase();
+        if (!SUPPORTED_EXTENSIONS.includes(ext)) {
+            throw new Error(`Unsupported file format: ${ext}. Supported formats: ${SUPPORTED_EXTENSIONS.join(', ')}`);
+        }
+
+        // Read once - the text parsers and the format audit share the same bytes
+        const buffer = await this.readSource(source);
 
         let rawText;
+        let layout = null;
+        let ocr = null;
         if (ext === '.pdf') {
-            rawText = await this.parsePDF(filePath);
-        } else if (ext === '.docx' || ext === '.doc') {
-            rawText = await this.parseDOCX(filePath);
-        } else {
-            throw new Error(`Unsupported file format: ${ext}`);
+            ({ text: rawText, layout, ocr } = await this.parsePDF(buffer));
+        } else if (ext === '.docx') {
+            rawText = await this.parseDOCX(buffer);
+        } else if (ext === '.doc') {
+            rawText = await this.parseDOC(buffer);
+        } else if (ext === '.txt') {
+            rawText = await this.parseText(buffer);
+        } else if (ext === '.md') {
+            rawText = await this.parseMarkdown(buffer);
+        } else if (ext === '.rtf') {
+            rawText = await this.parseRTF(buffer);
+        } else if (ext === '.odt') {
+            rawText = await this.parseODT(buffer);
         }
 
-        // Extract structured data from raw text
+        const formatAudit = await formatAuditor.audit({ format: ext, buffer, rawText, layout, ocr });
+
+        return { ...this.buildResumeData(rawText, layout, formatAudit), ocr };
+    }
+
+    /**
+     * Parse resume text pasted directly into the form - no file is ever written
+     * @param {string} text - Plain resume text
+     * @returns {Object} Parsed resume data (same shape as parseResume)
+     */
+    parseResumeText(text) {
+        // Browsers submit textarea content with CRLF line endings
+        const rawText = text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+
+        return this.buildResumeData(rawText);
+    }
+
+    /**
+     * Extract structured data and parse quality from raw resume text
+     * @param {string} rawText - Extracted resume text
+     * @param {Object|null} layout - Layout signals (PDF only)
+     * @param {Object|null} formatAudit - Structural audit; text-only checks run when omitted
+     */
+    buildResumeData(rawText, layout = null, formatAudit = null) {
         const structured = this.extractStructuredData(rawText);
+        const audit = formatAudit || formatAuditor.buildReport('text', formatAuditor.auditText(rawText, layout));
 
         return {
             rawText,
             ...structured,
-            parseQuality: this.assessParseQuality(rawText)
+            layout,
+            formatAudit: audit,
+            parseQuality: this.assessParseQuality(rawText, layout, audit)
         };
     }
 
+    /**
+     * Read a resume from a file path or an in-memory buffer
+     * @param {string|Buffer} source - File path or buffer
+     * @param {string} [encoding] - Decode to a string with this encoding
+     */
+    async readSource(source, encoding) {
+        const buffer = Buffer.isBuffer(source) ? source : await fs.readFile(source);
+        return encoding ? buffer.toString(encoding) : buffer;
+    }
+
     /**
      * Parse PDF file
+     * Prefers layout-aware extraction so multi-column templates read in order,
+     * falls back to pdf-parse's flat text if the layout pass fails, and to local OCR
+     * when the PDF is a scan with no text layer
+     * @param {string|Buffer} source - File path or buffer
+     * @returns {Promise<Object>} { text, layout, ocr } - layout is null for flat or OCR text, ocr is null unless OCR ran
      */
-    async parsePDF(filePath) {
+    async parsePDF(source) {
+        let dataBuffer;
+        let text = '';
+        let layout = null;
+        let pageCount = 1;
+
         try {
-            const dataBuffer = await fs.readFile(filePath);
-            const data = await pdf(dataBuffer);
-            return data.text;
+            dataBuffer = await this.readSource(source);
+
+            try {
+                ({ text, layout } = await pdfLayoutExtractor.extract(dataBuffer));
+                pageCount = layout.pages;
+            } catch (error) {
+                console.warn(`⚠️  Layout-aware PDF extraction failed, using flat text: ${error.message}`);
+            }
+
+            if (text.trim().length === 0) {
+                const data = await pdf(new Uint8Array(dataBuffer));
+                text = data.text;
+                layout = null;
+                pageCount = data.numpages;
+            }
         } catch (error) {
             throw new Error(`Failed to parse PDF: ${error.message}`);
         }
+
+        if (!ocrService.needsOCR(text, pageCount)) {
+            return { text, layout, ocr: null };
+        }
+
+        // Without page-sized images there is nothing to OCR: short text is a thin resume, no text is an empty PDF
+        if (!ocrService.hasPageImages(dataBuffer)) {
+            if (text.trim().length === 0) {
+                throw new Error('Failed to parse PDF: no text found - the file is empty or its text is not selectable');
+            }
+            return { text, layout, ocr: null };
+        }
+
+        // Image-only scan - OCR errors carry a code and an actionable message, so they pass through unwrapped
+        const recovered = await ocrService.recognizePDF(dataBuffer);
+        return { text: recovered.text, layout: null, ocr: recovered.ocr };
     }
 
     /**
      * Parse DOCX file
+     * @param {string|Buffer} source - File path or buffer
      */
-    async parseDOCX(filePath) {
+    async parseDOCX(source) {
         try {
-            const buffer = await fs.readFile(filePath);
+            const buffer = await this.readSource(source);
             const result = await mammoth.extractRawText({ buffer });
             return result.value;
         } catch (error) {
@@ -62,16 +194,244 @@ class ResumeParser {
         }
     }
 
+    /**
+     * Parse legacy Word 97-2003 (.doc) binary file
+     */
+    async parseDOC(source) {
+        try {
+            const extractor = new WordExtractor();
+            const document = await extractor.extract(source);
+            return document.getBody();
+        } catch (error) {
+            throw new Error(`Failed to parse DOC: ${error.message}. Legacy .doc files are sometimes unreadable - please re-save the resume as DOCX or PDF`);
+        }
+    }
+
+    /**
+     * Parse plain-text file
+     */
+    async parseText(source) {
+        try {
+            const content = await this.readSource(source, 'utf8');
+            return content.replace(/^\uFEFF/, '');
+        } catch (error) {
+            throw new Error(`Failed to parse TXT: ${error.message}`);
+        }
+    }
+
+    /**
+     * Parse Markdown file - strips syntax so headings and bullets read like a plain resume
+     */
+    async parseMarkdown(source) {
+        try {
+            const content = await this.readSource(source, 'utf8');
+            return content
+                .replace(/^\uFEFF/, '')
+                .replace(/```[\s\S]*?```/g, block => block.replace(/```\w*/g, ''))  // Keep code block text
+                .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')                            // Images → alt text
+                .replace(/\[([^\]]+)\]\(([^)]+)\)/g, '$1 ($2)')                        // Links → text (url)
+                .replace(/^[ \t]{0,3}#{1,6}[ \t]+/gm, '')                                     // Heading markers
+                .replace(/^[ \t]{0,3}(?:[-*_][ \t]*){3,}$/gm, '')                             // Horizontal rules
+                .replace(/^[ \t]*>[ \t]?/gm, '')                                              // Blockquotes
+                .replace(/^[ \t]*\|?(?:[ \t]*:?-+:?[ \t]*\|)+[ \t]*$/gm, '')                        // Table separator rows
+                .replace(/\|/g, ' | ')                                                  // Table cells
+                .replace(/(\*\*|__)(.+?)\1/g, '$2')                                     // Bold
+                .replace(/(^|[^\w*])([*_])([^*_\n]+)\2(?=[^\w*]|$)/gm, '$1$3')            // Italic
+                .replace(/`([^`]+)`/g, '$1')                                             // Inline code
+                .replace(/^([ \t]*)[*+][ \t]+/gm, '$1- ');                                    // Normalize bullets
+        } catch (error) {
+            throw new Error(`Failed to parse Markdown: ${error.message}`);
+        }
+    }
+
+    /**
+     * Parse RTF file - strips control words and destination groups
+     */
+    async parseRTF(source) {
+        try {
+            const content = await this.readSource(source, 'latin1');
+            if (!content.startsWith('{\\rtf')) {
+                throw new Error('Not a valid RTF document');
+            }
+            return this.rtfToText(content);
+        } catch (error) {
+            throw new Error(`Failed to parse RTF: ${error.message}`);
+        }
+    }
+
+    /**
+     * Convert RTF source to plain text
+     */
+    rtfToText(rtf) {
+        // Destinations that hold metadata, not document text
+        const skipDestinations = new Set([
+            'fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'header', 'footer',
+            'headerl', 'headerr', 'footerl', 'footerr', 'listtable', 'listoverridetable',
+            'rsidtbl', 'generator', 'xmlnstbl', 'themedata', 'colorschememapping', 'latentstyles',
+            'datastore', 'filetbl', 'revtbl'
+        ]);
+
+        let output = '';
+        let depth = 0;
+        let skipDepth = null;   // Group depth at which skipping started
+        let unicodeSkip = 1;    // \ucN - fallback chars after \uN
+        let pendingSkip = 0;
+        let i = 0;
+
+        while (i < rtf.length) {
+            const ch = rtf[i];
+
+            if (ch === '{') {
+                depth++;
+                i++;
+                continue;
+            }
+            if (ch === '}') {
+                if (skipDepth !== null && depth === skipDepth) skipDepth = null;
+                depth--;
+                i++;
+                continue;
+            }
+
+            if (ch === '\\') {
+                const next = rtf[i + 1];
+
+                // Escaped literals
+                if (next === '\\' || next === '{' || next === '}') {
+                    if (skipDepth === null) output += next;
+                    i += 2;
+                    continue;
+                }
+                // Hex-encoded character: \'e9
+                if (next === "'") {
+                    if (pendingSkip > 0) {
+                        pendingSkip--;
+                    } else if (skipDepth === null) {
+                        output += String.fromCharCode(parseInt(rtf.substr(i + 2, 2), 16));
+                    }
+                    i += 4;
+                    continue;
+                }
+                // Ignorable destination: {\* ...}
+                if (next === '*') {
+                    if (skipDepth === null) skipDepth = depth;
+                    i += 2;
+                    continue;
+                }
+
+                const control = rtf.slice(i + 1).match(/^([a-zA-Z]+)(-?\d+)? ?/);
+                if (!control) {
+                    // Control symbol such as \~ (non-breaking space) or \- (optional hyphen)
+                    if (skipDepth === null && next === '~') output += ' ';
+                    i += 2;
+                    continue;
+                }
+
+                const [whole, word, param] = control;
+                i += 1 + whole.length;
+
+                if (skipDestinations.has(word)) {
+                    if (skipDepth === null) skipDepth = depth;
+                    continue;
+                }
+                if (skipDepth !== null) continue;
+
+                if (word === 'par' || word === 'line' || word === 'row' || word === 'sect' || word === 'page') {
+                    output += '\n';
+                } else if (word === 'tab' || word === 'cell') {
+                    output += '\t';
+                } else if (word === 'bullet') {
+                    output += '•';
+                } else if (word === 'emdash' || word === 'endash') {
+                    output += '-';
+                } else if (word === 'uc') {
+                    unicodeSkip = parseInt(param, 10) || 0;
+                } else if (word === 'u') {
+                    let code = parseInt(param, 10);
+                    if (code < 0) code += 65536;
+                    output += String.fromCharCode(code);
+                    pendingSkip = unicodeSkip;
+                }
+                continue;
+            }
+
+            if (ch === '\r' || ch === '\n') {
+                i++;
+                continue;
+            }
+
+            if (pendingSkip > 0) {
+                pendingSkip--;
+            } else if (skipDepth === null) {
+                output += ch;
+            }
+            i++;
+        }
+
+        return output.replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+    }
+
+    /**
+     * Parse OpenDocument Text (.odt) file
+     */
+    async parseODT(source) {
+        try {
+            const buffer = await this.readSource(source);
+            const zip = await JSZip.loadAsync(buffer);
+            const contentFile = zip.file('content.xml');
+            if (!contentFile) {
+                throw new Error('content.xml not found');
+            }
+            const xml = await contentFile.async('string');
+            return this.odtXmlToText(xml);
+        } catch (error) {
+            throw new Error(`Failed to parse ODT: ${error.message}`);
+        }
+    }
+
+    /**
+     * Convert ODT content.xml to plain text
+     */
+    odtXmlToText(xml) {
+        const body = xml.replace(/^[\s\S]*?<office:body>/, '').replace(/<\/office:body>[\s\S]*$/, '');
+
+        return body
+            .replace(/<text:s(?:\s+text:c="(\d+)")?\s*\/>/g, (match, count) => ' '.repeat(parseInt(count || '1', 10)))
+            .replace(/<text:tab\s*\/>/g, '\t')
+            .replace(/<text:line-break\s*\/>/g, '\n')
+            .replace(/<text:list-item[^>]*>/g, '- ')
+            .replace(/<\/text:(?:p|h)>/g, '\n')
+            .replace(/<\/table:table-cell>/g, '\t')
+            .replace(/<\/table:table-row>/g, '\n')
+            .replace(/<[^>]+>/g, '')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&apos;/g, "'")
+            .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(parseInt(code, 10)))
+            .replace(/&amp;/g, '&')
+            .replace(/- \n/g, '- ')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+    }
+
     /**
      * Extract structured information from raw text
      */
     extractStructuredData(text) {
+        const workHistory = this.extractWorkHistory(text);
+        const totalYearsExperience = this.calculateTotalExperience(workHistory, text);
+
         return {
             contact: this.extractContact(text),
-            experience: this.extractExperience(text),
+            experience: workHistory.roles,
+            employmentTimeline: workHistory.timeline,
             education: this.extractEducation(text),
+            degrees: this.extractDegrees(text),
+            certifications: this.extractCertifications(text),
             skills: this.extractSkills(text),
-            totalYearsExperience: this.calculateTotalExperience(text)
+            totalYearsExperience,
+            seniority: seniorityDetector.detectCandidateLevel(workHistory.roles, totalYearsExperience)
         };
     }
 
@@ -93,30 +453,32 @@ class ResumeParser {
 
     /**
      * Extract experience information
+     * @returns {Array<Object>} Roles with title, company, location, dates and bullets
      */
     extractExperience(text) {
-        const experiences = [];
+        return this.extractWorkHistory(text).roles;
+    }
 
-        // Look for common experience section headers
-        const experienceSection = this.extractSection(text, [
-            'experience', 'work experience', 'employment history',
-            'professional experience', 'work history'
-        ]);
+    /**
+     * Extract structured roles and the merged employment timeline
+     */
+    extractWorkHistory(text) {
+        const experienceSection = this.getExperienceSection(text);
 
-        if (experienceSection) {
-            // Split by common date patterns to identify individual experiences
-            const yearPattern = /\b(19|20)\d{2}\b/g;
-            const matches = experienceSection.match(yearPattern);
+        // Drop the heading line so it is not mistaken for a job title
+        const body = experienceSection ? experienceSection.replace(/^[^\n]*\n?/, '') : null;
 
-            if (matches && matches.length > 0) {
-                experiences.push({
-                    section: experienceSection,
-                    yearsFound: matches
-                });
-            }
-        }
+        return workHistoryParser.parse(body);
+    }
 
-        return experiences;
+    /**
+     * Find the work experience section
+     */
+    getExperienceSection(text) {
+        return this.extractSection(text, [
+            'work experience', 'professional experience', 'employment history',
+            'work history', 'experience'
+        ]);
     }
 
     /**
@@ -125,13 +487,17 @@ class ResumeParser {
     extractEducation(text) {
         const education = [];
 
+        // "Solutions Architect - Associate" is a certification, not an associate's degree
+        const certifications = this.extractHeadedSection(text, CERTIFICATION_HEADINGS);
+        if (certifications) text = text.replace(certifications, '');
+
         // Common degree patterns
         const degreePatterns = [
             /\b(Ph\.?D\.?|Doctorate|Doctoral)\b/gi,
             /\b(Master['']?s?|M\.?S\.?|M\.?A\.?|MBA|M\.Tech|M\.E\.)\b/gi,
             /\b(Bachelor['']?s?|B\.?S\.?|B\.?A\.?|B\.Tech|B\.E\.)\b/gi,
             /\b(Associate['']?s?|A\.?S\.?|A\.?A\.?)\b/gi,
-            /\b(Diploma|Certificate)\b/gi
+            /\b(Diploma)\b/gi
         ];
 
         degreePatterns.forEach(pattern => {
@@ -144,6 +510,23 @@ class ResumeParser {
         return [...new Set(education)]; // Remove duplicates
     }
 
+    /**
+     * Extract degrees with their field of study, institution and graduation year
+     */
+    extractDegrees(text) {
+        const section = this.extractHeadedSection(text, EDUCATION_HEADINGS);
+        return educationParser.parse(section, text);
+    }
+
+    /**
+     * Extract certifications and licenses - a certificate is a credential, not a degree
+     * Only a section under its own heading is parsed line by line; taxonomy names elsewhere count undated
+     */
+    extractCertifications(text) {
+        const section = this.extractHeadedSection(text, CERTIFICATION_HEADINGS);
+        return certificationParser.parse(section, text);
+    }
+
     /**
      * Extract skills from text
      */
@@ -169,10 +552,21 @@ class ResumeParser {
 
     /**
      * Calculate total years of experience
+     * Derived from merged role intervals so overlaps count once and
+     * graduation/certification years never inflate the total
      */
-    calculateTotalExperience(text) {
-        // Extract all 4-digit years
-        const years = text.match(/\b(19|20)\d{2}\b/g);
+    calculateTotalExperience(workHistory, text) {
+        if (workHistory.roles.length > 0) {
+            return workHistory.timeline.totalYears;
+        }
+
+        // Fallback: no parseable roles - use the year span inside the experience section only
+        const experienceSection = this.getExperienceSection(text);
+        if (!experienceSection) {
+            return 0;
+        }
+
+        const years = experienceSection.match(/\b(19|20)\d{2}\b/g);
 
         if (!years || years.length < 2) {
             return 0;
@@ -182,7 +576,7 @@ class ResumeParser {
         const numericYears = years.map(y => parseInt(y)).sort((a, b) => a - b);
 
         // Check for "present", "current", "ongoing" to determine if still employed
-        const isCurrentlyEmployed = /\b(present|current|ongoing|now)\b/i.test(text);
+        const isCurrentlyEmployed = /\b(present|current|ongoing|now)\b/i.test(experienceSection);
         const currentYear = new Date().getFullYear();
 
         // Calculate experience: latest year (or current year) - earliest year
@@ -196,6 +590,12 @@ class ResumeParser {
      * Extract a section from text based on headers
      */
     extractSection(text, headers) {
+        // Prefer headings that sit on their own line - avoids matching "5 years of experience" in a summary
+        const headedSection = this.extractHeadedSection(text, headers);
+        if (headedSection) {
+            return headedSection;
+        }
+
         const lowerText = text.toLowerCase();
 
         for (const header of headers) {
@@ -222,11 +622,39 @@ class ResumeParser {
         return null;
     }
 
+    /**
+     * Extract a section whose heading is alone on its line (e.g. "EXPERIENCE" or "Work History:")
+     * Ends at the next line that is itself a known section heading
+     */
+    extractHeadedSection(text, headers) {
+        const lines = text.split(/\r?\n/);
+        const normalizeHeading = line => line.trim().toLowerCase().replace(/[:\s]+$/, '').replace(/\s+/g, ' ');
+        const wanted = headers.map(h => h.toLowerCase());
+
+        const startIndex = lines.findIndex(line => wanted.includes(normalizeHeading(line)));
+        if (startIndex === -1) {
+            return null;
+        }
+
+        let endIndex = lines.length;
+        for (let i = startIndex + 1; i < lines.length; i++) {
+            if (SECTION_HEADINGS.includes(normalizeHeading(lines[i]))) {
+                endIndex = i;
+                break;
+            }
+        }
+
+        return lines.slice(startIndex, endIndex).join('\n');
+    }
+
     /**
      * Assess the quality of the parse
      * Used for the Format & Clarity scoring category
+     * @param {string} text - Extracted resume text
+     * @param {Object|null} layout - PDF layout signals from pdfLayoutExtractor
+     * @param {Object|null} formatAudit - Findings from formatAuditor
      */
-    assessParseQuality(text) {
+    assessParseQuality(text, layout = null, formatAudit = null) {
         let quality = 5; // Start with perfect score
 
         // Deduct for very short resumes (likely parsing issues)
@@ -248,6 +676,19 @@ class ResumeParser {
             quality -= 2;
         }
 
+        // Deduct for ATS-hostile PDF layouts (columns, tables, rotated text)
+        const complexity = layout?.complexity?.level;
+        if (complexity === 'complex') {
+            quality -= 2;
+        } else if (complexity === 'moderate') {
+            quality -= 1;
+        }
+
+        // Deduct for structures ATS parsers drop (text boxes, header-only contact info, unmapped fonts)
+        if (formatAudit) {
+            quality -= Math.min(2, formatAudit.counts.HIGH);
+        }
+
         return Math.max(0, quality);
     }
 }
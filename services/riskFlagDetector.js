@@ -4,6 +4,13 @@
  * Detects silent rejection triggers that recruiters care about
  */
 
+const textAnalyzer = require('../utils/textAnalyzer');
+
+// Employment gaps shorter than this are normal job-change time
+const MIN_GAP_MONTHS = 6;
+
+const SEVERITY_ORDER = { HIGH: 0, MEDIUM: 1, LOW: 2 };
+
 class RiskFlagDetector {
     /**
      * Detect resume risk flags
@@ -15,18 +22,10 @@ class RiskFlagDetector {
     detectRiskFlags(matchResult, resumeData, jdData) {
         const flags = [];
 
-        // Flag 1: Overqualified
-        if (matchResult.breakdown.experience) {
-            const { required, actual, difference } = matchResult.breakdown.experience;
-
-            if (required > 0 && difference > 5) {
-                flags.push({
-                    flag: 'Overqualified',
-                    severity: 'MEDIUM',
-                    explanation: `You have ${actual} years experience but job asks for ${required} years. Recruiters may worry about retention or salary expectations.`,
-                    recommendation: 'Consider tailoring resume to emphasize relevant experience within the required range'
-                });
-            }
+        // Flag 1: Level mismatch (title seniority and people-manager track, not raw years)
+        const levelFlag = this.detectLevelMismatch(matchResult.breakdown.experience?.seniority);
+        if (levelFlag) {
+            flags.push(levelFlag);
         }
 
         //Flag 2: Skills without evidence
@@ -78,31 +77,122 @@ class RiskFlagDetector {
         // Flag 6: Experience gap
         const hasGap = this.detectExperienceGap(resumeData);
         if (hasGap) {
+            const longestGap = Math.max(...resumeData.employmentTimeline.gaps.map(gap => gap.months));
             flags.push({
                 flag: 'Unexplained experience gap',
                 severity: 'MEDIUM',
-                explanation: 'There appears to be a gap in work history that is not explained.',
+                explanation: `There is a ${longestGap}-month gap in work history that is not explained.`,
                 recommendation: 'Consider briefly explaining gaps (e.g., "Career break", "Freelance work", "Professional development")'
             });
         }
 
+        // Flag 7: ATS-hostile formatting (from the document structure audit)
+        const formatIssues = this.getFormattingIssues(resumeData);
+        if (formatIssues.length > 0) {
+            flags.push({
+                flag: 'ATS-hostile formatting',
+                severity: formatIssues[0].severity,
+                explanation: `${formatIssues.length} formatting issue${formatIssues.length > 1 ? 's' : ''} may cause an ATS to drop or scramble content: ${formatIssues.slice(0, 3).map(issue => issue.issue).join('; ')}.`,
+                recommendation: formatIssues[0].recommendation,
+                issues: formatIssues
+            });
+        }
+
         return flags;
     }
 
+    /**
+     * Flag a candidate two or more levels away from the role, or on the other track
+     * (an IC applying to a people-manager role, a manager applying to an IC role)
+     * @param {Object} seniority - utils/seniorityDetector compare() result
+     * @returns {Object|null} Risk flag
+     */
+    detectLevelMismatch(seniority) {
+        if (!seniority || seniority.status === 'unknown') return null;
+
+        const { status, gap, track, inferred, job, candidate } = seniority;
+        const describe = side => `${side.label} level (${side.evidence})`;
+        // A level estimated from years is a weaker signal than a title - report it, but softly
+        const severity = base => inferred ? 'LOW' : base;
+
+        if (status === 'overqualified') {
+            return {
+                flag: 'Overqualified',
+                severity: severity(gap >= 3 ? 'HIGH' : 'MEDIUM'),
+                explanation: `You read as ${describe(candidate)}; this role is ${describe(job)}. Recruiters may worry about retention, salary expectations or a step back in scope.`,
+                recommendation: 'Explain the move in your summary and lead with hands-on work at the level this role needs',
+                levels: { job: job.level, candidate: candidate.level }
+            };
+        }
+
+        if (status === 'underqualified') {
+            return {
+                flag: 'Below the role\'s level',
+                severity: severity(gap <= -3 ? 'HIGH' : 'MEDIUM'),
+                explanation: `You read as ${describe(candidate)}; this role is ${describe(job)}. Screeners often filter on level before reading the rest.`,
+                recommendation: 'Highlight work at the higher level - ownership, scope and decisions you drove - or target roles one level up from your current one',
+                levels: { job: job.level, candidate: candidate.level }
+            };
+        }
+
+        if (track === 'needs_management') {
+            return {
+                flag: 'No people-management experience',
+                severity: job.source === 'title' ? 'HIGH' : 'MEDIUM',
+                explanation: `This is a people-manager role (${job.evidence}), but none of your roles show managing people.`,
+                recommendation: 'If you have led people, say so: team size, direct reports, hiring and performance reviews',
+                levels: { job: job.level, candidate: candidate.level }
+            };
+        }
+
+        if (track === 'manager_to_ic') {
+            return {
+                flag: 'Manager applying to an individual-contributor role',
+                severity: 'LOW',
+                explanation: `Your most recent role is ${describe(candidate)}, and this role has no direct reports. Recruiters may ask why you are moving back to hands-on work.`,
+                recommendation: 'Lead with your hands-on technical work and say briefly why you want an IC role',
+                levels: { job: job.level, candidate: candidate.level }
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * Collect HIGH/MEDIUM formatting issues from the format audit and PDF layout analysis
+     */
+    getFormattingIssues(resumeData) {
+        const auditIssues = (resumeData.formatAudit?.issues || [])
+            .filter(issue => issue.severity !== 'LOW');
+
+        const complexity = resumeData.layout?.complexity;
+        const layoutIssues = complexity && complexity.level !== 'simple'
+            ? complexity.signals.map(signal => ({
+                category: 'layout',
+                severity: complexity.level === 'complex' ? 'HIGH' : 'MEDIUM',
+                issue: signal,
+                recommendation: 'Use a single-column layout without tables, columns or graphics'
+            }))
+            : [];
+
+        return [...auditIssues, ...layoutIssues]
+            .sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity]);
+    }
+
     /**
      * Detect skills mentioned only in skills section
      */
     detectSkillsWithoutEvidence(resumeData) {
         const skillsOnly = [];
-        const fullText = (resumeData.rawText || '').toLowerCase();
+        const fullText = resumeData.rawText || '';
         const experienceText = resumeData.experience ?
-            resumeData.experience.map(e => (e.description || '').toLowerCase()).join(' ') : '';
+            resumeData.experience.map(e => e.description || '').join('\n') : '';
 
         if (resumeData.skills) {
             resumeData.skills.forEach(skill => {
-                const skillLower = skill.toLowerCase();
                 // Skill appears in resume but not in experience section
-                if (fullText.includes(skillLower) && !experienceText.includes(skillLower)) {
+                if (textAnalyzer.findSkillMatches(skill, fullText).length > 0 &&
+                    textAnalyzer.findSkillMatches(skill, experienceText).length === 0) {
                     skillsOnly.push(skill);
                 }
             });
@@ -180,20 +270,22 @@ class RiskFlagDetector {
     }
 
     /**
-     * Detect experience gaps (simplified)
+     * Detect unexplained experience gaps
+     * Uses the merged employment timeline from the resume parser
      */
     detectExperienceGap(resumeData) {
-        if (!resumeData.experience || resumeData.experience.length < 2) {
+        const gaps = resumeData.employmentTimeline ? resumeData.employmentTimeline.gaps : [];
+        const significantGaps = gaps.filter(gap => gap.months >= MIN_GAP_MONTHS);
+
+        if (significantGaps.length === 0) {
             return false;
         }
 
-        // Check if any experience entry mentions gap-related terms
-        const gapTerms = ['gap', 'break', 'sabbatical', 'hiatus'];
+        // Gap is considered explained if the resume mentions it
+        const gapTerms = ['gap', 'break', 'sabbatical', 'hiatus', 'parental leave', 'career break'];
         const text = (resumeData.rawText || '').toLowerCase();
 
-        return !gapTerms.some(term => text.includes(term)) &&
-            resumeData.experience.length >= 2 &&
-            resumeData.totalYearsExperience < 3;
+        return !gapTerms.some(term => text.includes(term));
     }
 }
 
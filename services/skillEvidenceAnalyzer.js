@@ -5,10 +5,34 @@
  * Prevents keyword stuffing detection
  */
 
+const textAnalyzer = require('../utils/textAnalyzer');
+
+// Standalone heading lines that open (or close) the sections evidence cares about
+const SECTION_HEADINGS = {
+    skills: /^[ \t]*(?:skills?|technical skills?|core competencies)[ \t]*:?[ \t]*$/gim,
+    experience: /^[ \t]*(?:(?:work |professional )?experience|work history|employment(?: history)?)[ \t]*:?[ \t]*$/gim,
+    projects: /^[ \t]*(?:key |personal )?projects?[ \t]*:?[ \t]*$/gim,
+    other: /^[ \t]*(?:summary|profile|objective|education|certifications?|awards|publications|languages|interests|references|volunteer(?:ing| experience)?)[ \t]*:?[ \t]*$/gim
+};
+
+// Evidence order when listing where a skill was found
+const SECTION_RANK = { experience: 0, projects: 1, skills: 2, other: 3 };
+
+const ACTION_VERB_PATTERN = new RegExp(`\\b(?:${[
+    'developed', 'designed', 'built', 'implemented', 'created',
+    'engineered', 'architected', 'delivered', 'deployed', 'managed',
+    'led', 'optimized', 'improved', 'maintained', 'integrated',
+    'configured', 'automated', 'migrated', 'scaled', 'debugged'
+].join('|')})\\b`, 'i');
+
+// Locations returned per skill, and characters of context kept on each side
+const MAX_LOCATIONS = 3;
+const CONTEXT_CHARS = 60;
+
 class SkillEvidenceAnalyzer {
     /**
      * Analyze evidence strength for matched skills AND missing skills
-     * @param {Array} matchedSkills - Skills that were matched
+     * @param {Array} matchedSkills - Skills that were matched (with match offsets from the matcher)
      * @param {Object} resumeData - Full resume data with sections
      * @param {Array} missingSkills - Skills that were not found in resume (optional)
      * @returns {Array} Evidence analysis for each skill
@@ -25,7 +49,12 @@ class SkillEvidenceAnalyzer {
 
         matchedSkills.forEach(match => {
             const skillName = match.matchedAs || match.skill;
-            const evidence = this.checkSkillEvidence(skillName, sections, hasSections);
+            // Reuse the matcher's offsets so evidence points at exactly what was scored
+            const matches = match.matches || textAnalyzer.findSkillMatches(skillName, resumeText);
+            const evidence = this.checkSkillEvidence(skillName, sections, hasSections, matches);
+            // When and how well it was used, as the matcher scored it
+            evidence.usage = match.usage || null;
+            evidence.proficiency = match.proficiency || null;
             evidenceReport.push(evidence);
         });
 
@@ -36,7 +65,8 @@ class SkillEvidenceAnalyzer {
                 strength: 'MISSING',
                 verdict: 'Not found in resume',
                 hasContextualUsage: false,
-                recommendation: `Add ${skill} to your resume - it's a required skill`
+                recommendation: `Add ${skill} to your resume - it's a required skill`,
+                locations: []
             });
         });
 
@@ -44,43 +74,74 @@ class SkillEvidenceAnalyzer {
     }
 
     /**
-     * Extract resume sections
+     * Extract resume sections as text plus [start, end) ranges into the resume
+     * A section runs until the next standalone section heading
      */
     extractSections(text) {
-        const lowerText = text.toLowerCase();
+        const headings = [];
+        Object.entries(SECTION_HEADINGS).forEach(([section, pattern]) => {
+            for (const match of text.matchAll(pattern)) {
+                headings.push({ section, start: match.index });
+            }
+        });
+        headings.sort((a, b) => a.start - b.start);
 
-        // Find section boundaries
-        const skillsStart = lowerText.search(/\b(skills?|technical skills?|core competencies)\b/);
-        const experienceStart = lowerText.search(/\b(experience|work history|employment|professional experience)\b/);
-        const projectsStart = lowerText.search(/\b(projects?|key projects?)\b/);
+        const ranges = {};
+        headings.forEach((heading, index) => {
+            if (heading.section === 'other' || ranges[heading.section]) return;
+            const next = headings[index + 1];
+            ranges[heading.section] = [heading.start, next ? next.start : text.length];
+        });
+
+        // No standalone headings (e.g. flattened PDF text) - fall back to the first mention
+        if (!ranges.skills && !ranges.experience && !ranges.projects) {
+            const lowerText = text.toLowerCase();
+            const skillsStart = lowerText.search(/\b(skills?|technical skills?|core competencies)\b/);
+            const experienceStart = lowerText.search(/\b(experience|work history|employment|professional experience)\b/);
+            const projectsStart = lowerText.search(/\b(projects?|key projects?)\b/);
+
+            if (skillsStart >= 0) {
+                ranges.skills = [skillsStart, experienceStart > skillsStart ? experienceStart : text.length];
+            }
+            if (experienceStart >= 0) ranges.experience = [experienceStart, text.length];
+            if (projectsStart >= 0) ranges.projects = [projectsStart, text.length];
+        }
+
+        const slice = range => range ? text.substring(range[0], range[1]) : '';
 
         return {
-            skills: skillsStart >= 0 ? text.substring(skillsStart, experienceStart >= 0 ? experienceStart : text.length) : '',
-            experience: experienceStart >= 0 ? text.substring(experienceStart, text.length) : '',
-            projects: projectsStart >= 0 ? text.substring(projectsStart, text.length) : '',
-            full: text
+            skills: slice(ranges.skills),
+            experience: slice(ranges.experience),
+            projects: slice(ranges.projects),
+            full: text,
+            ranges
         };
     }
 
     /**
      * Check evidence for a single skill
+     * @param {string} skillName - Skill as matched in the resume
+     * @param {Object} sections - From extractSections
+     * @param {boolean} hasSections - Whether experience/projects sections were found
+     * @param {Array<Object>} matches - Offsets of the skill in the resume [{ start, end, text }]
      */
-    checkSkillEvidence(skillName, sections, hasSections) {
+    checkSkillEvidence(skillName, sections, hasSections, matches = []) {
         if (!skillName || typeof skillName !== 'string') return this.getEmptyEvidence(skillName);
 
-        const skillLower = skillName.toLowerCase();
-        const safeSkill = this.escapeRegExp(skillLower);
-        const skillRegex = new RegExp(`\\b${safeSkill}\\b`, 'i');
+        const locations = matches.map(match => ({
+            ...match,
+            section: this.sectionAt(sections.ranges, match.start)
+        }));
 
         // Check occurrences
-        const inSkills = sections.skills ? skillRegex.test(sections.skills) : false;
-        const inExperience = sections.experience ? skillRegex.test(sections.experience) : false;
-        const inProjects = sections.projects ? skillRegex.test(sections.projects) : false;
+        const inSkills = locations.some(location => location.section === 'skills');
+        const inExperience = locations.some(location => location.section === 'experience');
+        const inProjects = locations.some(location => location.section === 'projects');
 
         // Fallback: Check full text if not found in sections
         // If the matcher passed this skill, it MUST be in the full text.
         // We trust the matcher's judgment that the skill exists.
-        const inFullText = sections.full ? skillRegex.test(sections.full) : false;
+        const inFullText = locations.length > 0;
 
         let strength = 'MISSING';
         let verdict = 'Not found in parsed sections';
@@ -89,8 +150,10 @@ class SkillEvidenceAnalyzer {
         if (inExperience || inProjects) {
             // BEST CASE: Found in work/projects
             // Check context
-            const contextText = (sections.experience || '') + ' ' + (sections.projects || '');
-            const hasContext = this.hasContextualEvidence(skillName, contextText);
+            const contextLocations = locations.filter(location =>
+                location.section === 'experience' || location.section === 'projects'
+            );
+            const hasContext = this.hasContextualEvidence(sections.full, contextLocations);
 
             strength = 'STRONG';
             verdict = hasContext ? 'Demonstrated with action verbs' : 'Found in Experience/Projects';
@@ -113,7 +176,38 @@ class SkillEvidenceAnalyzer {
             strength,
             verdict,
             hasContextualUsage: strength === 'STRONG',
-            recommendation
+            recommendation,
+            // Strongest evidence first, with the surrounding line for highlighting
+            locations: locations
+                .sort((a, b) => SECTION_RANK[a.section] - SECTION_RANK[b.section] || a.start - b.start)
+                .slice(0, MAX_LOCATIONS)
+                .map(location => ({ ...location, context: this.getContext(sections.full, location) }))
+        };
+    }
+
+    /**
+     * Which section an offset falls in ('experience', 'projects', 'skills' or 'other')
+     */
+    sectionAt(ranges, offset) {
+        const entry = Object.entries(ranges || {})
+            .filter(([, [start, end]]) => offset >= start && offset < end)
+            // Nested fallback ranges (experience running to the end) lose to the tighter one
+            .sort(([, a], [, b]) => (a[1] - a[0]) - (b[1] - b[0]))[0];
+        return entry ? entry[0] : 'other';
+    }
+
+    /**
+     * The line around a match, trimmed, with the match position inside it
+     */
+    getContext(text, { start, end }) {
+        const lineStart = Math.max(text.lastIndexOf('\n', start - 1) + 1, start - CONTEXT_CHARS);
+        const lineEndIndex = text.indexOf('\n', end);
+        const lineEnd = Math.min(lineEndIndex === -1 ? text.length : lineEndIndex, end + CONTEXT_CHARS);
+
+        return {
+            text: text.substring(lineStart, lineEnd),
+            matchStart: start - lineStart,
+            matchEnd: end - lineStart
         };
     }
 
@@ -122,28 +216,14 @@ class SkillEvidenceAnalyzer {
     }
 
     /**
-     * Check if skill appears near action verbs (contextual evidence)
+     * Check if any match sits near an action verb (within 50 chars on the same line)
      */
-    hasContextualEvidence(skillName, experienceText) {
-        const actionVerbs = [
-            'developed', 'designed', 'built', 'implemented', 'created',
-            'engineered', 'architected', 'delivered', 'deployed', 'managed',
-            'led', 'optimized', 'improved', 'maintained', 'integrated',
-            'configured', 'automated', 'migrated', 'scaled', 'debugged'
-        ];
-
-        const skillLower = skillName.toLowerCase();
-        const textLower = experienceText.toLowerCase();
-
-        // Create regex to find skill near action verb (within 50 chars)
-        for (const verb of actionVerbs) {
-            const pattern = new RegExp(`${verb}.{0,50}${skillLower}|${skillLower}.{0,50}${verb}`, 'i');
-            if (pattern.test(textLower)) {
-                return true;
-            }
-        }
-
-        return false;
+    hasContextualEvidence(text, locations) {
+        return locations.some(({ start, end }) => {
+            const { text: line, matchStart, matchEnd } = this.getContext(text, { start, end });
+            const window = line.substring(Math.max(0, matchStart - 50), matchEnd + 50);
+            return ACTION_VERB_PATTERN.test(window);
+        });
     }
 
     /**
@@ -0,0 +1,92 @@
+/**
+ * POST /api/analyze/batch: ranking, per-file errors and upload limits
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { useServer, form, resume, JOB_DESCRIPTION } = require('./helpers');
+
+const api = useServer({ MAX_BATCH_RESUMES: '3' });
+
+const STRONG = resume('Strong Match', ['JavaScript', 'Node.js', 'React', 'PostgreSQL']);
+const WEAK = resume('Weak Match', ['JavaScript']);
+
+test('batch ranks candidates by score', async () => {
+    const { status, body } = await api.post('/api/analyze/batch', form([
+        ['resumes', 'weak.txt', WEAK],
+        ['resumes', 'strong.txt', STRONG]
+    ], { jobDescription: JOB_DESCRIPTION }));
+
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.analyzed, 2);
+    assert.deepStrictEqual(body.candidates.map(c => [c.rank, c.fileName]), [[1, 'strong.txt'], [2, 'weak.txt']]);
+    assert.ok(body.candidates[0].score > body.candidates[1].score);
+    assert.deepStrictEqual(body.jobRequirements.requiredExperience, 3);
+});
+
+test('a file that fails to parse is reported without aborting the batch', async () => {
+    const { status, body } = await api.post('/api/analyze/batch', form([
+        ['resumes', 'broken.pdf', 'not a pdf'],
+        ['resumes', 'strong.txt', STRONG]
+    ], { jobDescription: JOB_DESCRIPTION }));
+
+    assert.strictEqual(status, 200);
+    assert.deepStrictEqual(body.candidates.map(c => c.fileName), ['strong.txt']);
+    assert.deepStrictEqual(body.errors.map(e => e.fileName), ['broken.pdf']);
+});
+
+test('a file with an unsupported extension is reported without aborting the batch', async () => {
+    const { status, body } = await api.post('/api/analyze/batch', form([
+        ['resumes', 'photo.png', 'png bytes'],
+        ['resumes', 'strong.txt', STRONG]
+    ], { jobDescription: JOB_DESCRIPTION }));
+
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.totalResumes, 2);
+    assert.deepStrictEqual(body.candidates.map(c => c.fileName), ['strong.txt']);
+    assert.deepStrictEqual(body.errors.map(e => [e.fileName, e.code]), [['photo.png', 'UNSUPPORTED_FILE_TYPE']]);
+});
+
+test('a batch with no supported file is rejected', async () => {
+    const { status, body } = await api.post('/api/analyze/batch', form([['resumes', 'photo.png', 'png bytes']], { jobDescription: JOB_DESCRIPTION }));
+
+    assert.strictEqual(status, 400);
+    assert.strictEqual(body.errors[0].code, 'UNSUPPORTED_FILE_TYPE');
+});
+
+test('batch rejects more resumes than MAX_BATCH_RESUMES', async () => {
+    const { status, body } = await api.post('/api/analyze/batch', form(
+        [1, 2, 3, 4].map(n => ['resumes', `resume-${n}.txt`, STRONG]),
+        { jobDescription: JOB_DESCRIPTION }
+    ));
+
+    assert.strictEqual(status, 400);
+    assert.match(body.error, /Maximum 3 resumes per batch/);
+});
+
+test('batch names the expected field when files arrive under another one', async () => {
+    const { status, body } = await api.post('/api/analyze/batch', form([['resume', 'strong.txt', STRONG]], { jobDescription: JOB_DESCRIPTION }));
+
+    assert.strictEqual(status, 400);
+    assert.match(body.error, /Unexpected file field "resume"/);
+});
+
+test('analyze and compare accept one resume file', async () => {
+    for (const route of ['/api/analyze', '/api/analyze/compare']) {
+        const tooMany = await api.post(route, form([['resume', 'a.txt', STRONG], ['resume', 'b.txt', WEAK]], { jobDescription: JOB_DESCRIPTION }));
+        assert.strictEqual(tooMany.status, 400);
+        assert.strictEqual(tooMany.body.error, 'Only one resume file is allowed.');
+
+        const wrongField = await api.post(route, form([['resumes', 'a.txt', STRONG]], { jobDescription: JOB_DESCRIPTION }));
+        assert.strictEqual(wrongField.status, 400);
+        assert.match(wrongField.body.error, /Unexpected file field "resumes"/);
+        assert.doesNotMatch(wrongField.body.error, /per batch/);
+    }
+});
+
+test('batch requires a job description', async () => {
+    const { status, body } = await api.post('/api/analyze/batch', form([['resumes', 'strong.txt', STRONG]], { jobDescription: 'too short' }));
+
+    assert.strictEqual(status, 400);
+    assert.match(body.error, /at least 50 characters/);
+});
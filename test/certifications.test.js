@@ -0,0 +1,123 @@
+/**
+ * Certifications and licenses: parsed with issuer and dates, matched through aliases,
+ * scored as their own category and checked for expiry
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { resume } = require('./helpers');
+const certificationParser = require('../utils/certificationParser');
+const knockoutEvaluator = require('../utils/knockoutEvaluator');
+const fallbackJDParser = require('../utils/fallbackJDParser');
+const resumeParser = require('../services/resumeParser');
+const matcher = require('../engine/matcher');
+const explainer = require('../engine/explainer');
+
+const NOW = new Date('2026-10-19');
+
+const SECTION = [
+    'Certifications',
+    'AWS Solutions Architect - Associate, Amazon Web Services, issued Mar 2023, expires Mar 2026',
+    'Project Management Professional (PMP), PMI, 2024'
+].join('\n');
+
+// Parsed against a fixed date, so expiry does not depend on when the tests run
+const withCertifications = text => ({ rawText: text, certifications: certificationParser.parse(text, text, NOW) });
+
+test('certifications keep their issuer and dates', () => {
+    const [aws, pmp] = certificationParser.parse(SECTION, SECTION, NOW);
+
+    assert.strictEqual(aws.canonical, 'aws certified solutions architect');
+    assert.strictEqual(aws.issuer, 'Amazon Web Services');
+    assert.deepStrictEqual(aws.issued, { year: 2023, month: 3 });
+    assert.deepStrictEqual(aws.expires, { year: 2026, month: 3 });
+    assert.strictEqual(aws.expirySource, 'stated');
+
+    assert.strictEqual(pmp.canonical, 'pmp');
+    assert.strictEqual(pmp.issuer, 'PMI');
+});
+
+test('certifications are dated and expire', () => {
+    const text = 'Certifications\nBLS - American Heart Association, issued Jan 2019, expires Jan 2021\nPMP, issued 2024';
+    const [bls, pmp] = certificationParser.parse(text, text, NOW);
+
+    assert.strictEqual(bls.expired, true);
+    assert.deepStrictEqual(bls.expires, { year: 2021, month: 1 });
+    assert.strictEqual(pmp.expired, false);
+    // No stated expiry: the taxonomy's validity period applies
+    assert.strictEqual(pmp.expirySource, 'validity');
+});
+
+test('aliases and higher credentials satisfy a requirement', () => {
+    const held = certificationParser.parse('Certifications\nAWS Solutions Architect Professional, 2025', '', NOW);
+
+    assert.ok(certificationParser.findHeld(held, 'AWS Certified Solutions Architect'));
+    assert.ok(certificationParser.findHeld(held, 'aws solutions architect associate'));
+    assert.strictEqual(certificationParser.findHeld(held, 'PMP'), null);
+});
+
+test('a certificate is not a degree', () => {
+    const resumeData = resumeParser.parseResumeText(resume('Cert Holder', ['AWS'], `\n${SECTION}`));
+
+    assert.deepStrictEqual(resumeData.education, ['Bachelor']);
+    assert.deepStrictEqual(resumeData.certifications.map(cert => cert.canonical), ['aws certified solutions architect', 'pmp']);
+});
+
+test('a JD\'s certifications are kept apart from its skills', () => {
+    const jdData = fallbackJDParser.parse([
+        'Job Title: Cloud Architect',
+        '',
+        'Requirements:',
+        '- AWS Certified Solutions Architect required',
+        '- 5+ years of experience with AWS'
+    ].join('\n'));
+
+    assert.deepStrictEqual(jdData.requiredCertifications, ['aws certified solutions architect']);
+    assert.ok(!jdData.requiredSkills.includes('aws certified solutions architect'));
+});
+
+test('certifications score as their own category, with reduced credit when expired', () => {
+    const result = matcher.scoreCertifications(withCertifications(SECTION), {
+        requiredCertifications: ['aws certified solutions architect', 'cissp'],
+        preferredCertifications: ['pmp']
+    });
+
+    assert.deepStrictEqual(result.matched.map(cert => cert.certification), ['PMP']);
+    assert.deepStrictEqual(result.expired.map(cert => [cert.certification, cert.expires]), [['AWS Certified Solutions Architect', 'Mar 2026']]);
+    assert.deepStrictEqual(result.missing, [{ certification: 'CISSP', required: true }]);
+    assert.ok(result.points > 0 && result.points < result.maxPoints);
+    assert.match(result.verdict, /1 expired - missing 1 required/);
+});
+
+test('gaps call out missing required and expired certifications', async () => {
+    const resumeData = resumeParser.parseResumeText(resume('Cert Holder', ['AWS'], `\n${SECTION}`));
+    resumeData.certifications = certificationParser.parse(SECTION, SECTION, NOW);
+    const jdData = fallbackJDParser.parse('Job Title: Cloud Architect\n\nRequirements:\n- 5+ years of experience with AWS');
+    jdData.requiredCertifications = ['aws certified solutions architect', 'cissp'];
+
+    const gaps = explainer.generateGaps(await matcher.calculateMatch(resumeData, jdData));
+
+    const missing = gaps.find(gap => gap.category === 'Missing Required Certifications');
+    assert.strictEqual(missing.severity, 'CRITICAL');
+    assert.strictEqual(missing.specifics, 'CISSP');
+    assert.strictEqual(gaps.find(gap => gap.category === 'Expired Certifications').severity, 'HIGH');
+});
+
+test('a license knockout checks the certification dates', () => {
+    const text = [
+        'CERTIFICATIONS',
+        'BLS - American Heart Association, issued Jan 2019, expires Jan 2021',
+        'Registered Nurse (RN), Texas Board of Nursing, expires Dec 2030'
+    ].join('\n');
+    const criteria = knockoutEvaluator.normalizeCriteria([
+        { type: 'license', requirement: 'BLS certification' },
+        { type: 'license', requirement: 'Active RN license' },
+        { type: 'license', requirement: 'ACLS' }
+    ]);
+
+    const [bls, rn, acls] = knockoutEvaluator.evaluate(criteria, withCertifications(text)).criteria;
+    assert.strictEqual(bls.status, 'failed');
+    assert.match(bls.evidence, /expired Jan 2021/);
+    assert.strictEqual(rn.status, 'met');
+    assert.strictEqual(acls.status, 'failed');
+});
@@ -0,0 +1,88 @@
+/**
+ * POST /api/analyze/compare and the JD comparator: best fit, recurring gaps, validation
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { useServer, resume, JOB_DESCRIPTION } = require('./helpers');
+const jdComparator = require('../services/jdComparator');
+
+const api = useServer();
+
+const WEAK = resume('Weak Match', ['JavaScript']);
+const DESIGN_JD = `Job Title: Product Designer
+
+We are hiring a product designer.
+Requirements:
+- 3+ years of experience with Figma and user research
+- Portfolio of shipped product design work`;
+
+test('compare ranks postings and names the best fit', async () => {
+    const { status, body } = await api.post('/api/analyze/compare', {
+        resumeText: resume('Strong Match', ['JavaScript', 'Node.js', 'React', 'PostgreSQL']),
+        jobDescriptions: [DESIGN_JD, JOB_DESCRIPTION]
+    });
+
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.comparisons.length, 2);
+    assert.strictEqual(body.bestFit.index, 1);
+    assert.strictEqual(body.bestFit.label, 'Job Title: Software Engineer');
+    assert.deepStrictEqual(body.comparisons.map(c => c.rank), [2, 1]);
+});
+
+test('compare counts a gap once per posting, even when postings share a title', async () => {
+    const { status, body } = await api.post('/api/analyze/compare', {
+        resumeText: WEAK,
+        jobDescriptions: [JOB_DESCRIPTION, JOB_DESCRIPTION]
+    });
+
+    assert.strictEqual(status, 200);
+    const react = body.recurringGaps.find(gap => gap.skill.toLowerCase() === 'react');
+    assert.ok(react, 'React is missing from both postings');
+    assert.strictEqual(react.missingIn, 2);
+    assert.deepStrictEqual(react.postingIndexes, [0, 1]);
+    assert.strictEqual(react.inAllPostings, true);
+});
+
+test('compare rejects job descriptions that are not strings', async () => {
+    for (const jobDescriptions of [[JOB_DESCRIPTION, 42], [JOB_DESCRIPTION, { text: JOB_DESCRIPTION }], [JOB_DESCRIPTION, null]]) {
+        const { status, body } = await api.post('/api/analyze/compare', { resumeText: WEAK, jobDescriptions });
+        assert.strictEqual(status, 400);
+        assert.strictEqual(body.error, 'Each job description must be a string');
+    }
+});
+
+test('compare needs between 2 and 15 job descriptions', async () => {
+    const { status, body } = await api.post('/api/analyze/compare', { resumeText: WEAK, jobDescriptions: [JOB_DESCRIPTION] });
+
+    assert.strictEqual(status, 400);
+    assert.match(body.error, /between 2 and 15/);
+});
+
+test('a knocked-out posting is not the best fit, whatever its score', () => {
+    const entry = (label, score, knockedOut) => ({
+        label,
+        matchResult: {
+            totalScore: score,
+            knockedOut,
+            knockout: { failed: knockedOut ? [{ requirement: 'Active RN license' }] : [] },
+            breakdown: {
+                requiredSkills: { matchedSkills: [], partialMatches: [], missingSkills: [], totalRequired: 0 },
+                preferredSkills: { matchedSkills: [] },
+                experience: {},
+                education: {},
+                certifications: { missing: [], expired: [] }
+            }
+        }
+    });
+
+    const { bestFit, comparisons } = jdComparator.compare([entry('Nurse', 90, true), entry('Clerk', 60, false)]);
+    assert.strictEqual(bestFit.label, 'Clerk');
+    assert.deepStrictEqual(comparisons.map(c => c.rank), [2, 1]);
+});
+
+test('labels come from the first line of a JD, shortened', () => {
+    assert.strictEqual(jdComparator.deriveLabel('\n  Senior Engineer\nBody', 0), 'Senior Engineer');
+    assert.strictEqual(jdComparator.deriveLabel('', 2), 'Job 3');
+    assert.strictEqual(jdComparator.deriveLabel('x'.repeat(80), 0).length, 60);
+});
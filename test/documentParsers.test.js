@@ -0,0 +1,80 @@
+/**
+ * Resume file formats: RTF, ODT, Markdown and legacy Word .doc read into the same plain text
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const resumeParser = require('../services/resumeParser');
+const { resume, docx, odt } = require('./helpers');
+
+const RESUME = resume('Jane Doe', ['JavaScript', 'Node.js']);
+const LINES = RESUME.split('\n');
+
+test('RTF: control words, metadata groups and escapes are stripped', async () => {
+    const rtf = '{\\rtf1\\ansi{\\fonttbl{\\f0 Arial;}}{\\info{\\title Resume}}{\\*\\generator Word;}\\f0 ' +
+        LINES.join('\\par\n') + '\\par Caf\\\'e9 \\u8211? dash \\{braces\\}}';
+    const parsed = await resumeParser.parseResume(Buffer.from(rtf, 'latin1'), 'resume.rtf');
+
+    assert.ok(parsed.rawText.startsWith('Jane Doe\n'));
+    assert.doesNotMatch(parsed.rawText, /Arial|Resume\b|Word;/);
+    assert.match(parsed.rawText, /Café – dash \{braces\}$/);
+    assert.strictEqual(parsed.contact.email, 'jane.doe@example.com');
+    assert.deepStrictEqual(parsed.experience.map(role => role.company), ['Acme Corp']);
+});
+
+test('RTF: a file without the RTF header is rejected', async () => {
+    await assert.rejects(resumeParser.parseResume(Buffer.from(RESUME), 'resume.rtf'), /Failed to parse RTF: Not a valid RTF document/);
+});
+
+test('ODT: paragraphs become lines', async () => {
+    const parsed = await resumeParser.parseResume(await odt(LINES), 'resume.odt');
+
+    assert.match(parsed.rawText, /^Jane Doe\njane\.doe@example\.com/);
+    assert.deepStrictEqual(parsed.experience.map(role => [role.title, role.company]), [['Software Engineer', 'Acme Corp']]);
+    assert.ok(parsed.skills.includes('Node.js'));
+});
+
+test('ODT: an archive without content.xml is rejected', async () => {
+    await assert.rejects(resumeParser.parseResume(await docx(LINES), 'resume.odt'), /Failed to parse ODT: content.xml not found/);
+});
+
+test('Markdown: headings, emphasis, links and tables read as plain text', async () => {
+    const markdown = [
+        '# Jane Doe',
+        'jane.doe@example.com | [Portfolio](https://jane.dev)',
+        '',
+        '## Experience',
+        '### Software Engineer',
+        'Acme Corp, Austin, TX',
+        'Jan 2019 - Present',
+        '* Built **REST APIs** in `Node.js` with *React* clients',
+        '',
+        '## Skills',
+        '| Language | Level |',
+        '|---|---|',
+        '| JavaScript | Expert |',
+        '',
+        'Variables in snake_case_names and 2*3*4 stay intact'
+    ].join('\n');
+    const parsed = await resumeParser.parseResume(Buffer.from(markdown), 'resume.md');
+
+    assert.match(parsed.rawText, /^Jane Doe\n/);
+    assert.match(parsed.rawText, /Portfolio \(https:\/\/jane\.dev\)/);
+    assert.match(parsed.rawText, /^- Built REST APIs in Node\.js with React clients$/m);
+    assert.match(parsed.rawText, /JavaScript {2}\| {2}Expert/);
+    assert.doesNotMatch(parsed.rawText, /---|#|\*\*/);
+    assert.match(parsed.rawText, /snake_case_names and 2\*3\*4/);
+    assert.deepStrictEqual(parsed.experience.map(role => role.title), ['Software Engineer']);
+});
+
+test('DOC: a Word document saved with a .doc extension is read', async () => {
+    const parsed = await resumeParser.parseResume(await docx(LINES), 'resume.doc');
+
+    assert.match(parsed.rawText, /^Jane Doe/);
+    assert.deepStrictEqual(parsed.experience.map(role => role.company), ['Acme Corp']);
+});
+
+test('DOC: an unreadable file asks for DOCX or PDF instead', async () => {
+    await assert.rejects(resumeParser.parseResume(Buffer.from('not a word document'), 'resume.doc'),
+        /Failed to parse DOC: .*please re-save the resume as DOCX or PDF/);
+});
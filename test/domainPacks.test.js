@@ -0,0 +1,80 @@
+/**
+ * Domain packs: non-software JDs are detected and parsed with their own licenses, tools and skills
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const domainDetector = require('../utils/domainDetector');
+const fallbackJDParser = require('../utils/fallbackJDParser');
+const resumeParser = require('../services/resumeParser');
+const matcher = require('../engine/matcher');
+
+const NURSE_JD = `Registered Nurse - Medical/Surgical Unit
+We are hiring an RN for our inpatient unit.
+Requirements:
+- Active RN license and BLS certification
+- 2+ years of acute care nursing experience
+- Experience charting in Epic
+- Strong patient care and medication administration skills`;
+
+const ACCOUNTANT_JD = `Senior Accountant
+Requirements:
+- CPA required
+- 4+ years of experience with month-end close and GAAP
+- Advanced Excel and QuickBooks`;
+
+const AGILE_JD = `Software Engineer
+Requirements:
+- 3+ years of JavaScript and React
+- Break down epics into user stories in Jira with the product team
+- Experience with Node.js APIs`;
+
+test('a nursing JD is healthcare: licenses are certifications, Epic is a tool', () => {
+    const jd = fallbackJDParser.parse(NURSE_JD);
+
+    assert.strictEqual(jd.domain.primary, 'healthcare');
+    assert.strictEqual(jd.domain.confidence, 'high');
+    assert.deepStrictEqual(jd.requiredCertifications, ['registered nurse', 'bls']);
+    assert.deepStrictEqual(jd.requiredSkills, ['epic', 'patient care', 'medication administration']);
+});
+
+test('an accounting JD is finance', () => {
+    const jd = fallbackJDParser.parse(ACCOUNTANT_JD);
+
+    assert.deepStrictEqual(jd.domain.domains, ['finance']);
+    assert.deepStrictEqual(jd.requiredCertifications, ['cpa']);
+    assert.deepStrictEqual([...jd.requiredSkills].sort(), ['excel', 'gaap', 'month-end close', 'quickbooks']);
+});
+
+test('"epics" in a software JD is not the Epic EHR', () => {
+    const jd = fallbackJDParser.parse(AGILE_JD);
+
+    assert.deepStrictEqual(jd.domain.domains, ['software']);
+    assert.ok(!jd.requiredSkills.includes('epic'));
+    assert.ok(jd.requiredSkills.includes('jira'));
+});
+
+test('without evidence the domain falls back to software, with low confidence', () => {
+    const result = domainDetector.detect('We are hiring. Apply today.');
+
+    assert.deepStrictEqual([result.primary, result.confidence], ['software', 'low']);
+});
+
+test('a nurse resume earns required-skill points against a nursing JD', () => {
+    const resumeData = resumeParser.parseResumeText(`Maria Lopez, RN
+maria.lopez@example.com
+
+Experience
+Staff Nurse
+Mercy Hospital
+Jan 2020 - Dec 2024
+- Delivered patient care on a 30-bed surgical unit
+- Documented medication administration in Epic
+
+Licenses
+Registered Nurse (RN), BLS`);
+    const result = matcher.scoreRequiredSkills(resumeData, fallbackJDParser.parse(NURSE_JD));
+
+    assert.deepStrictEqual(result.missingSkills, []);
+    assert.strictEqual(result.points, result.maxPoints);
+});
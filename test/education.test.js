@@ -0,0 +1,101 @@
+/**
+ * Education: degrees with field, institution and year, the JD's required field,
+ * field-aware scoring and "or equivalent experience"
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const educationParser = require('../utils/educationParser');
+const fallbackJDParser = require('../utils/fallbackJDParser');
+const resumeParser = require('../services/resumeParser');
+const matcher = require('../engine/matcher');
+
+const NOW = new Date('2026-10-19');
+
+const CS_BACHELORS = { educationRequirement: 'Bachelors', educationFields: ['Computer Science'], relatedFieldsAccepted: false };
+
+const withDegree = degree => resumeParser.parseResumeText([
+    'Pat Lee',
+    'pat.lee@example.com',
+    '',
+    'Experience',
+    'Software Engineer',
+    'Acme Corp, Austin, TX',
+    'Jan 2016 - Present',
+    '- Built APIs',
+    '',
+    'Education',
+    degree
+].join('\n'));
+
+test('degrees keep their field, institution and graduation year', () => {
+    const degrees = educationParser.parse([
+        'Education',
+        'Bachelor of Engineering (Hons) in Mechanical Engineering, 2016',
+        'BSN, University of Michigan, 2020',
+        'M.S. in Data Science (Expected 2027)'
+    ].join('\n'), '', NOW);
+
+    assert.deepStrictEqual(degrees.map(d => [d.level, d.field, d.graduationYear, d.expected]), [
+        ['Bachelors', 'Mechanical Engineering', 2016, false],
+        ['Bachelors', 'Nursing', 2020, false],
+        ['Masters', 'Data Science', 2027, true]
+    ]);
+    assert.strictEqual(degrees[1].institution, 'University of Michigan');
+});
+
+test('a JD degree requirement yields its fields and equivalent experience', () => {
+    const requirement = educationParser.parseRequirement(
+        "Requirements:\n- Bachelor's degree in Computer Science, Engineering, or a related field, or 6+ years of equivalent experience"
+    );
+
+    assert.deepStrictEqual(requirement.fields, ['Computer Science', 'Engineering']);
+    assert.strictEqual(requirement.relatedFields, true);
+    assert.strictEqual(requirement.equivalentExperience.years, 6);
+});
+
+test('the fallback JD parser carries the required field and equivalent experience', () => {
+    const jdData = fallbackJDParser.parse([
+        'Job Title: Software Engineer',
+        '',
+        'Requirements:',
+        "- Bachelor's degree in Computer Science or 6+ years of equivalent experience",
+        '- Experience with Node.js'
+    ].join('\n'));
+
+    assert.deepStrictEqual(jdData.educationFields, ['Computer Science']);
+    assert.strictEqual(jdData.equivalentExperience.years, 6);
+});
+
+test('a degree in the required field earns full points, an unrelated one does not', () => {
+    const cs = matcher.scoreEducation(withDegree('Bachelor of Science in Computer Science, University of Texas, 2015'), CS_BACHELORS);
+    assert.strictEqual(cs.points, cs.maxPoints);
+    assert.strictEqual(cs.field.status, 'match');
+    assert.strictEqual(cs.bestDegree.institution, 'University of Texas');
+
+    const arts = matcher.scoreEducation(withDegree('Bachelor of Fine Arts in Painting, 2015'), CS_BACHELORS);
+    assert.strictEqual(arts.field.status, 'unrelated');
+    assert.ok(arts.points < cs.points / 2);
+    assert.match(arts.verdict, /Degree level met - Fine Arts is unrelated to Computer Science/);
+});
+
+test('a neighbouring field keeps most of the credit', () => {
+    const result = matcher.scoreEducation(withDegree('Bachelor of Science in Software Engineering, 2015'), CS_BACHELORS);
+
+    assert.ok(result.field.similarity > 0.5 && result.field.similarity < 1);
+    assert.ok(result.points > result.maxPoints / 2 && result.points < result.maxPoints);
+});
+
+test('equivalent experience substitutes for the degree, with a visible explanation', () => {
+    const jdData = { ...CS_BACHELORS, equivalentExperience: { years: 6, text: 'or 6+ years of equivalent experience' } };
+
+    const experienced = matcher.scoreEducation(withDegree(''), jdData, undefined, 10);
+    assert.strictEqual(experienced.equivalentExperience.applied, true);
+    assert.ok(experienced.points > 0);
+    assert.match(experienced.verdict, /^Equivalent experience: 10 relevant years accepted in place of a Bachelors degree/);
+
+    const junior = matcher.scoreEducation(withDegree(''), jdData, undefined, 3);
+    assert.strictEqual(junior.equivalentExperience.applied, false);
+    assert.strictEqual(junior.points, 0);
+    assert.match(junior.verdict, /3 of 6 relevant years needed/);
+});
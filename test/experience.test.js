@@ -0,0 +1,67 @@
+/**
+ * Relevant experience: only roles that mention the JD's skills count toward its year requirement
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const resumeParser = require('../services/resumeParser');
+const matcher = require('../engine/matcher');
+
+const CAREER_CHANGER = resumeParser.parseResumeText(`Jordan Lee
+jordan.lee@example.com
+
+Experience
+Software Engineer
+Acme Corp
+Jan 2021 - Dec 2022
+- Built REST APIs in Node.js and PostgreSQL
+
+Line Cook
+Chez Panisse, Berkeley, CA
+Jan 2013 - Dec 2020
+- Prepared mise en place for 200 covers a night
+
+Skills
+JavaScript, Node.js, PostgreSQL`);
+
+const jd = (requiredExperience, requiredSkills = ['Node.js', 'PostgreSQL']) => ({
+    requiredExperience,
+    requiredSkills,
+    keywords: []
+});
+
+test('roles that mention no required skill are excluded from relevant years', () => {
+    const relevance = matcher.calculateRelevantExperience(CAREER_CHANGER, jd(3));
+
+    assert.strictEqual(relevance.method, 'relevant');
+    assert.strictEqual(relevance.relevantYears, 2);
+    assert.ok(relevance.totalYears >= 10);
+    assert.deepStrictEqual(relevance.countedRoles.map(role => role.title), ['Software Engineer']);
+    assert.deepStrictEqual(relevance.countedRoles[0].matchedSkills, ['Node.js', 'PostgreSQL']);
+    assert.deepStrictEqual(relevance.excludedRoles.map(role => role.title), ['Line Cook']);
+});
+
+test('with nothing to attribute against, total years count', () => {
+    const relevance = matcher.calculateRelevantExperience(CAREER_CHANGER, jd(3, []));
+
+    assert.strictEqual(relevance.method, 'total');
+    assert.strictEqual(relevance.relevantYears, relevance.totalYears);
+});
+
+test('the requirement is judged on relevant years, not total years', () => {
+    const short = matcher.scoreExperience(CAREER_CHANGER, jd(5));
+    assert.strictEqual(short.actual, 2);
+    assert.strictEqual(short.verdict, '2-4 years short');
+    assert.strictEqual(short.points, 10);
+
+    const met = matcher.scoreExperience(CAREER_CHANGER, jd(2));
+    assert.strictEqual(met.verdict, 'Excellent match');
+    assert.strictEqual(met.points, met.maxPoints);
+});
+
+test('without a requirement, relevant years earn proportional credit', () => {
+    const result = matcher.scoreExperience(CAREER_CHANGER, jd(0));
+
+    assert.strictEqual(result.required, 0);
+    assert.strictEqual(result.points, Math.round(result.maxPoints * 0.4));
+});
@@ -0,0 +1,85 @@
+/**
+ * Format audit: document structures ATS parsers drop, and how the findings reach risk flags and the checklist
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const JSZip = require('jszip');
+const formatAuditor = require('../services/formatAuditor');
+const { useServer, form, resume, docx, pdf, JOB_DESCRIPTION } = require('./helpers');
+
+const api = useServer();
+
+const LINES = resume('Jane Doe', ['JavaScript', 'Node.js']).split('\n');
+const BODY_LINES = LINES.filter(line => !line.includes('@'));
+
+const paragraph = text => `<w:p><w:r><w:t>${text}</w:t></w:r></w:p>`;
+const TABLE = `<w:tbl><w:tr><w:tc>${paragraph('Java')}</w:tc><w:tc>${paragraph('Python')}</w:tc></w:tr></w:tbl>`;
+const TEXT_BOX = `<w:p><w:r><w:pict><v:shape><v:textbox><w:txbxContent>${paragraph('Open to relocation')}</w:txbxContent></v:textbox></v:shape></w:pict></w:r></w:p>`;
+
+async function withHeader(buffer, text) {
+    const zip = await JSZip.loadAsync(buffer);
+    zip.file('word/header1.xml', `<w:hdr xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">${paragraph(text)}</w:hdr>`);
+    return zip.generateAsync({ type: 'nodebuffer' });
+}
+
+const auditDocx = async buffer => formatAuditor.audit({
+    format: '.docx',
+    buffer,
+    rawText: BODY_LINES.join('\n')
+});
+
+test('DOCX: tables, text boxes and header-only contact details are reported by severity', async () => {
+    const report = await auditDocx(await withHeader(await docx(BODY_LINES, TABLE + TEXT_BOX), 'jane.doe@example.com'));
+
+    assert.deepStrictEqual(report.issues.map(issue => [issue.category, issue.severity]), [
+        ['text-boxes', 'HIGH'],
+        ['header-footer', 'HIGH'],
+        ['tables', 'MEDIUM']
+    ]);
+    assert.deepStrictEqual(report.counts, { HIGH: 2, MEDIUM: 1, LOW: 0 });
+    assert.match(report.issues[1].details, /Your email appears only in the Word header/);
+});
+
+test('DOCX: contact details repeated in the body are not flagged', async () => {
+    const report = await formatAuditor.audit({
+        format: '.docx',
+        buffer: await withHeader(await docx(LINES), 'jane.doe@example.com'),
+        rawText: LINES.join('\n')
+    });
+
+    assert.deepStrictEqual(report.issues, []);
+});
+
+test('PDF: fonts without Unicode maps are reported', async () => {
+    const buffer = Buffer.from(pdf([[{ x: 50, y: 700, text: 'Experience' }]]).toString('latin1')
+        .replace('/Subtype /Type1 /BaseFont /Helvetica >>', '/Subtype /Type0 /BaseFont /ABCDEF+Calibri >>'), 'latin1');
+    const issues = formatAuditor.auditPDF(buffer, 'Experience', null);
+
+    assert.deepStrictEqual(issues.map(issue => issue.issue), ['Embedded fonts without Unicode maps']);
+    assert.match(issues[0].details, /^Calibri has no ToUnicode map/);
+});
+
+test('text: non-standard section names are reported with the headings found', () => {
+    const issues = formatAuditor.auditText('Jane Doe\n\nMY JOURNEY\nBuilt things\n\nEducation\nBS, 2018\n\nToolbox:\nJavaScript');
+
+    assert.deepStrictEqual(issues.map(issue => [issue.issue, issue.severity]), [['No standard "Experience" heading', 'HIGH'], ['No standard "Skills" heading', 'MEDIUM']]);
+    assert.match(issues[0].details, /"MY JOURNEY", "Toolbox:"/);
+});
+
+test('audit findings become a risk flag and an open checklist item', async () => {
+    const { status, body } = await api.post('/api/analyze', form(
+        [['resume', 'resume.docx', await docx(LINES, TEXT_BOX)]],
+        { jobDescription: JOB_DESCRIPTION }
+    ));
+
+    assert.strictEqual(status, 200);
+    const flag = body.advancedInsights.riskFlags.find(entry => entry.flag === 'ATS-hostile formatting');
+    assert.strictEqual(flag.severity, 'HIGH');
+    assert.deepStrictEqual(flag.issues.map(issue => issue.issue), ['1 text box']);
+
+    const item = body.advancedInsights.checklist.items.find(entry => entry.item === 'Use ATS-friendly formatting');
+    assert.strictEqual(item.status, 'TODO');
+    assert.strictEqual(item.priority, 'HIGH');
+    assert.match(item.description, /1 text box/);
+});
@@ -0,0 +1,150 @@
+/**
+ * Test helpers: an in-memory server on a random port, multipart forms and sample documents
+ * The server runs with no AI keys, so the fallback JD parser is used and nothing touches disk
+ */
+
+const { before, after } = require('node:test');
+const JSZip = require('jszip');
+
+/**
+ * Start the app for the calling test file and return a client
+ * @param {Object} env - Environment overrides, applied before server.js is loaded
+ * @returns {Object} { post(route, body) } - body is a FormData or a JSON-able object
+ */
+function useServer(env = {}) {
+    Object.assign(process.env, { UPLOAD_STORAGE: 'memory', GEMINI_API_KEY: '', OPENAI_API_KEY: '' }, env);
+    const app = require('../server');
+
+    let server;
+    let baseUrl;
+
+    before(async () => {
+        await new Promise(resolve => {
+            server = app.listen(0, resolve);
+        });
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => new Promise(resolve => server.close(resolve)));
+
+    return {
+        async post(route, body) {
+            const response = await fetch(`${baseUrl}${route}`, body instanceof FormData
+                ? { method: 'POST', body }
+                : { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+            return { status: response.status, body: await response.json() };
+        }
+    };
+}
+
+/**
+ * Multipart form: files as [field, fileName, content], plus text fields
+ */
+function form(files, fields = {}) {
+    const body = new FormData();
+    files.forEach(([field, name, content]) => body.append(field, new Blob([content]), name));
+    Object.entries(fields).forEach(([key, value]) => body.append(key, value));
+    return body;
+}
+
+const escapeXml = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+/**
+ * A minimal Word document: one paragraph per line, plus any extra body XML (tables, text boxes)
+ * @returns {Promise<Buffer>}
+ */
+function docx(lines, extraBodyXml = '') {
+    const zip = new JSZip();
+    zip.file('[Content_Types].xml', '<?xml version="1.0"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/></Types>');
+    zip.file('_rels/.rels', '<?xml version="1.0"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/></Relationships>');
+    const body = lines.map(line => `<w:p><w:r><w:t xml:space="preserve">${escapeXml(line)}</w:t></w:r></w:p>`).join('');
+    zip.file('word/document.xml', '<?xml version="1.0"?><w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">' +
+        `<w:body>${body}${extraBodyXml}</w:body></w:document>`);
+    return zip.generateAsync({ type: 'nodebuffer' });
+}
+
+/**
+ * A minimal OpenDocument text file: one paragraph per line
+ * @returns {Promise<Buffer>}
+ */
+function odt(lines) {
+    const zip = new JSZip();
+    zip.file('mimetype', 'application/vnd.oasis.opendocument.text');
+    const body = lines.map(line => `<text:p>${escapeXml(line)}</text:p>`).join('');
+    zip.file('content.xml', '<?xml version="1.0"?><office:document-content xmlns:office="urn:oasis:names:tc:opendocument:xmlns:office:1.0" ' +
+        `xmlns:text="urn:oasis:names:tc:opendocument:xmlns:text:1.0"><office:body><office:text>${body}</office:text></office:body></office:document-content>`);
+    return zip.generateAsync({ type: 'nodebuffer' });
+}
+
+/**
+ * A minimal PDF with positioned text in Helvetica (F1) or Helvetica-Bold (F2)
+ * @param {Array<Array<Object>>} pages - Per page, text items as { x, y, text, size = 10, bold = false }
+ * @returns {Buffer}
+ */
+function pdf(pages) {
+    const objects = [
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>',
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold >>',
+        null    // Page tree, filled in once the page ids are known
+    ];
+    const add = object => objects.push(object);
+
+    const pageIds = pages.map(items => {
+        const content = items
+            .map(({ x, y, text, size = 10, bold = false }) =>
+                `BT /${bold ? 'F2' : 'F1'} ${size} Tf ${x} ${y} Td (${text.replace(/[()\\]/g, '\\$&')}) Tj ET`)
+            .join('\n');
+        const contentId = add(`<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`);
+        return add(`<< /Type /Page /Parent 3 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 1 0 R /F2 2 0 R >> >> /Contents ${contentId} 0 R >>`);
+    });
+    objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+    const catalogId = add('<< /Type /Catalog /Pages 3 0 R >>');
+
+    let output = '%PDF-1.4\n';
+    const offsets = objects.map((object, i) => {
+        const offset = Buffer.byteLength(output, 'latin1');
+        output += `${i + 1} 0 obj\n${object}\nendobj\n`;
+        return offset;
+    });
+    const xref = Buffer.byteLength(output, 'latin1');
+    output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n` +
+        offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('') +
+        `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R >>\nstartxref\n${xref}\n%%EOF`;
+    return Buffer.from(output, 'latin1');
+}
+
+const JOB_DESCRIPTION = `Job Title: Software Engineer
+
+We are hiring a software engineer to build services in Node.js and React.
+We do not offer visa sponsorship.
+Requirements:
+- 3+ years of experience with JavaScript
+- Experience with Node.js, React and PostgreSQL
+- Bachelor's degree in Computer Science`;
+
+/**
+ * A plain-text resume with one current role using the given skills
+ */
+function resume(name, skills, extra = '') {
+    return `${name}
+${name.toLowerCase().replace(/\s+/g, '.')}@example.com | (555) 123-4567
+
+Experience
+Software Engineer
+Acme Corp, Austin, TX
+Jan 2019 - Present
+- Built services with ${skills.join(', ')}
+${extra}
+
+Education
+Bachelor of Science in Computer Science, University of Texas, 2018
+
+Skills
+${skills.join(', ')}`;
+}
+
+module.exports = { useServer, form, resume, docx, odt, pdf, JOB_DESCRIPTION };
@@ -0,0 +1,75 @@
+/**
+ * Keyword density: context earns credit, skills-list mentions earn half, pasted keyword lists are penalized
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const keywordDensityScorer = require('../utils/keywordDensityScorer');
+const matcher = require('../engine/matcher');
+
+const KEYWORDS = ['microservices', 'kubernetes', 'terraform', 'observability'];
+
+const RESUME = `Jane Doe
+
+Experience
+Platform Engineer, Acme Corp
+- Migrated billing to microservices on Kubernetes
+- Maintained dashboards
+
+Skills
+Terraform, Observability`;
+
+test('keywords used in experience bullets earn full credit, skills-list mentions half', () => {
+    const result = keywordDensityScorer.scoreKeywordDensity(RESUME, KEYWORDS);
+
+    assert.deepStrictEqual(result.details.map(analysis => [analysis.keyword, analysis.credit]), [
+        ['microservices', 1], ['kubernetes', 1], ['terraform', 0.5], ['observability', 0.5]
+    ]);
+    assert.strictEqual(result.contextualMatches, 2);
+    assert.strictEqual(result.skillsOnlyMatches, 2);
+    assert.strictEqual(result.baseDensity, 75);
+    assert.strictEqual(result.stuffingPenalty, 0);
+});
+
+test('an action verb only counts on the same line as the keyword', () => {
+    const result = keywordDensityScorer.scoreKeywordDensity('Experience\n- Led the platform team\nKubernetes, Terraform', ['kubernetes']);
+
+    assert.strictEqual(result.details[0].contextualUses, 0);
+});
+
+test('a pasted line of JD keywords is penalized', () => {
+    const keywords = ['aws', 'docker', 'kubernetes', 'terraform', 'python', 'golang', 'kafka', 'redis', 'graphql', 'react'];
+    const stuffed = `Experience\n- Built internal tools\n\nSkills\n${keywords.join(' ')}`;
+    const result = keywordDensityScorer.scoreKeywordDensity(stuffed, keywords);
+
+    assert.strictEqual(result.listStuffing, true);
+    assert.strictEqual(result.stuffingPenalty, 15);
+    assert.strictEqual(result.density, result.baseDensity - 15);
+    assert.match(result.verdict, /15% stuffing penalty applied/);
+});
+
+test('a keyword repeated six or more times is penalized on its own row', () => {
+    const result = keywordDensityScorer.scoreKeywordDensity(`Experience\n${'- Built Kafka consumers\n'.repeat(6)}`, ['kafka', 'redis']);
+
+    assert.deepStrictEqual(result.details.map(analysis => analysis.stuffingPenalty), [10, 0]);
+});
+
+test('the matcher surfaces the per-keyword analysis with each document\'s wording', () => {
+    const result = matcher.scoreKeywordDensity(
+        { rawText: 'Experience\n- Built Machine-Learning pipelines' },
+        { keywords: ['machine learning'], original: 'Experience with Machine Learning is required' }
+    );
+
+    assert.deepStrictEqual(result.keywordAnalysis, [{
+        keyword: 'machine learning',
+        jdText: 'Machine Learning',
+        resumeText: 'Machine-Learning',
+        occurrences: 1,
+        contextualUses: 1,
+        skillsListUses: 0,
+        credit: 1,
+        stuffingPenalty: 0
+    }]);
+    assert.deepStrictEqual(result.matchedKeywords, ['Machine-Learning']);
+    assert.strictEqual(result.points, result.maxPoints);
+});
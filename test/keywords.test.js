@@ -0,0 +1,46 @@
+/**
+ * JD keyword extraction: whole technical terms and repeated phrases, without posting boilerplate
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const textAnalyzer = require('../utils/textAnalyzer');
+
+test('technical terms are extracted whole, symbols and case included', () => {
+    const keywords = textAnalyzer.extractKeywords(`We build services in Go and C++ with CI/CD pipelines.
+You will go deep on machine learning infrastructure and machine learning evaluation.
+Experience with Node.js and REST APIs.`);
+
+    ['machine learning', 'go', 'c++', 'ci/cd', 'node.js', 'rest api'].forEach(term => assert.ok(keywords.includes(term), term));
+    assert.ok(!keywords.includes('learning'));
+    assert.ok(!keywords.includes('machine'));
+});
+
+test('"go" as an English verb is not the Go language', () => {
+    assert.ok(!textAnalyzer.extractKeywords('You will go above and beyond to go deep on data pipelines.').includes('go'));
+});
+
+test('work authorization and hiring boilerplate are not keywords', () => {
+    const keywords = textAnalyzer.extractKeywords(`We need engineers who love Kubernetes.
+We cannot sponsor visas. Candidates must be authorized to work in the US; we cannot sponsor visas now or in the future.`);
+
+    assert.strictEqual(keywords[0], 'kubernetes');
+    ['need', 'engineers', 'cannot', 'sponsor', 'visas', 'cannot sponsor visas', 'authorized', 'future']
+        .forEach(word => assert.ok(!keywords.includes(word), word));
+});
+
+test('a phrase inside a longer repeated phrase is dropped', () => {
+    const keywords = textAnalyzer.extractKeywords(`Own REST API design end to end.
+- 5+ years of REST API design for public platforms
+- Lead REST API design reviews and API design guidelines`);
+
+    assert.ok(keywords.includes('rest api design'));
+    ['api design', 'rest api', 'rest', 'api', 'design'].forEach(fragment => assert.ok(!keywords.includes(fragment), fragment));
+});
+
+test('one-off word pairs are prose, not phrases', () => {
+    const keywords = textAnalyzer.extractKeywords('Improve billing reliability. Own incident response.');
+
+    assert.ok(!keywords.includes('billing reliability'));
+    assert.ok(keywords.includes('billing'));
+});
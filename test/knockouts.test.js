@@ -0,0 +1,124 @@
+/**
+ * Knockout criteria: extraction from the JD, evaluation against the resume, and the knocked-out verdict
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { useServer, form, resume, JOB_DESCRIPTION } = require('./helpers');
+const knockoutEvaluator = require('../utils/knockoutEvaluator');
+const fallbackJDParser = require('../utils/fallbackJDParser');
+const jdParser = require('../services/jdParser');
+const resumeParser = require('../services/resumeParser');
+const matcher = require('../engine/matcher');
+
+const api = useServer();
+
+const STRONG = resume('Strong Match', ['JavaScript', 'Node.js', 'React', 'PostgreSQL']);
+const WEAK = resume('Weak Match', ['JavaScript']);
+const KNOCKED_OUT = resume('Needs Sponsorship', ['JavaScript', 'Node.js', 'React', 'PostgreSQL'], '- Requires H-1B sponsorship');
+const CODER = resume('Medical Coder', ['JavaScript', 'Node.js'], '- Assigned CPT and ICD-10 codes to claims');
+
+const NO_SPONSORSHIP = knockoutEvaluator.normalizeCriteria([
+    { type: 'work_authorization', requirement: 'No visa sponsorship', text: 'We do not offer visa sponsorship' }
+])[0];
+
+const authorization = text => knockoutEvaluator.checkWorkAuthorization(NO_SPONSORSHIP, text).status;
+
+test('only explicit hard requirements become knockouts', () => {
+    const knockouts = fallbackJDParser.extractKnockouts([
+        'Must be a U.S. citizen.',
+        'Active Secret clearance required.',
+        'Ability to obtain a Top Secret clearance is a plus.',
+        "Bachelor's degree required.",
+        "Master's degree preferred.",
+        'Active RN license required.'
+    ].join('\n'));
+
+    assert.deepStrictEqual(knockouts.map(k => [k.type, k.level || k.skill || null]), [
+        ['work_authorization', null],
+        ['security_clearance', 'secret'],
+        ['degree', 'Bachelors'],
+        ['license', 'registered nurse']
+    ]);
+    assert.strictEqual(knockouts[0].citizenship, true);
+});
+
+test('AI knockouts are normalized, and unknown types or levels dropped', () => {
+    const { knockouts } = jdParser.parseAIResponse(JSON.stringify({
+        knockouts: [
+            { type: 'security_clearance', requirement: 'TS/SCI', text: 'Active TS/SCI clearance required' },
+            { type: 'work_authorization', requirement: 'No sponsorship', text: 'Unable to sponsor visas' },
+            { type: 'degree', requirement: 'Some college' },
+            { type: 'drug_test', requirement: 'Must pass a drug test' }
+        ]
+    }));
+
+    assert.deepStrictEqual(knockouts.map(k => k.type), ['security_clearance', 'work_authorization']);
+    assert.strictEqual(knockouts[0].level, 'ts/sci');
+    assert.strictEqual(knockouts[1].sponsorship, false);
+});
+
+test('CPT billing codes and other visa-like words are not a visa status', () => {
+    assert.strictEqual(authorization('Assigned CPT and ICD-10 codes to outpatient claims'), 'unverified');
+    assert.strictEqual(authorization('Expert in CPT coding and HCPCS'), 'unverified');
+    assert.strictEqual(authorization('Ran opt-in email campaigns'), 'unverified');
+    assert.strictEqual(authorization('Processed H-1B petitions for the HR team'), 'unverified');
+});
+
+test('a stated visa status or need for sponsorship fails', () => {
+    assert.strictEqual(authorization('Currently on F-1 CPT'), 'failed');
+    assert.strictEqual(authorization('Requires H-1B sponsorship'), 'failed');
+    assert.strictEqual(authorization('On STEM OPT, EAD valid through 2027'), 'failed');
+    assert.strictEqual(authorization('H-1B visa holder'), 'failed');
+});
+
+test('stated authorization meets the criterion', () => {
+    assert.strictEqual(authorization('U.S. citizen'), 'met');
+    assert.strictEqual(authorization('Authorized to work in the US'), 'met');
+});
+
+test('clearance and degree knockouts compare levels', () => {
+    const [secret, bachelors] = knockoutEvaluator.normalizeCriteria([
+        { type: 'security_clearance', requirement: 'Secret clearance', text: 'Active Secret clearance required' },
+        { type: 'degree', requirement: "Bachelor's degree", text: "Bachelor's degree required" }
+    ]);
+
+    assert.strictEqual(knockoutEvaluator.checkClearance(secret, 'Active Top Secret/SCI clearance').status, 'met');
+    assert.strictEqual(knockoutEvaluator.checkClearance(secret, 'Built dashboards').status, 'failed');
+    assert.strictEqual(knockoutEvaluator.checkDegree(bachelors, ['Master of Science in Physics']).status, 'met');
+    assert.strictEqual(knockoutEvaluator.checkDegree(bachelors, []).status, 'failed');
+});
+
+test('calculateMatch reports the failing criterion even when the score is high', async () => {
+    const jdData = fallbackJDParser.parse(JOB_DESCRIPTION);
+    const knockedOut = await matcher.calculateMatch(resumeParser.parseResumeText(KNOCKED_OUT), jdData);
+    const strong = await matcher.calculateMatch(resumeParser.parseResumeText(STRONG), jdData);
+
+    assert.strictEqual(knockedOut.knockedOut, true);
+    assert.deepStrictEqual(knockedOut.knockout.failed.map(c => c.type), ['work_authorization']);
+    assert.match(knockedOut.knockout.failed[0].evidence, /sponsorship is needed/);
+    assert.strictEqual(knockedOut.totalScore, strong.totalScore, 'the weighted score is still reported');
+    assert.strictEqual(strong.knockedOut, false);
+});
+
+test('batch ranks knocked-out candidates last, whatever their score', async () => {
+    const { status, body } = await api.post('/api/analyze/batch', form([
+        ['resumes', 'weak.txt', WEAK],
+        ['resumes', 'knocked-out.txt', KNOCKED_OUT],
+        ['resumes', 'strong.txt', STRONG]
+    ], { jobDescription: JOB_DESCRIPTION }));
+
+    assert.strictEqual(status, 200);
+    assert.deepStrictEqual(body.candidates.map(c => c.fileName), ['strong.txt', 'weak.txt', 'knocked-out.txt']);
+    assert.deepStrictEqual(body.candidates.map(c => c.rank), [1, 2, 3]);
+    assert.strictEqual(body.candidates[2].knockedOut, true);
+    assert.ok(body.candidates[2].score > body.candidates[1].score, 'knocked out despite the higher score');
+});
+
+test('batch does not knock out CPT billing codes as a visa status', async () => {
+    const { body } = await api.post('/api/analyze/batch', form([['resumes', 'coder.txt', CODER]], { jobDescription: JOB_DESCRIPTION }));
+
+    const criterion = body.candidates[0].knockout.criteria.find(c => c.type === 'work_authorization');
+    assert.strictEqual(body.candidates[0].knockedOut, false);
+    assert.strictEqual(criterion.status, 'unverified');
+});
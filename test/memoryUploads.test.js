@@ -0,0 +1,50 @@
+/**
+ * UPLOAD_STORAGE=memory: uploads are parsed from buffers and nothing is written to uploads/
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { useServer, form, resume, docx, JOB_DESCRIPTION } = require('./helpers');
+const resumeParser = require('../services/resumeParser');
+
+const api = useServer();
+
+const UPLOADS_DIR = path.join(__dirname, '..', 'uploads');
+const STRONG = resume('Strong Match', ['JavaScript', 'Node.js', 'React', 'PostgreSQL']);
+
+const listUploads = () => (fs.existsSync(UPLOADS_DIR) ? fs.readdirSync(UPLOADS_DIR).sort() : []);
+
+test('an uploaded resume is parsed from memory and never touches uploads/', async () => {
+    const before = listUploads();
+    const { status, body } = await api.post('/api/analyze', form(
+        [['resume', 'strong.docx', await docx(STRONG.split('\n'))]],
+        { jobDescription: JOB_DESCRIPTION }
+    ));
+
+    assert.strictEqual(status, 200);
+    assert.deepStrictEqual(body.breakdown.requiredSkills.missingSkills, []);
+    assert.strictEqual(body.privacy.storageMode, 'memory');
+    assert.strictEqual(body.privacy.storageDuration, 'Never written to disk (in-memory upload)');
+    assert.deepStrictEqual(listUploads(), before);
+});
+
+test('a batch of uploads is parsed from memory too', async () => {
+    const before = listUploads();
+    const { status, body } = await api.post('/api/analyze/batch', form(
+        [['resumes', 'a.txt', STRONG], ['resumes', 'b.docx', await docx(STRONG.split('\n'))]],
+        { jobDescription: JOB_DESCRIPTION }
+    ));
+
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.analyzed, 2);
+    assert.deepStrictEqual(listUploads(), before);
+});
+
+test('parsing a buffer needs the original file name to pick the parser', async () => {
+    await assert.rejects(resumeParser.parseResume(Buffer.from(STRONG)), /File name is required/);
+
+    const parsed = await resumeParser.parseResume(Buffer.from(STRONG), 'strong.txt');
+    assert.strictEqual(parsed.contact.email, 'strong.match@example.com');
+});
@@ -0,0 +1,77 @@
+/**
+ * Scanned PDFs: OCR runs only for page images, and every way it cannot run says why
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const zlib = require('zlib');
+const path = require('path');
+const resumeParser = require('../services/resumeParser');
+const ocrService = require('../services/ocrService');
+const { pdf } = require('./helpers');
+
+// A page-sized grayscale image object, as a scanner would embed it
+const pageImage = (filter = '/FlateDecode') => {
+    const data = zlib.deflateSync(Buffer.alloc(600 * 600, 255));
+    return Buffer.concat([
+        Buffer.from(`9 0 obj\n<< /Type /XObject /Subtype /Image /Width 600 /Height 600 /ColorSpace /DeviceGray /BitsPerComponent 8 /Filter ${filter} /Length ${data.length} >>\nstream\n`, 'latin1'),
+        data,
+        Buffer.from('\nendstream\nendobj\n', 'latin1')
+    ]);
+};
+
+const withOCR = async (settings, run) => {
+    const saved = { enabled: ocrService.enabled, langPath: ocrService.langPath };
+    Object.assign(ocrService, settings);
+    try {
+        await run();
+    } finally {
+        Object.assign(ocrService, saved);
+    }
+};
+
+test('a blank PDF without page images is an empty-text parse error, not a scan', async () => {
+    await withOCR({ langPath: path.join(__dirname, 'no-tessdata') }, async () => {
+        await assert.rejects(resumeParser.parseResume(pdf([[]]), 'blank.pdf'), error => {
+            assert.match(error.message, /^Failed to parse PDF: no text found/);
+            assert.strictEqual(error.code, undefined);
+            return true;
+        });
+    });
+});
+
+test('short text without page images is a thin resume, not a scan', async () => {
+    const parsed = await resumeParser.parseResume(pdf([[{ x: 50, y: 700, text: 'Jane Doe - Software Engineer' }]]), 'thin.pdf');
+
+    assert.strictEqual(parsed.rawText, 'Jane Doe - Software Engineer');
+    assert.strictEqual(parsed.ocr, null);
+});
+
+test('only page-sized images count as scanned pages', () => {
+    assert.strictEqual(ocrService.hasPageImages(pageImage()), true);
+    assert.strictEqual(ocrService.hasPageImages(Buffer.from(pageImage().toString('latin1').replace(/600/g, '64'), 'latin1')), false);
+    assert.strictEqual(ocrService.needsOCR('x'.repeat(150), 1), false);
+    assert.strictEqual(ocrService.needsOCR('x'.repeat(150), 2), true);
+});
+
+test('a scan explains why OCR could not run', async () => {
+    const expectCode = code => error => {
+        assert.strictEqual(error.code, code);
+        assert.strictEqual(error.statusCode, 422);
+        return true;
+    };
+
+    await withOCR({ enabled: false }, () =>
+        assert.rejects(ocrService.recognizePDF(pageImage()), expectCode('SCANNED_PDF_OCR_DISABLED')));
+    await withOCR({ langPath: path.join(__dirname, 'no-tessdata') }, async () => {
+        await assert.rejects(ocrService.recognizePDF(pageImage('/CCITTFaxDecode')), expectCode('SCANNED_PDF_UNREADABLE'));
+        await assert.rejects(ocrService.recognizePDF(pageImage()), expectCode('SCANNED_PDF_OCR_UNAVAILABLE'));
+    });
+});
+
+test('Flate page images are rewrapped as PNG for the OCR engine', () => {
+    const [image] = ocrService.extractPageImages(pageImage());
+
+    assert.deepStrictEqual(image.subarray(0, 4), Buffer.from([0x89, 0x50, 0x4e, 0x47]));
+    assert.strictEqual(image.readUInt32BE(16), 600);
+});
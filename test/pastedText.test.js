@@ -0,0 +1,46 @@
+/**
+ * POST /api/analyze with pasted resume text: parsed like an upload, never stored, type-checked
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { useServer, resume, JOB_DESCRIPTION } = require('./helpers');
+
+const api = useServer();
+
+const STRONG = resume('Strong Match', ['JavaScript', 'Node.js', 'React', 'PostgreSQL']);
+
+test('pasted resume text is analyzed without an upload', async () => {
+    const { status, body } = await api.post('/api/analyze', { resumeText: STRONG.replace(/\n/g, '\r\n'), jobDescription: JOB_DESCRIPTION });
+
+    assert.strictEqual(status, 200);
+    assert.ok(body.score > 0);
+    assert.deepStrictEqual(body.breakdown.requiredSkills.missingSkills, []);
+    assert.strictEqual(body.privacy.storageMode, 'none');
+    assert.strictEqual(body.privacy.storageDuration, 'Never written to disk (pasted text)');
+});
+
+test('pasted resume text must be long enough to be a resume', async () => {
+    const { status, body } = await api.post('/api/analyze', { resumeText: 'JavaScript developer', jobDescription: JOB_DESCRIPTION });
+
+    assert.strictEqual(status, 400);
+    assert.strictEqual(body.error, 'Resume text must be at least 100 characters');
+});
+
+test('analyze and compare reject a resumeText that is not a string', async () => {
+    for (const route of ['/api/analyze', '/api/analyze/compare']) {
+        for (const resumeText of [12345, { text: STRONG }, [STRONG]]) {
+            const { status, body } = await api.post(route, { resumeText, jobDescription: JOB_DESCRIPTION, jobDescriptions: [JOB_DESCRIPTION, JOB_DESCRIPTION] });
+            assert.strictEqual(status, 400);
+            assert.strictEqual(body.error, 'Resume text must be a string');
+        }
+    }
+});
+
+test('analyze rejects a jobDescription that is not a string', async () => {
+    for (const jobDescription of [12345, { text: JOB_DESCRIPTION }, [JOB_DESCRIPTION]]) {
+        const { status, body } = await api.post('/api/analyze', { resumeText: STRONG, jobDescription });
+        assert.strictEqual(status, 400);
+        assert.strictEqual(body.error, 'Job description must be a string');
+    }
+});
@@ -0,0 +1,54 @@
+/**
+ * Layout-aware PDF extraction: column reading order, visual headers and the complexity signal
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const resumeParser = require('../services/resumeParser');
+const pdfLayoutExtractor = require('../utils/pdfLayoutExtractor');
+const { pdf } = require('./helpers');
+
+const HEADINGS = ['Experience', 'Skills', 'Education'];
+
+// Lines stacked 16pt apart from y=700; headings are larger and bold
+const column = (x, lines) => lines.map((text, i) => HEADINGS.includes(text)
+    ? { x, y: 700 - i * 16, text, size: 14, bold: true }
+    : { x, y: 700 - i * 16, text });
+
+const NAME_BAR = [
+    { x: 50, y: 750, text: 'Jane Doe', size: 20, bold: true },
+    { x: 50, y: 730, text: 'jane@example.com | (555) 123-4567 | Austin, TX' }
+];
+
+const EXPERIENCE = ['Experience', 'Senior Software Engineer', 'Globex Corporation', 'Jan 2020 - Dec 2024', '- Built Python services on AWS'];
+const SIDEBAR = ['Skills', 'Python, Java, AWS', 'Docker, Kubernetes', 'Education', 'B.S. in Computer Science'];
+
+test('two columns are read one after the other, not straight across', async () => {
+    const { text, layout } = await pdfLayoutExtractor.extract(pdf([[...NAME_BAR, ...column(50, EXPERIENCE), ...column(360, SIDEBAR)]]));
+    const lines = text.split('\n').filter(Boolean);
+
+    assert.deepStrictEqual(lines.slice(0, 2), ['Jane Doe', 'jane@example.com | (555) 123-4567 | Austin, TX']);
+    assert.deepStrictEqual(lines.slice(2), [...EXPERIENCE, ...SIDEBAR]);
+    assert.strictEqual(layout.columns, 2);
+    assert.deepStrictEqual(layout.headers, ['Jane Doe', ...HEADINGS]);
+    assert.strictEqual(layout.complexity.level, 'complex');
+    assert.match(layout.complexity.signals[0], /Multi-column layout on 1 of 1 page/);
+});
+
+test('a single-column resume is simple', async () => {
+    const { layout } = await pdfLayoutExtractor.extract(pdf([[...NAME_BAR, ...column(50, [...EXPERIENCE, ...SIDEBAR])]]));
+
+    assert.strictEqual(layout.columns, 1);
+    assert.strictEqual(layout.complexity.level, 'simple');
+    assert.deepStrictEqual(layout.complexity.signals, []);
+});
+
+test('sections from a two-column PDF parse cleanly, and the layout lowers parse quality', async () => {
+    const twoColumn = await resumeParser.parseResume(pdf([[...NAME_BAR, ...column(50, EXPERIENCE), ...column(360, SIDEBAR)]]), 'resume.pdf');
+    const oneColumn = await resumeParser.parseResume(pdf([[...NAME_BAR, ...column(50, [...EXPERIENCE, ...SIDEBAR])]]), 'resume.pdf');
+
+    assert.deepStrictEqual(twoColumn.experience.map(role => [role.title, role.company]), [['Senior Software Engineer', 'Globex Corporation']]);
+    assert.deepStrictEqual(twoColumn.experience[0].bullets, ['Built Python services on AWS']);
+    assert.ok(twoColumn.skills.includes('Kubernetes'));
+    assert.strictEqual(twoColumn.parseQuality, oneColumn.parseQuality - 2);
+});
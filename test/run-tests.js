@@ -0,0 +1,29 @@
+/**
+ * Test Runner
+ * Runs every test/*.test.js file with Node's built-in test runner, each in its own process
+ *
+ * Philosophy: No test framework to install
+ * - node:test and node:assert ship with Node 18+, so `npm test` works on a fresh clone
+ * - One process per file keeps environment overrides (MAX_BATCH_RESUMES, UPLOAD_STORAGE) from leaking
+ * - Files run as plain scripts, not under `node --test`: the server's console output would
+ *   corrupt the runner's message stream
+ */
+
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const files = fs.readdirSync(__dirname)
+    .filter(file => file.endsWith('.test.js'))
+    .sort();
+
+const failed = files.filter(file => {
+    console.log(`\n▶ ${file}`);
+    const result = spawnSync(process.execPath, [path.join(__dirname, file)], { stdio: 'inherit' });
+    return result.status !== 0;
+});
+
+console.log(failed.length === 0
+    ? `\n✅ ${files.length} test file(s) passed`
+    : `\n❌ ${failed.length} of ${files.length} test file(s) failed: ${failed.join(', ')}`);
+process.exit(failed.length === 0 ? 0 : 1);
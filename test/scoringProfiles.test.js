@@ -0,0 +1,87 @@
+/**
+ * Scoring profiles: validation at load time, per-request selection and JD-based suggestions
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { useServer, resume, JOB_DESCRIPTION } = require('./helpers');
+const scoringProfiles = require('../utils/scoringProfiles');
+const SCORING_CONFIG = require('../config/scoring.config');
+
+const api = useServer();
+
+const RESUME = resume('Profile Candidate', ['JavaScript', 'Node.js', 'React', 'PostgreSQL']);
+const withProfiles = profiles => ({ ...SCORING_CONFIG, PROFILES: { ...SCORING_CONFIG.PROFILES, ...profiles } });
+
+test('the shipped config and every profile are valid', () => {
+    const { valid, errors, profiles } = scoringProfiles.check(SCORING_CONFIG);
+
+    assert.deepStrictEqual(errors, []);
+    assert.strictEqual(valid, true);
+    assert.deepStrictEqual(profiles, ['standard', 'entry_level', 'senior', 'contract']);
+});
+
+test('profile weights must cover every category and sum to 100', () => {
+    const partial = scoringProfiles.check(withProfiles({ partial: { label: 'Partial', WEIGHTS: { EXPERIENCE: 50 } } }));
+    assert.strictEqual(partial.valid, false);
+    assert.ok(partial.errors.some(error => /WEIGHTS must list every category/.test(error)));
+
+    const weights = { ...SCORING_CONFIG.WEIGHTS, EXPERIENCE: SCORING_CONFIG.WEIGHTS.EXPERIENCE + 10 };
+    const overweight = scoringProfiles.check(withProfiles({ overweight: { label: 'Overweight', WEIGHTS: weights } }));
+    assert.strictEqual(overweight.valid, false);
+});
+
+test('a profile may only override the sections the matcher reads', () => {
+    const { valid, errors } = scoringProfiles.check(withProfiles({ odd: { label: 'Odd', SCORE_RANGES: {} } }));
+
+    assert.strictEqual(valid, false);
+    assert.ok(errors.some(error => /"SCORE_RANGES" cannot be overridden/.test(error)));
+});
+
+test('load throws on an invalid config instead of scoring with it', () => {
+    assert.throws(() => scoringProfiles.load(withProfiles({ Bad: { label: 'Bad' } })), /Invalid scoring config/);
+});
+
+test('section points scale with a profile weight unless it sets them', () => {
+    scoringProfiles.load();
+    const standard = scoringProfiles.get('standard');
+    const senior = scoringProfiles.get('senior');
+
+    assert.strictEqual(senior.WEIGHTS.EXPERIENCE, 40);
+    assert.ok(senior.EDUCATION.EXACT_MATCH < standard.EDUCATION.EXACT_MATCH);
+    assert.ok(senior.EDUCATION.EXACT_MATCH <= senior.WEIGHTS.EDUCATION);
+});
+
+test('the JD suggests a profile from its seniority and engagement type', () => {
+    const suggest = original => scoringProfiles.suggest({ original, requiredExperience: 0 }).profile;
+
+    assert.strictEqual(suggest('Senior Staff Engineer\nLead the platform team.'), 'senior');
+    assert.strictEqual(suggest('Junior Developer\nGreat first role for new graduates.'), 'entry_level');
+    assert.strictEqual(suggest('Software Engineer (6-month contract)\nBuild APIs.'), 'contract');
+    assert.strictEqual(suggest('Software Engineer\nBuild APIs.'), 'standard');
+});
+
+test('/api/analyze scores with the requested profile', async () => {
+    const standard = await api.post('/api/analyze', { resumeText: RESUME, jobDescription: JOB_DESCRIPTION });
+    const senior = await api.post('/api/analyze', { resumeText: RESUME, jobDescription: JOB_DESCRIPTION, profile: 'senior' });
+
+    assert.strictEqual(standard.status, 200);
+    assert.strictEqual(standard.body.scoringProfile.name, 'standard');
+    assert.strictEqual(senior.body.scoringProfile.name, 'senior');
+    assert.strictEqual(senior.body.breakdown.experience.maxPoints, 40);
+});
+
+test('"auto" uses the suggested profile, and an unknown profile is rejected', async () => {
+    const auto = await api.post('/api/analyze', {
+        resumeText: RESUME,
+        jobDescription: JOB_DESCRIPTION.replace('Job Title: Software Engineer', 'Job Title: Senior Software Engineer'),
+        profile: 'auto'
+    });
+    assert.strictEqual(auto.body.scoringProfile.auto, true);
+    assert.strictEqual(auto.body.scoringProfile.name, auto.body.scoringProfile.suggested.profile);
+    assert.strictEqual(auto.body.scoringProfile.name, 'senior');
+
+    const unknown = await api.post('/api/analyze', { resumeText: RESUME, jobDescription: JOB_DESCRIPTION, profile: 'aggressive' });
+    assert.strictEqual(unknown.status, 400);
+    assert.match(unknown.body.error, /Unknown scoring profile "aggressive"/);
+});
@@ -0,0 +1,115 @@
+/**
+ * Seniority: level from JD and resume titles, the level comparison, and the flags and verdicts it drives
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+// No AI keys: JDs are parsed by the fallback parser
+Object.assign(process.env, { GEMINI_API_KEY: '', OPENAI_API_KEY: '' });
+
+const seniorityDetector = require('../utils/seniorityDetector');
+const scoringProfiles = require('../utils/scoringProfiles');
+const riskFlagDetector = require('../services/riskFlagDetector');
+const resumeParser = require('../services/resumeParser');
+const jdParser = require('../services/jdParser');
+const matcher = require('../engine/matcher');
+
+// One paragraph, no title line - and it mentions the CTO
+const PARAGRAPH_JD = 'We are looking for a junior developer to join our small team. You will report to our CTO ' +
+    'and work on our React frontend alongside two senior engineers. Entry-level candidates welcome.';
+
+test('findTitle takes a labelled title line', () => {
+    assert.strictEqual(seniorityDetector.findTitle('About us\nJob Title: **Senior Backend Engineer**\n...'), 'Senior Backend Engineer');
+});
+
+test('findTitle takes a short first line that reads as a title', () => {
+    assert.strictEqual(seniorityDetector.findTitle('Sr. Software Engineer\nWe build things.'), 'Sr. Software Engineer');
+    assert.strictEqual(seniorityDetector.findTitle('## Staff Nurse, ICU\nNights.'), 'Staff Nurse, ICU');
+});
+
+test('findTitle rejects a first line that is a paragraph or a sentence', () => {
+    assert.strictEqual(seniorityDetector.findTitle(PARAGRAPH_JD), null);
+    assert.strictEqual(seniorityDetector.findTitle('Join our team!\nSoftware Engineer'), null);
+    assert.strictEqual(seniorityDetector.findTitle('We need a developer. Apply now'), null);
+});
+
+test('a paragraph JD is not levelled from words inside it', () => {
+    const job = seniorityDetector.detectJobLevel(PARAGRAPH_JD, 0);
+    assert.strictEqual(job.level, null);
+    assert.strictEqual(job.title, null);
+
+    const suggestion = scoringProfiles.suggest({ original: PARAGRAPH_JD, seniority: job });
+    assert.notStrictEqual(suggestion.profile, 'senior');
+});
+
+test('a paragraph JD still falls back to its required years', () => {
+    const job = seniorityDetector.detectJobLevel(PARAGRAPH_JD, 6);
+    assert.strictEqual(job.level, 'senior');
+    assert.strictEqual(job.source, 'experience');
+});
+
+test('the candidate level is the latest role\'s title, else total years', () => {
+    const roles = [
+        { title: 'Software Engineer', isCurrent: false, endDate: { year: 2018, month: 6 } },
+        { title: 'Senior Software Engineer', isCurrent: true }
+    ];
+    const candidate = seniorityDetector.detectCandidateLevel(roles, 8);
+    assert.strictEqual(candidate.level, 'senior');
+    assert.strictEqual(candidate.source, 'title');
+
+    const untitled = seniorityDetector.detectCandidateLevel([{ title: 'Software Engineer', isCurrent: true }], 1);
+    assert.strictEqual(untitled.source, 'experience');
+});
+
+test('managing people makes a JD a manager role, even without a level word in its title', () => {
+    const job = seniorityDetector.detectJobLevel('Software Engineer\nYou will have 6 direct reports.', 0);
+
+    assert.strictEqual(job.level, 'manager');
+    assert.strictEqual(job.source, 'responsibilities');
+});
+
+test('a director applying to a junior role is flagged overqualified', () => {
+    const seniority = seniorityDetector.compare(
+        seniorityDetector.detectCandidateLevel([{ title: 'Director of Engineering', isCurrent: true }], 15),
+        seniorityDetector.detectJobLevel('Junior Developer\nBuild things.', 0)
+    );
+    assert.strictEqual(seniority.status, 'overqualified');
+
+    const flag = riskFlagDetector.detectLevelMismatch(seniority);
+    assert.strictEqual(flag.flag, 'Overqualified');
+    assert.strictEqual(flag.severity, 'HIGH');
+    assert.deepStrictEqual(flag.levels, { job: 'junior', candidate: 'director' });
+});
+
+test('an IC applying to a people-manager role is flagged', () => {
+    const seniority = seniorityDetector.compare(
+        seniorityDetector.detectCandidateLevel([{ title: 'Senior Software Engineer', isCurrent: true }], 8),
+        seniorityDetector.detectJobLevel('Engineering Manager\nYou will manage a team of 8 engineers.', 0)
+    );
+
+    assert.strictEqual(seniority.track, 'needs_management');
+    assert.strictEqual(riskFlagDetector.detectLevelMismatch(seniority).flag, 'No people-management experience');
+});
+
+test('many years at the role\'s level are not over-qualification', async () => {
+    const resumeData = resumeParser.parseResumeText([
+        'Pat Lee',
+        'pat.lee@example.com',
+        '',
+        'Experience',
+        'Senior Software Engineer',
+        'Acme Corp, Austin, TX',
+        'Jan 2014 - Present',
+        '- Built services in Node.js'
+    ].join('\n'));
+    const requirements = '\n\nRequirements:\n- 3+ years of experience with Node.js\n- Build services';
+
+    const senior = matcher.scoreExperience(resumeData, await jdParser.parseJobDescription(`Job Title: Senior Software Engineer${requirements}`));
+    assert.strictEqual(senior.seniority.status, 'aligned');
+    assert.strictEqual(senior.verdict, 'Excellent match');
+
+    const junior = matcher.scoreExperience(resumeData, await jdParser.parseJobDescription(`Job Title: Junior Developer${requirements}`));
+    assert.strictEqual(junior.seniority.status, 'overqualified');
+    assert.ok(junior.points < senior.points);
+});
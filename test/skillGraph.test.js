@@ -0,0 +1,61 @@
+/**
+ * Skill graph: a resume skill implies its taxonomy parents, with decaying, capped partial credit
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const skillSimilarity = require('../config/skillSimilarity');
+const SCORING_CONFIG = require('../config/scoring.config');
+const resumeParser = require('../services/resumeParser');
+const matcher = require('../engine/matcher');
+
+test('Next.js implies React implies JavaScript, each hop decaying the similarity', () => {
+    const inferred = skillSimilarity.inferSkillSimilarity('JavaScript', 'Next.js');
+
+    assert.deepStrictEqual(inferred.path.map(step => [step.label, step.similarity]), [
+        ['Next.js', 1], ['React', 0.6], ['JavaScript', 0.48]
+    ]);
+    assert.strictEqual(skillSimilarity.formatInferencePath(inferred.path), 'Next.js implies React (60%) implies JavaScript (48%)');
+});
+
+test('a parent skill does not imply its children', () => {
+    assert.strictEqual(skillSimilarity.inferSkillSimilarity('Next.js', 'JavaScript'), null);
+    assert.strictEqual(skillSimilarity.calculateSkillCredit('Next.js', ['JavaScript']).credit, 0);
+});
+
+test('inferred credit is still capped at half', () => {
+    const result = skillSimilarity.calculateSkillCredit('JavaScript', ['Python', 'Next.js']);
+
+    assert.strictEqual(result.skill, 'Next.js');
+    assert.strictEqual(result.credit, 0.24);
+    assert.strictEqual(result.explanation, 'Inferred: Next.js implies React (60%) implies JavaScript (48%)');
+});
+
+test('with the graph disabled, nothing is inferred', () => {
+    SCORING_CONFIG.SKILL_GRAPH.ENABLED = false;
+    try {
+        assert.strictEqual(skillSimilarity.inferSkillSimilarity('JavaScript', 'Next.js'), null);
+    } finally {
+        SCORING_CONFIG.SKILL_GRAPH.ENABLED = true;
+    }
+});
+
+test('the inference path is recorded in the partial match', () => {
+    const resumeData = resumeParser.parseResumeText(`Sam Park
+sam@example.com
+
+Experience
+Frontend Developer
+Acme
+Jan 2020 - Dec 2024
+- Built storefronts in Next.js
+
+Skills
+Next.js`);
+    const result = matcher.scoreRequiredSkills(resumeData, { requiredSkills: ['JavaScript'], keywords: [] });
+
+    assert.deepStrictEqual(result.matchedSkills, []);
+    assert.strictEqual(result.partialMatches[0].matchedSkill, 'Next.js');
+    assert.deepStrictEqual(result.partialMatches[0].inferencePath.map(step => step.skill), ['next.js', 'react', 'javascript']);
+    assert.match(result.partialMatches[0].explanation, /^Inferred: Next\.js implies React/);
+});
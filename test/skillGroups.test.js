@@ -0,0 +1,58 @@
+/**
+ * "Any of" skill groups: "one of AWS, GCP or Azure" is one requirement, met by any member
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { resume } = require('./helpers');
+const fallbackJDParser = require('../utils/fallbackJDParser');
+const resumeParser = require('../services/resumeParser');
+const matcher = require('../engine/matcher');
+
+const JD = `Job Title: Cloud Engineer
+
+Requirements:
+- Experience with one of AWS, GCP or Azure
+- React or Vue
+- Experience with Python and Docker
+- 3+ years of experience`;
+
+const jdData = fallbackJDParser.parse(JD);
+const score = skills => matcher.scoreRequiredSkills(resumeParser.parseResumeText(resume('Cloud Candidate', skills)), jdData);
+
+test('alternatives listed with "or" form groups; "and" lists do not', () => {
+    assert.deepStrictEqual(jdData.skillGroups, [['aws', 'gcp', 'azure'], ['react', 'vue']]);
+    for (const skill of ['aws', 'gcp', 'azure', 'react', 'vue', 'python', 'docker']) {
+        assert.ok(jdData.requiredSkills.includes(skill), `${skill} is still a required skill`);
+    }
+});
+
+test('each group is one scoring slot, in the position of its first member', () => {
+    assert.deepStrictEqual(matcher.groupRequiredSkills(['python', 'react', 'aws', 'vue', 'gcp'], [['aws', 'gcp'], ['react', 'vue']]),
+        [['python'], ['react', 'vue'], ['aws', 'gcp']]);
+});
+
+test('any member satisfies the group, and the report names which one', () => {
+    const result = score(['GCP', 'React', 'Python', 'Docker']);
+
+    assert.strictEqual(result.totalRequired, 4);
+    assert.deepStrictEqual(result.missingSkills, []);
+    assert.strictEqual(result.points, result.maxPoints);
+
+    const cloud = result.skillGroups.find(group => group.skills.includes('aws'));
+    assert.strictEqual(cloud.satisfiedBy, 'gcp');
+    assert.deepStrictEqual(result.matchedSkills.find(match => match.skill === 'gcp').anyOf, ['aws', 'gcp', 'azure']);
+});
+
+test('an unmet group is missing once, at one skill\'s cost', () => {
+    const result = score(['GCP', 'Python', 'Docker']);
+
+    assert.deepStrictEqual(result.missingSkills, ['react or vue']);
+    assert.strictEqual(result.points, result.maxPoints - result.pointsPerSkill);
+    assert.strictEqual(result.skillGroups.find(group => group.skills.includes('react')).satisfiedBy, null);
+});
+
+test('AI and fallback groups merge without repeating a skill', () => {
+    assert.deepStrictEqual(fallbackJDParser.mergeSkillGroups([['aws', 'gcp']], [['gcp', 'azure'], ['react', 'vue']]),
+        [['aws', 'gcp'], ['react', 'vue']]);
+});
@@ -0,0 +1,52 @@
+/**
+ * Skill matching: whole-term boundaries that understand symbols, with the offsets of every mention
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const textAnalyzer = require('../utils/textAnalyzer');
+
+const found = (skill, text) => textAnalyzer.findSkill(skill, text).found;
+
+test('a skill does not match inside a longer name', () => {
+    assert.strictEqual(found('Java', 'JavaScript and TypeScript'), false);
+    assert.strictEqual(found('SQL', 'NoSQL stores such as MongoDB'), false);
+    assert.strictEqual(found('C', 'C++ and C# services'), false);
+    assert.strictEqual(found('JS', 'APIs in Node.js'), false);
+    assert.strictEqual(found('Java', 'Java 17, Spring Boot'), true);
+});
+
+test('symbol-bearing skills match whole', () => {
+    assert.strictEqual(found('C++', 'Low-latency C++ engines'), true);
+    assert.strictEqual(found('C#', 'Backend in C#.'), true);
+    assert.strictEqual(found('Node.js', 'Services in Node.js, deployed on AWS'), true);
+    assert.strictEqual(found('CI/CD', 'Owned the CI/CD pipeline'), true);
+});
+
+test('Go is the language only when written as a name', () => {
+    assert.strictEqual(found('Go', 'Microservices in Go and Rust'), true);
+    assert.strictEqual(found('Go', 'Ready to go above and beyond'), false);
+});
+
+test('.NET matches inside ASP.NET and VB.NET, but not in web addresses', () => {
+    assert.deepStrictEqual(textAnalyzer.findSkillMatches('.NET', 'Built APIs in ASP.NET Core and VB.NET'),
+        [{ start: 17, end: 21, text: '.NET' }, { start: 33, end: 37, text: '.NET' }]);
+    assert.strictEqual(found('.NET', 'C# and .NET 8'), true);
+    assert.strictEqual(found('.NET', 'jane@example.net'), false);
+    assert.strictEqual(found('.NET', 'Portfolio: https://www.example.net/work'), false);
+});
+
+test('a JD naming only ASP.NET yields one keyword, not two', () => {
+    const keywords = textAnalyzer.extractKeywords('We build on ASP.NET Core with ASP.NET MVC.');
+
+    assert.ok(keywords.includes('asp.net'));
+    assert.ok(!keywords.includes('.net'));
+});
+
+test('matches report where each mention is', () => {
+    const text = 'Skills: React\n- Built React dashboards with React Query';
+    const result = textAnalyzer.findSkill('React', text);
+
+    assert.deepStrictEqual(result.matches.map(match => text.slice(match.start, match.end)), ['React', 'React', 'React']);
+    assert.deepStrictEqual(result.matches.map(match => match.start), [8, 22, 44]);
+});
@@ -0,0 +1,114 @@
+/**
+ * Skill recency and proficiency: last-used year, months of use, stated levels and the credit they keep
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const skillUsageAnalyzer = require('../utils/skillUsageAnalyzer');
+const workHistoryParser = require('../utils/workHistoryParser');
+const resumeParser = require('../services/resumeParser');
+const matcher = require('../engine/matcher');
+const skillEvidenceAnalyzer = require('../services/skillEvidenceAnalyzer');
+const SCORING_CONFIG = require('../config/scoring.config');
+
+const NOW = new Date('2026-10-19');
+
+const RESUME = `Jane Doe
+jane.doe@example.com | (555) 123-4567
+
+Experience
+Software Engineer
+Acme Corp, Austin, TX
+Jan 2019 - Present
+- Built services in Node.js and React
+
+Engineering Intern
+Beta Inc, Austin, TX
+May 2012 - Aug 2012
+- Wrote Perl scripts
+
+Skills
+Node.js, React, Perl, familiar with Go`;
+
+// Stated level for the first mention of a skill in text
+const proficiencyOf = (text, skill) => {
+    const start = text.indexOf(skill);
+    return skillUsageAnalyzer.getProficiency(text, [{ start, end: start + skill.length, text: skill }]);
+};
+
+test('usage comes from the dated roles that mention the skill', () => {
+    const { roles } = workHistoryParser.parse([
+        'Software Engineer, Acme Corp',
+        'Jan 2019 - Present',
+        '- Built services in Node.js',
+        'Engineering Intern, Beta Inc',
+        'May 2012 - Aug 2012',
+        '- Wrote Perl scripts'
+    ].join('\n'), NOW);
+
+    const perl = skillUsageAnalyzer.getUsage('Perl', roles, NOW);
+    assert.strictEqual(perl.lastUsedYear, 2012);
+    assert.strictEqual(perl.yearsSinceUsed, 14);
+    assert.strictEqual(perl.totalMonths, 4);
+    assert.deepStrictEqual(perl.roles.map(role => role.title), ['Engineering Intern']);
+    assert.strictEqual(perl.recencyFactor, SCORING_CONFIG.SKILL_USAGE.MIN_RECENCY_FACTOR);
+
+    const node = skillUsageAnalyzer.getUsage('Node.js', roles, NOW);
+    assert.strictEqual(node.lastUsedYear, 2026);
+    assert.strictEqual(node.recencyFactor, 1);
+
+    assert.strictEqual(skillUsageAnalyzer.getUsage('Rust', roles, NOW), null);
+});
+
+test('recency decays past RECENT_YEARS down to the floor, unless disabled', () => {
+    const settings = { ...SCORING_CONFIG.SKILL_USAGE, RECENT_YEARS: 3, DECAY_PER_YEAR: 0.1, MIN_RECENCY_FACTOR: 0.5 };
+
+    assert.strictEqual(skillUsageAnalyzer.getRecencyFactor(3, settings), 1);
+    assert.strictEqual(skillUsageAnalyzer.getRecencyFactor(5, settings), 0.8);
+    assert.strictEqual(skillUsageAnalyzer.getRecencyFactor(20, settings), 0.5);
+    assert.strictEqual(skillUsageAnalyzer.getRecencyFactor(20, { ...settings, RECENCY_ENABLED: false }), 1);
+});
+
+test('proficiency is read from lead-ins and trailing labels', () => {
+    assert.strictEqual(proficiencyOf('Expert in Python, Django and React', 'React').level, 'expert');
+    assert.strictEqual(proficiencyOf('Basic knowledge of Kubernetes', 'Kubernetes').level, 'basic');
+    assert.strictEqual(proficiencyOf('Skills: Rust (Beginner), Go', 'Rust').level, 'basic');
+    assert.strictEqual(proficiencyOf('Docker - advanced', 'Docker').level, 'advanced');
+    assert.strictEqual(proficiencyOf('Built APIs in Python', 'Python'), null);
+});
+
+test('the marker closest to the skill wins, and a new sentence starts fresh', () => {
+    const text = 'Expert in Python, familiar with Go';
+    assert.strictEqual(proficiencyOf(text, 'Python').level, 'expert');
+    assert.strictEqual(proficiencyOf(text, 'Go').level, 'basic');
+
+    assert.strictEqual(proficiencyOf('Expert in Python. Shipped Go services', 'Go'), null);
+});
+
+test('matchedSkills carry usage and proficiency, and old or basic skills keep less credit', () => {
+    const resumeData = resumeParser.parseResumeText(RESUME);
+    const result = matcher.scoreRequiredSkills(resumeData, { requiredSkills: ['Node.js', 'Perl', 'Go'] });
+    const bySkill = Object.fromEntries(result.matchedSkills.map(match => [match.skill, match]));
+
+    assert.strictEqual(bySkill['Node.js'].credit, 1);
+    assert.strictEqual(bySkill['Node.js'].usage.recencyFactor, 1);
+
+    assert.strictEqual(bySkill.Perl.usage.lastUsedYear, 2012);
+    assert.strictEqual(bySkill.Perl.credit, SCORING_CONFIG.SKILL_USAGE.MIN_RECENCY_FACTOR);
+
+    // Only in the skills list: no recency is known, so only the stated level counts
+    assert.strictEqual(bySkill.Go.usage, null);
+    assert.strictEqual(bySkill.Go.proficiency.level, 'basic');
+    assert.strictEqual(bySkill.Go.credit, SCORING_CONFIG.SKILL_USAGE.PROFICIENCY_FACTORS.basic);
+
+    assert.ok(result.points < result.maxPoints);
+});
+
+test('the skill evidence view shows the usage and proficiency the matcher scored', () => {
+    const resumeData = resumeParser.parseResumeText(RESUME);
+    const { matchedSkills } = matcher.scoreRequiredSkills(resumeData, { requiredSkills: ['Perl', 'Go'] });
+    const evidence = skillEvidenceAnalyzer.analyzeSkillEvidence(matchedSkills, resumeData);
+
+    assert.strictEqual(evidence[0].usage.lastUsedYear, 2012);
+    assert.strictEqual(evidence[1].proficiency.level, 'basic');
+});
@@ -0,0 +1,46 @@
+/**
+ * Versioned skills: "Java 17+" and "Python 3" judged against the versions a resume mentions
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const textAnalyzer = require('../utils/textAnalyzer');
+const skillSimilarity = require('../config/skillSimilarity');
+
+test('a version at or above the minimum satisfies the requirement', () => {
+    const result = textAnalyzer.findSkill('Java 17+', 'Built services in Java 21');
+
+    assert.strictEqual(result.confidence, 1);
+    assert.deepStrictEqual(result.versionCheck, { required: 'Java 17+', found: 'Java 21', status: 'satisfied' });
+});
+
+test('the best-fitting mention counts, not the first', () => {
+    const result = textAnalyzer.findSkill('Python 3', 'Maintained Python 2.7 scripts, then moved to Python 3.11');
+
+    assert.strictEqual(result.versionCheck.status, 'satisfied');
+    assert.strictEqual(result.versionCheck.found, 'Python 3.11');
+});
+
+test('equally close older mentions report the highest version', () => {
+    for (const text of ['Used Java 8 in 2015. Moved to Java 11 in 2019.', 'Used Java 11 in 2019. Maintained Java 8 later.']) {
+        const result = textAnalyzer.findSkill('Java 17+', text);
+
+        assert.strictEqual(result.versionCheck.status, 'older');
+        assert.strictEqual(result.versionCheck.found, 'Java 11');
+        assert.strictEqual(result.matchedSkill, 'Java 11');
+        assert.ok(result.confidence > 0 && result.confidence <= 0.5, 'an older version earns partial credit');
+    }
+});
+
+test('a resume that names no version gets the benefit of the doubt', () => {
+    const result = textAnalyzer.findSkill('Java 17+', 'Java developer for six years');
+
+    assert.strictEqual(result.confidence, 1);
+    assert.strictEqual(result.versionCheck.status, 'unstated');
+});
+
+test('versions compare over the parts both give', () => {
+    assert.strictEqual(skillSimilarity.compareVersionNumbers([3], [3, 8]), 0);
+    assert.ok(skillSimilarity.compareVersionNumbers([11], [8]) > 0);
+    assert.ok(skillSimilarity.compareVersionNumbers([2, 7], [3]) < 0);
+});
@@ -0,0 +1,71 @@
+/**
+ * Skill taxonomy: built-in files load clean, bad files are rejected, extra files extend it
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const skillTaxonomy = require('../utils/skillTaxonomy');
+const taxonomyValidator = require('../utils/taxonomyValidator');
+const textAnalyzer = require('../utils/textAnalyzer');
+const fallbackJDParser = require('../utils/fallbackJDParser');
+
+const validate = skills => taxonomyValidator.validate([{ file: 'team.json', data: { skills } }]);
+
+test('the built-in taxonomy has no errors or warnings', () => {
+    const result = taxonomyValidator.validate(skillTaxonomy.readFiles(skillTaxonomy.getTaxonomyPaths()));
+
+    assert.deepStrictEqual(result, { valid: true, errors: [], warnings: [] });
+});
+
+test('weights, names, parents and relations are checked across the file', () => {
+    assert.match(validate([{ name: 'vue', related: { react: 1.0 } }]).errors[0], /weight for "react" must be a number from 0 to below 1/);
+    assert.match(validate([{ name: 'vue' }, { name: 'vuejs', aliases: ['vue'] }]).errors[0], /"vue" on skill "vuejs" is already defined by skill "vue"/);
+    assert.match(validate([{ name: 'vue', parent: 'frontend' }]).errors[0], /unknown parent "frontend"/);
+    assert.match(validate([{ name: 'a', parent: 'b' }, { name: 'b', parent: 'a' }]).errors[0], /is its own ancestor/);
+    assert.match(validate([{ name: 'a', related: { b: 0.5 } }, { name: 'b', related: { a: 0.4 } }]).errors[0], /asymmetric weight/);
+
+    const dangling = validate([{ name: 'vue', related: { svelte: 0.3 } }]);
+    assert.strictEqual(dangling.valid, true);
+    assert.deepStrictEqual(dangling.warnings, ['team.json: skill "vue" relates to "svelte", which no taxonomy file defines']);
+});
+
+test('extra taxonomy files add skills, aliases and two-way relations', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'taxonomy-'));
+    const extra = path.join(dir, 'team.yaml');
+    fs.writeFileSync(extra, 'skills:\n  - name: temporal\n    aliases: [temporal.io]\n    category: backend\n    related: {docker: 0.3}\n');
+
+    try {
+        skillTaxonomy.load([...skillTaxonomy.getTaxonomyPaths(), extra]);
+        assert.strictEqual(skillTaxonomy.canonicalName('Temporal.io'), 'temporal');
+        assert.strictEqual(skillTaxonomy.getSimilarity('docker', 'temporal.io'), 0.3);
+
+        fs.writeFileSync(extra, 'skills:\n  - name: docker\n');
+        assert.throws(() => skillTaxonomy.load([...skillTaxonomy.getTaxonomyPaths(), extra]), /Invalid skill taxonomy:[\s\S]*"docker" on skill "docker" is already defined/);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+        skillTaxonomy.load();
+    }
+});
+
+test('C is a language of its own, related to C++ and C#', () => {
+    assert.strictEqual(skillTaxonomy.getSimilarity('c++', 'c'), 0.4);
+    assert.strictEqual(skillTaxonomy.getSimilarity('c', 'c#'), 0.2);
+    assert.strictEqual(textAnalyzer.findSkill('C', 'Firmware in C and C++').found, true);
+    ['Objective-C apps', 'Presented to C-level stakeholders', 'C# and C++ services', 'a c b']
+        .forEach(text => assert.strictEqual(textAnalyzer.findSkill('C', text).found, false, text));
+});
+
+test('single-letter languages are not read off the end of other words in a JD', () => {
+    const jdData = fallbackJDParser.parse('Requirements:\n- Basic required\n- Docker preferred\n- C required\n- R preferred');
+
+    assert.ok(jdData.requiredSkills.includes('c'));
+    assert.ok(jdData.preferredSkills.includes('r'));
+    assert.ok(jdData.preferredSkills.includes('docker'));
+
+    const noLetters = fallbackJDParser.parse('Requirements:\n- Basic Excel required\n- Docker preferred');
+    assert.ok(!noLetters.requiredSkills.includes('c'));
+    assert.ok(!noLetters.preferredSkills.includes('r'));
+});
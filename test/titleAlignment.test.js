@@ -0,0 +1,75 @@
+/**
+ * Title alignment: the posting's title against the candidate's past titles, via the title taxonomy
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+// No AI keys: JDs are parsed by the fallback parser
+Object.assign(process.env, { GEMINI_API_KEY: '', OPENAI_API_KEY: '' });
+
+const { resume, JOB_DESCRIPTION } = require('./helpers');
+const titleAligner = require('../utils/titleAligner');
+const dualViewGenerator = require('../services/dualViewGenerator');
+const jdParser = require('../services/jdParser');
+const resumeParser = require('../services/resumeParser');
+const matcher = require('../engine/matcher');
+
+const current = title => [{ title, isCurrent: true }];
+
+test('titles are normalized before they are compared', () => {
+    assert.strictEqual(titleAligner.normalize('Sr. Frontend Dev (Remote)'), 'senior frontend developer remote');
+    assert.strictEqual(titleAligner.parseTitle('SDE II').role, 'software engineer');
+});
+
+test('shorthand and spelling variants of one title align', () => {
+    assert.strictEqual(titleAligner.align('SDE II', current('Software Engineer II')).status, 'aligned');
+    assert.strictEqual(titleAligner.align('Frontend Dev', current('Front-End Engineer')).status, 'aligned');
+});
+
+test('related roles are partial, unrelated ones are not', () => {
+    const related = titleAligner.align('Senior Backend Engineer', current('Full Stack Developer'));
+    assert.strictEqual(related.status, 'related');
+    assert.ok(related.similarity > 0 && related.similarity < 1);
+
+    assert.strictEqual(titleAligner.align('Data Scientist', current('Line Cook')).status, 'unrelated');
+});
+
+test('the best match can be an earlier title, and the most recent is still reported', () => {
+    const alignment = titleAligner.align('Software Engineer', [
+        { title: 'Software Engineer', company: 'Acme', isCurrent: false },
+        { title: 'Data Analyst', company: 'Beta', isCurrent: true }
+    ]);
+
+    assert.strictEqual(alignment.status, 'aligned');
+    assert.strictEqual(alignment.bestMatch.title, 'Software Engineer');
+    assert.strictEqual(alignment.mostRecent.title, 'Data Analyst');
+});
+
+test('title alignment is unknown without a real job title', () => {
+    const roles = current('Software Engineer');
+
+    assert.strictEqual(titleAligner.align(null, roles).status, 'unknown');
+    assert.strictEqual(titleAligner.align('Join our team as a software engineer and help us build great products.', roles).status, 'unknown');
+    assert.strictEqual(titleAligner.align('Senior Software Engineer', roles).status, 'aligned');
+    assert.strictEqual(titleAligner.align('Senior Software Engineer', []).status, 'unknown');
+});
+
+test('calculateMatch reports title alignment in the breakdown', async () => {
+    const match = await matcher.calculateMatch(resumeParser.parseResumeText(resume('Title Candidate', ['JavaScript'])), await jdParser.parseJobDescription(JOB_DESCRIPTION));
+    const { titleAlignment } = match.breakdown;
+
+    assert.strictEqual(titleAlignment.status, 'aligned');
+    assert.strictEqual(titleAlignment.jobTitle.title, 'Software Engineer');
+    assert.strictEqual(titleAlignment.bestMatch.company, 'Acme Corp');
+});
+
+test('the recruiter view says whether a title search would surface the resume', () => {
+    const observations = titleAlignment => dualViewGenerator.generateRecruiterView({ score: 70, breakdown: { titleAlignment } }, {}, {}).observations;
+
+    assert.ok(observations(titleAligner.align('Frontend Dev', current('Front-End Engineer')))
+        .some(line => line.includes('Current title "Front-End Engineer" matches')));
+    assert.ok(observations(titleAligner.align('Data Scientist', current('Line Cook')))
+        .some(line => line.includes('No past title resembles "Data Scientist"')));
+    assert.deepStrictEqual(observations(titleAligner.align(null, current('Line Cook'))), []);
+});
@@ -0,0 +1,88 @@
+/**
+ * Work history: per-role headers, date ranges and the merged employment timeline
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const workHistoryParser = require('../utils/workHistoryParser');
+
+const NOW = new Date('2026-10-19');
+
+// The experience section body, heading already dropped (resumeParser.extractWorkHistory)
+const parse = lines => workHistoryParser.parse(lines.join('\n'), NOW);
+
+test('roles keep their title, company, location, dates and bullets', () => {
+    const { roles } = parse([
+        'Senior Software Engineer',
+        'Acme Corp, Austin, TX',
+        'Jan 2020 - Present',
+        '- Built REST APIs in Node.js',
+        'Software Engineer | Beta Inc | Remote',
+        '03/2017 - 12/2019',
+        '- Built React dashboards'
+    ]);
+
+    assert.deepStrictEqual(roles.map(r => [r.title, r.company, r.location]), [
+        ['Senior Software Engineer', 'Acme Corp', 'Austin, TX'],
+        ['Software Engineer', 'Beta Inc', 'Remote']
+    ]);
+    assert.strictEqual(roles[0].isCurrent, true);
+    assert.deepStrictEqual(roles[1].startDate, { year: 2017, month: 3 });
+    assert.strictEqual(roles[1].durationMonths, 34);
+    assert.deepStrictEqual(roles[0].bullets, ['Built REST APIs in Node.js']);
+});
+
+test('a trailing "City, ST" is the location, not part of the company', () => {
+    assert.deepStrictEqual(workHistoryParser.parseHeader(['Line Cook, Chez Panisse, Berkeley, CA']),
+        { title: 'Line Cook', company: 'Chez Panisse', location: 'Berkeley, CA' });
+    assert.deepStrictEqual(workHistoryParser.parseHeader(['Line Cook', 'Chez Panisse, Berkeley, CA']),
+        { title: 'Line Cook', company: 'Chez Panisse', location: 'Berkeley, CA' });
+    assert.strictEqual(workHistoryParser.parseHeader(['Senior Engineer, Platform, Acme Corp']).location, null);
+});
+
+test('date formats: month names, numeric months and years', () => {
+    assert.deepStrictEqual(workHistoryParser.parseDate('Sept. 2021'), { year: 2021, month: 9 });
+    assert.deepStrictEqual(workHistoryParser.parseDate('2021-09'), { year: 2021, month: 9 });
+    assert.deepStrictEqual(workHistoryParser.parseDate('09/2021'), { year: 2021, month: 9 });
+    assert.deepStrictEqual(workHistoryParser.parseDate('2021'), { year: 2021, month: null });
+    assert.strictEqual(workHistoryParser.parseDate('last year'), null);
+});
+
+test('impossible ranges are dropped', () => {
+    assert.strictEqual(workHistoryParser.parseDateRange('Jan 2022', 'Jan 2020', NOW), null);
+    assert.strictEqual(workHistoryParser.parseDateRange('Jan 2030', 'Present', NOW), null);
+});
+
+test('timeline reports the last month worked and the idle months between roles', () => {
+    const { timeline } = parse([
+        'Software Engineer',
+        'Acme Corp',
+        'Jan 2020 - Mar 2022',
+        '- Built APIs',
+        'Developer',
+        'Beta Inc',
+        'Jul 2022 - Dec 2023',
+        '- Built dashboards'
+    ]);
+
+    assert.deepStrictEqual(timeline.intervals.map(interval => [interval.start, interval.end, interval.months]), [
+        [{ year: 2020, month: 1 }, { year: 2022, month: 3 }, 27],
+        [{ year: 2022, month: 7 }, { year: 2023, month: 12 }, 18]
+    ]);
+    assert.deepStrictEqual(timeline.gaps, [{ from: { year: 2022, month: 4 }, to: { year: 2022, month: 6 }, months: 3 }]);
+    assert.strictEqual(timeline.totalMonths, 45);
+});
+
+test('overlapping roles merge into one interval and count once', () => {
+    const { timeline } = parse([
+        'Engineer, Acme',
+        'Jan 2020 - Jun 2021',
+        'Consultant, Beta',
+        'Mar 2021 - Present'
+    ]);
+
+    assert.strictEqual(timeline.intervals.length, 1);
+    assert.deepStrictEqual(timeline.intervals[0].end, { year: 2026, month: 10 });
+    assert.strictEqual(timeline.totalMonths, 82);
+    assert.deepStrictEqual(timeline.gaps, []);
+});
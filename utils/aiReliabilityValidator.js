@@ -15,6 +15,7 @@
 
 const fs = require('fs').promises;
 const path = require('path');
+const textAnalyzer = require('./textAnalyzer');
 
 class AIReliabilityValidator {
     constructor() {
@@ -143,13 +144,10 @@ class AIReliabilityValidator {
      */
     detectHallucination(skills, originalText) {
         const hallucinated = [];
-        const lowerText = originalText.toLowerCase();
 
         skills.forEach(skill => {
-            const lowerSkill = skill.toLowerCase();
-
-            // Check if skill appears in JD at all
-            if (!lowerText.includes(lowerSkill)) {
+            // Check if skill appears in JD at all (whole term - "Java" inside "JavaScript" doesn't count)
+            if (!textAnalyzer.findSkill(skill, originalText).found) {
                 // Could be a variation, but mark as suspicious
                 hallucinated.push(skill);
             }
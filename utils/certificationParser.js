@@ -0,0 +1,224 @@
+/**
+ * Certification Parser
+ * Turns a resume's certifications section into dated credentials: name, issuer, issue and expiry dates
+ *
+ * Philosophy: A certification is a credential with a shelf life, not a keyword
+ * - Taxonomy certifications and licenses are recognized by name or alias; a line naming two yields two
+ * - Lines the taxonomy doesn't know are kept by name - a JD may ask for them in the same words
+ * - Expiry is what the resume states; failing that, the issue date plus the taxonomy's validity period
+ * - A certification with neither counts as current - nothing says it lapsed
+ */
+
+const skillTaxonomy = require('./skillTaxonomy');
+const textAnalyzer = require('./textAnalyzer');
+const workHistoryParser = require('./workHistoryParser');
+
+// Taxonomy categories held as credentials
+const CERTIFICATION_CATEGORIES = ['certification', 'license'];
+
+// The section heading, when it shares its line with the first certification ("Certifications: PMP, CSM")
+const HEADING = /^\s*(?:certifications?|licen[sc]es?|credentials)(?:\s*(?:&|and|\/)\s*(?:certifications?|licen[sc]es?))?\s*:?\s*/i;
+const BULLET = /^\s*(?:[•●▪■◦‣∙·*–-]|\d+[.)])\s+/;
+
+// Words just before a date that say what the date is
+const EXPIRES_CUE = /\b(?:expires?|expired|expiring|expiration(?:\s+date)?|exp|valid\s+(?:until|through|thru|to)|renewal\s+due|renew\s+by)\s*[.:]?\s*(?:on|in)?\s*$/i;
+const ISSUED_CUE = /\b(?:issued|obtained|earned|received|awarded|certified|completed|passed|since)\s*[.:]?\s*(?:on|in)?\s*$/i;
+const CUE_WORDS = /\b(?:expires?|expired|expiring|expiration(?:\s+date)?|exp\.?|valid\s+(?:until|through|thru|to)|renewal\s+due|renew\s+by|issued|obtained|earned|received|awarded|completed|passed|since|present|current)\b\s*:?/gi;
+const NO_EXPIRY = /\b(?:no\s+expir(?:ation|y)(?:\s+date)?|does\s+not\s+expire|never\s+expires|lifetime)\b/gi;
+const CURRENT_RANGE = /[-–—]\s*(?:present|current)\b/i;
+
+// Name parts that belong to the certification, not its issuer ("Solutions Architect - Associate")
+const NAME_SUFFIX = /^(?:associate|professional|expert|specialty|practitioner|foundations?|fundamentals|level\s+\w+|i{1,3})$/i;
+const PART_SEPARATOR = /\s+[-–—|]\s+|\s*[,;|()[\]]\s*|\s+(?:issued\s+)?by\s+|\s+from\s+/i;
+
+// Longer lines are prose ("Completed coursework toward ..."), not a credential
+const MAX_LINE_LENGTH = 160;
+const MAX_NAME_LENGTH = 80;
+
+const MONTH_LABELS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+class CertificationParser {
+    /**
+     * Parse a resume's certifications
+     * @param {string} sectionText - Certifications section (resumeParser.extractSection), heading included
+     * @param {string} text - Full resume text - taxonomy certifications mentioned elsewhere are added undated
+     * @param {Date} now - Reference date for expiry (injectable for determinism)
+     * @returns {Array<Object>} [{ name, canonical, label, issuer, issued, expires, expirySource: stated|validity|null, expired, source: section|mention }]
+     */
+    parse(sectionText, text = '', now = new Date()) {
+        const certifications = [];
+
+        (sectionText || '').split(/\r?\n/)
+            .map((line, index) => (index === 0 ? line.replace(HEADING, '') : line).replace(BULLET, '').trim())
+            .filter(line => line && line.length <= MAX_LINE_LENGTH)
+            .forEach(line => certifications.push(...this.parseLine(line, now)));
+
+        // "Registered Nurse" in a title, "PMP" in a summary - held, but with no dates to check
+        const listed = new Set(certifications.map(cert => cert.canonical).filter(Boolean));
+        this.findCertifications(text)
+            .filter(({ name }) => !listed.has(name))
+            .forEach(({ name }) => {
+                listed.add(name);
+                certifications.push(this.build({ name: skillTaxonomy.getLabel(name), canonical: name, source: 'mention' }, now));
+            });
+
+        return this.dedupe(certifications);
+    }
+
+    /**
+     * One line of the certifications section: its credential(s), issuer and dates
+     */
+    parseLine(line, now) {
+        let issued = null;
+        let expires = null;
+        workHistoryParser.findDates(line).forEach(({ index, date }) => {
+            const before = line.slice(0, index);
+            if (EXPIRES_CUE.test(before)) expires = date;
+            else if (ISSUED_CUE.test(before) || !issued) issued = date;
+            else if (!expires) expires = date; // "2021 - 2024"
+        });
+        const noExpiry = !expires && (new RegExp(NO_EXPIRY.source, 'i').test(line) || CURRENT_RANGE.test(line));
+
+        const parts = this.splitParts(line);
+        const found = this.findCertifications(line);
+        if (parts.length === 0) return [];
+
+        // Parts after the name that name no credential are the issuer ("Amazon Web Services", "AHA")
+        const nameParts = [parts[0], ...parts.slice(1).filter(part => NAME_SUFFIX.test(part))];
+        const issuer = parts.slice(1).find(part => !NAME_SUFFIX.test(part) && this.findCertifications(part).length === 0) || null;
+        const dated = { issuer, issued, expires, noExpiry, source: 'section' };
+
+        if (found.length === 0) {
+            const name = nameParts.join(' ');
+            return /[a-z]/i.test(name) && name.length <= MAX_NAME_LENGTH
+                ? [this.build({ ...dated, name, canonical: null }, now)]
+                : [];
+        }
+
+        return found.map(({ name }) => this.build({
+            ...dated,
+            // One credential keeps the line's wording; a line listing several uses their labels
+            name: found.length === 1 ? nameParts.join(' ') : skillTaxonomy.getLabel(name),
+            canonical: name
+        }, now));
+    }
+
+    /**
+     * A line without its dates and date words, split into name, issuer and leftovers
+     */
+    splitParts(line) {
+        const bare = workHistoryParser.findDates(line)
+            .reduceRight((rest, { index, text }) => `${rest.slice(0, index)} | ${rest.slice(index + text.length)}`, line)
+            .replace(NO_EXPIRY, ' | ')
+            .replace(CUE_WORDS, ' | ');
+
+        return bare.split(PART_SEPARATOR)
+            .map(part => part.replace(/^[\s:.–—-]+|[\s:,–—-]+$/g, '').trim())
+            .filter(part => /[a-z]/i.test(part));
+    }
+
+    /**
+     * Taxonomy certifications and licenses named in text - where two overlap, the longer wins
+     * ("AWS Certified Solutions Architect Professional" is not also the Associate)
+     * @returns {Array<Object>} [{ name, start, end }]
+     */
+    findCertifications(text) {
+        if (!text) return [];
+
+        const mentions = skillTaxonomy.getSkillsByCategory(CERTIFICATION_CATEGORIES)
+            .flatMap(name => textAnalyzer.findSkillMatches(name, text).map(match => ({ name, start: match.start, end: match.end })))
+            .sort((a, b) => a.start - b.start || b.end - a.end)
+            .filter((mention, index, sorted) => index === 0 || mention.start >= sorted[index - 1].end);
+
+        return mentions.filter((mention, index) => mentions.findIndex(other => other.name === mention.name) === index);
+    }
+
+    /**
+     * Complete an entry: label and issuer from the taxonomy, expiry stated or from the validity period
+     */
+    build({ name, canonical, issuer = null, issued = null, expires = null, noExpiry = false, source }, now) {
+        const skill = canonical ? skillTaxonomy.getSkill(canonical) : null;
+
+        let expirySource = expires || noExpiry ? 'stated' : null;
+        if (!expires && !noExpiry && issued && skill && skill.validYears) {
+            const index = issued.year * 12 + (issued.month || 1) - 1 + Math.round(skill.validYears * 12);
+            expires = { year: Math.floor(index / 12), month: issued.month ? index % 12 + 1 : null };
+            expirySource = 'validity';
+        }
+
+        return {
+            name,
+            canonical,
+            label: skill ? skill.label : name,
+            issuer: issuer || (skill ? skill.issuer : null),
+            issued,
+            expires,
+            expirySource,
+            expired: this.isExpired(expires, now),
+            source
+        };
+    }
+
+    /**
+     * A year-only expiry is good through the end of that year
+     */
+    isExpired(expires, now = new Date()) {
+        if (!expires) return false;
+        return now.getFullYear() * 12 + now.getMonth() + 1 > expires.year * 12 + (expires.month || 12);
+    }
+
+    /**
+     * One entry per taxonomy credential - a current listing beats an expired one (a renewal listed twice)
+     */
+    dedupe(certifications) {
+        const byName = new Map();
+        certifications.forEach(cert => {
+            const key = cert.canonical || cert.name.toLowerCase();
+            const current = byName.get(key);
+            if (!current || (current.expired && !cert.expired)) byName.set(key, cert);
+        });
+        return Array.from(byName.values());
+    }
+
+    /**
+     * The held certification that satisfies a required one, current ones first
+     * A credential satisfies itself and everything it implies up the taxonomy's parents
+     * (ACLS implies BLS, Solutions Architect Professional implies the Associate); names
+     * outside the taxonomy must match word for word
+     * @param {Array<Object>} held - parse() result
+     * @param {string} required - Certification name or alias from the JD
+     * @returns {Object|null} The held entry
+     */
+    findHeld(held, required) {
+        const wanted = skillTaxonomy.canonicalName(required);
+        const wantedWords = this.words(required);
+
+        const satisfies = cert => {
+            if (wanted) {
+                for (let name = cert.canonical; name; name = skillTaxonomy.getParent(name)) {
+                    if (name === wanted) return true;
+                }
+                return false;
+            }
+            const words = this.words(cert.name);
+            return words === wantedWords || ` ${words} `.includes(` ${wantedWords} `);
+        };
+
+        const matches = (held || []).filter(satisfies);
+        return matches.find(cert => !cert.expired) || matches[0] || null;
+    }
+
+    words(name) {
+        return String(name || '').toLowerCase().replace(/[^a-z0-9+#]+/g, ' ').trim();
+    }
+
+    /**
+     * "Mar 2024", or "2024" for a year-only date
+     */
+    formatDate(date) {
+        if (!date) return null;
+        return date.month ? `${MONTH_LABELS[date.month - 1]} ${date.year}` : String(date.year);
+    }
+}
+
+module.exports = new CertificationParser();
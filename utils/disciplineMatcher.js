@@ -0,0 +1,224 @@
+/**
+ * Discipline Matcher
+ *
+ * Compares a degree's field of study with the fields a job description asks for. Both are
+ * normalized through config/disciplineTaxonomy.json, so "CS" reads as Computer Science and
+ * "Management Information Systems" as Information Systems before they are compared
+ *
+ * Philosophy: A degree is a level and a subject
+ * - The level is textAnalyzer.compareEducation's job - only the subject is compared here
+ * - Same discipline = a match, related discipline = partial (the taxonomy's weight), same family = a little
+ * - "Or a related field" widens what counts: anything related or in the same family is close enough
+ * - Broad fields ("a STEM field", "a technical field") are satisfied by any discipline in their families
+ * - Fields the taxonomy doesn't know fall back to shared words, never to a guess
+ */
+
+const DISCIPLINE_TAXONOMY = require('../config/disciplineTaxonomy.json');
+
+// Words ignored when fields outside the taxonomy are compared word by word
+const IGNORED_WORDS = new Set([
+    'of', 'and', 'the', 'in', 'a', 'an', 'or', 'for', 'with', 'studies', 'study', 'degree', 'major', 'program',
+    'general', 'applied', 'science', 'sciences', 'arts', 'honors', 'hons'
+]);
+
+const MATCH_THRESHOLD = 0.9;
+const RELATED_THRESHOLD = 0.5;
+const FAMILY_SIMILARITY = 0.4;
+// "Computer Science or a related field": a related or same-family discipline counts at least this much
+const RELATED_FIELD_SIMILARITY = 0.8;
+
+class DisciplineMatcher {
+    constructor() {
+        this.index = null; // built on first use
+    }
+
+    /**
+     * Build the discipline index: normalized phrase -> discipline or group, plus symmetric related weights
+     * @throws {Error} When the taxonomy references an unknown discipline or family, or reuses an alias
+     */
+    load(taxonomy = DISCIPLINE_TAXONOMY) {
+        const errors = [];
+        const disciplines = new Map();
+        const groups = new Map();
+        const phrases = new Map();
+
+        taxonomy.disciplines.forEach(discipline => {
+            disciplines.set(discipline.name, { ...discipline, related: new Map() });
+        });
+        const families = new Set(taxonomy.disciplines.map(discipline => discipline.family));
+
+        const addPhrases = (entry, kind) => {
+            [entry.name, ...(entry.aliases || [])].forEach(alias => {
+                const phrase = this.normalize(alias);
+                const owner = phrases.get(phrase);
+                if (owner && owner.name !== entry.name) {
+                    errors.push(`"${alias}" is listed under both "${owner.name}" and "${entry.name}"`);
+                }
+                phrases.set(phrase, { kind, name: entry.name });
+            });
+        };
+
+        taxonomy.disciplines.forEach(discipline => {
+            addPhrases(discipline, 'discipline');
+
+            Object.entries(discipline.related || {}).forEach(([name, weight]) => {
+                if (!disciplines.has(name)) {
+                    errors.push(`"${discipline.name}" is related to unknown discipline "${name}"`);
+                } else if (!(weight > 0 && weight < 1)) {
+                    errors.push(`"${discipline.name}" -> "${name}": weight must be between 0 and 1 (exclusive)`);
+                } else {
+                    // A relation declared on either side applies both ways
+                    disciplines.get(discipline.name).related.set(name, weight);
+                    disciplines.get(name).related.set(discipline.name, Math.max(weight, disciplines.get(name).related.get(discipline.name) || 0));
+                }
+            });
+        });
+
+        (taxonomy.groups || []).forEach(group => {
+            addPhrases(group, 'group');
+            (group.families || [])
+                .filter(family => !families.has(family))
+                .forEach(family => errors.push(`Group "${group.name}" names unknown family "${family}"`));
+            (group.disciplines || [])
+                .filter(name => !disciplines.has(name))
+                .forEach(name => errors.push(`Group "${group.name}" names unknown discipline "${name}"`));
+            groups.set(group.name, { ...group, families: group.families || [], disciplines: group.disciplines || [] });
+        });
+
+        if (errors.length > 0) {
+            throw new Error(`Invalid discipline taxonomy:\n  - ${errors.join('\n  - ')}`);
+        }
+
+        // Longest phrase first, so "computer engineering" wins over "engineering"
+        this.index = {
+            disciplines,
+            groups,
+            phrases: [...phrases.entries()].sort(([a], [b]) => b.length - a.length)
+        };
+        console.log(`🎓 Discipline taxonomy loaded: ${disciplines.size} disciplines, ${groups.size} broad fields`);
+        return this;
+    }
+
+    ensureLoaded() {
+        if (!this.index) this.load();
+    }
+
+    /**
+     * Normalize a field: lowercase, "&" to "and", punctuation to spaces
+     * "Computer Science & Engineering (Hons.)" -> "computer science and engineering hons"
+     */
+    normalize(field) {
+        return String(field || '')
+            .toLowerCase()
+            .replace(/&/g, ' and ')
+            .replace(/[^a-z0-9+#-]+/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Map a field of study to its discipline, or to a broad field
+     * @returns {Object} { field, normalized, discipline, label, family, group }
+     */
+    parseField(field) {
+        this.ensureLoaded();
+        const normalized = this.normalize(field);
+        const match = this.index.phrases.find(([phrase]) => new RegExp(`(?:^| )${this.escape(phrase)}(?: |$)`).test(normalized));
+        const entry = match ? match[1] : null;
+        const discipline = entry && entry.kind === 'discipline' ? this.index.disciplines.get(entry.name) : null;
+        const group = entry && entry.kind === 'group' ? this.index.groups.get(entry.name) : null;
+
+        return {
+            field,
+            normalized,
+            discipline: discipline ? discipline.name : null,
+            label: discipline ? discipline.label : group ? group.label : null,
+            family: discipline ? discipline.family : null,
+            group: group ? group.name : null
+        };
+    }
+
+    /**
+     * Similarity of a held field to a wanted one (0-1)
+     * @param {Object} held - parseField() of the degree's field
+     * @param {Object} wanted - parseField() of a field the JD asks for
+     */
+    similarity(held, wanted) {
+        if (wanted.group) {
+            const group = this.index.groups.get(wanted.group);
+            if (held.group === wanted.group) return 1;
+            return held.discipline && (group.disciplines.includes(held.discipline) || group.families.includes(held.family)) ? 1 : 0;
+        }
+
+        if (held.group && wanted.discipline) {
+            // "Bachelor of Engineering" against Mechanical Engineering: the right family, subject unknown
+            const group = this.index.groups.get(held.group);
+            return group.disciplines.includes(wanted.discipline) || group.families.includes(wanted.family) ? FAMILY_SIMILARITY : 0;
+        }
+
+        if (held.discipline && wanted.discipline) {
+            if (held.discipline === wanted.discipline) return 1;
+            const related = this.index.disciplines.get(held.discipline).related.get(wanted.discipline);
+            if (related) return related;
+            return held.family === wanted.family ? FAMILY_SIMILARITY : 0;
+        }
+
+        // Outside the taxonomy: share of meaningful words in common
+        const words = parsed => new Set(parsed.normalized.split(' ').filter(word => word && !IGNORED_WORDS.has(word)));
+        const heldWords = words(held);
+        const wantedWords = words(wanted);
+        if (heldWords.size === 0 || wantedWords.size === 0) return 0;
+        const shared = [...heldWords].filter(word => wantedWords.has(word)).length;
+        return Math.round((shared / new Set([...heldWords, ...wantedWords]).size) * 100) / 100;
+    }
+
+    /**
+     * Match a degree's field against the fields a JD asks for
+     * @param {string|null} field - The degree's field of study ("Computer Science")
+     * @param {Array<string>} wantedFields - Fields the JD names ("Computer Science", "a STEM field")
+     * @param {boolean} relatedAccepted - The JD says "or a related field"
+     * @returns {Object} { status: match|related|unrelated|unknown, similarity, field, discipline, closestField, verdict }
+     */
+    match(field, wantedFields = [], relatedAccepted = false) {
+        this.ensureLoaded();
+        const wanted = wantedFields.map(name => this.parseField(name));
+        const wantedLabel = wanted.map(entry => entry.label || entry.field).join(' or ');
+
+        if (!field) {
+            return { status: 'unknown', similarity: null, field: null, discipline: null, closestField: null, verdict: `Field of study not stated (JD asks for ${wantedLabel})` };
+        }
+
+        const held = this.parseField(field);
+        const scored = wanted.map(entry => {
+            const similarity = this.similarity(held, entry);
+            return {
+                entry,
+                similarity: relatedAccepted && similarity >= FAMILY_SIMILARITY ? Math.max(similarity, RELATED_FIELD_SIMILARITY) : similarity
+            };
+        });
+        const best = scored.sort((a, b) => b.similarity - a.similarity)[0];
+        const status = best.similarity >= MATCH_THRESHOLD ? 'match'
+            : best.similarity >= RELATED_THRESHOLD ? 'related'
+                : 'unrelated';
+        const heldLabel = held.label || field;
+        const closest = best.entry.label || best.entry.field;
+
+        return {
+            status,
+            similarity: best.similarity,
+            field,
+            discipline: held.label,
+            closestField: closest,
+            verdict: status === 'match' ? `${heldLabel} matches the required field (${closest})`
+                : status === 'related' ? `${heldLabel} is related to ${closest} (${Math.round(best.similarity * 100)}% field match)`
+                    : best.similarity > 0 ? `${heldLabel} is only loosely related to ${closest} (${Math.round(best.similarity * 100)}% field match)`
+                        : `${heldLabel} is unrelated to ${wantedLabel}`
+        };
+    }
+
+    escape(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+}
+
+module.exports = new DisciplineMatcher();
@@ -0,0 +1,72 @@
+/**
+ * Job Domain Detector
+ *
+ * Works out which skill taxonomy domain packs (software, healthcare, finance, sales, design...)
+ * a job description belongs to, so the fallback parser looks for nursing licenses in a
+ * nursing JD and never reads "epics" in an agile JD as the Epic EHR system
+ *
+ * Philosophy: Evidence, not guesses
+ * - A domain needs several of its own skills or signal words before it counts
+ * - Mixed roles (e.g. healthcare software) keep every strong domain
+ * - No evidence at all falls back to software, the historical default
+ */
+
+const skillTaxonomy = require('./skillTaxonomy');
+const textAnalyzer = require('./textAnalyzer');
+
+// A pack skill is stronger evidence than a generic signal word
+const SKILL_EVIDENCE_WEIGHT = 2;
+const SIGNAL_EVIDENCE_WEIGHT = 1;
+
+// Minimum evidence for a domain, and share of the top domain's evidence a second domain needs
+const MIN_DOMAIN_SCORE = 4;
+const SECONDARY_DOMAIN_SHARE = 0.5;
+
+const DEFAULT_DOMAIN = 'software';
+
+class DomainDetector {
+    /**
+     * Detect the domain(s) of a job description
+     * @param {string} text - Job description (original casing)
+     * @returns {Object} { primary, domains, confidence, scores: [{ domain, score, skills, signals }] }
+     */
+    detect(text) {
+        const scores = skillTaxonomy.getDomains()
+            .map(domain => this.scoreDomain(domain, text || ''))
+            .sort((a, b) => b.score - a.score);
+
+        const top = scores[0];
+        if (!top || top.score < MIN_DOMAIN_SCORE) {
+            return { primary: DEFAULT_DOMAIN, domains: [DEFAULT_DOMAIN], confidence: 'low', scores };
+        }
+
+        const domains = scores
+            .filter(entry => entry.score >= MIN_DOMAIN_SCORE && entry.score >= top.score * SECONDARY_DOMAIN_SHARE)
+            .map(entry => entry.domain);
+        const runnerUp = scores[1] ? scores[1].score : 0;
+
+        return {
+            primary: top.domain,
+            domains,
+            confidence: top.score >= MIN_DOMAIN_SCORE * 2 && top.score >= runnerUp * 2 ? 'high' : 'medium',
+            scores
+        };
+    }
+
+    /**
+     * Evidence for one domain pack: its skills and signal words found in the text
+     */
+    scoreDomain(domain, text) {
+        const skills = domain.skills.filter(skill => textAnalyzer.findSkillMatches(skill, text).length > 0);
+        const signals = domain.signals.filter(signal => textAnalyzer.keywordPattern(signal).test(text));
+
+        return {
+            domain: domain.name,
+            score: skills.length * SKILL_EVIDENCE_WEIGHT + signals.length * SIGNAL_EVIDENCE_WEIGHT,
+            skills,
+            signals
+        };
+    }
+}
+
+module.exports = new DomainDetector();
@@ -0,0 +1,302 @@
+/**
+ * Education Parser
+ * Turns a resume's education section into degrees - level, field of study, institution and
+ * graduation year - and reads what a job description asks for beyond the level: the fields of
+ * study it names and whether experience may stand in for the degree
+ *
+ * Philosophy: Read what is written, infer only what the degree's name says
+ * - "BSN" is a nursing degree and "MBA" a business one; "B.S." alone says nothing about the subject
+ * - A field is only taken from the degree's own line or the line naming the institution
+ * - "Or equivalent experience" is only read from a sentence about the degree
+ * - Without an education section, only spelled-out degrees count ("Master's", not "MS")
+ */
+
+// Degree names in the order they are tried - spelled-out forms first, then abbreviations (case-sensitive)
+// field: the subject the name itself implies
+const DEGREES = [
+    { level: 'PhD', pattern: /\b(?:doctor(?:ate)?\s+of\s+philosophy|doctorate|doctoral\s+degree)\b/i },
+    { level: 'PhD', pattern: /\bdoctor(?=\s+of\b)/i },
+    { level: 'Masters', pattern: /\bmaster['’]s\b|\bmasters?(?=\s+(?:degree\s+)?(?:of|in)\b)|\bmasters\s+degree\b/i },
+    { level: 'Bachelors', pattern: /\bbachelor(?:['’]?s)?\b/i },
+    { level: 'Associates', pattern: /\bassociate['’]s\b|\bassociates?(?=\s+(?:degree|of|in)\b)/i },
+    { level: 'PhD', pattern: /\bPh\.?\s?D\b\.?|\bD\.?Phil\b/ },
+    { level: 'PhD', pattern: /\bEd\.?D\b\.?/, field: 'Education' },
+    { level: 'PhD', pattern: /\bPharm\.?D\b\.?/, field: 'Pharmacy' },
+    { level: 'PhD', pattern: /\bPsy\.?D\b\.?/, field: 'Psychology' },
+    { level: 'PhD', pattern: /\bDNP\b/, field: 'Nursing' },
+    { level: 'Masters', pattern: /\bMBA\b/, field: 'Business Administration' },
+    { level: 'Masters', pattern: /\bMFA\b/, field: 'Fine Arts' },
+    { level: 'Masters', pattern: /\bMSN\b/, field: 'Nursing' },
+    { level: 'Masters', pattern: /\bMPH\b/, field: 'Public Health' },
+    { level: 'Masters', pattern: /\bMSW\b/, field: 'Social Work' },
+    { level: 'Masters', pattern: /\bM\.?Ed\b\.?/, field: 'Education' },
+    { level: 'Masters', pattern: /\bM\.?Eng\b\.?|\bM\.?Tech\b\.?/, field: 'Engineering' },
+    { level: 'Masters', pattern: /\bLL\.?M\b\.?/, field: 'Law' },
+    { level: 'Masters', pattern: /\bM\.?Sc\b\.?|\bM\.S\.|\bMS\b|\bM\.A\.|\bMA\b/ },
+    { level: 'Bachelors', pattern: /\bBBA\b/, field: 'Business Administration' },
+    { level: 'Bachelors', pattern: /\bBFA\b/, field: 'Fine Arts' },
+    { level: 'Bachelors', pattern: /\bBSN\b/, field: 'Nursing' },
+    { level: 'Bachelors', pattern: /\bB\.?Ed\b\.?/, field: 'Education' },
+    { level: 'Bachelors', pattern: /\bB\.?Eng\b\.?|\bB\.?Tech\b\.?|\bB\.E\./, field: 'Engineering' },
+    { level: 'Bachelors', pattern: /\bB\.?Com\b\.?/, field: 'Commerce' },
+    { level: 'Bachelors', pattern: /\bLL\.?B\b\.?/, field: 'Law' },
+    { level: 'Bachelors', pattern: /\bB\.?Sc\b\.?|\bB\.S\.|\bBS\b|\bB\.A\.|\bBA\b/ },
+    { level: 'Associates', pattern: /\bA\.?A\.?S\b\.?|\bA\.S\.|\bA\.A\.|\bAS\b|\bAA\b/ },
+    { level: 'Diploma', pattern: /\bhigh\s+school\s+diploma\b|\bdiploma\b|\bGED\b/i }
+];
+
+// Only these count outside an education section - "MS Office" and "Scrum Master" are not degrees
+const SPELLED_OUT = DEGREES.slice(0, 5);
+
+// "Bachelor of Science" names the kind of degree, not its subject
+const GENERIC_DESIGNATION = /^\s*(?:applied\s+)?(?:science|sciences|arts|philosophy)\b\.?/i;
+const HONOURS = /^\s*(?:\(\s*hons?\.?\s*\)|\(\s*honou?rs\s*\)|honou?rs|hons\.?)/i;
+
+// Where a field of study ends: the institution, the dates, honours or a minor
+const FIELD_END = /\s*(?:[,;|()]|\s[-–—]\s|\b(?:from|at|with|minor|concentration|specialization|gpa|expected|anticipated|cum\s+laude|magna|summa|graduated)\b|\b(?:19|20)\d{2}\b)/i;
+const MAX_FIELD_WORDS = 8;
+const MONTH_WORD = /^(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\b/i;
+
+const INSTITUTION = /\b(?:university|universit[éäa]t?|college|institute|school|academy|polytechnic|conservatory)\b/i;
+const PART_SEPARATOR = /\s*[,;|()]\s*|\s+[-–—]\s+/;
+const YEAR = /\b(?:19[5-9]\d|20\d{2})\b/;
+const YEARS = new RegExp(YEAR.source, 'g');
+const IN_PROGRESS = /\b(?:expected|anticipated|candidate|in\s+progress|pursuing|currently\s+enrolled)\b/i;
+// Graduation years this far ahead are typos, not expected dates
+const MAX_YEARS_AHEAD = 7;
+
+// The section heading, when it shares its line with the first degree ("Education: B.S. ...")
+const HEADING = /^\s*(?:education(?:al\s+background)?|academic\s+(?:background|qualifications)|education\s+(?:&|and)\s+training)\s*:?\s*/i;
+const MAX_LINE_LENGTH = 200;
+
+// Job description side: sentences about a degree, and what they ask for
+const JD_DEGREE_WORDS = /\b(?:degree|bachelor|master['’]?s|masters|ph\.?\s?d|doctorate|diploma)\b/i;
+const JD_DEGREE_ABBREVIATIONS = /\b(?:B\.?S|B\.?A|BSc|M\.?S|M\.?A|MSc|BSN|MSN|MBA|BFA|MFA|BS\/MS|BA\/BS|MS\/PhD)\b/;
+const JD_FIELD_INTRO = /\b(?:degree|bachelor(?:['’]?s)?|masters?(?:['’]s)?|ph\.?\s?d\.?|doctorate|mba|b\.?s\.?c?|b\.?a\.?|m\.?s\.?c?|bsn|msn)\b(?:(?!\b(?:experience|years?)\b)[^.;:])*?\b(?:in|of)\s+(.+)/i;
+const JD_DESIGNATION = /\bof\s+(?:applied\s+)?(?:science|arts)\b(?=\s+(?:in|degree)\b)/gi;
+const JD_FIELD_END = /\s*(?:[.;:(]|\bor\s+(?:its\s+)?(?:foreign|international)\b|\bor\s+(?:an?\s+)?equivalent\b|\bequivalent\b|\bor\s+\d+\+?\s+years?\b|\b(?:with|plus|required|preferred|is|are|from|strongly|highly|desired|needed)\b|\band\s+(?:\d|at\s+least|a\s+minimum|experience)\b)/i;
+const JD_FIELD_SEPARATOR = /\s*,\s*(?:(?:and\/)?or\s+|and\s+)?|\s*\/\s*|\s+(?:and\/)?or\s+/i;
+const JD_FIELD_ARTICLE = /^(?:an?|the|any|other|some)\s+/i;
+const RELATED_FIELD = /\b(?:related|relevant|similar|equivalent|comparable|associated|allied)\b/i;
+const FIELD_WORD = /^(?:fields?|disciplines?|areas?|subjects?|majors?|degrees?|programs?)$/i;
+const MAX_JD_FIELD_WORDS = 6;
+
+// Experience standing in for the degree - "or foreign equivalent" is about the degree, not experience
+const EQUIVALENT_EXPERIENCE = /\bor\s+(?:an?\s+)?equivalent\b|\bequivalent\s+(?:combination|(?:practical|professional|work|relevant|industry|military)\s+experience|experience)\b|\bin\s+(?:lieu|place)\s+of\b|\bor\s+(?:\d+\s*\+?\s+years?\s+(?:of\s+)?)?(?:relevant|related|comparable|equivalent)\s+(?:work\s+|professional\s+|industry\s+)?experience\b|\bexperience\s+(?:may|can|will)\s+(?:be\s+)?(?:substituted?|considered|accepted)\b/i;
+const DEGREE_EQUIVALENT = /\b(?:foreign|international)\s+equivalent\b|\bequivalent\s+(?:degree|qualification)\b/i;
+const CONTINUES_DEGREE = /^\W*(?:or|and)?\s*(?:equivalent|in\s+lieu)\b/i;
+const EQUIVALENT_YEARS = [
+    // "or 4+ years of equivalent experience", "6 years of experience in lieu of a degree"
+    /(\d{1,2})\s*\+?\s*(?:additional\s+)?(?:years?|yrs?)\b[^.;]{0,60}?\b(?:in\s+(?:lieu|place)|instead|equivalent|substitut)/i,
+    // "In lieu of a degree, 6 years of relevant experience"
+    /\b(?:in\s+(?:lieu|place)\s+of|instead\s+of)\s+(?:an?\s+|the\s+)?(?:\w+['’]?s?\s+)?degree\b[^.;]{0,20}?(\d{1,2})\s*\+?\s*(?:years?|yrs?)\b/i
+];
+const MAX_EQUIVALENT_YEARS = 20;
+
+class EducationParser {
+    /**
+     * Parse a resume's degrees
+     * @param {string} sectionText - Education section (resumeParser.extractHeadedSection), heading included
+     * @param {string} text - Full resume text - searched for spelled-out degrees when there is no section
+     * @param {Date} now - Reference date for expected graduations (injectable for determinism)
+     * @returns {Array<Object>} [{ degree, level, field, institution, graduationYear, expected, text }]
+     */
+    parse(sectionText, text = '', now = new Date()) {
+        if (!sectionText) {
+            return (text || '').split(/\r?\n/)
+                .map(line => line.trim())
+                .filter(line => line && line.length <= MAX_LINE_LENGTH && this.findDegree(line, SPELLED_OUT))
+                .map(line => this.build([line], now, SPELLED_OUT));
+        }
+
+        const entries = [];
+        let pending = [];
+        sectionText.split(/\r?\n/)
+            .map((line, index) => (index === 0 ? line.replace(HEADING, '') : line).replace(/^\s*[•●▪■◦‣∙·*–-]\s+/, '').trim())
+            .filter(line => line && line.length <= MAX_LINE_LENGTH)
+            .forEach(line => {
+                if (!this.findDegree(line)) {
+                    pending.push(line);
+                    return;
+                }
+                // Lines between two degrees belong to the earlier one unless it already names its school
+                const previous = entries[entries.length - 1];
+                if (previous && pending.length > 0 && !previous.some(entry => INSTITUTION.test(entry))) {
+                    previous.push(...pending);
+                    pending = [];
+                }
+                entries.push([...pending, line]);
+                pending = [];
+            });
+
+        const last = entries[entries.length - 1];
+        if (last && pending.length > 0 && !last.some(entry => INSTITUTION.test(entry) && YEAR.test(entry))) {
+            last.push(...pending);
+        }
+
+        return entries.map(lines => this.build(lines, now));
+    }
+
+    /**
+     * First degree named in a line
+     * @returns {Object|null} { level, field, index, text }
+     */
+    findDegree(line, degrees = DEGREES) {
+        let best = null;
+        degrees.forEach(({ level, pattern, field }) => {
+            const match = line.match(pattern);
+            if (match && (!best || match.index < best.index || (match.index === best.index && match[0].length > best.text.length))) {
+                best = { level, field: field || null, index: match.index, text: match[0] };
+            }
+        });
+        return best;
+    }
+
+    /**
+     * One degree from its lines: the degree line, plus the lines naming its school and dates
+     */
+    build(lines, now, degrees = DEGREES) {
+        const degreeLine = lines.find(line => this.findDegree(line, degrees));
+        const degree = this.findDegree(degreeLine, degrees);
+
+        const institutionPart = lines
+            .flatMap(line => line.split(PART_SEPARATOR))
+            .find(part => INSTITUTION.test(part) && !this.findDegree(part));
+        const institution = institutionPart ? institutionPart.replace(/^[\s–—-]+|[\s–—-]+$/g, '') : null;
+
+        const years = lines.join(' ').match(YEARS) || [];
+        const latest = years.map(Number).filter(year => year <= now.getFullYear() + MAX_YEARS_AHEAD).sort((a, b) => b - a)[0] || null;
+
+        return {
+            degree: degree.text.trim(),
+            level: degree.level,
+            field: this.findField(degreeLine, degree),
+            institution,
+            graduationYear: latest,
+            expected: IN_PROGRESS.test(lines.join(' ')) || (latest !== null && latest > now.getFullYear()),
+            text: lines.join(' | ')
+        };
+    }
+
+    /**
+     * The field of study on a degree line: "in X" or "of X" after the degree, what the degree's
+     * name implies, or "X, B.S." before it
+     */
+    findField(line, degree) {
+        let rest = line.slice(degree.index + degree.text.length).replace(HONOURS, '').replace(/^\s*degree\b/i, '');
+
+        const of = rest.match(/^\s*of\s+/i);
+        if (of) {
+            rest = rest.slice(of[0].length);
+            if (GENERIC_DESIGNATION.test(rest)) {
+                rest = rest.replace(GENERIC_DESIGNATION, '').replace(HONOURS, '');
+            } else {
+                // "Bachelor of Engineering in Mechanical Engineering" - the "in" names the subject
+                const within = rest.match(/^[^,;|]*?\bin\s+(.*)$/i);
+                const named = (within && this.cleanField(within[1])) || this.cleanField(rest);
+                if (named) return named;
+            }
+        }
+
+        const after = this.cleanField(rest.replace(/^\s*(?:degree\s+)?(?:in\b|[:–—-])?\s*/i, ''));
+        if (after) return after;
+        if (degree.field) return degree.field;
+
+        const before = line.slice(0, degree.index).split(PART_SEPARATOR).filter(part => part.trim()).pop();
+        return this.cleanField(before || '');
+    }
+
+    /**
+     * A field of study, or null when the text is a school, a date or prose
+     */
+    cleanField(text) {
+        const field = text.split(FIELD_END)[0].replace(/^[\s:,–—-]+|[\s:,.–—-]+$/g, '').trim();
+        if (!/[a-z]/i.test(field) || /\d/.test(field) || MONTH_WORD.test(field)) return null;
+        if (INSTITUTION.test(field) || this.findDegree(field)) return null;
+        if (field.split(/\s+/).length > MAX_FIELD_WORDS) return null;
+        return field;
+    }
+
+    /**
+     * What a job description asks of a degree beyond its level
+     * @param {string} jobDescription - Job description in its original casing
+     * @returns {Object} { fields, relatedFields, equivalentExperience: { years, text } | null }
+     */
+    parseRequirement(jobDescription) {
+        const result = { fields: [], relatedFields: false, equivalentExperience: null };
+
+        let previousAboutDegree = false;
+        this.splitSentences(jobDescription || '').forEach(sentence => {
+            const aboutDegree = JD_DEGREE_WORDS.test(sentence) || JD_DEGREE_ABBREVIATIONS.test(sentence);
+            // "Bachelor's degree in Computer Science" / "- or equivalent experience" on the next line
+            const continues = !aboutDegree && previousAboutDegree && CONTINUES_DEGREE.test(sentence);
+            previousAboutDegree = aboutDegree;
+            if (!aboutDegree && !continues) return;
+
+            if (aboutDegree && result.fields.length === 0) {
+                const { fields, related } = this.findRequiredFields(sentence);
+                result.fields = fields;
+                result.relatedFields = related;
+            }
+
+            if (!result.equivalentExperience && EQUIVALENT_EXPERIENCE.test(sentence) &&
+                (/\bexperience\b/i.test(sentence) || !DEGREE_EQUIVALENT.test(sentence))) {
+                result.equivalentExperience = { years: this.findEquivalentYears(sentence), text: sentence.trim() };
+            }
+        });
+
+        return result;
+    }
+
+    /**
+     * Fields of study named in a degree sentence
+     * "Bachelor's degree in Computer Science, Engineering, or a related field"
+     *   -> { fields: ['Computer Science', 'Engineering'], related: true }
+     */
+    findRequiredFields(sentence) {
+        const match = sentence.replace(JD_DESIGNATION, '').match(JD_FIELD_INTRO);
+        if (!match) {
+            const implied = this.findDegree(sentence, DEGREES.filter(degree => degree.field));
+            return { fields: implied ? [implied.field] : [], related: false };
+        }
+
+        let related = false;
+        const fields = match[1].split(JD_FIELD_END)[0]
+            .split(JD_FIELD_SEPARATOR)
+            .map(item => item.trim().replace(JD_FIELD_ARTICLE, '').replace(/[\s,.]+$/, ''))
+            .filter(item => {
+                if (RELATED_FIELD.test(item)) {
+                    related = true;
+                    return false;
+                }
+                return /[a-z]/i.test(item) && !/\d/.test(item) && !FIELD_WORD.test(item) &&
+                    item.split(/\s+/).length <= MAX_JD_FIELD_WORDS;
+            });
+
+        return { fields: [...new Set(fields)], related };
+    }
+
+    /**
+     * Years of experience a JD accepts in place of the degree, or null when it doesn't say
+     */
+    findEquivalentYears(sentence) {
+        for (const pattern of EQUIVALENT_YEARS) {
+            const match = sentence.match(pattern);
+            const years = match ? parseInt(match[1], 10) : 0;
+            if (years > 0 && years <= MAX_EQUIVALENT_YEARS) return years;
+        }
+        return null;
+    }
+
+    /**
+     * Lines and sentences - "B.S. Computer Science" is not split after "B.S."
+     */
+    splitSentences(text) {
+        return text
+            .split(/\r?\n+|(?<=[a-z0-9)]{2}[.!?])\s+(?=[A-Z])/)
+            .map(sentence => sentence.replace(/^[\s•●▪■◦‣∙·*–-]+/, '').trim())
+            .filter(Boolean);
+    }
+}
+
+module.exports = new EducationParser();
@@ -5,49 +5,36 @@
  * Philosophy: Conservative extraction - better to miss than guess wrong
  */
 
+const skillTaxonomy = require('./skillTaxonomy');
+const textAnalyzer = require('./textAnalyzer');
+const domainDetector = require('./domainDetector');
+const skillSimilarity = require('../config/skillSimilarity');
+const knockoutEvaluator = require('./knockoutEvaluator');
+const educationParser = require('./educationParser');
+
+// Knockout wording: a hard requirement, unless the same sentence softens it
+const MANDATORY_PATTERN = /\b(?:required|requirement|must|mandatory|need to (?:have|hold|possess)|only)\b/i;
+const OPTIONAL_PATTERN = /\b(?:preferred|a plus|nice to have|bonus|desired|or equivalent|equivalent (?:work )?experience|or related experience|in lieu of)\b/i;
+const NO_SPONSORSHIP_PATTERN = /\b(?:no|not|unable to|cannot|can't|will not|won't|do not|does not)\b[^.\n]{0,40}\bsponsor(?:ship)?\b|\bwithout (?:the need for )?(?:current or future )?(?:visa |employer )?sponsorship\b|\bsponsorship (?:is )?(?:not |un)available\b/i;
+const AUTHORIZATION_PATTERN = /\b(?:authori[sz]ed to work|work authori[sz]ation|right to work|eligible to work)\b/i;
+const CITIZENSHIP_PATTERN = /\b(?:u\.?\s?s\.?|united states) citizen(?:ship)?\b/i;
+const OBTAINABLE_PATTERN = /\b(?:ability|able|eligib\w*|willing(?:ness)?) to (?:obtain|get|acquire)\b|\bobtainable\b|\beligible for\b/i;
+const HELD_CREDENTIAL_PATTERN = /\b(?:active|current|valid|unencumbered)\b/i;
+const DEGREE_WORD_PATTERN = /\b(?:degree|bachelor|master|ph\.?d|doctorate|mba)\b/i;
+
+// "Any of" skill lists: skills joined by commas, slashes or "or" - a plain space or "and" ends the list
+const GROUP_JOINER = /^[ \t]*(?:v?\d+(?:\.\d+)*\+?)?[ \t]*(?:,[ \t]*(?:(?:and\/)?or\b)?|\/|(?:and\/)?or\b)[ \t]*$/i;
+const GROUP_OR = /\bor\b/i;
+// A slash list only means alternatives when introduced as such - "HTML/CSS" means both
+const GROUP_INTRO = /\b(?:one|any|either)(?:[ \t]+of)?(?:[ \t]+the[ \t]+following)?[ \t]*:?[ \t]*\(?[ \t]*$/i;
+
+// Taxonomy categories scored as certifications rather than skills
+const CERTIFICATION_CATEGORIES = ['certification', 'license'];
+
 class FallbackJDParser {
     constructor() {
-        // Comprehensive skill/technology patterns
-        this.techKeywords = [
-            // Programming Languages
-            'python', 'java', 'javascript', 'typescript', 'c++', 'c#', 'go', 'golang',
-            'ruby', 'php', 'swift', 'kotlin', 'rust', 'scala', 'r', 'matlab',
-
-            // Frontend
-            'react', 'reactjs', 'react.js', 'angular', 'angularjs', 'vue', 'vuejs', 'vue.js',
-            'next.js', 'nextjs', 'svelte', 'html', 'css', 'sass', 'scss', 'tailwind',
-
-            // Backend
-            'node.js', 'nodejs', 'express', 'express.js', 'django', 'flask', 'fastapi',
-            'spring', 'spring boot', '.net', 'asp.net', 'rails', 'laravel',
-
-            // Databases
-            'sql', 'nosql', 'mysql', 'postgresql', 'postgres', 'mongodb', 'redis',
-            'elasticsearch', 'cassandra', 'dynamodb', 'oracle', 'sqlite',
-
-            // Cloud & DevOps
-            'aws', 'azure', 'gcp', 'google cloud', 'docker', 'kubernetes', 'k8s',
-            'ci/cd', 'jenkins', 'gitlab', 'github actions', 'terraform', 'ansible',
-
-            // APIs & Architecture
-            'rest', 'restful', 'rest api', 'graphql', 'grpc', 'microservices',
-            'api design', 'soap', 'webhooks',
-
-            // Tools & Frameworks
-            'git', 'github', 'bitbucket', 'jira', 'confluence', 'slack',
-            'webpack', 'babel', 'npm', 'yarn', 'maven', 'gradle',
-
-            // Methodologies
-            'agile', 'scrum', 'kanban', 'tdd', 'test driven development',
-            'ci/cd', 'devops', 'unit testing', 'integration testing',
-
-            // Data & ML
-            'machine learning', 'deep learning', 'tensorflow', 'pytorch', 'scikit-learn',
-            'pandas', 'numpy', 'data analysis', 'big data', 'spark', 'hadoop',
-
-            // Mobile
-            'ios', 'android', 'react native', 'flutter', 'xamarin', 'mobile development'
-        ];
+        // Every skill name and alias from the skill taxonomy (config/taxonomy/)
+        this.techKeywords = skillTaxonomy.getTerms();
     }
 
     /**
@@ -56,12 +43,36 @@ class FallbackJDParser {
     parse(jobDescription) {
         const jd = jobDescription.toLowerCase();
 
+        // Only look for skills from the JD's own domain packs (nursing licenses in a nursing JD)
+        const domain = domainDetector.detect(jobDescription);
+        const terms = skillTaxonomy.getTerms(domain.domains);
+
+        // Certifications and licenses are scored as their own category, not as skills
+        const required = this.splitCertifications(this.extractRequiredSkills(jd, jobDescription, terms));
+        const preferred = this.splitCertifications(this.extractPreferredSkills(jd, jobDescription, terms));
+
+        // Alternatives to a required skill are required as a group: "AWS, GCP or Azure" needs one of them
+        const requiredSkills = required.skills;
+        const skillGroups = this.withoutCertifications(this.extractSkillGroups(jobDescription, requiredSkills, terms));
+
+        // Fields of study and "or equivalent experience" - the level itself comes from extractEducation
+        const education = educationParser.parseRequirement(jobDescription);
+
         return {
             experienceYears: this.extractExperienceYears(jd),
-            education: this.extractEducation(jd),
-            requiredSkills: this.extractRequiredSkills(jd, jobDescription),
-            preferredSkills: this.extractPreferredSkills(jd, jobDescription),
-            keywords: this.extractKeywords(jd),
+            // "Terraform Associate" is a certification, not an associate's degree
+            education: this.extractEducation(this.maskCertifications(jd, [...required.certifications, ...preferred.certifications])),
+            educationFields: education.fields,
+            relatedFieldsAccepted: education.relatedFields,
+            equivalentExperience: education.equivalentExperience,
+            requiredSkills: [...requiredSkills, ...skillGroups.flat().filter(skill => !requiredSkills.includes(skill))],
+            skillGroups,
+            preferredSkills: preferred.skills,
+            requiredCertifications: required.certifications,
+            preferredCertifications: preferred.certifications.filter(name => !required.certifications.includes(name)),
+            keywords: this.extractKeywords(jobDescription, domain.domains),
+            knockouts: this.extractKnockouts(jobDescription, terms),
+            domain,
             confidence: 'fallback' // Marker that this is fallback parsing
         };
     }
@@ -126,7 +137,7 @@ class FallbackJDParser {
                 level: "Associate's"
             },
             {
-                regex: /\b(?:diploma|certificate)\b/i,
+                regex: /\bdiploma\b/i,
                 level: 'Diploma'
             }
         ];
@@ -143,7 +154,7 @@ class FallbackJDParser {
     /**
      * Extract required skills (skills mentioned as "required", "must have", etc.)
      */
-    extractRequiredSkills(jdLower, jdOriginal) {
+    extractRequiredSkills(jdLower, jdOriginal, terms = this.techKeywords) {
         const requiredSkills = new Set();
 
         // Strategy 1: Find skills in "required" sections
@@ -153,38 +164,39 @@ class FallbackJDParser {
         ]);
 
         requiredSections.forEach(section => {
-            this.extractSkillsFromText(section).forEach(skill =>
+            this.extractSkillsFromText(section, terms).forEach(skill =>
                 requiredSkills.add(skill)
             );
         });
 
         // Strategy 2: Skills mentioned multiple times (likely important)
-        const allSkills = this.extractSkillsFromText(jdLower);
+        const allSkills = this.extractSkillsFromText(jdLower, terms);
         allSkills.forEach(skill => {
-            const count = (jdLower.match(new RegExp(this.escapeRegex(skill), 'g')) || []).length;
+            const { base } = skillSimilarity.parseSkillVersion(skill);
+            const count = (jdLower.match(new RegExp(this.escapeRegex(base), 'g')) || []).length;
             if (count >= 2) {
                 requiredSkills.add(skill);
             }
         });
 
-        // Strategy 3: Skills explicitly marked as required
-        this.techKeywords.forEach(keyword => {
+        // Strategy 3: Skills explicitly marked as required - whole terms only ("C" is not the end of "Basic")
+        terms.forEach(keyword => {
             const requiredPattern = new RegExp(
-                `${this.escapeRegex(keyword)}\\s+(?:is\\s+)?(?:required|mandatory|essential)`,
+                `(?<![a-z0-9+#.])${this.escapeRegex(keyword)}\\s+(?:is\\s+)?(?:required|mandatory|essential)`,
                 'i'
             );
             if (requiredPattern.test(jdLower)) {
-                requiredSkills.add(keyword);
+                requiredSkills.add(this.canonicalSkill(keyword));
             }
         });
 
-        return Array.from(requiredSkills);
+        return this.dedupeVersionedSkills(Array.from(requiredSkills));
     }
 
     /**
      * Extract preferred/nice-to-have skills
      */
-    extractPreferredSkills(jdLower, jdOriginal) {
+    extractPreferredSkills(jdLower, jdOriginal, terms = this.techKeywords) {
         const preferredSkills = new Set();
 
         // Find skills in "preferred" sections
@@ -194,41 +206,282 @@ class FallbackJDParser {
         ]);
 
         preferredSections.forEach(section => {
-            this.extractSkillsFromText(section).forEach(skill =>
+            this.extractSkillsFromText(section, terms).forEach(skill =>
                 preferredSkills.add(skill)
             );
         });
 
         // Skills explicitly marked as preferred
-        this.techKeywords.forEach(keyword => {
+        terms.forEach(keyword => {
             const preferredPattern = new RegExp(
-                `${this.escapeRegex(keyword)}\\s+(?:is\\s+)?(?:preferred|nice|bonus|plus)`,
+                `(?<![a-z0-9+#.])${this.escapeRegex(keyword)}\\s+(?:is\\s+)?(?:preferred|nice|bonus|plus)`,
                 'i'
             );
             if (preferredPattern.test(jdLower)) {
-                preferredSkills.add(keyword);
+                preferredSkills.add(this.canonicalSkill(keyword));
             }
         });
 
-        return Array.from(preferredSkills);
+        return this.dedupeVersionedSkills(Array.from(preferredSkills));
     }
 
     /**
      * Extract all skills/technologies mentioned
+     * Aliases collapse to the canonical skill: "React.js" and "ReactJS" both give "react"
+     * Version constraints are kept: "Java 17+" gives "java 17+", "ES6" stays "es6"
+     * @param {string} text - Text to search
+     * @param {Array<string>} terms - Taxonomy terms to look for (default: every domain)
      */
-    extractSkillsFromText(text) {
+    extractSkillsFromText(text, terms = this.techKeywords) {
         const foundSkills = [];
         const lowerText = text.toLowerCase();
 
-        this.techKeywords.forEach(keyword => {
-            // Word boundary aware matching
-            const pattern = new RegExp(`\\b${this.escapeRegex(keyword)}\\b`, 'i');
-            if (pattern.test(lowerText)) {
-                foundSkills.push(keyword);
+        terms.forEach(keyword => {
+            // Word boundary aware matching ("js" inside "Node.js" is not JavaScript)
+            const pattern = new RegExp(`(?<!\\.)\\b${this.escapeRegex(keyword)}\\b`, 'gi');
+            for (const match of lowerText.matchAll(pattern)) {
+                foundSkills.push(this.versionedSkill(keyword, lowerText, match.index + match[0].length));
+            }
+        });
+
+        return this.dedupeVersionedSkills(foundSkills);
+    }
+
+    /**
+     * Canonical skill for a term, with the version the JD writes after it
+     * @param {string} term - Matched taxonomy term
+     * @param {string} text - Text the term was found in
+     * @param {number} end - Where the term ends in text
+     */
+    versionedSkill(term, text, end) {
+        // Terms such as "es6" are versions themselves; only a trailing "+" can follow
+        if (skillSimilarity.parseSkillVersion(term).version) {
+            return text[end] === '+' ? `${term}+` : term;
+        }
+
+        const canonical = this.canonicalSkill(term);
+        const version = textAnalyzer.readVersionAfter(text, end);
+        return version ? `${canonical} ${version.version.join('.')}${version.minimum ? '+' : ''}` : canonical;
+    }
+
+    /**
+     * Canonical taxonomy name for a term (the term itself when unknown)
+     */
+    canonicalSkill(term) {
+        return skillTaxonomy.canonicalName(term) || term;
+    }
+
+    /**
+     * One entry per skill - a versioned mention ("python 3") beats a bare one ("python")
+     */
+    dedupeVersionedSkills(skills) {
+        const bySkill = new Map();
+
+        skills.forEach(skill => {
+            const parsed = skillSimilarity.parseSkillVersion(skill);
+            const key = this.canonicalSkill(parsed.base);
+            const current = bySkill.get(key);
+            if (!current || (parsed.version && !skillSimilarity.parseSkillVersion(current).version)) {
+                bySkill.set(key, skill);
             }
         });
 
-        return foundSkills;
+        return Array.from(bySkill.values());
+    }
+
+    /**
+     * Extract "any of" skill groups: "one of AWS, GCP or Azure", "React or Vue", "either AWS/GCP"
+     * Only groups with a required member are kept - the rest are preferred-skill wording
+     * @param {string} jdOriginal - Job description in its original casing
+     * @param {Array<string>} requiredSkills - Extracted required skills (members keep their version: "java 17+")
+     * @param {Array<string>} terms - Taxonomy terms to look for
+     * @returns {Array<Array<string>>} Groups of 2+ skills, no skill in two groups
+     */
+    extractSkillGroups(jdOriginal, requiredSkills, terms = this.techKeywords) {
+        const requiredByBase = new Map(requiredSkills.map(skill => [this.skillBase(skill), skill]));
+        const grouped = new Set();
+        const groups = [];
+
+        this.splitSentences(jdOriginal)
+            .forEach(sentence => {
+                // Every skill mention in the sentence, in order, without overlaps ("react" inside "React Native")
+                const mentions = this.extractSkillsFromText(sentence, terms)
+                    .flatMap(skill => textAnalyzer.findSkillMatches(this.skillBase(skill), sentence)
+                        .map(match => ({ skill, start: match.start, end: match.end })))
+                    .sort((a, b) => a.start - b.start || b.end - a.end)
+                    .filter((mention, index, sorted) => index === 0 || mention.start >= sorted[index - 1].end);
+
+                // Chains of mentions joined by ",", "/" or "or"
+                const chains = [];
+                mentions.forEach((mention, index) => {
+                    const joiner = index > 0 ? sentence.slice(mentions[index - 1].end, mention.start) : null;
+                    if (joiner !== null && GROUP_JOINER.test(joiner)) {
+                        const chain = chains[chains.length - 1];
+                        chain.members.push(mention);
+                        chain.hasOr = chain.hasOr || GROUP_OR.test(joiner);
+                    } else {
+                        chains.push({ members: [mention], hasOr: false, intro: GROUP_INTRO.test(sentence.slice(0, mention.start)) });
+                    }
+                });
+
+                chains
+                    .filter(chain => chain.hasOr || chain.intro)
+                    .forEach(chain => {
+                        const members = [...new Set(chain.members.map(mention => this.skillBase(mention.skill)))];
+                        if (members.length < 2 || !members.some(base => requiredByBase.has(base))) return;
+                        if (members.some(base => grouped.has(base))) return;
+
+                        members.forEach(base => grouped.add(base));
+                        groups.push(members.map(base =>
+                            requiredByBase.get(base) || chain.members.find(mention => this.skillBase(mention.skill) === base).skill
+                        ));
+                    });
+            });
+
+        return groups;
+    }
+
+    /**
+     * Canonical skill without its version ("java 17+" -> "java")
+     */
+    skillBase(skill) {
+        return this.canonicalSkill(skillSimilarity.parseSkillVersion(skill).base);
+    }
+
+    /**
+     * Whether a skill is a taxonomy certification or license ("aws certified developer", "rn")
+     */
+    isCertification(skill) {
+        const entry = skillTaxonomy.getSkill(this.skillBase(skill.toLowerCase()));
+        return Boolean(entry) && CERTIFICATION_CATEGORIES.includes(entry.category);
+    }
+
+    /**
+     * Move certifications and licenses out of a skill list
+     * @returns {Object} { skills, certifications } - certifications by canonical name, once each
+     */
+    splitCertifications(skills) {
+        const certifications = new Set();
+        const rest = (skills || []).filter(skill => {
+            if (!this.isCertification(skill)) return true;
+            certifications.add(this.skillBase(skill.toLowerCase()));
+            return false;
+        });
+        return { skills: rest, certifications: Array.from(certifications) };
+    }
+
+    /**
+     * Text with the given certifications' mentions blanked out
+     */
+    maskCertifications(text, certifications) {
+        return certifications
+            .flatMap(name => textAnalyzer.findSkillMatches(name, text))
+            .reduce((masked, { start, end }) => masked.slice(0, start) + ' '.repeat(end - start) + masked.slice(end), text);
+    }
+
+    /**
+     * "Any of" groups without their certifications - groups left with fewer than two skills are dropped
+     */
+    withoutCertifications(groups) {
+        return (groups || [])
+            .map(group => group.filter(skill => !this.isCertification(skill)))
+            .filter(group => group.length >= 2);
+    }
+
+    /**
+     * Merge certification lists by canonical name - first list wins the wording of unknown ones
+     */
+    mergeCertifications(...lists) {
+        const merged = new Map();
+        lists.flat().filter(name => typeof name === 'string' && name.trim()).forEach(name => {
+            const key = skillTaxonomy.canonicalName(name) || name.toLowerCase().trim();
+            if (!merged.has(key)) merged.set(key, skillTaxonomy.canonicalName(name) || name.trim());
+        });
+        return Array.from(merged.values());
+    }
+
+    /**
+     * Merge "any of" groups - first list wins, a later group sharing a skill with an earlier one is dropped
+     */
+    mergeSkillGroups(primary, secondary) {
+        const grouped = new Set();
+        return [...(primary || []), ...(secondary || [])].filter(group => {
+            const bases = group.map(skill => this.skillBase(skill.toLowerCase()));
+            if (bases.some(base => grouped.has(base))) return false;
+            bases.forEach(base => grouped.add(base));
+            return true;
+        });
+    }
+
+    /**
+     * Split a job description into sentences and list items
+     */
+    splitSentences(text) {
+        return text
+            .split(/\n|(?<=[.!?])(?<!\b[a-z]\.[a-z]\.)\s+/i) // not inside "U.S." or "e.g."
+            .map(sentence => sentence.replace(/^[\s•*·-]+/, '').trim())
+            .filter(Boolean);
+    }
+
+    /**
+     * Extract knockout criteria - hard requirements a real ATS filters on before any scoring
+     * Only explicit wording counts: "must be authorized to work", "active Secret clearance required",
+     * "current RN license", "Bachelor's degree required" (not "or equivalent experience")
+     * @param {string} jdOriginal - Job description in its original casing
+     * @param {Array<string>} terms - Taxonomy terms for the JD's domain(s)
+     * @returns {Array<Object>} [{ type, requirement, text, ... }] - see knockoutEvaluator.normalizeCriteria
+     */
+    extractKnockouts(jdOriginal, terms = this.techKeywords) {
+        const criteria = [];
+        const licenses = skillTaxonomy.getSkillsByCategory(['license', 'certification'])
+            .filter(name => terms.includes(name));
+
+        this.splitSentences(jdOriginal)
+            .forEach(sentence => {
+                const mandatory = MANDATORY_PATTERN.test(sentence) && !OPTIONAL_PATTERN.test(sentence);
+                const held = mandatory || HELD_CREDENTIAL_PATTERN.test(sentence);
+
+                const noSponsorship = NO_SPONSORSHIP_PATTERN.test(sentence);
+                if (noSponsorship || (mandatory && (AUTHORIZATION_PATTERN.test(sentence) || CITIZENSHIP_PATTERN.test(sentence)))) {
+                    criteria.push({
+                        type: 'work_authorization',
+                        requirement: CITIZENSHIP_PATTERN.test(sentence) ? 'U.S. citizenship'
+                            : noSponsorship ? 'Work authorization without visa sponsorship' : 'Work authorization',
+                        text: sentence
+                    });
+                }
+
+                // A clearance the candidate must already hold - "ability to obtain" is not a knockout
+                if (held && !OBTAINABLE_PATTERN.test(sentence) && knockoutEvaluator.parseClearanceLevel(sentence)) {
+                    criteria.push({ type: 'security_clearance', requirement: 'Security clearance', text: sentence });
+                }
+
+                if (held && !OPTIONAL_PATTERN.test(sentence)) {
+                    licenses
+                        .filter(name => textAnalyzer.findSkillMatches(name, sentence).length > 0)
+                        .forEach(name => criteria.push({ type: 'license', requirement: skillTaxonomy.getLabel(name), text: sentence }));
+                }
+
+                // High-school diplomas are rarely listed on resumes - only degrees knock out
+                const degree = mandatory && DEGREE_WORD_PATTERN.test(sentence) ? this.extractEducation(sentence) : null;
+                if (degree && degree !== 'Diploma') {
+                    criteria.push({ type: 'degree', requirement: `${degree} degree`, text: sentence });
+                }
+            });
+
+        return this.mergeKnockouts(knockoutEvaluator.normalizeCriteria(criteria), []);
+    }
+
+    /**
+     * Merge knockout lists - one criterion per type and level/license, first list wins
+     */
+    mergeKnockouts(primary, secondary) {
+        const merged = new Map();
+        [...(primary || []), ...(secondary || [])].forEach(criterion => {
+            const key = `${criterion.type}|${criterion.level || criterion.skill || ''}`;
+            if (!merged.has(key)) merged.set(key, criterion);
+        });
+        return Array.from(merged.values());
     }
 
     /**
@@ -254,38 +507,12 @@ class FallbackJDParser {
 
     /**
      * Extract general keywords for keyword density matching
+     * Phrase-aware: keeps "machine learning", "CI/CD", "C++" and "Go" intact
+     * @param {string} jd - Job description in its original casing
+     * @param {Array<string>} domains - Detected domain packs (default: every domain)
      */
-    extractKeywords(jd) {
-        // Extract top frequently mentioned technical terms
-        const words = jd.split(/\s+/);
-        const freq = {};
-
-        words.forEach(word => {
-            const cleaned = word.replace(/[^\w]/g, '').toLowerCase();
-            if (cleaned.length > 3 && !this.isStopWord(cleaned)) {
-                freq[cleaned] = (freq[cleaned] || 0) + 1;
-            }
-        });
-
-        // Return top 30 keywords by frequency
-        return Object.entries(freq)
-            .sort((a, b) => b[1] - a[1])
-            .slice(0, 30)
-            .map(([word]) => word);
-    }
-
-    /**
-     * Check if word is a stop word
-     */
-    isStopWord(word) {
-        const stopWords = new Set([
-            'the', 'and', 'for', 'with', 'this', 'that', 'from', 'have',
-            'been', 'will', 'would', 'should', 'could', 'your', 'their',
-            'about', 'into', 'through', 'during', 'before', 'after',
-            'above', 'below', 'between', 'under', 'again', 'further',
-            'then', 'once', 'here', 'there', 'when', 'where', 'what'
-        ]);
-        return stopWords.has(word);
+    extractKeywords(jd, domains = null) {
+        return textAnalyzer.extractKeywords(jd, 30, domains);
     }
 
     /**
@@ -300,25 +527,44 @@ class FallbackJDParser {
      * Strategy: AI takes precedence, fallback fills gaps
      */
     mergeWithAI(aiResults, fallbackResults) {
+        // Certifications the AI listed as skills move to their own lists too
+        const required = this.splitCertifications(this.mergeArrays(
+            aiResults.requiredSkills,
+            fallbackResults.requiredSkills,
+            'ai-preferred'
+        ));
+        const preferred = this.splitCertifications(this.mergeArrays(
+            aiResults.preferredSkills,
+            fallbackResults.preferredSkills,
+            'ai-preferred'
+        ));
+        const requiredCertifications = this.mergeCertifications(
+            aiResults.requiredCertifications, required.certifications, fallbackResults.requiredCertifications
+        );
+
         return {
-            requiredSkills: this.mergeArrays(
-                aiResults.requiredSkills,
-                fallbackResults.requiredSkills,
-                'ai-preferred'
-            ),
-            preferredSkills: this.mergeArrays(
-                aiResults.preferredSkills,
-                fallbackResults.preferredSkills,
-                'ai-preferred'
-            ),
+            requiredSkills: required.skills,
+            skillGroups: this.withoutCertifications(this.mergeSkillGroups(aiResults.skillGroups, fallbackResults.skillGroups)),
+            preferredSkills: preferred.skills,
+            requiredCertifications,
+            preferredCertifications: this.mergeCertifications(
+                aiResults.preferredCertifications, preferred.certifications, fallbackResults.preferredCertifications
+            ).filter(name => !requiredCertifications.includes(name)),
             requiredExperience: aiResults.requiredExperience || fallbackResults.experienceYears,
             educationRequirement: aiResults.educationRequirement || fallbackResults.education,
+            educationFields: aiResults.educationFields && aiResults.educationFields.length > 0
+                ? aiResults.educationFields
+                : fallbackResults.educationFields,
+            relatedFieldsAccepted: Boolean(aiResults.relatedFieldsAccepted || fallbackResults.relatedFieldsAccepted),
+            // The fallback keeps the sentence it came from - the AI only says whether and how many years
+            equivalentExperience: fallbackResults.equivalentExperience || aiResults.equivalentExperience || null,
             keywords: this.mergeArrays(
                 aiResults.keywords,
                 fallbackResults.keywords,
                 'combine'
             ),
-            responsibilities: aiResults.responsibilities || []
+            responsibilities: aiResults.responsibilities || [],
+            knockouts: this.mergeKnockouts(aiResults.knockouts, fallbackResults.knockouts)
         };
     }
 
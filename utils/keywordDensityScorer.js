@@ -12,6 +12,9 @@
  * 5. Obvious stuffing patterns = penalty
  */
 
+const SCORING_CONFIG = require('../config/scoring.config');
+const textAnalyzer = require('./textAnalyzer');
+
 const ACTION_VERBS = [
     // Achievement verbs
     'achieved', 'accomplished', 'delivered', 'exceeded', 'completed',
@@ -37,6 +40,9 @@ const ACTION_VERBS = [
     'integrated', 'deployed', 'launched', 'maintained'
 ];
 
+// Whole words only - "led" must not match "skilled" or "handled"
+const ACTION_VERB_PATTERN = new RegExp(`\\b(${ACTION_VERBS.join('|')})\\b`, 'i');
+
 const EXPERIENCE_SECTION_HEADERS = [
     'experience', 'work experience', 'professional experience',
     'employment', 'work history', 'career', 'projects',
@@ -48,6 +54,9 @@ const SKILLS_SECTION_HEADERS = [
     'technologies', 'expertise', 'proficiencies', 'tools'
 ];
 
+// Share of JD keywords on one line that marks a pasted keyword list
+const LIST_STUFFING_SHARE = 0.4;
+
 class KeywordDensityScorer {
     /**
      * Score keyword density with context awareness
@@ -100,7 +109,10 @@ class KeywordDensityScorer {
         const baseDensity = totalCredit / jdKeywords.length;
 
         // Detect and penalize keyword stuffing
-        const stuffingPenalty = this.detectStuffing(resumeText, jdKeywords);
+        const { penalty: stuffingPenalty, keywordPenalties, listStuffing } = this.detectStuffing(resumeText, jdKeywords);
+        keywordAnalysis.forEach(analysis => {
+            analysis.stuffingPenalty = Math.round((keywordPenalties.get(analysis.keyword) || 0) * 100);
+        });
 
         // Apply penalty
         const adjustedDensity = Math.max(0, baseDensity - stuffingPenalty);
@@ -118,6 +130,7 @@ class KeywordDensityScorer {
             totalMatches: contextualMatches + skillsOnlyMatches,
             totalKeywords: jdKeywords.length,
             stuffingPenalty: Math.round(stuffingPenalty * 100),
+            listStuffing,
             verdict: this.getVerdict(adjustedDensity, stuffingPenalty),
             details: keywordAnalysis
         };
@@ -127,12 +140,9 @@ class KeywordDensityScorer {
      * Analyze a single keyword for context
      */
     analyzeKeyword(keyword, resumeText, sections) {
-        const lowerKeyword = keyword.toLowerCase();
-        const lowerText = resumeText.toLowerCase();
-
-        // Count total occurrences
-        const regex = new RegExp(`\\b${this.escapeRegex(lowerKeyword)}\\b`, 'gi');
-        const allMatches = lowerText.match(regex) || [];
+        // Count total occurrences (symbol-aware: "C++", "CI/CD", "java" vs "javascript")
+        const regex = textAnalyzer.keywordPattern(keyword, 'g');
+        const allMatches = resumeText.match(regex) || [];
         const totalOccurrences = allMatches.length;
 
         // Check for contextual uses (near action verbs, in experience sections)
@@ -141,15 +151,12 @@ class KeywordDensityScorer {
 
         // Context 1: Near action verbs in experience sections
         if (sections.experience) {
-            contextualUses += this.countContextualUses(
-                lowerKeyword,
-                sections.experience.toLowerCase()
-            );
+            contextualUses += this.countContextualUses(keyword, sections.experience);
         }
 
         // Context 2: In skills list
         if (sections.skills) {
-            const skillsMatches = sections.skills.toLowerCase().match(regex) || [];
+            const skillsMatches = sections.skills.match(regex) || [];
             skillsListUses = skillsMatches.length;
         }
 
@@ -158,9 +165,12 @@ class KeywordDensityScorer {
 
         return {
             keyword,
+            // As written in the resume, e.g. "Machine-Learning" for "machine learning"
+            matchedText: allMatches.length > 0 ? allMatches[0].replace(/\s+/g, ' ') : null,
             totalOccurrences,
             contextualUses,
             skillsListUses,
+            credit: contextualUses > 0 ? 1 : skillsListUses > 0 ? 0.5 : 0,
             isExcessivelyRepeated,
             hasContext: contextualUses > 0
         };
@@ -171,13 +181,14 @@ class KeywordDensityScorer {
      */
     countContextualUses(keyword, experienceText) {
         let count = 0;
-        const sentences = experienceText.split(/[.!?]\s+/);
+        // Bullets rarely end in a period - without the line split a pasted keyword
+        // list would share a "sentence" with every verb in the section
+        const sentences = experienceText.split(/[.!?]\s+|\n+/);
+        const keywordRegex = textAnalyzer.keywordPattern(keyword);
 
         sentences.forEach(sentence => {
-            const hasKeyword = sentence.includes(keyword);
-            const hasActionVerb = ACTION_VERBS.some(verb =>
-                sentence.includes(verb.toLowerCase())
-            );
+            const hasKeyword = keywordRegex.test(sentence);
+            const hasActionVerb = ACTION_VERB_PATTERN.test(sentence);
 
             if (hasKeyword && hasActionVerb) {
                 count++;
@@ -190,19 +201,22 @@ class KeywordDensityScorer {
 
     /**
      * Detect keyword stuffing patterns
-     * Returns penalty value (0.0 to 0.5)
+     * @returns {Object} { penalty (0.0 to 0.5), keywordPenalties (keyword -> penalty), listStuffing }
      */
     detectStuffing(resumeText, keywords) {
         let penalty = 0;
-        const lowerText = resumeText.toLowerCase();
+        const keywordPenalties = new Map();
+        const addKeywordPenalty = (keyword, amount) => {
+            keywordPenalties.set(keyword, (keywordPenalties.get(keyword) || 0) + amount);
+            penalty += amount;
+        };
 
         // Pattern 1: Same keyword repeated 6+ times
         keywords.forEach(keyword => {
-            const regex = new RegExp(`\\b${this.escapeRegex(keyword.toLowerCase())}\\b`, 'gi');
-            const matches = lowerText.match(regex) || [];
+            const matches = resumeText.match(textAnalyzer.keywordPattern(keyword, 'g')) || [];
 
             if (matches.length >= 6) {
-                penalty += 0.1; // 10% penalty per excessively repeated keyword
+                addKeywordPenalty(keyword, 0.1); // 10% penalty per excessively repeated keyword
             }
         });
 
@@ -210,26 +224,29 @@ class KeywordDensityScorer {
         const skillsSection = this.extractSingleSection(resumeText, SKILLS_SECTION_HEADERS);
         if (skillsSection) {
             keywords.forEach(keyword => {
-                const regex = new RegExp(`\\b${this.escapeRegex(keyword.toLowerCase())}\\b`, 'gi');
-                const skillsMatches = skillsSection.toLowerCase().match(regex) || [];
-                const totalMatches = lowerText.match(regex) || [];
+                const regex = textAnalyzer.keywordPattern(keyword, 'g');
+                const skillsMatches = skillsSection.match(regex) || [];
+                const totalMatches = resumeText.match(regex) || [];
 
                 // If 3+ occurrences and ALL in skills section
                 if (skillsMatches.length >= 3 && skillsMatches.length === totalMatches.length) {
-                    penalty += 0.05; // 5% penalty - suspicious
+                    addKeywordPenalty(keyword, 0.05); // 5% penalty - suspicious
                 }
             });
         }
 
-        // Pattern 3: Comma-separated keyword list (obvious stuffing)
-        const commaStuffPattern = keywords.join('.*,.*').toLowerCase();
-        const hasCommaStuffing = new RegExp(commaStuffPattern, 'i').test(lowerText);
-        if (hasCommaStuffing) {
+        // Pattern 3: A single line listing many of the JD's keywords (pasted keyword list)
+        const minListed = Math.max(8, Math.ceil(keywords.length * LIST_STUFFING_SHARE));
+        const listStuffing = resumeText.split('\n').some(line => {
+            const listed = keywords.filter(keyword => textAnalyzer.keywordPattern(keyword).test(line));
+            return listed.length >= minListed;
+        });
+        if (listStuffing) {
             penalty += 0.15; // 15% penalty
         }
 
         // Cap penalty at 50%
-        return Math.min(penalty, 0.5);
+        return { penalty: Math.min(penalty, 0.5), keywordPenalties, listStuffing };
     }
 
     /**
@@ -274,17 +291,20 @@ class KeywordDensityScorer {
      * Convert density to points with strict thresholds
      */
     densityToPoints(density, maxPoints) {
-        // Thresholds (context-aware, so more generous than raw frequency)
-        if (density >= 0.70) {
-            return maxPoints; // 70%+ contextual = full points
-        } else if (density >= 0.50) {
-            return maxPoints * 0.7; // 50-70% = 70% of points
-        } else if (density >= 0.30) {
-            return maxPoints * 0.4; // 30-50% = 40% of points
-        } else if (density >= 0.15) {
-            return maxPoints * 0.2; // 15-30% = 20% of points
+        // Tiers come from the scoring config, scaled to maxPoints
+        const tiers = SCORING_CONFIG.KEYWORD_DENSITY;
+        const scale = maxPoints / SCORING_CONFIG.WEIGHTS.KEYWORD_DENSITY;
+
+        if (density >= tiers.EXCELLENT_THRESHOLD) {
+            return tiers.POINTS.EXCELLENT * scale; // 70%+ contextual = full points
+        } else if (density >= tiers.GOOD_THRESHOLD) {
+            return tiers.POINTS.GOOD * scale;
+        } else if (density >= tiers.FAIR_THRESHOLD) {
+            return tiers.POINTS.FAIR * scale;
+        } else if (density >= tiers.POOR_THRESHOLD) {
+            return tiers.POINTS.POOR * scale;
         } else {
-            return 0; // < 15% = no points
+            return tiers.POINTS.VERY_POOR * scale; // < 15% = no points
         }
     }
 
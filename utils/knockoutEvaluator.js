@@ -0,0 +1,212 @@
+/**
+ * Knockout Evaluator
+ *
+ * Hard filters a real ATS applies before any scoring: work authorization,
+ * security clearance, a specific license or certification, a minimum degree.
+ * A failed knockout is reported alongside the weighted score, never folded into it.
+ *
+ * Philosophy: Fail only on evidence
+ * - Licenses, clearances and degrees belong on a resume - not finding one fails the criterion
+ * - Work authorization is rarely written down - silence is "unverified", only a stated
+ *   need for sponsorship (or a visa status) fails it
+ * - Anything the resume cannot settle is surfaced for the recruiter, not guessed
+ */
+
+const certificationParser = require('./certificationParser');
+const skillTaxonomy = require('./skillTaxonomy');
+const textAnalyzer = require('./textAnalyzer');
+
+const KNOCKOUT_TYPES = ['work_authorization', 'security_clearance', 'license', 'degree'];
+
+// Lowest to highest; a higher clearance satisfies a lower one
+const CLEARANCE_LEVELS = ['public trust', 'secret', 'top secret', 'ts/sci'];
+const CLEARANCE_LABELS = { 'public trust': 'Public Trust', secret: 'Secret', 'top secret': 'Top Secret', 'ts/sci': 'TS/SCI' };
+const CLEARANCE_PATTERN = /\b(ts\s*\/\s*sci|top[\s-]secret(?:\s*\/\s*sci)?|secret|public[\s-]trust)\b(?:[\s-]+(?:level|security))?[\s-]+clearance\b|\bclearance[:\s-]+(?:active\s+|current\s+)?(ts\s*\/\s*sci|top[\s-]secret(?:\s*\/\s*sci)?|secret|public[\s-]trust)\b/gi;
+
+const DEGREE_LEVELS = ['Diploma', 'Associates', 'Bachelors', 'Masters', 'PhD'];
+
+// Taxonomy categories a license knockout can name
+const LICENSE_CATEGORIES = ['license', 'certification'];
+
+// Resume statements about the right to work
+const CITIZEN_PATTERN = /\b(?:u\.?\s?s\.?|united states|american)\s+citizen(?:ship)?\b/i;
+const AUTHORIZED_PATTERN = /\b(?:green card(?: holder)?|permanent resident|authori[sz]ed to work|work authori[sz]ation|eligible to work|no (?:visa )?sponsorship (?:required|needed))\b/i;
+// Visa programs only count in visa context: "CPT" is also a medical billing code, and "H-1B" turns up in "no H-1B transfers"
+const VISA_STATUS = String.raw`(?:F-?1|J-?1|H-?1B|L-?1|TN|(?:STEM\s+)?OPT|CPT)(?!-)`;
+const NEEDS_SPONSORSHIP_PATTERN = new RegExp([
+    String.raw`\b(?:requires?|need(?:s|ing)?|will need|seeking)\s+(?:visa\s+|h-?1b\s+)?sponsorship\b`,
+    String.raw`\b(?:on|holding|hold|currently on|working on)\s+(?:an?\s+)?(?:F-?1\s+)?${VISA_STATUS}(?:\s+(?:visa|status|EAD))?\b`,
+    String.raw`\b${VISA_STATUS}\s+(?:visa|status|holder|EAD|work\s+authori[sz]ation)\b`,
+    String.raw`\bF-?1\s+(?:student|${VISA_STATUS})\b`
+].join('|'), 'i');
+
+class KnockoutEvaluator {
+    /**
+     * Highest clearance level named in text
+     * @returns {string|null} One of CLEARANCE_LEVELS
+     */
+    parseClearanceLevel(text) {
+        let best = null;
+        for (const match of (text || '').matchAll(CLEARANCE_PATTERN)) {
+            const level = this.normalizeClearance(match[1] || match[2]);
+            if (!best || CLEARANCE_LEVELS.indexOf(level) > CLEARANCE_LEVELS.indexOf(best)) {
+                best = level;
+            }
+        }
+        return best;
+    }
+
+    normalizeClearance(raw) {
+        const value = raw.toLowerCase().replace(/\s+/g, ' ').replace(/\s*\/\s*/g, '/').replace('-', ' ');
+        if (value.includes('sci')) return 'ts/sci';
+        if (value === 'top secret') return 'top secret';
+        if (value === 'public trust') return 'public trust';
+        return 'secret';
+    }
+
+    /**
+     * Clean up knockout criteria from the AI or the fallback parser:
+     * known types only, with the fields evaluate() needs
+     * @param {Array<Object>} criteria - [{ type, requirement, text }]
+     * @returns {Array<Object>} Normalized criteria
+     */
+    normalizeCriteria(criteria) {
+        if (!Array.isArray(criteria)) return [];
+
+        return criteria
+            .filter(criterion => criterion && KNOCKOUT_TYPES.includes(criterion.type) && typeof criterion.requirement === 'string')
+            .map(criterion => {
+                const requirement = criterion.requirement.trim();
+                const text = typeof criterion.text === 'string' ? criterion.text.trim() : requirement;
+                const both = `${requirement} ${text}`;
+
+                switch (criterion.type) {
+                    case 'work_authorization':
+                        return {
+                            type: criterion.type,
+                            requirement,
+                            text,
+                            citizenship: /citizen/i.test(both),
+                            sponsorship: !/\b(?:no|not|without|unable to|cannot|will not)\b[^.]{0,30}sponsor/i.test(both)
+                        };
+                    case 'security_clearance': {
+                        const level = this.parseClearanceLevel(both) || this.normalizeClearance(requirement);
+                        return { type: criterion.type, requirement: `${CLEARANCE_LABELS[level]} clearance`, text, level };
+                    }
+                    case 'license':
+                        return { type: criterion.type, requirement, text, skill: this.findLicense(requirement) || requirement.toLowerCase() };
+                    case 'degree': {
+                        const level = textAnalyzer.normalizeEducation(requirement);
+                        return DEGREE_LEVELS.includes(level) ? { type: criterion.type, requirement, text, level } : null;
+                    }
+                    default:
+                        return null;
+                }
+            })
+            .filter(Boolean);
+    }
+
+    /**
+     * Taxonomy license or certification named in text ("Active RN license" -> registered nurse)
+     * @returns {string|null} Canonical skill name
+     */
+    findLicense(text) {
+        return skillTaxonomy.canonicalName(text) ||
+            skillTaxonomy.getSkillsByCategory(LICENSE_CATEGORIES)
+                .find(name => textAnalyzer.findSkillMatches(name, text).length > 0) ||
+            null;
+    }
+
+    /**
+     * Check every knockout criterion against the resume
+     * @param {Array<Object>} criteria - jdData.knockouts
+     * @param {Object} resumeData - Parsed resume (rawText, certifications, education)
+     * @returns {Object} { knockedOut, failed: [...], criteria: [{ ...criterion, status, evidence }] }
+     */
+    evaluate(criteria, resumeData) {
+        const text = resumeData.rawText || '';
+
+        const results = (criteria || []).map(criterion => {
+            const check = {
+                work_authorization: () => this.checkWorkAuthorization(criterion, text),
+                security_clearance: () => this.checkClearance(criterion, text),
+                license: () => this.checkLicense(criterion, resumeData),
+                degree: () => this.checkDegree(criterion, resumeData.education || [])
+            }[criterion.type];
+
+            return { ...criterion, ...(check ? check() : { status: 'unverified', evidence: 'Unknown knockout type' }) };
+        });
+
+        const failed = results.filter(result => result.status === 'failed');
+
+        return {
+            knockedOut: failed.length > 0,
+            failed,
+            criteria: results
+        };
+    }
+
+    checkWorkAuthorization(criterion, text) {
+        if (CITIZEN_PATTERN.test(text)) {
+            return { status: 'met', evidence: 'Resume states citizenship' };
+        }
+        if (NEEDS_SPONSORSHIP_PATTERN.test(text) && (!criterion.sponsorship || criterion.citizenship)) {
+            return { status: 'failed', evidence: `Resume indicates visa sponsorship is needed; JD requires ${criterion.requirement.toLowerCase()}` };
+        }
+        if (AUTHORIZED_PATTERN.test(text) && !criterion.citizenship) {
+            return { status: 'met', evidence: 'Resume states work authorization' };
+        }
+        return { status: 'unverified', evidence: `Resume does not say - confirm ${criterion.requirement.toLowerCase()} with the candidate` };
+    }
+
+    checkClearance(criterion, text) {
+        const held = this.parseClearanceLevel(text);
+        if (!held) {
+            return { status: 'failed', evidence: `No security clearance on resume; JD requires ${criterion.requirement}` };
+        }
+        if (CLEARANCE_LEVELS.indexOf(held) < CLEARANCE_LEVELS.indexOf(criterion.level)) {
+            return { status: 'failed', evidence: `Resume shows ${CLEARANCE_LABELS[held]} clearance; JD requires ${criterion.requirement}` };
+        }
+        return { status: 'met', evidence: `${CLEARANCE_LABELS[held]} clearance on resume` };
+    }
+
+    /**
+     * A license is met only while it is current - the same dated entries breakdown.certifications scores
+     */
+    checkLicense(criterion, resumeData) {
+        const label = skillTaxonomy.getLabel(criterion.skill);
+        const held = certificationParser.findHeld(resumeData.certifications || [], criterion.skill);
+        if (held && held.expired) {
+            return { status: 'failed', evidence: `${held.name} on resume expired ${certificationParser.formatDate(held.expires)}; JD requires a current one` };
+        }
+        if (held) {
+            const expires = held.expires ? ` (expires ${certificationParser.formatDate(held.expires)})` : '';
+            return { status: 'met', evidence: `${held.name} on resume${expires}` };
+        }
+
+        const check = textAnalyzer.findSkill(criterion.skill, resumeData.rawText || '');
+        if (check.found && check.confidence >= 0.9) {
+            return { status: 'met', evidence: `${label} found on resume` };
+        }
+        return { status: 'failed', evidence: `${label} not found on resume; JD requires it` };
+    }
+
+    checkDegree(criterion, education) {
+        const highest = DEGREE_LEVELS
+            .slice()
+            .reverse()
+            .find(level => education.some(entry => textAnalyzer.normalizeEducation(entry) === level));
+
+        if (highest && textAnalyzer.compareEducation(highest, criterion.level) === 1) {
+            return { status: 'met', evidence: `${highest} degree on resume` };
+        }
+        return {
+            status: 'failed',
+            evidence: highest
+                ? `Highest degree on resume is ${highest}; JD requires at least ${criterion.level}`
+                : `No degree found on resume; JD requires at least ${criterion.level}`
+        };
+    }
+}
+
+module.exports = new KnockoutEvaluator();
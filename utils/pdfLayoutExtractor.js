@@ -0,0 +1,392 @@
+/**
+ * PDF Layout Extractor
+ * Rebuilds reading order from glyph positions instead of content-stream order
+ *
+ * Philosophy: Read the page the way a person does
+ * - Columns are read top-to-bottom, one after the other, never straight across
+ * - Full-width lines (name, contact bar) stay where they sit on the page
+ * - Headers are found by how they look (size, font), not only by what they say
+ * - Layouts that trip up real ATS parsers are reported, not silently fixed
+ */
+
+const pdf = require('pdf-parse');
+
+// Narrowest empty vertical strip (pt) treated as the gutter between two columns
+const MIN_GUTTER_WIDTH = 12;
+
+// Share of a page's lines allowed to cross the gutter (full-width name, contact bar, rules)
+const MAX_GUTTER_CROSSING = 0.12;
+
+// Each column must hold at least this share of a page's text items
+const MIN_COLUMN_SHARE = 0.15;
+
+// A header is noticeably larger than body text...
+const HEADER_SIZE_RATIO = 1.15;
+
+// ...and short
+const MAX_HEADER_WORDS = 5;
+
+// Horizontal gap (in font sizes) that separates table cells on one line
+const CELL_GAP_RATIO = 2;
+
+// Complexity score thresholds (0-100)
+const COMPLEXITY_LEVELS = { COMPLEX: 50, MODERATE: 20 };
+
+class PDFLayoutExtractor {
+    /**
+     * Extract text in reading order plus layout signals
+     * @param {Buffer|Uint8Array} dataBuffer - PDF file contents
+     * @returns {Promise<Object>} { text, layout }
+     */
+    async extract(dataBuffer) {
+        const pages = [];
+
+        // pdf.js misreads Buffers that share a pooled ArrayBuffer - hand it its own copy
+        await pdf(new Uint8Array(dataBuffer), {
+            pagerender: pageData => this.renderPage(pageData)
+                .then(page => {
+                    pages.push(page);
+                    return '';
+                })
+                .catch(error => {
+                    // pdf-parse swallows page errors - remember them so the caller can fall back
+                    pages.push({ index: pageData.pageIndex, failed: true, error: error.message });
+                    return '';
+                })
+        });
+
+        const failed = pages.find(page => page.failed);
+        if (failed) {
+            throw new Error(`Layout extraction failed on page ${failed.index + 1}: ${failed.error}`);
+        }
+
+        pages.sort((a, b) => a.index - b.index);
+        const lines = pages.flatMap(page => page.lines);
+        const body = this.findBodyFont(lines);
+        const headers = lines.filter(line => this.isHeader(line, body));
+        headers.forEach(line => {
+            line.isHeader = true;
+        });
+
+        return {
+            text: this.renderText(pages),
+            layout: {
+                pages: pages.length,
+                columns: Math.max(1, ...pages.map(page => page.columns)),
+                bodyFontSize: body.fontSize,
+                headers: headers.map(line => line.text),
+                complexity: this.assessComplexity(pages, lines, headers)
+            }
+        };
+    }
+
+    /**
+     * Turn one page's text items into ordered lines
+     */
+    async renderPage(pageData) {
+        const textContent = await pageData.getTextContent({
+            normalizeWhitespace: true,
+            disableCombineTextItems: false
+        });
+        const [pageLeft, , pageRight] = pageData.view;
+
+        const items = textContent.items
+            .filter(item => item.str.trim().length > 0)
+            .map(item => ({
+                text: item.str,
+                x: item.transform[4],
+                y: item.transform[5],
+                width: item.width,
+                fontSize: Math.hypot(item.transform[2], item.transform[3]) || item.height || 10,
+                fontName: item.fontName,
+                rotated: item.transform[1] !== 0 || item.transform[2] !== 0
+            }));
+
+        const gutter = this.findGutter(items.filter(item => !item.rotated), pageLeft, pageRight - pageLeft);
+
+        return {
+            index: pageData.pageIndex,
+            columns: gutter === null ? 1 : 2,
+            rotatedItems: items.filter(item => item.rotated).length,
+            lines: gutter === null
+                ? this.buildLines(items)
+                : this.orderColumns(items, gutter)
+        };
+    }
+
+    /**
+     * Find the x position of an empty vertical strip that splits the page into two columns
+     * @returns {number|null} Gutter x coordinate, or null for single-column pages
+     */
+    findGutter(items, pageLeft, pageWidth) {
+        if (items.length < 6 || pageWidth <= 0) return null;
+
+        // How many items cover each horizontal point of the page
+        const coverage = new Array(Math.ceil(pageWidth) + 1).fill(0);
+        items.forEach(item => {
+            const start = Math.max(0, Math.floor(item.x - pageLeft));
+            const end = Math.min(coverage.length - 1, Math.ceil(item.x + item.width - pageLeft));
+            for (let x = start; x <= end; x++) {
+                coverage[x]++;
+            }
+        });
+
+        // Widest strip in the middle of the page that almost nothing crosses
+        const maxCrossing = Math.max(1, Math.floor(this.countLines(items) * MAX_GUTTER_CROSSING));
+        const searchStart = Math.floor(pageWidth * 0.15);
+        const searchEnd = Math.ceil(pageWidth * 0.85);
+        let best = null;
+        let runStart = null;
+
+        for (let x = searchStart; x <= searchEnd + 1; x++) {
+            const open = x <= searchEnd && coverage[x] <= maxCrossing;
+            if (open && runStart === null) {
+                runStart = x;
+            } else if (!open && runStart !== null) {
+                const width = x - runStart;
+                if (width >= MIN_GUTTER_WIDTH && (!best || width > best.width)) {
+                    best = { start: runStart, width };
+                }
+                runStart = null;
+            }
+        }
+
+        if (!best) return null;
+
+        const gutter = pageLeft + best.start + best.width / 2;
+
+        // Both sides must carry real content, not a right-aligned date or page number
+        const left = items.filter(item => item.x + item.width <= gutter);
+        const right = items.filter(item => item.x >= gutter);
+        const minItems = items.length * MIN_COLUMN_SHARE;
+        if (left.length < minItems || right.length < minItems) return null;
+        if (this.countLines(left) < 3 || this.countLines(right) < 3) return null;
+
+        return gutter;
+    }
+
+    /**
+     * Read a two-column page: full-width lines split it into bands,
+     * and each band is read left column first, then right column
+     */
+    orderColumns(items, gutter) {
+        const sorted = [...items].sort((a, b) => b.y - a.y || a.x - b.x);
+        const ordered = [];
+        let band = { left: [], right: [] };
+
+        const flushBand = () => {
+            ordered.push(...this.buildLines(band.left), ...this.buildLines(band.right).map((line, i) => (
+                i === 0 ? { ...line, columnBreak: true } : line
+            )));
+            band = { left: [], right: [] };
+        };
+
+        sorted.forEach(item => {
+            const spansGutter = !item.rotated && item.x < gutter && item.x + item.width > gutter;
+            if (spansGutter) {
+                flushBand();
+                ordered.push(...this.buildLines([item], true));
+            } else if (item.x + item.width / 2 < gutter) {
+                band.left.push(item);
+            } else {
+                band.right.push(item);
+            }
+        });
+        flushBand();
+
+        // Full-width items on the same baseline as each other were split apart above - rejoin them
+        return ordered.reduce((lines, line) => {
+            const previous = lines[lines.length - 1];
+            if (previous && previous.spanning && line.spanning && Math.abs(previous.y - line.y) <= line.fontSize * 0.5) {
+                lines[lines.length - 1] = this.mergeLines(previous, line);
+            } else {
+                lines.push(line);
+            }
+            return lines;
+        }, []).map(line => {
+            delete line.spanning;
+            return line;
+        });
+    }
+
+    /**
+     * Group items that share a baseline into lines, top to bottom
+     */
+    buildLines(items, spanning = false) {
+        const sorted = [...items].sort((a, b) => b.y - a.y || a.x - b.x);
+        const groups = [];
+
+        sorted.forEach(item => {
+            const group = groups[groups.length - 1];
+            if (group && Math.abs(group.y - item.y) <= Math.max(group.fontSize, item.fontSize) * 0.5) {
+                group.items.push(item);
+                group.fontSize = Math.max(group.fontSize, item.fontSize);
+            } else {
+                groups.push({ y: item.y, fontSize: item.fontSize, items: [item] });
+            }
+        });
+
+        return groups.map(group => this.joinItems(group, spanning));
+    }
+
+    /**
+     * Join a line's items left to right, inserting spaces where glyphs are visibly apart
+     */
+    joinItems(group, spanning = false) {
+        const items = group.items.sort((a, b) => a.x - b.x);
+        let text = '';
+        let cells = 1;
+        let previous = null;
+
+        items.forEach(item => {
+            if (previous) {
+                const gap = item.x - (previous.x + previous.width);
+                if (gap > group.fontSize * CELL_GAP_RATIO) {
+                    cells++;
+                }
+                if (gap > group.fontSize * 0.2 && !/\s$/.test(text) && !/^\s/.test(item.text)) {
+                    text += ' ';
+                }
+            }
+            text += item.text;
+            previous = item;
+        });
+
+        return {
+            text: text.replace(/\s+/g, ' ').trim(),
+            x: items[0].x,
+            y: group.y,
+            fontSize: group.fontSize,
+            fontName: this.dominantFont(items),
+            cells,
+            spanning
+        };
+    }
+
+    /**
+     * Merge two lines that sit on the same baseline
+     */
+    mergeLines(first, second) {
+        const [left, right] = first.x <= second.x ? [first, second] : [second, first];
+        return {
+            ...left,
+            text: `${left.text} ${right.text}`,
+            fontSize: Math.max(left.fontSize, right.fontSize),
+            cells: left.cells + right.cells
+        };
+    }
+
+    /**
+     * Count distinct baselines among items
+     */
+    countLines(items) {
+        return new Set(items.map(item => Math.round(item.y))).size;
+    }
+
+    /**
+     * Font that covers the most characters in a set of items
+     */
+    dominantFont(items) {
+        const counts = new Map();
+        items.forEach(item => {
+            counts.set(item.fontName, (counts.get(item.fontName) || 0) + item.text.length);
+        });
+        return [...counts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] || null;
+    }
+
+    /**
+     * Body text is the size and font carrying the most characters
+     */
+    findBodyFont(lines) {
+        const sizes = new Map();
+        const fonts = new Map();
+        lines.forEach(line => {
+            const size = Math.round(line.fontSize * 2) / 2;
+            sizes.set(size, (sizes.get(size) || 0) + line.text.length);
+            fonts.set(line.fontName, (fonts.get(line.fontName) || 0) + line.text.length);
+        });
+
+        const top = map => [...map.entries()].sort((a, b) => b[1] - a[1])[0]?.[0];
+        return { fontSize: top(sizes) || 10, fontName: top(fonts) || null };
+    }
+
+    /**
+     * Header = short line that is larger than body text, or set in a different (usually bold) font
+     */
+    isHeader(line, body) {
+        const words = line.text.split(/\s+/).filter(Boolean);
+        if (words.length === 0 || words.length > MAX_HEADER_WORDS) return false;
+        if (!/[A-Za-z]/.test(line.text) || /[@|]|\d{3}/.test(line.text)) return false;
+
+        const larger = line.fontSize >= body.fontSize * HEADER_SIZE_RATIO;
+        const differentFont = line.fontName !== body.fontName && line.fontSize >= body.fontSize * 0.95;
+
+        return larger || differentFont;
+    }
+
+    /**
+     * Render ordered lines as plain text
+     * Blank lines mark paragraph gaps, column switches and headers so section detection sees clean boundaries
+     */
+    renderText(pages) {
+        return pages.map(page => {
+            const output = [];
+            page.lines.forEach((line, i) => {
+                const previous = page.lines[i - 1];
+                const paragraphGap = previous && previous.y - line.y > Math.max(previous.fontSize, line.fontSize) * 1.8;
+                if (previous && (line.isHeader || line.columnBreak || paragraphGap)) {
+                    output.push('');
+                }
+                output.push(line.text);
+            });
+            return output.join('\n');
+        }).join('\n\n');
+    }
+
+    /**
+     * Score how hostile the layout is to ATS parsers (0 = plain single column, 100 = very hostile)
+     */
+    assessComplexity(pages, lines, headers) {
+        const signals = [];
+        let score = 0;
+
+        const multiColumnPages = pages.filter(page => page.columns > 1).length;
+        if (multiColumnPages > 0) {
+            score += 50;
+            signals.push(`Multi-column layout on ${multiColumnPages} of ${pages.length} page(s) - many ATS read straight across columns`);
+        }
+
+        const tableRows = lines.filter(line => line.cells >= 3).length;
+        if (tableRows >= 3) {
+            score += 20;
+            signals.push(`${tableRows} table-like rows - cell text is often scrambled or dropped`);
+        }
+
+        const rotatedItems = pages.reduce((sum, page) => sum + page.rotatedItems, 0);
+        if (rotatedItems > 0) {
+            score += 15;
+            signals.push('Rotated or vertical text - usually skipped by ATS parsers');
+        }
+
+        const fontSizes = new Set(lines.map(line => Math.round(line.fontSize)));
+        if (fontSizes.size > 5) {
+            score += 10;
+            signals.push(`${fontSizes.size} different font sizes - inconsistent visual hierarchy`);
+        }
+
+        if (lines.length > 0 && headers.length === 0) {
+            score += 15;
+            signals.push('No visually distinct section headers');
+        }
+
+        score = Math.min(100, score);
+
+        let level = 'simple';
+        if (score >= COMPLEXITY_LEVELS.COMPLEX) level = 'complex';
+        else if (score >= COMPLEXITY_LEVELS.MODERATE) level = 'moderate';
+
+        return { score, level, signals };
+    }
+}
+
+module.exports = new PDFLayoutExtractor();
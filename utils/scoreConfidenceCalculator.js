@@ -20,7 +20,8 @@ class ScoreConfidenceCalculator {
             jdParsingMeta = {},
             resumeParsingQuality = 5,
             matchResult = {},
-            aiReliabilityData = {}
+            aiReliabilityData = {},
+            ocr = null
         } = analysisContext;
 
         let confidenceScore = 100; // Start at 100% confidence
@@ -37,13 +38,15 @@ class ScoreConfidenceCalculator {
         });
 
         // Factor 2: Resume Parsing Quality (20% weight)
-        const resumeConfidence = this.assessResumeParsingConfidence(resumeParsingQuality);
+        const resumeConfidence = this.assessResumeParsingConfidence(resumeParsingQuality, ocr);
         confidenceScore -= (100 - resumeConfidence) * 0.2;
         factors.push({
             factor: 'Resume Parsing',
             confidence: resumeConfidence,
             impact: 'Medium',
-            notes: this.getResumeQualityNote(resumeParsingQuality)
+            notes: ocr?.used
+                ? `Scanned PDF - text recovered by OCR (${ocr.confidence}% OCR confidence)`
+                : this.getResumeQualityNote(resumeParsingQuality)
         });
 
         // Factor 3: Skill Matching Confidence (25% weight)
@@ -118,14 +121,21 @@ class ScoreConfidenceCalculator {
 
     /**
      * Assess resume parsing confidence
+     * OCR text is never trusted as much as a real text layer - misread skills and dates go unnoticed
      */
-    assessResumeParsingConfidence(parseQuality) {
+    assessResumeParsingConfidence(parseQuality, ocr = null) {
         // parseQuality is 0-5
-        if (parseQuality >= 5) return 100; // Perfect
-        if (parseQuality >= 4) return 85;  // Good
-        if (parseQuality >= 3) return 70;  // Fair
-        if (parseQuality >= 2) return 55;  // Poor
-        return 40; // Very poor
+        let confidence;
+        if (parseQuality >= 5) confidence = 100; // Perfect
+        else if (parseQuality >= 4) confidence = 85;  // Good
+        else if (parseQuality >= 3) confidence = 70;  // Fair
+        else if (parseQuality >= 2) confidence = 55;  // Poor
+        else confidence = 40; // Very poor
+
+        if (ocr?.used) {
+            confidence = Math.min(confidence, Math.round(ocr.confidence * 0.6));
+        }
+        return confidence;
     }
 
     /**
@@ -0,0 +1,205 @@
+/**
+ * Scoring Config Validator
+ *
+ * Checks config/scoring.config.js and every scoring profile built from it
+ *
+ * Philosophy: A bad edit must fail loudly, not skew every score
+ * - Category weights sum to exactly 100
+ * - Points inside a category never exceed its weight
+ * - Thresholds and tiers are ordered, and score ranges cover 0-100 without gaps
+ * - Factors and similarities are fractions in [0, 1]
+ *
+ * Run directly to check the config and all profiles:
+ *   npm run validate:scoring
+ */
+
+const CATEGORIES = ['REQUIRED_SKILLS', 'EXPERIENCE', 'EDUCATION', 'CERTIFICATIONS', 'PREFERRED_SKILLS', 'KEYWORD_DENSITY', 'FORMAT_CLARITY'];
+
+// Sections a profile may override - the ones the matcher reads per analysis
+const PROFILE_SECTIONS = ['WEIGHTS', 'REQUIRED_SKILLS', 'EXPERIENCE', 'EDUCATION', 'CERTIFICATIONS', 'PREFERRED_SKILLS', 'SKILL_USAGE'];
+const PROFILE_NAME = /^[a-z][a-z0-9_]*$/;
+
+class ScoringConfigValidator {
+    /**
+     * Validate a complete scoring config (the base config or a resolved profile)
+     * @param {Object} config - Scoring config
+     * @param {string} where - Prefix for messages ("scoring.config", "profile \"senior\"")
+     * @returns {Object} { errors: string[], warnings: string[] }
+     */
+    validateConfig(config, where = 'scoring.config') {
+        const errors = [];
+        const warnings = [];
+        const error = message => errors.push(`${where}: ${message}`);
+
+        // Weights
+        const weights = config.WEIGHTS || {};
+        CATEGORIES.forEach(category => {
+            if (!this.isNonNegative(weights[category])) error(`WEIGHTS.${category} must be a number >= 0`);
+        });
+        Object.keys(weights)
+            .filter(key => !CATEGORIES.includes(key))
+            .forEach(key => error(`WEIGHTS.${key} is not a scoring category`));
+        const total = CATEGORIES.reduce((sum, category) => sum + (Number(weights[category]) || 0), 0);
+        if (Math.abs(total - 100) > 1e-9) error(`WEIGHTS must total 100 (got ${total})`);
+
+        // Points inside each category
+        const required = config.REQUIRED_SKILLS || {};
+        if (!(required.POINTS_PER_SKILL > 0)) error('REQUIRED_SKILLS.POINTS_PER_SKILL must be > 0');
+        if (required.POINTS_PER_SKILL > weights.REQUIRED_SKILLS) error('REQUIRED_SKILLS.POINTS_PER_SKILL exceeds WEIGHTS.REQUIRED_SKILLS');
+        ['MIN_SIMILARITY', 'PARTIAL_MATCH_CREDIT'].forEach(key => this.checkFraction(required[key], `REQUIRED_SKILLS.${key}`, error));
+
+        const penalties = (config.EXPERIENCE || {}).PENALTIES || {};
+        this.checkOrdered(
+            [['SHORT_0_2_YEARS', penalties.SHORT_0_2_YEARS], ['SHORT_2_4_YEARS', penalties.SHORT_2_4_YEARS], ['SHORT_4_PLUS_YEARS', penalties.SHORT_4_PLUS_YEARS]],
+            'EXPERIENCE.PENALTIES', 'ascending', error
+        );
+        Object.entries(penalties).forEach(([key, value]) => {
+            if (!this.isNonNegative(value)) error(`EXPERIENCE.PENALTIES.${key} must be a number >= 0`);
+            else if (value > weights.EXPERIENCE) error(`EXPERIENCE.PENALTIES.${key} exceeds WEIGHTS.EXPERIENCE`);
+        });
+
+        const education = config.EDUCATION || {};
+        this.checkOrdered(
+            [['EXACT_MATCH', education.EXACT_MATCH], ['LOWER_DEGREE', education.LOWER_DEGREE], ['MISSING_REQUIRED', education.MISSING_REQUIRED]],
+            'EDUCATION', 'descending', error
+        );
+        if (education.EXACT_MATCH > weights.EDUCATION) error('EDUCATION.EXACT_MATCH exceeds WEIGHTS.EDUCATION');
+        ['UNRELATED_FIELD_CREDIT', 'UNKNOWN_FIELD_CREDIT', 'EQUIVALENT_EXPERIENCE_CREDIT'].forEach(key => this.checkFraction(education[key], `EDUCATION.${key}`, error));
+        const equivalentYears = education.EQUIVALENT_EXPERIENCE_YEARS || {};
+        this.checkOrdered(
+            ['Associates', 'Bachelors', 'Masters', 'PhD'].map(level => [level, equivalentYears[level]]),
+            'EDUCATION.EQUIVALENT_EXPERIENCE_YEARS', 'ascending', error
+        );
+
+        // Certification points are shares of the category's weight
+        const certifications = config.CERTIFICATIONS || {};
+        ['PREFERRED_WEIGHT', 'EXPIRED_CREDIT', 'NO_REQUIREMENT_CREDIT'].forEach(key => this.checkFraction(certifications[key], `CERTIFICATIONS.${key}`, error));
+
+        const preferred = config.PREFERRED_SKILLS || {};
+        if (!this.isNonNegative(preferred.POINTS_PER_SKILL) || !(preferred.MAX_SKILLS_COUNTED >= 1)) {
+            error('PREFERRED_SKILLS needs POINTS_PER_SKILL >= 0 and MAX_SKILLS_COUNTED >= 1');
+        } else if (preferred.POINTS_PER_SKILL * preferred.MAX_SKILLS_COUNTED > weights.PREFERRED_SKILLS + 1e-9) {
+            error('PREFERRED_SKILLS.POINTS_PER_SKILL x MAX_SKILLS_COUNTED exceeds WEIGHTS.PREFERRED_SKILLS');
+        } else if (preferred.POINTS_PER_SKILL * preferred.MAX_SKILLS_COUNTED < weights.PREFERRED_SKILLS - 1e-9) {
+            warnings.push(`${where}: PREFERRED_SKILLS can never reach WEIGHTS.PREFERRED_SKILLS (${preferred.POINTS_PER_SKILL} x ${preferred.MAX_SKILLS_COUNTED})`);
+        }
+
+        // Keyword density tiers
+        const density = config.KEYWORD_DENSITY || {};
+        this.checkOrdered(
+            ['EXCELLENT', 'GOOD', 'FAIR', 'POOR'].map(tier => [`${tier}_THRESHOLD`, density[`${tier}_THRESHOLD`]]),
+            'KEYWORD_DENSITY thresholds', 'descending', error
+        );
+        ['EXCELLENT', 'GOOD', 'FAIR', 'POOR'].forEach(tier => this.checkFraction(density[`${tier}_THRESHOLD`], `KEYWORD_DENSITY.${tier}_THRESHOLD`, error));
+        const densityPoints = density.POINTS || {};
+        this.checkOrdered(
+            ['EXCELLENT', 'GOOD', 'FAIR', 'POOR', 'VERY_POOR'].map(tier => [tier, densityPoints[tier]]),
+            'KEYWORD_DENSITY.POINTS', 'descending', error
+        );
+
+        // Format points
+        const format = config.FORMAT || {};
+        this.checkOrdered(
+            ['PERFECT', 'MINOR_ISSUES', 'MAJOR_ISSUES', 'UNPARSEABLE'].map(key => [key, format[key]]),
+            'FORMAT', 'descending', error
+        );
+
+        // Fractions
+        const usage = config.SKILL_USAGE || {};
+        if (!this.isNonNegative(usage.RECENT_YEARS)) error('SKILL_USAGE.RECENT_YEARS must be a number >= 0');
+        ['DECAY_PER_YEAR', 'MIN_RECENCY_FACTOR'].forEach(key => this.checkFraction(usage[key], `SKILL_USAGE.${key}`, error));
+        Object.entries(usage.PROFICIENCY_FACTORS || {}).forEach(([level, factor]) =>
+            this.checkFraction(factor, `SKILL_USAGE.PROFICIENCY_FACTORS.${level}`, error)
+        );
+        ['PARENT_EDGE_WEIGHT', 'MIN_SIMILARITY'].forEach(key => this.checkFraction((config.SKILL_GRAPH || {})[key], `SKILL_GRAPH.${key}`, error));
+        Object.entries(config.SKILL_VERSIONS || {}).forEach(([key, value]) => this.checkFraction(value, `SKILL_VERSIONS.${key}`, error));
+
+        // Score ranges: contiguous from 0 to 100
+        const ranges = Object.entries(config.SCORE_RANGES || {}).sort(([, a], [, b]) => a.min - b.min);
+        if (ranges.length === 0) {
+            error('SCORE_RANGES is empty');
+        } else {
+            if (ranges[0][1].min !== 0) error(`SCORE_RANGES must start at 0 (${ranges[0][0]} starts at ${ranges[0][1].min})`);
+            if (ranges[ranges.length - 1][1].max !== 100) error(`SCORE_RANGES must end at 100 (${ranges[ranges.length - 1][0]} ends at ${ranges[ranges.length - 1][1].max})`);
+            ranges.forEach(([name, range], i) => {
+                if (!(range.max >= range.min)) error(`SCORE_RANGES.${name}: max is below min`);
+                if (i > 0 && range.min !== ranges[i - 1][1].max + 1) {
+                    error(`SCORE_RANGES.${name} starts at ${range.min} but ${ranges[i - 1][0]} ends at ${ranges[i - 1][1].max}`);
+                }
+            });
+        }
+
+        return { errors, warnings };
+    }
+
+    /**
+     * Validate a profile entry before it is resolved against the base config
+     * @returns {string[]} Errors
+     */
+    validateProfileDefinition(name, definition) {
+        const errors = [];
+        const where = `profile "${name}"`;
+
+        if (!PROFILE_NAME.test(name)) errors.push(`${where}: names are lowercase letters, digits and underscores`);
+        if (!definition || typeof definition !== 'object') {
+            errors.push(`${where}: must be an object`);
+            return errors;
+        }
+        if (typeof definition.label !== 'string' || !definition.label.trim()) errors.push(`${where}: "label" must be a non-empty string`);
+
+        Object.keys(definition)
+            .filter(key => !['label', 'description'].includes(key) && !PROFILE_SECTIONS.includes(key))
+            .forEach(key => errors.push(`${where}: "${key}" cannot be overridden by a profile (allowed: ${PROFILE_SECTIONS.join(', ')})`));
+        PROFILE_SECTIONS
+            .filter(key => definition[key] !== undefined && (typeof definition[key] !== 'object' || Array.isArray(definition[key])))
+            .forEach(key => errors.push(`${where}: "${key}" must be an object`));
+
+        // A partial WEIGHTS override can't be checked for its total - require every category
+        if (definition.WEIGHTS && typeof definition.WEIGHTS === 'object') {
+            const missing = CATEGORIES.filter(category => definition.WEIGHTS[category] === undefined);
+            if (missing.length > 0) errors.push(`${where}: WEIGHTS must list every category (missing ${missing.join(', ')})`);
+        }
+
+        return errors;
+    }
+
+    /**
+     * Values listed in order must be non-decreasing ('ascending') or non-increasing ('descending')
+     * @param {Array<Array>} entries - [[name, value], ...]
+     */
+    checkOrdered(entries, section, direction, error) {
+        const invalid = entries.filter(([, value]) => !this.isNonNegative(value));
+        if (invalid.length > 0) {
+            invalid.forEach(([name]) => error(`${section}: ${name} must be a number >= 0`));
+            return;
+        }
+        for (let i = 1; i < entries.length; i++) {
+            const [prevName, prev] = entries[i - 1];
+            const [name, value] = entries[i];
+            if (direction === 'ascending' ? value < prev : value > prev) {
+                error(`${section}: ${name} (${value}) must be ${direction === 'ascending' ? '>=' : '<='} ${prevName} (${prev})`);
+            }
+        }
+    }
+
+    checkFraction(value, name, error) {
+        if (typeof value !== 'number' || !(value >= 0 && value <= 1)) error(`${name} must be a number in [0, 1]`);
+    }
+
+    isNonNegative(value) {
+        return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+    }
+}
+
+module.exports = new ScoringConfigValidator();
+
+if (require.main === module) {
+    const scoringProfiles = require('./scoringProfiles');
+    const { valid, errors, warnings, profiles } = scoringProfiles.check(require('../config/scoring.config'));
+
+    console.log(`⚖️  Checked scoring config and ${profiles.length} profile(s): ${profiles.join(', ')}`);
+    warnings.forEach(warning => console.log(`⚠️  ${warning}`));
+    errors.forEach(error => console.log(`❌ ${error}`));
+    console.log(valid ? '✅ Scoring config is valid' : `❌ ${errors.length} error(s) found`);
+    process.exit(valid ? 0 : 1);
+}
@@ -0,0 +1,213 @@
+/**
+ * Scoring Profiles
+ *
+ * Named variants of config/scoring.config.js selectable per analysis: entry-level roles weigh
+ * education more, senior roles weigh experience, contract roles weigh current hands-on skills.
+ * Each profile is the base config with its overrides applied, validated as a whole.
+ *
+ * Philosophy: Same rules, different emphasis
+ * - A profile only moves weight between categories and tunes recency - matching never changes
+ * - Points inside a category scale with its weight, so a profile can't silently make a category unreachable
+ * - A suggested profile is only a suggestion: "auto" must be asked for
+ */
+
+const SCORING_CONFIG = require('../config/scoring.config');
+const scoringConfigValidator = require('./scoringConfigValidator');
+const seniorityDetector = require('./seniorityDetector');
+
+const DEFAULT_PROFILE = 'standard';
+
+// Point values that scale with their category's weight
+const SCALED_POINTS = {
+    REQUIRED_SKILLS: config => ({ POINTS_PER_SKILL: config.REQUIRED_SKILLS.POINTS_PER_SKILL }),
+    EXPERIENCE: config => ({ PENALTIES: config.EXPERIENCE.PENALTIES }),
+    EDUCATION: config => ({
+        EXACT_MATCH: config.EDUCATION.EXACT_MATCH,
+        LOWER_DEGREE: config.EDUCATION.LOWER_DEGREE,
+        MISSING_REQUIRED: config.EDUCATION.MISSING_REQUIRED
+    }),
+    PREFERRED_SKILLS: config => ({ POINTS_PER_SKILL: config.PREFERRED_SKILLS.POINTS_PER_SKILL })
+};
+
+// JD wording behind a suggested contract profile - the title line is checked first
+const CONTRACT_PATTERN = /\b(?:contract(?:or)?|contract-to-hire|freelance|c2c|corp-to-corp|1099)\b/i;
+const CONTRACT_BODY_PATTERN = /\b(?:contract|contract-to-hire|freelance)\s+(?:role|position|assignment|engagement|basis|opportunity)\b|\bcontract-to-hire\b|\bcorp-to-corp\b|\bc2c\b|\b\d+[- ]month contract\b/i;
+
+// Job levels (utils/seniorityDetector) behind the entry-level and senior profiles
+const ENTRY_LEVELS = ['intern', 'junior'];
+const SENIOR_MIN_RANK = 3; // senior and up, on either track
+
+class ScoringProfiles {
+    constructor() {
+        this.profiles = null; // name -> resolved config, built on first use
+    }
+
+    /**
+     * Validate the base config and every profile, resolving each one
+     * @param {Object} config - Scoring config (config/scoring.config.js)
+     * @returns {Object} { valid, errors, warnings, profiles: string[], resolved: Map }
+     */
+    check(config) {
+        const errors = [];
+        const warnings = [];
+        const resolved = new Map();
+        const { PROFILES: definitions = {}, ...base } = config;
+
+        const baseResult = scoringConfigValidator.validateConfig(base);
+        errors.push(...baseResult.errors);
+        warnings.push(...baseResult.warnings);
+
+        if (!definitions[DEFAULT_PROFILE]) {
+            errors.push(`scoring.config: PROFILES must include "${DEFAULT_PROFILE}" (the default profile)`);
+        }
+
+        // Profiles are only resolved on a valid base - their scaling divides by its weights
+        if (baseResult.errors.length === 0) {
+            Object.entries(definitions).forEach(([name, definition]) => {
+                const definitionErrors = scoringConfigValidator.validateProfileDefinition(name, definition);
+                if (definitionErrors.length > 0) {
+                    errors.push(...definitionErrors);
+                    return;
+                }
+
+                const profile = this.resolve(base, name, definition);
+                const result = scoringConfigValidator.validateConfig(profile, `profile "${name}"`);
+                errors.push(...result.errors);
+                warnings.push(...result.warnings);
+                if (result.errors.length === 0) resolved.set(name, profile);
+            });
+        }
+
+        return { valid: errors.length === 0, errors, warnings, profiles: Object.keys(definitions), resolved };
+    }
+
+    /**
+     * Load and validate every profile (idempotent; pass a config to load another one)
+     * @throws {Error} When the config or any profile fails validation
+     */
+    load(config = SCORING_CONFIG) {
+        const { valid, errors, warnings, resolved } = this.check(config);
+
+        if (!valid) {
+            throw new Error(`Invalid scoring config:\n  - ${errors.join('\n  - ')}`);
+        }
+        warnings.forEach(warning => console.warn(`⚠️  ${warning}`));
+
+        this.profiles = resolved;
+        console.log(`⚖️  Scoring profiles loaded: ${[...resolved.keys()].join(', ')}`);
+        return this;
+    }
+
+    ensureLoaded() {
+        if (!this.profiles) this.load();
+    }
+
+    /**
+     * Base config with a profile applied: category points scaled to the profile's weights,
+     * then the profile's own overrides on top
+     */
+    resolve(base, name, definition) {
+        const profile = this.merge(base, {});
+
+        if (definition.WEIGHTS) {
+            Object.entries(SCALED_POINTS).forEach(([category, points]) => {
+                const scale = definition.WEIGHTS[category] / base.WEIGHTS[category];
+                profile[category] = this.merge(profile[category], this.scale(points(base), scale));
+            });
+        }
+
+        Object.keys(definition)
+            .filter(key => key === key.toUpperCase())
+            .forEach(key => {
+                profile[key] = this.merge(profile[key], definition[key]);
+            });
+
+        profile.PROFILE = { name, label: definition.label, description: definition.description || '' };
+        return profile;
+    }
+
+    /**
+     * Deep merge of plain objects (overrides win, arrays and values are replaced)
+     */
+    merge(target, overrides) {
+        const merged = { ...target };
+        Object.entries(overrides).forEach(([key, value]) => {
+            merged[key] = value && typeof value === 'object' && !Array.isArray(value)
+                ? this.merge(target && typeof target[key] === 'object' ? target[key] : {}, value)
+                : value;
+        });
+        return merged;
+    }
+
+    scale(points, factor) {
+        return Object.fromEntries(Object.entries(points).map(([key, value]) => [
+            key,
+            typeof value === 'object' ? this.scale(value, factor) : Math.round(value * factor * 100) / 100
+        ]));
+    }
+
+    /**
+     * Resolved config for a profile
+     * @param {string} name - Profile name (default: "standard")
+     * @throws {Error} For an unknown profile
+     */
+    get(name = DEFAULT_PROFILE) {
+        this.ensureLoaded();
+        const profile = this.profiles.get(name);
+        if (!profile) {
+            throw new Error(`Unknown scoring profile "${name}". Available: ${this.names().join(', ')}`);
+        }
+        return profile;
+    }
+
+    has(name) {
+        this.ensureLoaded();
+        return this.profiles.has(name);
+    }
+
+    names() {
+        this.ensureLoaded();
+        return [...this.profiles.keys()];
+    }
+
+    /**
+     * Profiles for the UI and API
+     * @returns {Array<Object>} [{ name, label, description, weights, default }]
+     */
+    list() {
+        this.ensureLoaded();
+        return [...this.profiles.values()].map(profile => ({
+            ...profile.PROFILE,
+            weights: profile.WEIGHTS,
+            default: profile.PROFILE.name === DEFAULT_PROFILE
+        }));
+    }
+
+    /**
+     * Profile suggested by the JD's seniority and engagement type
+     * @param {Object} jdData - Parsed JD (original text, seniority, requiredExperience)
+     * @returns {Object} { profile, label, reason }
+     */
+    suggest(jdData) {
+        const text = jdData.original || '';
+        const seniority = jdData.seniority || seniorityDetector.detectJobLevel(text, jdData.requiredExperience || 0);
+        const suggestion = (profile, reason) => ({ profile, label: this.get(profile).PROFILE.label, reason });
+
+        const contract = (seniority.title || '').match(CONTRACT_PATTERN) || text.match(CONTRACT_BODY_PATTERN);
+        if (contract && this.has('contract')) {
+            return suggestion('contract', `JD describes a contract role ("${contract[0]}")`);
+        }
+
+        const level = `JD reads as ${seniority.label} level (${seniority.evidence})`;
+        if (this.has('entry_level') && ENTRY_LEVELS.includes(seniority.level)) {
+            return suggestion('entry_level', level);
+        }
+        if (this.has('senior') && seniority.rank >= SENIOR_MIN_RANK) {
+            return suggestion('senior', level);
+        }
+
+        return suggestion(DEFAULT_PROFILE, seniority.level ? level : 'No seniority or contract wording in the JD');
+    }
+}
+
+module.exports = new ScoringProfiles();
@@ -0,0 +1,236 @@
+/**
+ * Seniority Detector
+ *
+ * Reads the level of a job (from its title, responsibilities and required years) and of a
+ * candidate (from their most recent role), and compares the two: a director applying to a
+ * junior role, or an individual contributor applying to a people-manager role
+ *
+ * Philosophy: Titles first, years last
+ * - A title word ("Senior", "Principal", "Director") is the strongest evidence of level
+ * - Managing people is a different track, not just a higher rung - "Product Manager" manages a product
+ * - Years only estimate a level when no title says one, and the estimate is reported as such
+ * - One rung apart is normal career movement; only two or more is a mismatch
+ */
+
+// Ladder shared by both tracks - a manager sits level with staff, a director with principal
+const LEVELS = {
+    intern: { rank: 0, label: 'Intern', track: 'ic' },
+    junior: { rank: 1, label: 'Junior', track: 'ic' },
+    mid: { rank: 2, label: 'Mid-level', track: 'ic' },
+    senior: { rank: 3, label: 'Senior', track: 'ic' },
+    staff: { rank: 4, label: 'Staff / Lead', track: 'ic' },
+    principal: { rank: 5, label: 'Principal', track: 'ic' },
+    manager: { rank: 4, label: 'Manager', track: 'management' },
+    director: { rank: 5, label: 'Director', track: 'management' },
+    executive: { rank: 6, label: 'Executive', track: 'management' }
+};
+
+// Title words, checked in this order - the first match wins ("Senior Engineering Manager" is a manager)
+const TITLE_PATTERNS = [
+    ['executive', /\b(?:chief\s+\w+\s+officer|c[etiof]o|vp|svp|evp|vice\s+president)\b/i],
+    ['director', /\b(?:director|head\s+of)\b/i],
+    ['manager', /\bmanager\b/i],
+    ['principal', /\b(?:principal|distinguished|fellow)\b/i],
+    ['staff', /\bstaff\b(?!\s+(?:nurse|accountant|writer|pharmacist|physician|auditor))|\b(?:lead|architect)\b/i],
+    ['senior', /\b(?:senior|sr)\b|\b(?:engineer|developer|analyst)\s+(?:iii|3)\b/i],
+    ['mid', /\b(?:mid[- ]level|intermediate)\b|\b(?:engineer|developer|analyst)\s+(?:ii|2)\b/i],
+    ['junior', /\b(?:junior|jr|entry[- ]level|associate|graduate|new\s+grad)\b|\b(?:engineer|developer|analyst)\s+(?:i|1)\b/i],
+    ['intern', /\b(?:intern(?:ship)?|co-?op|trainee|apprentice)\b/i]
+];
+
+// "Manager" titles that manage a product, project or account rather than people
+const IC_MANAGER_TITLE = /\b(?:product|project|program|programme|account|case|community|content|social\s+media|brand|release|office|relationship|property|delivery|marketing\s+campaign)\s+manager\b/i;
+
+// Responsibilities that only a people manager has ("mentor junior engineers" is not one)
+const PEOPLE_MANAGEMENT = [
+    /\b(?:manag|supervis)(?:e|es|ed|ing)\s+(?:a\s+|the\s+)?(?:team|group|department|staff)\b/i,
+    /\b(?:built|build|grew|grow|led|lead)\s+(?:and\s+(?:led|lead|managed|manage)\s+)?(?:a\s+)?team\s+of\s+\d+/i,
+    /\bdirect\s+reports?\b/i,
+    /\bpeople\s+(?:management|manager|leadership)\b/i,
+    /\bperformance\s+reviews?\b/i,
+    /\b(?:hire|hired|hiring)\s*,?\s+(?:and\s+)?(?:develop|grow|manage|coach)\w*\s+(?:a\s+|the\s+)?(?:team|engineers|staff)\b/i
+];
+
+// "Job Title: X" line in a JD; otherwise its first line is taken as the title
+const TITLE_LINE = /^[#*\s]*(?:job\s+)?(?:title|position|role)\**\s*:\s*\**\s*(.+)$/im;
+// ...but only when it reads like one: short, and not a sentence ("Sr." is an abbreviation, "team." ends a sentence)
+const MAX_TITLE_WORDS = 8;
+const SENTENCE_PUNCTUATION = /[!?;]|[A-Za-z]{4,}\.(?:\s|$)/;
+
+// Years -> level, only used when no title word gives one
+const YEARS_LADDER = [
+    { minYears: 8, level: 'staff' },
+    { minYears: 5, level: 'senior' },
+    { minYears: 2, level: 'mid' },
+    { minYears: 0, level: 'junior' }
+];
+
+// Rungs apart before a candidate is over- or under-levelled for the role
+const MISMATCH_GAP = 2;
+
+class SeniorityDetector {
+    /**
+     * Level a job description is hiring for
+     * @param {string} text - Job description (original text)
+     * @param {number} requiredYears - Parsed years of experience required (0 = not stated)
+     * @returns {Object} { level, label, rank, track, source: title|responsibilities|experience|null, evidence, title, peopleManagement }
+     */
+    detectJobLevel(text, requiredYears = 0) {
+        const title = this.findTitle(text || '');
+        const peopleManagement = this.findPeopleManagement(text || '');
+        const fromTitle = this.levelFromTitle(title);
+
+        if (fromTitle) {
+            return { ...fromTitle, title, peopleManagement };
+        }
+
+        // No level word in the title: managing people makes it a manager role, else estimate from years
+        if (peopleManagement) {
+            return { ...this.describe('manager'), source: 'responsibilities', evidence: `"${peopleManagement}"`, title, peopleManagement };
+        }
+        if (requiredYears > 0) {
+            return { ...this.levelFromYears(requiredYears), evidence: `${requiredYears}+ years required`, title, peopleManagement };
+        }
+
+        return { ...this.unknown(), title, peopleManagement };
+    }
+
+    /**
+     * Level a candidate is at now - their most recent role's title, else their total years
+     * @param {Array<Object>} roles - Parsed roles (utils/workHistoryParser)
+     * @param {number} totalYears - Total years of experience
+     * @returns {Object} { level, label, rank, track, source, evidence, title, peak, managementExperience }
+     */
+    detectCandidateLevel(roles = [], totalYears = 0) {
+        const levelled = roles.map(role => ({ role, level: this.levelFromRole(role) }));
+        const latest = [...levelled].sort((a, b) =>
+            (b.role.isCurrent - a.role.isCurrent) || this.roleEnd(b.role) - this.roleEnd(a.role)
+        )[0];
+
+        const managed = levelled.find(entry => entry.level && entry.level.track === 'management');
+        const peak = levelled
+            .filter(entry => entry.level)
+            .sort((a, b) => b.level.rank - a.level.rank)[0];
+
+        const summary = {
+            title: latest ? latest.role.title || null : null,
+            peak: peak ? { level: peak.level.level, label: peak.level.label, rank: peak.level.rank, title: peak.role.title } : null,
+            managementExperience: managed ? { title: managed.role.title || null, evidence: managed.level.evidence } : null
+        };
+
+        if (latest && latest.level) {
+            return { ...latest.level, ...summary };
+        }
+        if (roles.length > 0 || totalYears > 0) {
+            return { ...this.levelFromYears(totalYears), evidence: `${totalYears} years of experience`, ...summary };
+        }
+        return { ...this.unknown(), ...summary };
+    }
+
+    /**
+     * Compare a candidate's level with the job's
+     * @param {Object} candidate - detectCandidateLevel() result
+     * @param {Object} job - detectJobLevel() result
+     * @returns {Object} { status: aligned|overqualified|underqualified|unknown, gap, track: aligned|needs_management|manager_to_ic, inferred, job, candidate }
+     */
+    compare(candidate, job) {
+        if (!candidate || !job || typeof candidate.rank !== 'number' || typeof job.rank !== 'number') {
+            return { status: 'unknown', gap: null, track: 'aligned', inferred: true, job: job || null, candidate: candidate || null };
+        }
+
+        const gap = candidate.rank - job.rank;
+        let status = 'aligned';
+        if (gap >= MISMATCH_GAP) status = 'overqualified';
+        else if (gap <= -MISMATCH_GAP) status = 'underqualified';
+
+        let track = 'aligned';
+        if (job.track === 'management' && !candidate.managementExperience) {
+            track = 'needs_management';
+        } else if (job.track === 'ic' && candidate.track === 'management') {
+            track = 'manager_to_ic';
+        }
+
+        return {
+            status,
+            gap,
+            track,
+            // A level estimated from years is weaker evidence than a title
+            inferred: candidate.source === 'experience' || job.source === 'experience',
+            job,
+            candidate
+        };
+    }
+
+    /**
+     * Level named by a job title, or null when the title has no level word
+     */
+    levelFromTitle(title) {
+        if (!title) return null;
+
+        const icManager = IC_MANAGER_TITLE.test(title);
+        const match = TITLE_PATTERNS.find(([level, pattern]) =>
+            !(icManager && level === 'manager') && pattern.test(title)
+        );
+        if (!match) return null;
+
+        return { ...this.describe(match[0]), source: 'title', evidence: `title "${title}"` };
+    }
+
+    /**
+     * A role's level: its title, or people management in its bullets
+     */
+    levelFromRole(role) {
+        const fromTitle = this.levelFromTitle(role.title || '');
+        if (fromTitle) return fromTitle;
+
+        const managed = this.findPeopleManagement(role.description || '');
+        return managed ? { ...this.describe('manager'), source: 'responsibilities', evidence: `"${managed}"` } : null;
+    }
+
+    levelFromYears(years) {
+        const step = YEARS_LADDER.find(entry => years >= entry.minYears);
+        return { ...this.describe(step.level), source: 'experience' };
+    }
+
+    /**
+     * First people-management phrase in a text, or null
+     */
+    findPeopleManagement(text) {
+        for (const pattern of PEOPLE_MANAGEMENT) {
+            const match = text.match(pattern);
+            if (match) return match[0];
+        }
+        return null;
+    }
+
+    /**
+     * Job title: an explicit "Job Title:" line, else the first line of the JD if it reads as a title
+     * A JD that opens with a paragraph has no title - "report to our CTO" doesn't make it an executive role
+     * @returns {string|null}
+     */
+    findTitle(text) {
+        const labelled = text.match(TITLE_LINE);
+        if (labelled) return labelled[1].replace(/\*+/g, '').trim();
+        const first = text.split('\n').map(line => line.replace(/^[#*\s]+|\*+$/g, '').trim()).find(Boolean);
+        return first && this.looksLikeTitle(first) ? first : null;
+    }
+
+    looksLikeTitle(line) {
+        return line.split(/\s+/).length <= MAX_TITLE_WORDS && !SENTENCE_PUNCTUATION.test(line);
+    }
+
+    describe(level) {
+        const { rank, label, track } = LEVELS[level];
+        return { level, label, rank, track };
+    }
+
+    unknown() {
+        return { level: null, label: null, rank: null, track: null, source: null, evidence: null };
+    }
+
+    roleEnd(role) {
+        return role._interval ? role._interval.end : 0;
+    }
+}
+
+module.exports = new SeniorityDetector();
@@ -0,0 +1,282 @@
+/**
+ * Skill Taxonomy
+ *
+ * Single source of truth for known skills: canonical names, aliases, categories,
+ * parents and weighted related skills. Loaded from JSON/YAML data files:
+ * - config/taxonomy/*.json|yaml|yml (built in, loaded in file-name order)
+ * - SKILL_TAXONOMY_PATHS: comma-separated extra files or directories for team/domain taxonomies
+ *
+ * A file with a "domain" (software, healthcare, finance...) is a domain pack: its terms
+ * are only used to spot skills in job descriptions detected as that domain.
+ * Files without one apply to every job description.
+ *
+ * Philosophy: EXPLICIT > IMPLICIT
+ * - Every file is validated as a whole before anything is used - a bad file stops startup
+ * - Aliases are exact matches (100%), related skills are partial matches (their weight)
+ * - A relation declared on either side applies both ways
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const taxonomyValidator = require('./taxonomyValidator');
+
+const TAXONOMY_DIR = path.join(__dirname, '..', 'config', 'taxonomy');
+const TAXONOMY_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+class SkillTaxonomy {
+    constructor() {
+        this.skills = null; // canonical name -> skill, built on first use
+    }
+
+    /**
+     * Built-in taxonomy directory plus any SKILL_TAXONOMY_PATHS entries
+     */
+    getTaxonomyPaths() {
+        const extraPaths = (process.env.SKILL_TAXONOMY_PATHS || '')
+            .split(',')
+            .map(entry => entry.trim())
+            .filter(Boolean);
+
+        return [TAXONOMY_DIR, ...extraPaths];
+    }
+
+    /**
+     * Read taxonomy files from files and directories
+     * Parse failures are returned (not thrown) so the validator can report every file at once
+     * @param {Array<string>} paths - Files or directories
+     * @returns {Array<Object>} [{ file, data }] or [{ file, error }]
+     */
+    readFiles(paths) {
+        const files = [];
+
+        paths.forEach(entry => {
+            const resolved = path.resolve(entry);
+            if (!fs.existsSync(resolved)) {
+                files.push({ file: entry, error: 'file or directory not found' });
+                return;
+            }
+
+            const filePaths = fs.statSync(resolved).isDirectory()
+                ? fs.readdirSync(resolved)
+                    .filter(name => TAXONOMY_EXTENSIONS.includes(path.extname(name).toLowerCase()))
+                    .sort()
+                    .map(name => path.join(resolved, name))
+                : [resolved];
+
+            filePaths.forEach(filePath => {
+                const relative = path.relative(process.cwd(), filePath);
+                const file = relative && !relative.startsWith('..') ? relative : filePath;
+                try {
+                    const content = fs.readFileSync(filePath, 'utf8');
+                    const data = path.extname(filePath).toLowerCase() === '.json'
+                        ? JSON.parse(content)
+                        : yaml.load(content);
+                    files.push({ file, data });
+                } catch (error) {
+                    files.push({ file, error: error.message });
+                }
+            });
+        });
+
+        return files;
+    }
+
+    /**
+     * Load and validate the taxonomy (idempotent; pass paths to reload from elsewhere)
+     * @throws {Error} When any file fails validation
+     */
+    load(paths = this.getTaxonomyPaths()) {
+        const files = this.readFiles(paths);
+        const { valid, errors } = taxonomyValidator.validate(files);
+
+        if (!valid) {
+            throw new Error(`Invalid skill taxonomy:\n  - ${errors.join('\n  - ')}`);
+        }
+
+        this.skills = new Map();
+        this.terms = new Map(); // lowercase name or alias -> canonical name
+        this.relations = new Map(); // canonical name -> Map(related name -> weight)
+        this.domains = new Map(); // domain -> { name, signals, skills }
+
+        files.forEach(({ file, data }) => {
+            const domain = data.domain ? data.domain.toLowerCase().trim() : null;
+            if (domain) {
+                if (!this.domains.has(domain)) {
+                    this.domains.set(domain, { name: domain, signals: [], skills: [] });
+                }
+                this.domains.get(domain).signals.push(...(data.signals || []).map(signal => signal.toLowerCase().trim()));
+            }
+
+            data.skills.forEach(skill => {
+                const name = skill.name.toLowerCase().trim();
+                const aliases = (skill.aliases || []).map(alias => alias.toLowerCase().trim());
+
+                this.skills.set(name, {
+                    name,
+                    label: skill.label || this.titleCase(name),
+                    aliases,
+                    category: skill.category || null,
+                    parent: skill.parent ? skill.parent.toLowerCase().trim() : null,
+                    exactCase: skill.exactCase || null,
+                    issuer: skill.issuer || null,
+                    validYears: skill.validYears || null,
+                    domain,
+                    source: file
+                });
+                if (domain) this.domains.get(domain).skills.push(name);
+                [name, ...aliases].forEach(term => this.terms.set(term, name));
+            });
+        });
+
+        // Second pass: related names may be aliases of skills defined in later files
+        files.forEach(({ data }) => {
+            data.skills.forEach(skill => {
+                const name = skill.name.toLowerCase().trim();
+                Object.entries(skill.related || {}).forEach(([related, weight]) => {
+                    const other = this.canonicalName(related) || related.toLowerCase().trim();
+                    this.addRelation(name, other, weight);
+                    this.addRelation(other, name, weight);
+                });
+            });
+        });
+
+        // Parents resolve through aliases too
+        this.caseSensitiveTerms = {};
+        this.skills.forEach(skill => {
+            if (skill.parent) skill.parent = this.terms.get(skill.parent);
+            if (skill.exactCase) this.caseSensitiveTerms[skill.name] = skill.exactCase;
+        });
+        this.termList = [...this.terms.keys()];
+        this.termsByDomain = new Map();
+
+        console.log(`📚 Skill taxonomy loaded: ${this.skills.size} skills from ${files.length} file(s)`);
+        return this;
+    }
+
+    ensureLoaded() {
+        if (!this.skills) this.load();
+    }
+
+    addRelation(from, to, weight) {
+        if (!this.relations.has(from)) this.relations.set(from, new Map());
+        this.relations.get(from).set(to, weight);
+    }
+
+    /**
+     * Canonical name for a skill name or alias, or null when the taxonomy doesn't know it
+     */
+    canonicalName(skill) {
+        this.ensureLoaded();
+        if (!skill || typeof skill !== 'string') return null;
+        return this.terms.get(skill.toLowerCase().trim()) || null;
+    }
+
+    /**
+     * Skill entry for a name or alias
+     * @returns {Object|null} { name, label, aliases, category, parent, exactCase, issuer, validYears, domain, source }
+     */
+    getSkill(skill) {
+        const name = this.canonicalName(skill);
+        return name ? this.skills.get(name) : null;
+    }
+
+    /**
+     * Display name ("JavaScript", "Node.js", "CPA"); unknown skills come back as given
+     */
+    getLabel(skill) {
+        const entry = this.getSkill(skill);
+        return entry ? entry.label : skill;
+    }
+
+    /**
+     * Canonical name of a skill's parent (the broader skill it implies), or null
+     */
+    getParent(skill) {
+        const entry = this.getSkill(skill);
+        return entry ? entry.parent : null;
+    }
+
+    /**
+     * Every surface form of a skill (canonical name first), or [] when unknown
+     */
+    getSurfaceForms(skill) {
+        const entry = this.getSkill(skill);
+        return entry ? [entry.name, ...entry.aliases] : [];
+    }
+
+    /**
+     * Predefined similarity between two skills
+     * @returns {number|undefined} 1.0 for the same skill or aliases, the related weight, or undefined
+     */
+    getSimilarity(skill1, skill2) {
+        this.ensureLoaded();
+        const name1 = this.canonicalName(skill1) || skill1.toLowerCase().trim();
+        const name2 = this.canonicalName(skill2) || skill2.toLowerCase().trim();
+
+        if (name1 === name2) return 1.0;
+        return this.relations.get(name1)?.get(name2);
+    }
+
+    /**
+     * Related skills and weights for a skill
+     * @returns {Object} related name -> weight
+     */
+    getRelated(skill) {
+        this.ensureLoaded();
+        const name = this.canonicalName(skill) || skill.toLowerCase().trim();
+        return Object.fromEntries(this.relations.get(name) || []);
+    }
+
+    /**
+     * All names and aliases - the term list used to spot skills in job descriptions
+     * @param {Array<string>} domains - Limit to these domain packs (plus domain-less files); all when omitted
+     */
+    getTerms(domains = null) {
+        this.ensureLoaded();
+        if (!domains) return this.termList;
+
+        const cacheKey = [...domains].sort().join('|');
+        if (!this.termsByDomain.has(cacheKey)) {
+            this.termsByDomain.set(cacheKey, this.termList.filter(term => {
+                const { domain } = this.skills.get(this.terms.get(term));
+                return !domain || domains.includes(domain);
+            }));
+        }
+        return this.termsByDomain.get(cacheKey);
+    }
+
+    /**
+     * Canonical names of the skills in the given categories ("license", "certification")
+     */
+    getSkillsByCategory(categories) {
+        this.ensureLoaded();
+        return [...this.skills.values()]
+            .filter(skill => categories.includes(skill.category))
+            .map(skill => skill.name);
+    }
+
+    /**
+     * Domain packs with their JD signal words and skill names
+     * @returns {Array<Object>} [{ name, signals, skills }]
+     */
+    getDomains() {
+        this.ensureLoaded();
+        return [...this.domains.values()];
+    }
+
+    titleCase(name) {
+        return name.replace(/(^|\s)([a-z])/g, (match, space, letter) => space + letter.toUpperCase());
+    }
+
+    /**
+     * Terms that are ordinary English words in lowercase ("go", "r", "rest")
+     * @returns {Object} lowercase term -> required casing
+     */
+    getCaseSensitiveTerms() {
+        this.ensureLoaded();
+        return this.caseSensitiveTerms;
+    }
+}
+
+module.exports = new SkillTaxonomy();
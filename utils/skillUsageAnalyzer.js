@@ -0,0 +1,146 @@
+/**
+ * Skill Usage Analyzer
+ * How recently, how long and how well a resume says a skill was used:
+ * last-used year and months of use from the dated roles that mention it,
+ * plus explicit proficiency markers ("expert in", "familiar with", "Python (basic)")
+ *
+ * Philosophy: Only what the resume states
+ * - Recency comes from role dates; a skill only in the skills list has no known recency and is not decayed
+ * - Proficiency is read from lead-ins and labels around the skill, never guessed from tone
+ * - Overlapping roles that both use a skill count their shared months once
+ */
+
+const SCORING_CONFIG = require('../config/scoring.config');
+const textAnalyzer = require('./textAnalyzer');
+const workHistoryParser = require('./workHistoryParser');
+
+// Strongest first; a stated level is the claim the resume makes, so the highest one found wins
+const PROFICIENCY_LEVELS = ['expert', 'advanced', 'intermediate', 'basic'];
+
+const PROFICIENCY_PHRASES = {
+    expert: 'expert(?:ise)?(?:[- ]level)?|mastery',
+    advanced: 'advanced|proficient|proficiency|fluent|highly skilled|strong (?:knowledge|experience|background|skills?)|deep (?:knowledge|expertise|experience)|extensive experience',
+    intermediate: 'intermediate|working knowledge|practical knowledge|competent',
+    basic: 'basic(?: knowledge| understanding)?|beginner|novice|familiar(?:ity)?|exposure|introductory knowledge|some experience|currently learning'
+};
+
+// "Expert in Python, Django and <skill>" / "Familiar with: <skill>" - the marker leads a list ending at the skill
+const LEAD_IN_PATTERNS = PROFICIENCY_LEVELS.map(level => ({
+    level,
+    pattern: new RegExp(`\\b(?:${PROFICIENCY_PHRASES[level]})\\b[ \\t]*(?:in|with|of|to|at|:|-)?[ \\t]*(?:[^,;:()[\\]]{1,40}?[ \\t]*(?:,|\\band\\b|\\bor\\b|&|/)[ \\t]*)*$`, 'i')
+}));
+
+// "<skill> (Expert)", "<skill> - advanced", "<skill>: basic"
+const TRAILING_LABEL = new RegExp(`^[ \\t]*[(\\[:–—-][ \\t]*(${PROFICIENCY_LEVELS.join('|')}|proficient|fluent|beginner|novice|familiar)\\b`, 'i');
+const TRAILING_LEVELS = { proficient: 'advanced', fluent: 'advanced', beginner: 'basic', novice: 'basic', familiar: 'basic' };
+
+// Characters looked at before a mention; the clause is cut at line, sentence and bullet breaks
+const LEAD_IN_CHARS = 120;
+const CLAUSE_BREAK = /\n|[.;!?](?=\s)|[•|]/;
+
+class SkillUsageAnalyzer {
+    /**
+     * Usage and proficiency for one matched skill
+     * @param {string} skill - Required skill ("Python 3", "React")
+     * @param {Array<Object>} roles - Parsed roles (resumeData.experience)
+     * @param {string} text - Resume text the matches point into
+     * @param {Array<Object>} matches - Skill mentions [{ start, end, text }] in text
+     * @param {Object} options - { now: reference date (injectable for determinism), settings: SKILL_USAGE of the scoring profile }
+     * @returns {Object} { usage: {...} | null, proficiency: {...} | null, factor }
+     */
+    analyze(skill, roles, text, matches = [], { now = new Date(), settings = SCORING_CONFIG.SKILL_USAGE } = {}) {
+        const usage = this.getUsage(skill, roles || [], now, settings);
+        const proficiency = this.getProficiency(text || '', matches, settings);
+
+        const factor = (usage ? usage.recencyFactor : 1.0) * (proficiency ? proficiency.factor : 1.0);
+
+        return { usage, proficiency, factor: Math.round(factor * 100) / 100 };
+    }
+
+    /**
+     * Last-used year and months of use from the dated roles that mention the skill
+     * @returns {Object|null} { lastUsedYear, yearsSinceUsed, totalMonths, duration, roles, recencyFactor } or null when no role mentions it
+     */
+    getUsage(skill, roles, now, settings = SCORING_CONFIG.SKILL_USAGE) {
+        const usedIn = roles.filter(role => {
+            const roleText = [role.title, ...(role.bullets || [])].filter(Boolean).join(' ');
+            return role._interval && textAnalyzer.findSkill(skill, roleText).found;
+        });
+        if (usedIn.length === 0) return null;
+
+        const currentYear = now.getFullYear();
+        const lastUsedYear = Math.max(...usedIn.map(role =>
+            role.isCurrent || !role.endDate ? currentYear : role.endDate.year
+        ));
+        const yearsSinceUsed = Math.max(0, currentYear - lastUsedYear);
+        const { totalMonths } = workHistoryParser.buildTimeline(usedIn, now);
+
+        return {
+            lastUsedYear,
+            yearsSinceUsed,
+            totalMonths,
+            duration: workHistoryParser.formatDuration(totalMonths),
+            roles: usedIn.map(role => ({ title: role.title, company: role.company, isCurrent: role.isCurrent })),
+            recencyFactor: this.getRecencyFactor(yearsSinceUsed, settings)
+        };
+    }
+
+    /**
+     * Credit kept after recency decay: full within RECENT_YEARS, then DECAY_PER_YEAR down to MIN_RECENCY_FACTOR
+     */
+    getRecencyFactor(yearsSinceUsed, settings = SCORING_CONFIG.SKILL_USAGE) {
+        if (!settings.RECENCY_ENABLED || yearsSinceUsed <= settings.RECENT_YEARS) return 1.0;
+
+        const factor = 1 - (yearsSinceUsed - settings.RECENT_YEARS) * settings.DECAY_PER_YEAR;
+        return Math.round(Math.max(settings.MIN_RECENCY_FACTOR, factor) * 100) / 100;
+    }
+
+    /**
+     * Highest proficiency the resume states for any mention of the skill
+     * @returns {Object|null} { level, marker, factor } or null when no level is stated
+     */
+    getProficiency(text, matches, settings = SCORING_CONFIG.SKILL_USAGE) {
+        let best = null;
+
+        matches.forEach(match => {
+            const stated = this.readProficiency(text, match);
+            if (stated && (!best || PROFICIENCY_LEVELS.indexOf(stated.level) < PROFICIENCY_LEVELS.indexOf(best.level))) {
+                best = stated;
+            }
+        });
+
+        return best
+            ? { ...best, factor: settings.PROFICIENCY_FACTORS[best.level] ?? 1.0 }
+            : null;
+    }
+
+    /**
+     * Proficiency stated around one mention: a trailing label, or the nearest lead-in in the same clause
+     * @returns {Object|null} { level, marker }
+     */
+    readProficiency(text, match) {
+        const trailing = text.slice(match.end, match.end + 20).match(TRAILING_LABEL);
+        if (trailing) {
+            const word = trailing[1].toLowerCase();
+            return { level: TRAILING_LEVELS[word] || word, marker: trailing[1] };
+        }
+
+        const before = text.slice(Math.max(0, match.start - LEAD_IN_CHARS), match.start);
+        const clause = before.split(CLAUSE_BREAK).pop();
+
+        // The marker closest to the skill wins: "Expert in Python, familiar with Go"
+        let nearest = null;
+        LEAD_IN_PATTERNS.forEach(({ level, pattern }) => {
+            const leadIn = clause.match(pattern);
+            if (leadIn && (!nearest || leadIn.index > nearest.index)) {
+                nearest = { level, index: leadIn.index, marker: leadIn[0] };
+            }
+        });
+
+        if (!nearest) return null;
+        const marker = nearest.marker.match(new RegExp(`^(?:${PROFICIENCY_PHRASES[nearest.level]})(?:[ \\t]+(?:in|with|of|to|at))?`, 'i'))[0];
+        return { level: nearest.level, marker };
+    }
+}
+
+module.exports = new SkillUsageAnalyzer();
@@ -0,0 +1,240 @@
+/**
+ * Skill Taxonomy Validator
+ *
+ * Checks taxonomy files before the matcher trusts them
+ *
+ * Philosophy: A bad weight is worse than a missing one
+ * - Weights are partial-match similarities in [0, 1) - 1.0 means "same skill", use an alias
+ * - Relations are bidirectional: if both sides declare one, the weights must agree
+ * - Names and aliases resolve to exactly one skill across ALL loaded files
+ * - Files may declare a "domain" pack and JD "signals" words used to detect it
+ *
+ * Run directly to check the built-in files plus SKILL_TAXONOMY_PATHS:
+ *   npm run validate:taxonomy [-- extra/file.yaml ...]
+ */
+
+const ALLOWED_FIELDS = new Set(['name', 'label', 'aliases', 'category', 'parent', 'related', 'exactCase', 'issuer', 'validYears']);
+
+class TaxonomyValidator {
+    /**
+     * Validate parsed taxonomy files together
+     * @param {Array<Object>} files - [{ file, data }] or [{ file, error }] for unparseable files
+     * @returns {Object} { valid, errors: string[], warnings: string[] }
+     */
+    validate(files) {
+        const errors = [];
+        const warnings = [];
+        const skills = []; // { file, skill } for every named entry
+
+        files.forEach(({ file, data, error }) => {
+            if (error) {
+                errors.push(`${file}: could not be parsed (${error})`);
+                return;
+            }
+            if (!data || typeof data !== 'object' || !Array.isArray(data.skills)) {
+                errors.push(`${file}: expected an object with a "skills" array`);
+                return;
+            }
+            if (data.domain !== undefined && !this.isName(data.domain)) {
+                errors.push(`${file}: "domain" must be a non-empty string`);
+            }
+            if (data.signals !== undefined &&
+                (!Array.isArray(data.signals) || !data.signals.every(signal => this.isName(signal)))) {
+                errors.push(`${file}: "signals" must be an array of non-empty strings`);
+            }
+
+            data.skills.forEach((skill, index) => {
+                this.validateSkill(skill, index).forEach(message => errors.push(`${file}: ${message}`));
+                // Named skills still take part in the cross-file checks, so one bad weight
+                // doesn't hide an alias clash or an asymmetric pair
+                if (skill && this.isName(skill.name)) {
+                    skills.push({ file, skill });
+                }
+            });
+        });
+
+        // Cross-file checks only make sense once every name is known
+        const owners = this.checkNames(skills, errors);
+        this.checkRelations(skills, owners, errors, warnings);
+        this.checkParents(skills, owners, errors);
+
+        return { valid: errors.length === 0, errors, warnings };
+    }
+
+    /**
+     * Shape and range checks for one skill entry
+     * @returns {Array<string>} Error messages
+     */
+    validateSkill(skill, index) {
+        if (!skill || typeof skill !== 'object' || Array.isArray(skill)) {
+            return [`skill #${index + 1} is not an object`];
+        }
+        if (!this.isName(skill.name)) {
+            return [`skill #${index + 1} needs a non-empty "name"`];
+        }
+
+        const errors = [];
+        const label = `skill "${skill.name}"`;
+
+        Object.keys(skill)
+            .filter(field => !ALLOWED_FIELDS.has(field))
+            .forEach(field => errors.push(`${label}: unknown field "${field}"`));
+
+        if (skill.aliases !== undefined &&
+            (!Array.isArray(skill.aliases) || !skill.aliases.every(alias => this.isName(alias)))) {
+            errors.push(`${label}: "aliases" must be an array of non-empty strings`);
+        }
+        if (skill.category !== undefined && !this.isName(skill.category)) {
+            errors.push(`${label}: "category" must be a non-empty string`);
+        }
+        if (skill.parent !== undefined && !this.isName(skill.parent)) {
+            errors.push(`${label}: "parent" must be a non-empty string`);
+        }
+        if (skill.label !== undefined &&
+            (!this.isName(skill.label) || skill.label.toLowerCase() !== this.key(skill.name))) {
+            errors.push(`${label}: "label" must be the skill name in its display casing`);
+        }
+        if (skill.exactCase !== undefined &&
+            (!this.isName(skill.exactCase) || skill.exactCase.toLowerCase() !== this.key(skill.name))) {
+            errors.push(`${label}: "exactCase" must be the skill name in its required casing`);
+        }
+        // Certifications: who issues them and how long they stay valid after they are earned
+        if (skill.issuer !== undefined && !this.isName(skill.issuer)) {
+            errors.push(`${label}: "issuer" must be a non-empty string`);
+        }
+        if (skill.validYears !== undefined &&
+            (typeof skill.validYears !== 'number' || !Number.isFinite(skill.validYears) || skill.validYears <= 0)) {
+            errors.push(`${label}: "validYears" must be a number of years above 0 (got ${JSON.stringify(skill.validYears)})`);
+        }
+
+        if (skill.related !== undefined) {
+            if (!skill.related || typeof skill.related !== 'object' || Array.isArray(skill.related)) {
+                errors.push(`${label}: "related" must map skill names to weights`);
+            } else {
+                Object.entries(skill.related).forEach(([related, weight]) => {
+                    if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0 || weight >= 1) {
+                        errors.push(`${label}: weight for "${related}" must be a number from 0 to below 1 (got ${JSON.stringify(weight)})`);
+                    }
+                });
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Every name and alias must belong to one skill
+     * @returns {Map} lowercase name/alias -> { file, name }
+     */
+    checkNames(skills, errors) {
+        const owners = new Map();
+
+        skills.forEach(({ file, skill }) => {
+            const aliases = Array.isArray(skill.aliases) ? skill.aliases.filter(alias => this.isName(alias)) : [];
+            // An alias repeating the skill's own name is harmless; anything else must be new
+            const terms = new Set([skill.name, ...aliases].map(term => this.key(term)));
+            terms.forEach(term => {
+                const owner = owners.get(term);
+                if (owner) {
+                    errors.push(`${file}: "${term}" on skill "${skill.name}" is already defined by skill "${owner.name}" in ${owner.file}`);
+                } else {
+                    owners.set(term, { file, name: this.key(skill.name) });
+                }
+            });
+        });
+
+        return owners;
+    }
+
+    /**
+     * Relations resolve through aliases and must be symmetric where both sides declare them
+     */
+    checkRelations(skills, owners, errors, warnings) {
+        const declared = new Map(); // "a|b" -> { weight, file }
+
+        skills.forEach(({ file, skill }) => {
+            const from = this.key(skill.name);
+
+            const relatedSkills = skill.related && typeof skill.related === 'object' ? skill.related : {};
+            Object.entries(relatedSkills).forEach(([related, weight]) => {
+                if (typeof weight !== 'number') return; // already reported by validateSkill
+
+                const to = owners.has(this.key(related)) ? owners.get(this.key(related)).name : this.key(related);
+
+                if (to === from) {
+                    errors.push(`${file}: skill "${skill.name}" lists itself (or its alias "${related}") as related`);
+                    return;
+                }
+                if (!owners.has(this.key(related))) {
+                    warnings.push(`${file}: skill "${skill.name}" relates to "${related}", which no taxonomy file defines`);
+                }
+
+                const reverse = declared.get(`${to}|${from}`);
+                if (reverse && reverse.weight !== weight) {
+                    errors.push(`${file}: asymmetric weight - "${from}" -> "${to}" is ${weight} but "${to}" -> "${from}" is ${reverse.weight} in ${reverse.file}`);
+                }
+                const duplicate = declared.get(`${from}|${to}`);
+                if (duplicate && duplicate.weight !== weight) {
+                    errors.push(`${file}: skill "${skill.name}" relates to "${to}" twice with different weights (${duplicate.weight} and ${weight})`);
+                }
+                declared.set(`${from}|${to}`, { weight, file });
+            });
+        });
+    }
+
+    /**
+     * Parents must exist and must not loop back on themselves
+     */
+    checkParents(skills, owners, errors) {
+        const parents = new Map();
+
+        skills.forEach(({ file, skill }) => {
+            if (!this.isName(skill.parent)) return;
+
+            const owner = owners.get(this.key(skill.parent));
+            if (!owner) {
+                errors.push(`${file}: skill "${skill.name}" has unknown parent "${skill.parent}"`);
+                return;
+            }
+            parents.set(this.key(skill.name), { file, parent: owner.name });
+        });
+
+        parents.forEach(({ file }, name) => {
+            const seen = new Set([name]);
+            let current = parents.get(name);
+            while (current) {
+                if (seen.has(current.parent)) {
+                    if (current.parent === name) {
+                        errors.push(`${file}: skill "${name}" is its own ancestor (${[...seen, name].join(' -> ')})`);
+                    }
+                    return;
+                }
+                seen.add(current.parent);
+                current = parents.get(current.parent);
+            }
+        });
+    }
+
+    isName(value) {
+        return typeof value === 'string' && value.trim().length > 0;
+    }
+
+    key(value) {
+        return value.toLowerCase().trim();
+    }
+}
+
+module.exports = new TaxonomyValidator();
+
+if (require.main === module) {
+    const skillTaxonomy = require('./skillTaxonomy');
+    const paths = [...skillTaxonomy.getTaxonomyPaths(), ...process.argv.slice(2)];
+    const files = skillTaxonomy.readFiles(paths);
+    const { valid, errors, warnings } = module.exports.validate(files);
+
+    console.log(`📚 Checked ${files.length} taxonomy file(s)`);
+    warnings.forEach(warning => console.log(`⚠️  ${warning}`));
+    errors.forEach(error => console.log(`❌ ${error}`));
+    console.log(valid ? '✅ Skill taxonomy is valid' : `❌ ${errors.length} error(s) found`);
+    process.exit(valid ? 0 : 1);
+}
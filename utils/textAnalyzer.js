@@ -3,6 +3,49 @@
  * Helper functions for text processing, similarity, and keyword extraction
  */
 
+const skillTaxonomy = require('./skillTaxonomy');
+
+// Longest repeated phrase considered a keyword ("full stack software engineer")
+const MAX_PHRASE_WORDS = 4;
+
+// A phrase must repeat to count - one-off word pairs are just prose
+const MIN_PHRASE_OCCURRENCES = 2;
+
+// Ranking weight per occurrence: known terms first, then phrases (weight = word count), then words
+const KEYWORD_WEIGHTS = {
+    TECHNICAL_TERM: 4,
+    WORD: 1
+};
+
+// Short tokens that carry meaning on their own (longer tokens are kept unless they are stop words)
+const SHORT_KEYWORDS = new Set([
+    'ai', 'ml', 'ui', 'ux', 'qa', 'bi', 'api', 'sdk', 'seo', 'crm', 'erp', 'etl',
+    'kpi', 'b2b', 'b2c', 'oop', 'cms', 'llm', 'nlp', 'iot', 'sre', 'vpc', 'iam'
+]);
+
+// Function words plus job-posting boilerplate that says nothing about the role
+const KEYWORD_STOP_WORDS = new Set([
+    'the', 'and', 'for', 'with', 'this', 'that', 'from', 'have', 'has', 'had', 'been',
+    'will', 'can', 'may', 'should', 'would', 'could', 'must', 'our', 'their', 'your',
+    'his', 'her', 'its', 'they', 'them', 'what', 'which', 'who', 'when', 'where', 'why',
+    'how', 'about', 'into', 'through', 'during', 'before', 'after', 'above', 'below',
+    'between', 'under', 'again', 'further', 'then', 'once', 'here', 'there', 'are',
+    'you', 'we', 'all', 'any', 'not', 'but', 'also', 'such', 'other', 'etc', 'more',
+    'most', 'well', 'very', 'like', 'able', 'ability', 'including', 'include', 'includes',
+    'using', 'use', 'years', 'year', 'plus', 'strong', 'excellent', 'good', 'great',
+    'experience', 'experienced', 'required', 'requirements', 'require', 'preferred',
+    'skills', 'knowledge', 'familiarity', 'understanding', 'role', 'join', 'seeking',
+    'looking', 'responsible', 'responsibilities', 'candidate', 'candidates', 'company',
+    'opportunity', 'opportunities', 'position', 'job', 'description', 'title', 'related',
+    'similar', 'field', 'minimum', 'nice', 'new', 'offer', 'work', 'working', 'team',
+    'teams', 'what', 'who', 'least', 'one', 'two', 'three', 'five', 'per', 'an', 'a',
+    'of', 'to', 'in', 'on', 'at', 'by', 'or', 'as', 'is', 'be', 'it', 'if', 'so', 'up',
+    'cannot', 'need', 'needs', 'now', 'future', 'engineer', 'engineers',
+    // Work authorization - checked by the knockout evaluator, not scored as keywords
+    'sponsor', 'sponsors', 'sponsorship', 'visa', 'visas', 'authorized', 'authorization',
+    'eligible', 'eligibility', 'citizen', 'citizens', 'citizenship'
+]);
+
 class TextAnalyzer {
     /**
      * Calculate similarity between two strings using Jaccard similarity
@@ -36,32 +79,202 @@ class TextAnalyzer {
 
     /**
      * Extract keywords from text
-     * @param {string} text - Input text
+     * Phrase-aware: known technical terms ("machine learning", "C++", "CI/CD", "Go")
+     * are matched whole, and repeated 2-3 word phrases outrank the single words inside them
+     * @param {string} text - Input text (original casing - "Go" and "REST" are case-sensitive)
      * @param {number} topN - Number of top keywords to return
-     * @returns {Array<string>} Top keywords
-     */
-    extractKeywords(text, topN = 20) {
-        const tokens = this.tokenize(text);
-        const stopWords = new Set([
-            'the', 'and', 'for', 'with', 'this', 'that', 'from', 'have',
-            'has', 'been', 'will', 'can', 'may', 'should', 'would', 'could',
-            'our', 'their', 'your', 'his', 'her', 'its', 'they', 'them',
-            'what', 'which', 'who', 'when', 'where', 'why', 'how'
-        ]);
-
-        // Filter out stop words and count frequencies
-        const freq = {};
-        tokens.forEach(token => {
-            if (!stopWords.has(token) && token.length > 3) {
-                freq[token] = (freq[token] || 0) + 1;
+     * @param {Array<string>} domains - Taxonomy domain packs whose terms count as known (default: all)
+     * @returns {Array<string>} Top keywords, lowercased
+     */
+    extractKeywords(text, topN = 20, domains = null) {
+        const candidates = new Map(); // keyword -> { count, weight, position }
+        const addCandidate = (keyword, count, weight, position) => {
+            const existing = candidates.get(keyword);
+            if (!existing || existing.weight < weight) {
+                candidates.set(keyword, { count, weight, position });
+            }
+        };
+
+        // 1. Known technical terms, matched with symbol-aware boundaries
+        // An alias that matches exactly the same text as its skill ("month end close" for
+        // "month-end close") is the same keyword, not a second one
+        const termMatches = skillTaxonomy.getTerms(domains)
+            .map(term => ({ term, matches: [...text.matchAll(this.keywordPattern(term, 'g'))] }))
+            .filter(({ matches }) => matches.length > 0);
+        const allTermMatches = termMatches.flatMap(({ matches }) => matches);
+        const termMatchSpans = new Set();
+        termMatches.forEach(({ term, matches }) => {
+            // ".NET" only ever written as part of "ASP.NET" is that longer term
+            const insideLonger = matches.every(match => allTermMatches.some(other =>
+                other[0].length > match[0].length &&
+                other.index <= match.index && other.index + other[0].length >= match.index + match[0].length));
+            if (insideLonger) return;
+
+            const span = `${skillTaxonomy.canonicalName(term)}@${matches.map(match => match.index).join(',')}`;
+            if (termMatchSpans.has(span)) return;
+            termMatchSpans.add(span);
+            addCandidate(term, matches.length, KEYWORD_WEIGHTS.TECHNICAL_TERM, matches[0].index);
+        });
+
+        // 2. Words and repeated phrases, never spanning a clause break
+        const unigrams = new Map();
+        const phrases = new Map();
+        let position = 0;
+
+        this.splitClauses(text).forEach(clause => {
+            const tokens = this.tokenizeKeywords(clause);
+
+            tokens.forEach((token, index) => {
+                position++;
+                if (this.isKeywordToken(token) && !candidates.has(token)) {
+                    this.countCandidate(unigrams, token, position);
+                }
+
+                for (let size = 2; size <= MAX_PHRASE_WORDS && index + size <= tokens.length; size++) {
+                    const words = tokens.slice(index, index + size);
+                    if (this.isKeywordPhrase(words)) {
+                        this.countCandidate(phrases, words.join(' '), position);
+                    }
+                }
+            });
+        });
+
+        phrases.forEach(({ count, position }, phrase) => {
+            if (count >= MIN_PHRASE_OCCURRENCES) {
+                addCandidate(phrase, count, phrase.split(' ').length, position);
             }
         });
+        unigrams.forEach(({ count, position }, word) => {
+            addCandidate(word, count, KEYWORD_WEIGHTS.WORD, position);
+        });
+
+        // 3. Drop phrases inside a longer kept phrase ("api design" in "rest api design"),
+        // and words that only ever appear inside one
+        const multiWord = [...candidates.keys()]
+            .filter(keyword => /\s/.test(keyword))
+            .sort((a, b) => b.length - a.length);
+        // Shortest first, so "rest api" clears "rest" before "rest api design" clears "rest api"
+        [...multiWord].reverse().forEach(phrase => {
+            if (!candidates.has(phrase)) return;
+            const { count } = candidates.get(phrase);
+            candidates.forEach((candidate, keyword) => {
+                // Phrases always give way; known single words only to longer known terms ("rest" inside "rest api")
+                const covered = /\s/.test(keyword) || (candidate.count <= count &&
+                    (candidate.weight < KEYWORD_WEIGHTS.TECHNICAL_TERM || candidates.get(phrase).weight === KEYWORD_WEIGHTS.TECHNICAL_TERM));
+                if (keyword !== phrase && covered && ` ${phrase} `.includes(` ${keyword} `)) {
+                    candidates.delete(keyword);
+                }
+            });
+        });
+
+        // Overlapping fragments of an even longer repeated phrase keep only the first
+        multiWord.forEach(phrase => {
+            if (!candidates.has(phrase)) return;
+            const tail = phrase.split(' ').slice(1).join(' ');
+            multiWord.forEach(other => {
+                if (other !== phrase && candidates.has(other) &&
+                    candidates.get(other).count === candidates.get(phrase).count &&
+                    other.split(' ').slice(0, -1).join(' ') === tail) {
+                    candidates.delete(other);
+                }
+            });
+        });
 
-        // Sort by frequency and return top N
-        return Object.entries(freq)
-            .sort((a, b) => b[1] - a[1])
+        return [...candidates.entries()]
+            .sort(([, a], [, b]) => (b.count * b.weight) - (a.count * a.weight) || a.position - b.position)
             .slice(0, topN)
-            .map(([word]) => word);
+            .map(([keyword]) => keyword);
+    }
+
+    /**
+     * Build a regex that matches a keyword or phrase as a whole term
+     * Unlike \b, the boundaries understand symbols: "C++" and "C#" match, "java" does not match
+     * inside "javascript", "js" does not match inside "node.js", "machine-learning"
+     * matches "machine learning" and "APIs" matches "api"
+     * @param {string} keyword - Keyword or phrase
+     * @param {string} flags - Extra RegExp flags (e.g. 'g')
+     * @returns {RegExp}
+     */
+    keywordPattern(keyword, flags = '') {
+        const normalized = keyword.toLowerCase().trim();
+        const exactCase = skillTaxonomy.getCaseSensitiveTerms()[normalized];
+        const body = exactCase
+            ? `(?:${this.escapeRegex(exactCase)}|${this.escapeRegex(exactCase.toUpperCase())})`
+            : normalized.split(/[\s-]+/).map(word => this.escapeRegex(word)).join('[\\s-]+');
+        // Plurals of word-like terms count: "REST APIs" matches "rest api"
+        const plural = /[a-z]{2}$/i.test(normalized) ? '(?:e?s)?' : '';
+
+        // Dot-prefixed terms also end compound names: ".NET" inside "ASP.NET", but not in "example.net" URLs
+        // Single letters are only a language when they stand alone: not "Objective-C", "C-suite" or "R-squared"
+        const letter = normalized.length === 1;
+        const before = normalized.startsWith('.')
+            ? '(?<=(?:^|[^A-Za-z0-9+#.@/-])[A-Za-z]*)'
+            : `(?<![A-Za-z0-9+#.${letter ? '-' : ''}])`;
+
+        return new RegExp(
+            `${before}${body}${plural}(?![A-Za-z0-9+#&${letter ? '-' : ''}]|\\.[A-Za-z0-9])`,
+            exactCase ? flags : `${flags}i`
+        );
+    }
+
+    /**
+     * Find a keyword in text and report how it was written there
+     * @param {string} keyword - Keyword or phrase
+     * @param {string} text - Text to search in
+     * @returns {Object} { found, count, matchedText } - matchedText is the first occurrence as written
+     */
+    findKeyword(keyword, text) {
+        const matches = [...(text || '').matchAll(this.keywordPattern(keyword, 'g'))];
+
+        return {
+            found: matches.length > 0,
+            count: matches.length,
+            matchedText: matches.length > 0 ? matches[0][0].replace(/\s+/g, ' ') : null
+        };
+    }
+
+    /**
+     * Split text into clauses - phrases never span sentences, list items or line breaks
+     * Periods and commas only split when followed by whitespace, so "node.js" survives
+     */
+    splitClauses(text) {
+        return text.split(/[\n;:!?()|•*]+|[.,](?=\s|$)/);
+    }
+
+    /**
+     * Tokenize a clause keeping technical symbols ("c++", "c#", "node.js", "ci/cd")
+     */
+    tokenizeKeywords(clause) {
+        // Hyphens split words so "full-stack" and "full stack" count as the same phrase
+        return (clause.toLowerCase().match(/[a-z0-9.][a-z0-9+#./']*/g) || [])
+            .map(token => token.replace(/'s$/, '').replace(/[.\/']+$/, '').replace(/^\.(?![a-z])/, ''))
+            .filter(Boolean);
+    }
+
+    /**
+     * Single words worth keeping: not stop words or numbers, and long enough to carry meaning
+     */
+    isKeywordToken(token) {
+        return !KEYWORD_STOP_WORDS.has(token) &&
+            !/^[\d.+#/-]+$/.test(token) &&
+            (token.length > 3 || SHORT_KEYWORDS.has(token));
+    }
+
+    /**
+     * Phrases worth counting: no stop words, no numbers, and not just a run of known terms
+     */
+    isKeywordPhrase(words) {
+        return words.every(word => !KEYWORD_STOP_WORDS.has(word) && !/^[\d.+#/-]+$/.test(word) && word.length > 1) &&
+            !words.every(word => skillTaxonomy.canonicalName(word));
+    }
+
+    countCandidate(counts, keyword, position) {
+        const entry = counts.get(keyword);
+        if (entry) {
+            entry.count++;
+        } else {
+            counts.set(keyword, { count: 1, position });
+        }
     }
 
     /**
@@ -89,33 +302,37 @@ class TextAnalyzer {
     }
 
     /**
-   * Check if skill is present in text using STRICT rule-based matching
-   * @param {string} skill - Skill to search for
-   * @param {string} text - Text to search in
-   * @param {Array<string>} allSkillsInText - All skills found in text (optional, for similarity check)
-   * @returns {Object} { found: boolean, confidence: number, matchedSkill: string }
-   */
+     * Check if skill is present in text using STRICT rule-based matching
+     * Token-boundary aware: "Java" does not match "JavaScript", "SQL" does not match "NoSQL",
+     * "Go" and "R" only match as capitalised words, and C++, C#, .NET and Node.js match whole
+     * Version-aware: "Java 17+" finds Java, then checks the versions the text gives for it
+     * @param {string} skill - Skill to search for
+     * @param {string} text - Text to search in (original casing - offsets refer to it)
+     * @param {Array<string>} allSkillsInText - All skills found in text (optional, for similarity check)
+     * @returns {Object} { found, confidence, matchedSkill, versionCheck, matches: [{ start, end, text }] }
+     */
     findSkill(skill, text, allSkillsInText = null) {
         const skillSimilarity = require('../config/skillSimilarity');
+        const required = skillSimilarity.parseSkillVersion(skill);
 
-        const normalizedSkill = skill.toLowerCase().trim();
-        const normalizedText = text.toLowerCase();
-
-        // 1. Exact match (100% confidence)
-        if (normalizedText.includes(normalizedSkill)) {
-            return { found: true, confidence: 1.0, matchedSkill: skill };
+        // 1. Exact match (100% confidence, unless only an unsuitable version is mentioned)
+        const exactMatches = this.findSkillMatches(required.base, text);
+        if (exactMatches.length > 0) {
+            return this.checkSkillVersion(skill, required, exactMatches, text);
         }
 
         // 2. Check normalized variation (e.g., "react.js" vs "reactjs")
-        const normalized = skillSimilarity.normalizeSkill(normalizedSkill);
-        const pattern = new RegExp(`\\b${this.escapeRegex(normalized)}\\b`, 'i');
-        if (pattern.test(normalizedText)) {
-            return { found: true, confidence: 1.0, matchedSkill: skill };
+        const normalized = skillSimilarity.normalizeSkill(required.base);
+        if (normalized && normalized !== required.base.toLowerCase().trim()) {
+            const normalizedMatches = this.findSkillMatches(normalized, text);
+            if (normalizedMatches.length > 0) {
+                return this.checkSkillVersion(skill, required, normalizedMatches, text);
+            }
         }
 
         // 3. If we have a list of skills, check for STRICT predefined similarity
         if (allSkillsInText && Array.isArray(allSkillsInText)) {
-            const match = skillSimilarity.calculateSkillCredit(skill, allSkillsInText);
+            const match = skillSimilarity.calculateSkillCredit(required.base, allSkillsInText);
 
             if (match.credit > 0) {
                 return {
@@ -123,13 +340,100 @@ class TextAnalyzer {
                     confidence: match.credit,  // Already capped at 50% for partials
                     matchedSkill: match.skill,
                     similarity: match.similarity,
-                    explanation: match.explanation
+                    explanation: match.explanation,
+                    inferencePath: match.inferencePath,
+                    matches: this.findSkillMatches(match.skill, text)
                 };
             }
         }
 
         // 4. No match found
-        return { found: false, confidence: 0, matchedSkill: null };
+        return { found: false, confidence: 0, matchedSkill: null, matches: [] };
+    }
+
+    /**
+     * Judge the versions mentioned alongside a skill against the required version
+     * The best-fitting mention counts: "Python 2.7" in 2015 and "Python 3.11" today meets "Python 3"
+     * @param {string} skill - Skill as required ("Java 17+")
+     * @param {Object} required - Parsed skill version of the requirement
+     * @param {Array<Object>} matches - Mentions of the base skill in text
+     * @param {string} text - Text the matches point into
+     * @returns {Object} findSkill() result
+     */
+    checkSkillVersion(skill, required, matches, text) {
+        const skillSimilarity = require('../config/skillSimilarity');
+
+        const mentioned = matches
+            .map(match => {
+                // "ES6" carries its own version; "Python" may be followed by one
+                const own = skillSimilarity.parseSkillVersion(match.text);
+                if (own.version) return own;
+                const after = this.readVersionAfter(text, match.end);
+                return after ? { base: required.base, ...after, edition: false } : null;
+            })
+            .filter(Boolean);
+
+        // Equally close mentions ("Java 8", "Java 11" against "Java 17+"): report the highest
+        const closest = mentioned
+            .map(found => ({ found, check: skillSimilarity.compareSkillVersions(required, found) }))
+            .reduce((top, entry) => {
+                if (!top || entry.check.similarity > top.check.similarity) return entry;
+                if (entry.check.similarity < top.check.similarity) return top;
+                return skillSimilarity.compareVersionNumbers(entry.found.version, top.found.version) > 0 ? entry : top;
+            }, null);
+        const best = closest ? closest.check : skillSimilarity.compareSkillVersions(required, null);
+
+        if (best.similarity === 1.0) {
+            return { found: true, confidence: 1.0, matchedSkill: skill, versionCheck: best.versionCheck, matches };
+        }
+
+        return {
+            found: true,
+            confidence: best.credit,  // Version mismatch is a partial match, capped at 50%
+            matchedSkill: best.versionCheck.found,
+            similarity: best.similarity,
+            explanation: best.explanation,
+            versionCheck: best.versionCheck,
+            matches
+        };
+    }
+
+    /**
+     * Version written right after a skill mention: "Python 3.10", "Java 17+", "Node.js v18", "Java 11 or higher"
+     * "React 2+ years" is experience, not a version
+     * @param {string} text - Text containing the mention
+     * @param {number} offset - Where the skill mention ends
+     * @returns {Object|null} { version: [major, minor, patch], minimum }
+     */
+    readVersionAfter(text, offset) {
+        const pattern = /[ \t]*v?(\d{1,2}(?:\.\d+){0,2})(?:\.x)?(\+|[ \t]+or[ \t]+(?:higher|later|above|newer)|[ \t]+and[ \t]+(?:above|up|later))?(?!\w|\.\d|\s*\+?\s*(?:years?|yrs?|months?)\b)/iy;
+        pattern.lastIndex = offset;
+        const match = pattern.exec(text);
+        return match ? { version: match[1].split('.').map(Number), minimum: Boolean(match[2]) } : null;
+    }
+
+    /**
+     * Every place a skill occurs in text, as character offsets
+     * Taxonomy aliases count as the skill itself: "vue" also finds "Vue.js" and "VueJS"
+     * @param {string} skill - Skill or phrase
+     * @param {string} text - Text to search in
+     * @returns {Array<Object>} [{ start, end, text }] in text order
+     */
+    findSkillMatches(skill, text) {
+        if (!skill || !text) return [];
+
+        const forms = new Set([skill, ...skillTaxonomy.getSurfaceForms(skill)]);
+        const matches = [];
+        forms.forEach(form => {
+            for (const match of text.matchAll(this.keywordPattern(form, 'g'))) {
+                matches.push({ start: match.index, end: match.index + match[0].length, text: match[0] });
+            }
+        });
+
+        // Where two forms overlap ("angular" inside "Angular 2+") keep the longer one
+        return matches
+            .sort((a, b) => a.start - b.start || b.end - a.end)
+            .filter((match, index, sorted) => index === 0 || match.start >= sorted[index - 1].end);
     }
 
     /**
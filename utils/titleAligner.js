@@ -0,0 +1,249 @@
+/**
+ * Title Aligner
+ *
+ * Compares the posting's job title with the titles a candidate has held. Both are normalized
+ * through config/titleTaxonomy.json, so "SDE II" reads as Software Engineer II and
+ * "Frontend Dev" as Front-End Engineer before they are compared
+ *
+ * Philosophy: Recruiters search by title
+ * - A title is its role (what the job is) plus its level (how senior) - only the role is compared here,
+ *   level is utils/seniorityDetector's job
+ * - Same role = aligned, related role = partial (the taxonomy's weight), same family = a little
+ * - Titles the taxonomy doesn't know fall back to shared words, never to a guess
+ * - A signal, not points: it is reported next to the score, it doesn't change it
+ */
+
+const seniorityDetector = require('./seniorityDetector');
+const TITLE_TAXONOMY = require('../config/titleTaxonomy.json');
+
+// Shorthand expanded before lookup - per token, after punctuation is stripped
+const ABBREVIATIONS = {
+    dev: 'developer',
+    devs: 'developers',
+    eng: 'engineer',
+    engr: 'engineer',
+    sr: 'senior',
+    jr: 'junior',
+    mgr: 'manager',
+    sw: 'software',
+    swe: 'software engineer',
+    sde: 'software development engineer'
+};
+const PHRASES = [
+    [/\bfront end\b/g, 'frontend'],
+    [/\bback end\b/g, 'backend'],
+    [/\bfullstack\b/g, 'full stack']
+];
+
+// Words ignored when titles outside the taxonomy are compared word by word
+const IGNORED_WORDS = new Set([
+    'senior', 'junior', 'lead', 'staff', 'principal', 'associate', 'intern', 'entry', 'level', 'mid',
+    'i', 'ii', 'iii', 'iv', '1', '2', '3', '4', 'of', 'and', 'the', 'in', 'for', 'to', 'at', 'a', '&'
+]);
+
+// A JD title that maps to no role must at least look like a title ("Sample Job Description" doesn't)
+const TITLE_NOUN = /\b(?:engineer|developer|programmer|manager|designer|analyst|scientist|architect|administrator|specialist|coordinator|consultant|representative|executive|director|officer|technician|assistant|nurse|accountant|writer|researcher|lead|intern|associate|clerk|agent|advisor|strategist|supervisor|therapist|teacher)s?\b/;
+const MAX_TITLE_WORDS = 8;
+
+const ALIGNED_THRESHOLD = 0.9;
+const RELATED_THRESHOLD = 0.5;
+const FAMILY_SIMILARITY = 0.3;
+
+class TitleAligner {
+    constructor() {
+        this.index = null; // built on first use
+    }
+
+    /**
+     * Build the role index: normalized phrase -> role, plus symmetric related weights
+     * @throws {Error} When the taxonomy references an unknown role or reuses an alias
+     */
+    load(taxonomy = TITLE_TAXONOMY) {
+        const errors = [];
+        const roles = new Map();
+        const phrases = new Map();
+
+        taxonomy.roles.forEach(role => {
+            roles.set(role.name, { ...role, related: new Map() });
+        });
+
+        taxonomy.roles.forEach(role => {
+            [role.name, ...(role.aliases || [])].forEach(alias => {
+                const phrase = this.normalize(alias);
+                if (phrases.has(phrase) && phrases.get(phrase) !== role.name) {
+                    errors.push(`"${alias}" is listed under both "${phrases.get(phrase)}" and "${role.name}"`);
+                }
+                phrases.set(phrase, role.name);
+            });
+
+            Object.entries(role.related || {}).forEach(([name, weight]) => {
+                if (!roles.has(name)) {
+                    errors.push(`"${role.name}" is related to unknown role "${name}"`);
+                } else if (!(weight > 0 && weight < 1)) {
+                    errors.push(`"${role.name}" -> "${name}": weight must be between 0 and 1 (exclusive)`);
+                } else {
+                    // A relation declared on either side applies both ways
+                    roles.get(role.name).related.set(name, weight);
+                    roles.get(name).related.set(role.name, Math.max(weight, roles.get(name).related.get(role.name) || 0));
+                }
+            });
+        });
+
+        if (errors.length > 0) {
+            throw new Error(`Invalid title taxonomy:\n  - ${errors.join('\n  - ')}`);
+        }
+
+        // Longest phrase first, so "frontend developer" wins over "developer"
+        this.index = {
+            roles,
+            phrases: [...phrases.entries()].sort(([a], [b]) => b.length - a.length)
+        };
+        console.log(`🪪  Title taxonomy loaded: ${roles.size} roles, ${phrases.size} titles`);
+        return this;
+    }
+
+    ensureLoaded() {
+        if (!this.index) this.load();
+    }
+
+    /**
+     * Normalize a title: lowercase, punctuation to spaces, shorthand expanded
+     * "Sr. Frontend Dev (Remote)" -> "senior frontend developer remote"
+     */
+    normalize(title) {
+        let text = String(title || '')
+            .toLowerCase()
+            .replace(/[^a-z0-9.+#&]+/g, ' ')
+            .split(' ')
+            .map(token => token.replace(/\.+$/, ''))
+            .filter(Boolean)
+            .map(token => ABBREVIATIONS[token] || token)
+            .join(' ');
+
+        PHRASES.forEach(([pattern, replacement]) => {
+            text = text.replace(pattern, replacement);
+        });
+        return text;
+    }
+
+    /**
+     * Map a title to its taxonomy role and level
+     * @returns {Object} { title, normalized, role, label, family, level }
+     */
+    parseTitle(title) {
+        this.ensureLoaded();
+        const normalized = this.normalize(title);
+        const match = this.index.phrases.find(([phrase]) => new RegExp(`(?:^| )${this.escape(phrase)}(?: |$)`).test(normalized));
+        const role = match ? this.index.roles.get(match[1]) : null;
+        const level = seniorityDetector.levelFromTitle(normalized);
+
+        return {
+            title,
+            normalized,
+            role: role ? role.name : null,
+            label: role ? role.label : null,
+            family: role ? role.family : null,
+            level: level ? level.level : null
+        };
+    }
+
+    /**
+     * Similarity of two parsed titles' roles (0-1)
+     */
+    similarity(a, b) {
+        if (a.role && b.role) {
+            if (a.role === b.role) return 1;
+            const related = this.index.roles.get(a.role).related.get(b.role);
+            if (related) return related;
+            return a.family === b.family ? FAMILY_SIMILARITY : 0;
+        }
+
+        // Outside the taxonomy: share of meaningful words in common
+        const words = parsed => new Set(parsed.normalized.split(' ').filter(word => !IGNORED_WORDS.has(word)));
+        const wordsA = words(a);
+        const wordsB = words(b);
+        if (wordsA.size === 0 || wordsB.size === 0) return 0;
+        const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+        return Math.round((shared / new Set([...wordsA, ...wordsB]).size) * 100) / 100;
+    }
+
+    /**
+     * Align the JD's title with the candidate's past titles
+     * @param {string} jobTitle - The posting's title (jdData.title)
+     * @param {Array<Object>} roles - Parsed roles (utils/workHistoryParser)
+     * @returns {Object} { status: aligned|related|unrelated|unknown, similarity, jobTitle, bestMatch, mostRecent, titles, verdict }
+     */
+    align(jobTitle, roles = []) {
+        this.ensureLoaded();
+        const target = jobTitle ? this.parseTitle(jobTitle) : null;
+        const unknown = verdict => ({ status: 'unknown', similarity: null, jobTitle: target, bestMatch: null, mostRecent: null, titles: [], verdict });
+
+        if (!target || !this.looksLikeTitle(target)) {
+            return unknown('No job title found in the job description');
+        }
+
+        const titled = roles.filter(role => role.title);
+        if (titled.length === 0) {
+            return unknown('No job titles found in the resume');
+        }
+
+        const latest = [...titled].sort((a, b) =>
+            (b.isCurrent - a.isCurrent) || seniorityDetector.roleEnd(b) - seniorityDetector.roleEnd(a)
+        )[0];
+        const titles = titled.map(role => {
+            const parsed = this.parseTitle(role.title);
+            return {
+                title: role.title,
+                company: role.company || null,
+                role: parsed.role,
+                label: parsed.label,
+                level: parsed.level,
+                similarity: this.similarity(target, parsed),
+                mostRecent: role === latest
+            };
+        });
+
+        // Ties go to the most recent title - it's the one a recruiter reads first
+        const bestMatch = [...titles].sort((a, b) => (b.similarity - a.similarity) || (b.mostRecent - a.mostRecent))[0];
+        const mostRecent = titles.find(entry => entry.mostRecent);
+        const status = bestMatch.similarity >= ALIGNED_THRESHOLD ? 'aligned'
+            : bestMatch.similarity >= RELATED_THRESHOLD ? 'related'
+                : 'unrelated';
+
+        return {
+            status,
+            similarity: bestMatch.similarity,
+            jobTitle: target,
+            bestMatch,
+            mostRecent,
+            titles,
+            verdict: this.describe(status, target, bestMatch)
+        };
+    }
+
+    describe(status, target, bestMatch) {
+        const wanted = target.label || target.title;
+        if (status === 'aligned') {
+            return `"${bestMatch.title}" matches the ${wanted} title`;
+        }
+        if (status === 'related') {
+            return `"${bestMatch.title}" is related to ${wanted} (${Math.round(bestMatch.similarity * 100)}% title match)`;
+        }
+        return `No past title resembles ${wanted}`;
+    }
+
+    /**
+     * A sentence that names a role ("join us as a software engineer") is still not a title
+     */
+    looksLikeTitle(parsed) {
+        if (!seniorityDetector.looksLikeTitle(parsed.title)) return false;
+        return Boolean(parsed.role) ||
+            (TITLE_NOUN.test(parsed.normalized) && parsed.normalized.split(' ').length <= MAX_TITLE_WORDS);
+    }
+
+    escape(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+}
+
+module.exports = new TitleAligner();
@@ -0,0 +1,347 @@
+/**
+ * Work History Parser
+ * Turns a resume's experience section into structured roles with date ranges
+ *
+ * Philosophy: Dates come from roles, not from stray years
+ * - Only years that belong to a role's date range count as experience
+ * - Overlapping roles are merged so concurrent jobs are not double-counted
+ * - Gaps between merged intervals are reported, not guessed
+ */
+
+const MONTHS = {
+    jan: 1, january: 1,
+    feb: 2, february: 2,
+    mar: 3, march: 3,
+    apr: 4, april: 4,
+    may: 5,
+    jun: 6, june: 6,
+    jul: 7, july: 7,
+    aug: 8, august: 8,
+    sep: 9, sept: 9, september: 9,
+    oct: 10, october: 10,
+    nov: 11, november: 11,
+    dec: 12, december: 12
+};
+
+// Single date: "Jan 2020", "January, 2020", "Jan. 2020", "03/2019", "3-2019", "2019-03", "2019"
+const MONTH_NAME = '(?:jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+const DATE = `(?:${MONTH_NAME}\\.?,?\\s+(?:19|20)\\d{2}|(?:0?[1-9]|1[0-2])\\s*[/.-]\\s*(?:19|20)\\d{2}|(?:19|20)\\d{2}\\s*[/.-]\\s*(?:0?[1-9]|1[0-2])(?!\\d)|(?:19|20)\\d{2})`;
+const PRESENT = '(?:present|current(?:ly)?|now|today|ongoing|to date)';
+const RANGE_SEPARATOR = '\\s*(?:-|–|—|to|until|through|till)\\s*';
+const DATE_RANGE_REGEX = new RegExp(`(${DATE})${RANGE_SEPARATOR}(${DATE}|${PRESENT})`, 'i');
+
+const BULLET_REGEX = /^\s*(?:[•●▪■◦‣∙·*–-]|\d+[.)])\s+/;
+
+const TITLE_WORDS = /\b(engineer|developer|programmer|architect|manager|director|lead|head|analyst|scientist|designer|consultant|specialist|administrator|coordinator|assistant|associate|intern|officer|president|vp|executive|technician|representative|nurse|accountant|teacher|cook|chef|writer|editor|researcher|supervisor|founder|co-founder|owner|cto|ceo|cfo|sde|swe|recruiter|advisor|strategist|operator|clerk|agent)\b/i;
+const COMPANY_WORDS = /\b(inc|llc|ltd|limited|corp|corporation|company|co\.|group|technologies|technology|solutions|labs|systems|university|college|institute|bank|agency|partners|studio|studios|gmbh|plc|pvt)\b/i;
+const LOCATION_REGEX = /^(?:[Rr]emote|[Hh]ybrid|[Oo]n-?[Ss]ite|[A-Z][A-Za-z.' ]+,\s*(?:[A-Z]{2}|[A-Z][A-Za-z ]+))$/;
+const CITY_STATE_SUFFIX = /^(.+),\s*([A-Z][A-Za-z.' ]+,\s*[A-Z]{2})$/;
+
+class WorkHistoryParser {
+    /**
+     * Parse an experience section into roles plus a merged employment timeline
+     * @param {string} sectionText - Experience section text
+     * @param {Date} now - Reference date for "Present" (injectable for determinism)
+     * @returns {Object} { roles, timeline }
+     */
+    parse(sectionText, now = new Date()) {
+        if (!sectionText) {
+            return { roles: [], timeline: this.buildTimeline([], now) };
+        }
+
+        const lines = sectionText
+            .split(/\r?\n/)
+            .map(line => line.replace(/\s+$/, ''));
+
+        const anchors = [];
+        lines.forEach((line, index) => {
+            const match = line.match(DATE_RANGE_REGEX);
+            if (match) {
+                anchors.push({ index, match });
+            }
+        });
+
+        const roles = anchors
+            .map((anchor, k) => this.buildRole(lines, anchors, k, now))
+            .filter(role => role !== null);
+
+        return {
+            roles,
+            timeline: this.buildTimeline(roles, now)
+        };
+    }
+
+    /**
+     * Build one role around the date-range line at anchors[k]
+     */
+    buildRole(lines, anchors, k, now) {
+        const anchor = anchors[k];
+        const previousIndex = k > 0 ? anchors[k - 1].index : -1;
+        const nextHeaderStart = k + 1 < anchors.length
+            ? this.findHeaderStart(lines, anchors[k + 1].index, anchor.index)
+            : lines.length;
+
+        const dates = this.parseDateRange(anchor.match[1], anchor.match[2], now);
+        if (!dates) return null;
+
+        // Header: text on the date line itself plus the short non-bullet lines just above it
+        const headerStart = this.findHeaderStart(lines, anchor.index, previousIndex);
+        const headerParts = lines.slice(headerStart, anchor.index).map(l => l.trim()).filter(Boolean);
+
+        const dateLineRemainder = lines[anchor.index]
+            .replace(anchor.match[0], ' ')
+            .replace(/[()[\]]/g, ' ')
+            .replace(/^[\s|,–—-]+|[\s|,–—-]+$/g, '')
+            .trim();
+        if (dateLineRemainder) {
+            headerParts.push(dateLineRemainder);
+        }
+
+        // Body: everything after the date line up to the next role's header
+        let bodyLines = lines.slice(anchor.index + 1, nextHeaderStart).map(l => l.trim()).filter(Boolean);
+
+        // Date-first layout ("Jan 2020 - Present" above the title): borrow the leading non-bullet lines
+        if (headerParts.length === 0) {
+            while (bodyLines.length > 0 && headerParts.length < 2 && !BULLET_REGEX.test(bodyLines[0])) {
+                headerParts.push(bodyLines.shift());
+            }
+        }
+
+        const header = this.parseHeader(headerParts);
+        const bullets = bodyLines.map(line => line.replace(BULLET_REGEX, '').trim()).filter(Boolean);
+        const durationMonths = dates.endIndex - dates.startIndex;
+
+        return {
+            title: header.title,
+            company: header.company,
+            location: header.location,
+            startDate: dates.start,
+            endDate: dates.end,
+            isCurrent: dates.isCurrent,
+            durationMonths,
+            duration: this.formatDuration(durationMonths),
+            bullets,
+            description: bullets.join(' '),
+            _interval: { start: dates.startIndex, end: dates.endIndex }
+        };
+    }
+
+    /**
+     * Walk upward from a date line collecting header lines (max 3, no bullets, no blank lines)
+     */
+    findHeaderStart(lines, anchorIndex, floorIndex) {
+        let start = anchorIndex;
+        while (
+            start - 1 > floorIndex &&
+            anchorIndex - (start - 1) <= 3 &&
+            lines[start - 1].trim() !== '' &&
+            !BULLET_REGEX.test(lines[start - 1]) &&
+            lines[start - 1].trim().length <= 100
+        ) {
+            start--;
+        }
+        return start;
+    }
+
+    /**
+     * Split header text into title / company / location
+     */
+    parseHeader(headerParts) {
+        const parts = [];
+        headerParts.forEach(part => {
+            part.split(/\s*\|\s*|\s+[–—-]\s+|\s+@\s+|\s+at\s+|\t+/)
+                .map(p => p.trim())
+                .filter(Boolean)
+                .forEach(p => parts.push(p));
+        });
+
+        let location = null;
+        const remaining = [];
+        parts.forEach(part => {
+            // "Acme Corp, Austin, TX" → company + location
+            const commaSplit = part.match(/^([^,]+),\s*(.+)$/);
+            if (!location && LOCATION_REGEX.test(part) && !TITLE_WORDS.test(part) && !COMPANY_WORDS.test(part)) {
+                location = part;
+            } else if (!location && commaSplit && LOCATION_REGEX.test(commaSplit[2]) && !TITLE_WORDS.test(commaSplit[2]) && !COMPANY_WORDS.test(commaSplit[2])) {
+                remaining.push(commaSplit[1].trim());
+                location = commaSplit[2].trim();
+            } else if (!location && CITY_STATE_SUFFIX.test(part)) {
+                // "Line Cook, Chez Panisse, Berkeley, CA" → peel the trailing "City, ST" first
+                const [, rest, cityState] = part.match(CITY_STATE_SUFFIX);
+                remaining.push(rest.trim());
+                location = cityState.trim();
+            } else {
+                remaining.push(part);
+            }
+        });
+
+        // "Developer, Bar Inc" → split a lone part on its first comma
+        if (remaining.length === 1 && remaining[0].includes(',')) {
+            const [first, ...rest] = remaining[0].split(',');
+            remaining.splice(0, 1, first.trim(), rest.join(',').trim());
+        }
+
+        let title = null;
+        let company = null;
+
+        const titleIndex = remaining.findIndex(p => TITLE_WORDS.test(p) && !COMPANY_WORDS.test(p));
+        if (titleIndex !== -1) {
+            title = remaining[titleIndex];
+            company = remaining.find((p, i) => i !== titleIndex) || null;
+        } else {
+            title = remaining[0] || null;
+            company = remaining[1] || null;
+        }
+
+        return { title, company, location };
+    }
+
+    /**
+     * Parse start/end strings into month-precision dates and absolute month indices
+     * Intervals are half-open: [startIndex, endIndex)
+     */
+    parseDateRange(startText, endText, now) {
+        const start = this.parseDate(startText);
+        if (!start) return null;
+
+        const currentYear = now.getFullYear();
+        const currentMonth = now.getMonth() + 1;
+        const isCurrent = new RegExp(`^${PRESENT}$`, 'i').test(endText.trim());
+
+        let end;
+        let endIndex;
+        if (isCurrent) {
+            end = null;
+            endIndex = currentYear * 12 + currentMonth;
+        } else {
+            end = this.parseDate(endText);
+            if (!end) return null;
+            if (end.month) {
+                endIndex = end.year * 12 + end.month;
+            } else {
+                // Year-only end: count through the start of that year, or the whole year if it is also the start year
+                endIndex = end.year === start.year ? end.year * 12 + 12 : end.year * 12;
+            }
+        }
+
+        const startIndex = start.year * 12 + ((start.month || 1) - 1);
+
+        // Reject impossible ranges (end before start, or start in the future)
+        if (endIndex <= startIndex || startIndex > currentYear * 12 + currentMonth) {
+            return null;
+        }
+
+        return { start, end, isCurrent, startIndex, endIndex };
+    }
+
+    /**
+     * Parse a single date string
+     * @returns {Object|null} { year, month } where month may be null
+     */
+    parseDate(text) {
+        const value = text.trim().toLowerCase();
+
+        const monthName = value.match(new RegExp(`^(${MONTH_NAME})\\.?,?\\s+((?:19|20)\\d{2})$`, 'i'));
+        if (monthName) {
+            return { year: parseInt(monthName[2]), month: MONTHS[monthName[1].toLowerCase()] };
+        }
+
+        const monthFirst = value.match(/^(0?[1-9]|1[0-2])\s*[/.-]\s*((?:19|20)\d{2})$/);
+        if (monthFirst) {
+            return { year: parseInt(monthFirst[2]), month: parseInt(monthFirst[1]) };
+        }
+
+        const yearFirst = value.match(/^((?:19|20)\d{2})\s*[/.-]\s*(0?[1-9]|1[0-2])$/);
+        if (yearFirst) {
+            return { year: parseInt(yearFirst[1]), month: parseInt(yearFirst[2]) };
+        }
+
+        const yearOnly = value.match(/^((?:19|20)\d{2})$/);
+        if (yearOnly) {
+            return { year: parseInt(yearOnly[1]), month: null };
+        }
+
+        return null;
+    }
+
+    /**
+     * Every single date in a line of text, in order ("Issued Mar 2021, expires 03/2024")
+     * @returns {Array<Object>} [{ text, index, date: { year, month } }]
+     */
+    findDates(text) {
+        const pattern = new RegExp(`(?<![A-Za-z0-9])${DATE}(?![A-Za-z0-9])`, 'gi');
+        return [...(text || '').matchAll(pattern)]
+            .map(match => ({ text: match[0], index: match.index, date: this.parseDate(match[0]) }))
+            .filter(entry => entry.date);
+    }
+
+    /**
+     * Merge overlapping role intervals and compute gaps between them
+     * Indices are half-open, but every date reported is an inclusive month: an interval ends on its
+     * last month worked, and a gap runs from its first idle month to its last
+     */
+    buildTimeline(roles, now) {
+        const intervals = roles
+            .map(role => ({ ...role._interval }))
+            .sort((a, b) => a.start - b.start);
+
+        const merged = [];
+        intervals.forEach(interval => {
+            const last = merged[merged.length - 1];
+            if (last && interval.start <= last.end) {
+                last.end = Math.max(last.end, interval.end);
+            } else {
+                merged.push({ ...interval });
+            }
+        });
+
+        const gaps = [];
+        for (let i = 1; i < merged.length; i++) {
+            const months = merged[i].start - merged[i - 1].end;
+            if (months > 0) {
+                gaps.push({
+                    from: this.indexToDate(merged[i - 1].end),
+                    to: this.indexToDate(merged[i].start - 1),
+                    months
+                });
+            }
+        }
+
+        const totalMonths = merged.reduce((sum, interval) => sum + (interval.end - interval.start), 0);
+
+        return {
+            intervals: merged.map(interval => ({
+                start: this.indexToDate(interval.start),
+                end: this.indexToDate(interval.end - 1),
+                months: interval.end - interval.start
+            })),
+            gaps,
+            totalMonths,
+            totalYears: Math.round((totalMonths / 12) * 10) / 10
+        };
+    }
+
+    /**
+     * Convert an absolute month index back to { year, month }
+     */
+    indexToDate(index) {
+        return {
+            year: Math.floor(index / 12),
+            month: (index % 12) + 1
+        };
+    }
+
+    /**
+     * Human-readable duration: "2 yrs 3 mos"
+     */
+    formatDuration(months) {
+        const years = Math.floor(months / 12);
+        const remainder = months % 12;
+        const parts = [];
+        if (years > 0) parts.push(`${years} yr${years > 1 ? 's' : ''}`);
+        if (remainder > 0) parts.push(`${remainder} mo${remainder > 1 ? 's' : ''}`);
+        return parts.join(' ') || '< 1 mo';
+    }
+}
+
+module.exports = new WorkHistoryParser();